@@ -0,0 +1,188 @@
+/**
+ * Content-Addressed Asset Store
+ * * Assets are saved once per domain under `archives/<domain>/_assets/`, named by
+ * the SHA-256 hash of their content. Every snapshot of the domain references
+ * the same file, so identical stylesheets, images and scripts are never
+ * written twice.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const mime = require('mime-types');
+
+const STORE_DIRNAME = '_assets';
+
+/**
+ * @param {string} domainPath - The archive folder of a domain.
+ * @returns {string} The folder holding that domain's shared assets.
+ */
+function getAssetStorePath(domainPath) {
+    return path.join(domainPath, STORE_DIRNAME);
+}
+
+/**
+ * Picks the file extension an asset is stored with, so it is served with the right MIME type.
+ * The Content-Type header wins; the URL's extension is used when the header is missing or generic.
+ * @param {string} assetUrl - The URL the asset was fetched from.
+ * @param {string} [contentType] - The Content-Type response header.
+ * @param {string} [fallback=''] - Extension to use when nothing else is known (e.g. '.css').
+ * @returns {string} An extension including the leading dot, or an empty string.
+ */
+function getAssetExtension(assetUrl, contentType, fallback = '') {
+    const typeExtension = contentType && !/octet-stream/i.test(contentType) ? mime.extension(contentType) : null;
+    if (typeExtension) return `.${typeExtension}`;
+    const urlExtension = path.extname(new URL(assetUrl).pathname).toLowerCase();
+    if (urlExtension && mime.lookup(urlExtension)) return urlExtension;
+    return fallback;
+}
+
+/**
+ * Saves asset content into a domain's store unless identical content is already there.
+ * @param {string} domainPath - The archive folder of the domain.
+ * @param {Buffer|string} data - The asset content.
+ * @param {string} extension - The extension to store it with.
+ * @returns {Promise<object>} { hash, file, size, reused } where file is relative to the domain folder.
+ */
+async function storeAsset(domainPath, data, extension) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const file = `${STORE_DIRNAME}/${hash}${extension}`;
+    const storedPath = path.join(domainPath, file);
+
+    const reused = await fs.pathExists(storedPath);
+    if (reused) {
+        // A fresh modification time tells removeUnreferencedAssets the file is in use again.
+        const now = new Date();
+        await fs.utimes(storedPath, now, now);
+    } else {
+        // Write to a temporary name first so a half-written file is never mistaken for a stored asset.
+        const tempPath = `${storedPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.outputFile(tempPath, buffer);
+        await fs.move(tempPath, storedPath, { overwrite: true });
+    }
+    return { hash, file, size: buffer.length, reused };
+}
+
+/**
+ * Sums the size of every file below a folder.
+ * @param {string} dirPath - The folder to measure.
+ * @param {function(string): boolean} [include] - Decides, by name, which entries are counted.
+ * @returns {Promise<number>} The total size in bytes.
+ */
+async function getDirectorySize(dirPath, include = () => true) {
+    let total = 0;
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    for (const entry of entries) {
+        if (!include(entry.name)) continue;
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+            total += await getDirectorySize(entryPath);
+        } else if (entry.isFile()) {
+            total += (await fs.stat(entryPath)).size;
+        }
+    }
+    return total;
+}
+
+/**
+ * Deletes the stored assets of a domain that no snapshot refers to any more.
+ * @param {string} domainPath - The archive folder of the domain.
+ * @param {Set<string>} referencedFiles - Files still in use, relative to the domain folder.
+ * @param {Date} since - When the references were collected. Files written or reused after that are
+ *   kept, since a crawl may have started to use them in the meantime.
+ * @returns {Promise<object>} { removedFiles, removedBytes }.
+ */
+async function removeUnreferencedAssets(domainPath, referencedFiles, since) {
+    const storePath = getAssetStorePath(domainPath);
+    const result = { removedFiles: 0, removedBytes: 0 };
+    if (!(await fs.pathExists(storePath))) return result;
+
+    for (const name of await fs.readdir(storePath)) {
+        if (name.endsWith('.tmp') || referencedFiles.has(`${STORE_DIRNAME}/${name}`)) continue;
+        const filePath = path.join(storePath, name);
+        const { size, mtime } = await fs.stat(filePath);
+        if (mtime >= since) continue;
+        await fs.remove(filePath);
+        result.removedFiles++;
+        result.removedBytes += size;
+    }
+    return result;
+}
+
+/**
+ * Measures what each snapshot of a domain takes up. Assets shared between
+ * snapshots count towards each of them in assetBytes, but only those used by
+ * a single snapshot are freed when it is deleted.
+ * @param {string} domainPath - The archive folder of the domain.
+ * @param {object[]} snapshots - { id, assets } for every snapshot, assets as in the manifest.
+ * @returns {Promise<object[]>} { id, bytes, assetBytes, exclusiveAssetBytes, reclaimableBytes } per snapshot,
+ *   where bytes is the size of the snapshot folder and reclaimableBytes what deleting it frees.
+ */
+async function getSnapshotSizes(domainPath, snapshots) {
+    const users = new Map(); // Stores { stored file -> number of snapshots using it }
+    const fileSets = snapshots.map(({ assets }) => {
+        const files = new Map(Object.values(assets || {}).map(asset => [asset.file, asset.size]));
+        files.forEach((size, file) => users.set(file, (users.get(file) || 0) + 1));
+        return files;
+    });
+
+    const sizes = [];
+    for (const [index, { id }] of snapshots.entries()) {
+        const bytes = await getDirectorySize(path.join(domainPath, id));
+        let assetBytes = 0;
+        let exclusiveAssetBytes = 0;
+        fileSets[index].forEach((size, file) => {
+            assetBytes += size;
+            if (users.get(file) === 1) exclusiveAssetBytes += size;
+        });
+        sizes.push({ id, bytes, assetBytes, exclusiveAssetBytes, reclaimableBytes: bytes + exclusiveAssetBytes });
+    }
+    return sizes;
+}
+
+/**
+ * Reports how much disk space a domain uses and how much the shared store saves.
+ * "Referenced" bytes are what the snapshots' assets would take if each snapshot kept its own copy.
+ * @param {string} domainPath - The archive folder of the domain.
+ * @returns {Promise<object>} Storage figures for the domain.
+ */
+async function getStorageStats(domainPath) {
+    const storePath = getAssetStorePath(domainPath);
+    const stats = { snapshots: 0, storedFiles: 0, storedBytes: 0, referencedBytes: 0, pageBytes: 0, savedBytes: 0, diskBytes: 0 };
+
+    if (await fs.pathExists(storePath)) {
+        const storedFiles = (await fs.readdir(storePath)).filter(name => !name.endsWith('.tmp'));
+        stats.storedFiles = storedFiles.length;
+        for (const name of storedFiles) {
+            stats.storedBytes += (await fs.stat(path.join(storePath, name))).size;
+        }
+    }
+
+    for (const folder of await fs.readdir(domainPath)) {
+        const manifestPath = path.join(domainPath, folder, '_manifest.json');
+        if (folder === STORE_DIRNAME || !fs.existsSync(manifestPath)) continue;
+        const manifest = await fs.readJson(manifestPath);
+        stats.snapshots++;
+        stats.pageBytes += await getDirectorySize(path.join(domainPath, folder));
+        for (const asset of Object.values(manifest.assets || {})) {
+            stats.referencedBytes += asset.size;
+        }
+    }
+
+    stats.savedBytes = Math.max(0, stats.referencedBytes - stats.storedBytes);
+    // Everything in the domain folder, including incomplete snapshots.
+    stats.diskBytes = await getDirectorySize(domainPath);
+    return stats;
+}
+
+module.exports = {
+    STORE_DIRNAME,
+    getAssetStorePath,
+    getAssetExtension,
+    storeAsset,
+    getDirectorySize,
+    getStorageStats,
+    getSnapshotSizes,
+    removeUnreferencedAssets
+};
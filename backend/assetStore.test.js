@@ -0,0 +1,95 @@
+/**
+ * Asset Store Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STORE_DIRNAME, getAssetExtension, storeAsset, getSnapshotSizes, getStorageStats, removeUnreferencedAssets } = require('./assetStore');
+
+let domainPath;
+
+/**
+ * Backdates a file, as if it was last written or reused long ago.
+ * @param {string} file - The file, relative to the domain folder.
+ * @returns {Promise<void>}
+ */
+function backdate(file) {
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+    return fs.utimes(path.join(domainPath, file), longAgo, longAgo);
+}
+
+beforeEach(async () => {
+    domainPath = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-store-test-'));
+});
+
+afterEach(() => fs.remove(domainPath));
+
+test('stores identical content once under its hash', async () => {
+    const first = await storeAsset(domainPath, 'body { color: red }', '.css');
+    const second = await storeAsset(domainPath, Buffer.from('body { color: red }'), '.css');
+    const other = await storeAsset(domainPath, 'body { color: blue }', '.css');
+
+    assert.match(first.file, new RegExp(`^${STORE_DIRNAME}/[0-9a-f]{64}\\.css$`));
+    assert.deepEqual({ ...second, reused: false }, first);
+    assert.deepEqual([first.reused, second.reused, other.reused], [false, true, false]);
+    assert.notEqual(other.hash, first.hash);
+    assert.deepEqual((await fs.readdir(path.join(domainPath, STORE_DIRNAME))).sort(), [`${first.hash}.css`, `${other.hash}.css`].sort());
+    assert.equal(await fs.readFile(path.join(domainPath, first.file), 'utf8'), 'body { color: red }');
+});
+
+test('picks the extension from the Content-Type, then from the URL', () => {
+    assert.equal(getAssetExtension('https://example.com/logo', 'image/png'), '.png');
+    assert.equal(getAssetExtension('https://example.com/logo.PNG', 'application/octet-stream'), '.png');
+    assert.equal(getAssetExtension('https://example.com/style', undefined, '.css'), '.css');
+    assert.equal(getAssetExtension('https://example.com/data.unknown-ext', undefined), '');
+});
+
+test('removes unreferenced assets unless they were written or reused since the references were collected', async () => {
+    const kept = await storeAsset(domainPath, 'kept', '.txt');
+    const unused = await storeAsset(domainPath, 'unused', '.txt');
+    const reused = await storeAsset(domainPath, 'reused', '.txt');
+    await Promise.all([kept, unused, reused].map(asset => backdate(asset.file)));
+    await fs.outputFile(path.join(domainPath, STORE_DIRNAME, 'partial.txt.tmp'), 'part');
+    await backdate(`${STORE_DIRNAME}/partial.txt.tmp`);
+
+    const since = new Date(Date.now() - 1000);
+    // A crawl that started after the references were collected stores one asset again and a new one.
+    await storeAsset(domainPath, 'reused', '.txt');
+    const added = await storeAsset(domainPath, 'added', '.txt');
+
+    const result = await removeUnreferencedAssets(domainPath, new Set([kept.file]), since);
+    assert.deepEqual(result, { removedFiles: 1, removedBytes: 'unused'.length });
+    const remaining = await fs.readdir(path.join(domainPath, STORE_DIRNAME));
+    assert.deepEqual(remaining.sort(), [kept, reused, added].map(asset => path.basename(asset.file)).concat('partial.txt.tmp').sort());
+    assert.deepEqual(await removeUnreferencedAssets(path.join(domainPath, 'missing'), new Set(), new Date()), { removedFiles: 0, removedBytes: 0 });
+});
+
+test('measures each snapshot with the assets it shares and those only it uses', async () => {
+    const shared = await storeAsset(domainPath, 'x'.repeat(100), '.css');
+    const own = await storeAsset(domainPath, 'y'.repeat(40), '.png');
+    await fs.outputFile(path.join(domainPath, 'one', 'index.html'), 'a'.repeat(10));
+    await fs.outputJson(path.join(domainPath, 'one', '_manifest.json'), {});
+    const oneManifestBytes = (await fs.stat(path.join(domainPath, 'one', '_manifest.json'))).size;
+    await fs.outputFile(path.join(domainPath, 'two', 'index.html'), 'b'.repeat(20));
+    const snapshots = [
+        { id: 'one', assets: { 'https://example.com/a.css': shared, 'https://example.com/b.png': own } },
+        { id: 'two', assets: { 'https://example.com/a.css': shared } }
+    ];
+
+    assert.deepEqual(await getSnapshotSizes(domainPath, snapshots), [
+        { id: 'one', bytes: 10 + oneManifestBytes, assetBytes: 140, exclusiveAssetBytes: 40, reclaimableBytes: 10 + oneManifestBytes + 40 },
+        { id: 'two', bytes: 20, assetBytes: 100, exclusiveAssetBytes: 0, reclaimableBytes: 20 }
+    ]);
+
+    // Only the snapshot with a manifest counts; its assets would take 140 bytes without the store.
+    await fs.outputJson(path.join(domainPath, 'one', '_manifest.json'), { assets: snapshots[0].assets });
+    const stats = await getStorageStats(domainPath);
+    assert.deepEqual(
+        { snapshots: stats.snapshots, storedFiles: stats.storedFiles, storedBytes: stats.storedBytes, referencedBytes: stats.referencedBytes, savedBytes: stats.savedBytes },
+        { snapshots: 1, storedFiles: 2, storedBytes: 140, referencedBytes: 140, savedBytes: 0 }
+    );
+});
@@ -0,0 +1,104 @@
+/**
+ * Capture Log
+ * * Records one JSON line per resource requested while a snapshot is captured:
+ * its HTTP status, content type, size, redirect chain, timing, the number of
+ * attempts and the error, if any, or the size limit it was skipped for. The log is kept in the snapshot folder as
+ * `_capture-log.jsonl`, and its summary (how complete the snapshot is and
+ * which resources failed) is stored in the manifest.
+ */
+
+const fs = require('fs-extra');
+const readline = require('readline');
+
+const CAPTURE_LOG_FILENAME = '_capture-log.jsonl';
+
+class CaptureLog {
+    /**
+     * @param {string} filePath - The file to append entries to.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Queues an entry to be appended.
+     * @param {object} entry - { url, kind, outcome, status, contentType, size, finalUrl, redirects,
+     *   attempts, startedAt, durationMs, error, sizeLimit }.
+     * @returns {Promise<void>} Resolves once the entry is on disk.
+     */
+    record(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        this.pending = this.pending.then(() => fs.appendFile(this.filePath, line));
+        return this.pending;
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once every queued entry has been written.
+     */
+    flush() {
+        return this.pending;
+    }
+
+    /**
+     * @returns {Promise<number>} The size of the log file in bytes, after pending writes.
+     */
+    async size() {
+        await this.flush();
+        return (await fs.pathExists(this.filePath)) ? (await fs.stat(this.filePath)).size : 0;
+    }
+}
+
+/**
+ * Reads a capture log entry by entry, without loading the whole file.
+ * @param {string} filePath - The log file.
+ * @param {function(object): void} onEntry - Called for every entry, oldest first.
+ * @returns {Promise<void>}
+ */
+async function readCaptureLog(filePath, onEntry) {
+    if (!(await fs.pathExists(filePath))) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim()) onEntry(JSON.parse(line));
+    }
+}
+
+/**
+ * Summarizes a capture log. When a URL was requested more than once, e.g. by
+ * retrying failed items, its latest outcome counts.
+ * @param {string} filePath - The log file.
+ * @returns {Promise<object>} { pages, assets, blocked, retried, failures, skipped } where pages and assets hold
+ *   { captured, failed, skipped } counts, failures lists { url, kind, status, error, attempts } and
+ *   skipped lists the resources over their size limit as { url, kind, contentType, size, sizeLimit }.
+ */
+async function buildCaptureReport(filePath) {
+    const latest = new Map();
+    let retried = 0;
+    await readCaptureLog(filePath, entry => {
+        if (entry.attempts > 1) retried++;
+        latest.set(entry.url, entry);
+    });
+
+    const report = {
+        pages: { captured: 0, failed: 0, skipped: 0 },
+        assets: { captured: 0, failed: 0, skipped: 0 },
+        blocked: 0,
+        retried,
+        failures: [],
+        skipped: []
+    };
+    for (const { url, kind, outcome, status, contentType, size, error, attempts, sizeLimit } of latest.values()) {
+        if (outcome === 'blocked') {
+            report.blocked++;
+            continue;
+        }
+        report[kind === 'page' ? 'pages' : 'assets'][outcome]++;
+        if (outcome === 'failed') report.failures.push({ url, kind, status, error, attempts });
+        if (outcome === 'skipped') report.skipped.push({ url, kind, contentType, size, sizeLimit });
+    }
+    report.failures.sort((a, b) => a.url.localeCompare(b.url));
+    report.skipped.sort((a, b) => a.url.localeCompare(b.url));
+    return report;
+}
+
+module.exports = { CaptureLog, CAPTURE_LOG_FILENAME, buildCaptureReport, readCaptureLog };
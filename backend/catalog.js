@@ -0,0 +1,155 @@
+/**
+ * Snapshot Catalog
+ * * Keeps a summary of every snapshot (start URL, capture time, status, page
+ * count) in a journal file, so snapshots can be listed, filtered and paged
+ * through without reading each snapshot's manifest. Entries are appended when a
+ * crawl starts and finishes, and the catalog can be rebuilt from the archives.
+ */
+
+const { snapshotIdToDate } = require('./searchIndex');
+const { SharedJournal } = require('./sharedJournal');
+
+const CATALOG_VERSION = 1;
+const SNAPSHOT_STATUSES = ['complete', 'incomplete'];
+
+/**
+ * Summarizes a complete snapshot for the catalog.
+ * @param {string} domain - The domain of the snapshot.
+ * @param {string} id - The snapshot ID.
+ * @param {object} manifest - Its manifest.
+ * @param {boolean} hasWarc - Whether its WARC file exists.
+ * @returns {object} The catalog entry.
+ */
+function summarizeManifest(domain, id, manifest, hasWarc) {
+    const report = manifest.captureReport;
+    return {
+        domain,
+        id,
+        startUrl: manifest.startUrl,
+        capturedAt: snapshotIdToDate(id).toISOString(),
+        status: 'complete',
+        entrypoint: manifest.entrypoint,
+        pageCount: manifest.crawledPages.length,
+        failedCount: report ? report.failures.length : 0,
+        changed: manifest.changes ? manifest.changes.changed : null,
+        hasWarc
+    };
+}
+
+/**
+ * Summarizes a snapshot that is being captured, or whose crawl was interrupted.
+ * @param {string} domain - The domain of the snapshot.
+ * @param {string} id - The snapshot ID.
+ * @param {object} state - Its checkpointed crawl state.
+ * @returns {object} The catalog entry.
+ */
+function summarizeCheckpoint(domain, id, state) {
+    return {
+        domain,
+        id,
+        startUrl: state.startUrl,
+        capturedAt: snapshotIdToDate(id).toISOString(),
+        status: 'incomplete',
+        entrypoint: null,
+        pageCount: Object.keys(state.pages).length,
+        failedCount: 0,
+        changed: null,
+        hasWarc: false,
+        resumable: state.resumable,
+        lastError: state.lastError,
+        checkpointedAt: state.updatedAt
+    };
+}
+
+class SnapshotCatalog extends SharedJournal {
+    /**
+     * @param {string} filePath - Where the catalog is persisted.
+     */
+    constructor(filePath) {
+        super(filePath, CATALOG_VERSION);
+        this.entries = new Map(); // Stores { "domain/id" -> entry }
+    }
+
+    reset() {
+        this.entries.clear();
+    }
+
+    /**
+     * @param {object} record - { op: 'put', entry } or { op: 'remove', keys }.
+     */
+    apply(record) {
+        if (record.op === 'put') {
+            this.entries.set(`${record.entry.domain}/${record.entry.id}`, record.entry);
+        } else if (record.op === 'remove') {
+            record.keys.forEach(key => this.entries.delete(key));
+        }
+    }
+
+    getRecords() {
+        return [...this.entries.values()].map(entry => ({ op: 'put', entry }));
+    }
+
+    countEntries() {
+        return this.entries.size;
+    }
+
+    /**
+     * Adds or replaces the entry of a snapshot.
+     * @param {object} entry - From summarizeManifest or summarizeCheckpoint.
+     * @returns {Promise<void>}
+     */
+    putSnapshot(entry) {
+        return this.enqueueUpdate(async () => {
+            const record = { op: 'put', entry };
+            this.apply(record);
+            await this.append([record]);
+        });
+    }
+
+    /**
+     * Removes entries, e.g. those of deleted snapshots.
+     * @param {function(object): boolean} predicate - Selects the entries to remove.
+     * @returns {Promise<void>}
+     */
+    removeSnapshots(predicate) {
+        return this.enqueueUpdate(async () => {
+            const keys = [...this.entries].filter(([, entry]) => predicate(entry)).map(([key]) => key);
+            if (keys.length === 0) return;
+            const record = { op: 'remove', keys };
+            this.apply(record);
+            await this.append([record]);
+        });
+    }
+
+    /**
+     * Drops every entry, e.g. before rebuilding the catalog from the archives.
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.enqueueUpdate(async () => {
+            this.reset();
+            await this.compact();
+        });
+    }
+
+    /**
+     * Lists snapshots, newest first.
+     * @param {object} [filters] - { domain, startUrl, from, to, status, limit, offset } with from/to as Dates.
+     *   Without a limit every matching snapshot is returned.
+     * @returns {Promise<object>} { total, snapshots }.
+     */
+    list({ domain, startUrl, from, to, status, limit = Infinity, offset = 0 } = {}) {
+        return this.enqueue(async () => {
+            const matches = [...this.entries.values()].filter(entry => {
+                if ((domain && entry.domain !== domain) || (startUrl && entry.startUrl !== startUrl)) return false;
+                if (status && entry.status !== status) return false;
+                const capturedAt = new Date(entry.capturedAt);
+                return !((from && capturedAt < from) || (to && capturedAt > to));
+            });
+            matches.sort((a, b) => b.id.localeCompare(a.id) || a.domain.localeCompare(b.domain));
+            return { total: matches.length, snapshots: matches.slice(offset, offset + limit) };
+        });
+    }
+}
+
+module.exports = { SnapshotCatalog, SNAPSHOT_STATUSES, summarizeManifest, summarizeCheckpoint };
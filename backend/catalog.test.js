@@ -0,0 +1,81 @@
+/**
+ * Snapshot Catalog Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SnapshotCatalog, summarizeManifest, summarizeCheckpoint } = require('./catalog');
+
+let folder, catalogPath;
+
+/**
+ * @param {string} domain - The domain of the snapshot.
+ * @param {string} id - The snapshot ID.
+ * @returns {object} The catalog entry of a complete snapshot with one page.
+ */
+function entry(domain, id) {
+    return summarizeManifest(domain, id, { startUrl: `https://${domain}/`, entrypoint: 'index.html', crawledPages: [`https://${domain}/`] }, true);
+}
+
+beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-test-'));
+    catalogPath = path.join(folder, 'catalog.jsonl');
+});
+
+afterEach(() => fs.remove(folder));
+
+test('lists snapshots newest first, filtered and paged', async () => {
+    const catalog = new SnapshotCatalog(catalogPath);
+    await catalog.putSnapshot(entry('a.com', '2024-01-01T00-00-00.000Z'));
+    await catalog.putSnapshot(entry('b.com', '2024-03-01T00-00-00.000Z'));
+    await catalog.putSnapshot(entry('a.com', '2024-02-01T00-00-00.000Z'));
+    await catalog.putSnapshot(summarizeCheckpoint('a.com', '2024-04-01T00-00-00.000Z', {
+        startUrl: 'https://a.com/', pages: {}, resumable: true, lastError: null, updatedAt: '2024-04-01T00:00:00.000Z'
+    }));
+
+    const all = await catalog.list();
+    assert.equal(all.total, 4);
+    assert.deepEqual(all.snapshots.map(snapshot => snapshot.id.slice(0, 7)), ['2024-04', '2024-03', '2024-02', '2024-01']);
+
+    const page = await catalog.list({ domain: 'a.com', status: 'complete', limit: 1, offset: 1 });
+    assert.equal(page.total, 2);
+    assert.deepEqual(page.snapshots.map(snapshot => snapshot.id), ['2024-01-01T00-00-00.000Z']);
+
+    const range = await catalog.list({ from: new Date('2024-01-15T00:00:00Z'), to: new Date('2024-03-15T00:00:00Z') });
+    assert.deepEqual(range.snapshots.map(snapshot => snapshot.domain), ['b.com', 'a.com']);
+});
+
+test('keeps the updates of another process sharing the file', async () => {
+    const server = new SnapshotCatalog(catalogPath);
+    const cli = new SnapshotCatalog(catalogPath);
+    await server.putSnapshot(entry('a.com', '2024-01-01T00-00-00.000Z'));
+    assert.equal((await cli.list()).total, 1);
+
+    await cli.putSnapshot(entry('b.com', '2024-02-01T00-00-00.000Z'));
+    assert.equal((await server.list()).total, 2);
+
+    // The server's next write starts from the file, so the entry added by the CLI survives it.
+    await server.putSnapshot(entry('c.com', '2024-03-01T00-00-00.000Z'));
+    await cli.removeSnapshots(snapshot => snapshot.domain === 'a.com');
+    assert.deepEqual((await server.list()).snapshots.map(snapshot => snapshot.domain), ['c.com', 'b.com']);
+    assert.deepEqual((await new SnapshotCatalog(catalogPath).list()).snapshots.map(snapshot => snapshot.domain).sort(), ['b.com', 'c.com']);
+    assert.deepEqual(await fs.readdir(folder), ['catalog.jsonl']);
+});
+
+test('serializes concurrent updates from separate copies of the catalog', async () => {
+    const copies = [new SnapshotCatalog(catalogPath), new SnapshotCatalog(catalogPath)];
+    await Promise.all(Array.from({ length: 10 }, (_, index) =>
+        copies[index % 2].putSnapshot(entry(`site${index}.com`, '2024-01-01T00-00-00.000Z'))));
+
+    assert.equal((await new SnapshotCatalog(catalogPath).list()).total, 10);
+});
+
+test('reports a missing catalog file so it can be rebuilt', async () => {
+    assert.equal(await new SnapshotCatalog(catalogPath).load(), false);
+    await fs.outputFile(catalogPath, `${JSON.stringify({ version: 0 })}\n`);
+    assert.equal(await new SnapshotCatalog(catalogPath).load(), false);
+});
@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+/**
+ * Web Archiver Command-Line Interface
+ * * Archives, lists, exports, verifies and deletes snapshots without going
+ * through the server. It runs the same crawler and works on the same archives
+ * folder, so whatever it saves shows up in the web interface and the other way
+ * round.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const { enqueueJob, cancelJob } = require('./jobs');
+const { loadSnapshot } = require('./diff');
+const { ScopeError, normalizeScope } = require('./scope');
+const { createSnapshotZip, buildSingleFileHtml } = require('./snapshotExport');
+const { requestProfiles, startCrawl } = require('./crawler');
+const { redactRequestProfile } = require('./requestProfiles');
+const { MEDIA_TYPES } = require('./sizeLimits');
+const { SeedError, normalizeSeed, summarizeSeed } = require('./seeds');
+const { loadSigningKey, verifySnapshot } = require('./fixity');
+const config = require('./config');
+const {
+    listDomains,
+    getSnapshotPath,
+    getDomainPath,
+    resolveSnapshotPageFile,
+    listSnapshotPages,
+    listDomainSnapshots,
+    deleteSnapshots,
+    deleteDomain,
+    loadIndexes
+} = require('./snapshots');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  archive <url>              Crawl a site into a new snapshot
+      --seed <mode>          Also queue the pages of a sitemap, feed or list
+      --seed-url <url>       The sitemap (looked up in robots.txt if left out) or the feed
+      --url-list <file>      One URL per line, for --seed list; <url> defaults to the first
+      --max-pages <n>        Maximum pages to crawl (default 10)
+      --max-depth <n>        Maximum link depth from the start page
+      --path-prefix <path>   Only follow links below this path
+      --include <pattern>    Only follow links matching the pattern (repeatable)
+      --exclude <pattern>    Never follow links matching the pattern (repeatable)
+      --follow-subdomains    Also follow links to subdomains of the start host
+      --extra-host <host>    Also follow links to this host (repeatable)
+      --query-strings <mode> keep, strip or allowlist
+      --allow-param <name>   Query parameter kept by allowlist (repeatable)
+      --user-agent <ua>      User-Agent sent with every request
+      --profile <name>       Saved request profile (headers, cookies, auth, proxy) to use
+      --size-limit <t>=<MB>  Skip image, video, audio, font or other files larger than this;
+                             "none" lifts the limit (repeatable)
+      --ignore-robots        Do not fetch or obey robots.txt
+      --skip-unchanged       Discard the capture if nothing changed
+      --scripts <mode>       keep, disable or remove the scripts of saved pages
+      --forms <mode>         keep or disable the forms of saved pages
+  list [domain]              List the archived domains, or the snapshots of one
+  show <domain> <id>         Print the manifest of a snapshot
+  export <domain> <id>       Save a snapshot as a ZIP file
+      --page <url>           Save only this page, as a single HTML file
+      --out <file>           Where to save it (default: in the current folder)
+  verify <domain> [<id>...]  Hash snapshots again and report missing, altered or extra files
+                             (all snapshots of the domain if no ID is given)
+  delete <domain> <id>...    Delete snapshots and the assets only they use
+      --all                  Delete the domain with all of its snapshots
+
+The archive command exits with 0 if the crawl captured at least one page and 1 otherwise.
+The verify command exits with 1 if any snapshot failed verification or has no hashes.`;
+
+/**
+ * Reports a mistake in the command line.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Loads a snapshot named on the command line.
+ * @param {string} domain - The domain.
+ * @param {string} id - The snapshot ID.
+ * @returns {Promise<object>} { id, path, manifest } of the snapshot.
+ */
+async function requireSnapshot(domain, id) {
+    if (!domain || !id) throw new UsageError('Both a domain and a snapshot ID are required.');
+    const snapshotPath = getSnapshotPath(domain, id);
+    const snapshot = snapshotPath && await loadSnapshot(path.dirname(snapshotPath), id);
+    if (!snapshot) throw new Error(`Snapshot ${domain}/${id} not found.`);
+    return snapshot;
+}
+
+/**
+ * Reads the --size-limit options.
+ * @param {string[]} [values] - Values such as 'video=50' (megabytes) or 'image=none'.
+ * @returns {object} Size limits in bytes per media type, for normalizeSizeLimits.
+ */
+function parseSizeLimits(values = []) {
+    const limits = {};
+    for (const value of values) {
+        const [mediaType, megabytes] = value.split('=');
+        if (!MEDIA_TYPES.includes(mediaType)) {
+            throw new UsageError(`--size-limit needs one of ${MEDIA_TYPES.join(', ')} before "=", e.g. video=50.`);
+        }
+        if (megabytes === 'none') {
+            limits[mediaType] = null;
+        } else if (megabytes && Number(megabytes) >= 0) {
+            limits[mediaType] = Math.round(Number(megabytes) * 1024 * 1024);
+        } else {
+            throw new UsageError(`--size-limit ${value}: the limit must be a number of megabytes or "none".`);
+        }
+    }
+    return limits;
+}
+
+/**
+ * Crawls a URL into a new snapshot, stopping cleanly on Ctrl+C.
+ * @param {string[]} positionals - [url].
+ * @param {object} options - The parsed options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function archiveCommand([startUrl], options) {
+    let seed;
+    try {
+        const urls = options['url-list'] ? await fs.readFile(options['url-list'], 'utf8') : null;
+        seed = normalizeSeed({ mode: options.seed || (urls ? 'list' : 'links'), url: options['seed-url'], urls });
+    } catch (error) {
+        if (error instanceof SeedError || error.code === 'ENOENT') throw new UsageError(error.message);
+        throw error;
+    }
+    const url = startUrl || seed.urls[0];
+    if (!url) throw new UsageError('A URL is required.');
+    try {
+        new URL(url);
+    } catch (err) {
+        throw new UsageError(`${url} is not a valid URL.`);
+    }
+    const maxPages = options['max-pages'] !== undefined ? Number(options['max-pages']) : 10;
+    if (!(Number.isInteger(maxPages) && maxPages > 0)) throw new UsageError('--max-pages must be a whole number above 0.');
+
+    let scope;
+    try {
+        scope = normalizeScope({
+            maxDepth: options['max-depth'],
+            pathPrefix: options['path-prefix'],
+            include: options.include,
+            exclude: options.exclude,
+            followSubdomains: options['follow-subdomains'],
+            extraHosts: options['extra-host'],
+            queryStrings: options['query-strings'],
+            allowedParams: options['allow-param']
+        });
+    } catch (error) {
+        if (error instanceof ScopeError) throw new UsageError(error.message);
+        throw error;
+    }
+    const requestProfile = options.profile ? await requestProfiles.get(options.profile) : null;
+    if (options.profile && !requestProfile) throw new UsageError(`Request profile "${options.profile}" not found.`);
+    const crawlOptions = {
+        politeness: options['ignore-robots'] ? { respectRobotsTxt: false } : {},
+        userAgent: options['user-agent'],
+        scope,
+        neutralize: { scripts: options.scripts, forms: options.forms },
+        skipUnchanged: options['skip-unchanged'],
+        requestProfile,
+        sizeLimits: parseSizeLimits(options['size-limit']),
+        seed
+    };
+
+    await loadIndexes();
+    const jobParams = { startUrl: url, maxPages, ...crawlOptions, requestProfile: redactRequestProfile(requestProfile), seed: summarizeSeed(seed) };
+    const job = enqueueJob(jobParams, crawlJob => startCrawl(url, maxPages, crawlJob, crawlOptions));
+    const cancel = () => {
+        console.log('\n[LOG] Cancelling the crawl...');
+        cancelJob(job.id);
+    };
+    process.once('SIGINT', cancel);
+    const result = await new Promise(resolve => job.once('end', resolve));
+    process.removeListener('SIGINT', cancel);
+
+    const { pagesFetched, pagesFailed, framesFetched, assetsFetched, assetsFailed, skipped, blocked } = result.counters;
+    console.log(`\nPages: ${pagesFetched} fetched, ${pagesFailed} failed. Frames: ${framesFetched} fetched. Assets: ${assetsFetched} fetched, ${assetsFailed} failed. Over size limits: ${skipped}. Blocked by robots.txt: ${blocked}.`);
+    if (result.status !== 'done') {
+        console.error(result.status === 'cancelled' ? 'Crawl cancelled.' : `Crawl failed: ${result.error}`);
+        return 1;
+    }
+    if (pagesFetched === 0) {
+        console.error('Crawl failed: no page could be captured.');
+        return 1;
+    }
+    if (result.snapshot && result.snapshot.id) {
+        console.log(`Snapshot: ${result.snapshot.domain}/${result.snapshot.id}`);
+    } else {
+        console.log('Nothing changed since the previous snapshot; the capture was discarded.');
+    }
+    return 0;
+}
+
+/**
+ * Lists the archived domains, or the snapshots of one domain.
+ * @param {string[]} positionals - [domain], optional.
+ * @returns {Promise<number>} The exit code.
+ */
+async function listCommand([domain]) {
+    if (!domain) {
+        const domains = await listDomains();
+        if (domains.length === 0) console.log('No domains archived yet.');
+        domains.forEach(name => console.log(name));
+        return 0;
+    }
+    const domainPath = getDomainPath(domain);
+    if (!domainPath || !(await fs.pathExists(domainPath))) throw new Error(`Domain ${domain} not found.`);
+    for (const snapshot of await listDomainSnapshots(domainPath)) {
+        console.log(`${snapshot.id}  ${snapshot.startUrl}${snapshot.incomplete ? '  (incomplete)' : ''}`);
+    }
+    return 0;
+}
+
+/**
+ * Prints the manifest of a snapshot as JSON.
+ * @param {string[]} positionals - [domain, id].
+ * @returns {Promise<number>} The exit code.
+ */
+async function showCommand([domain, id]) {
+    const snapshot = await requireSnapshot(domain, id);
+    console.log(JSON.stringify(snapshot.manifest, null, 2));
+    return 0;
+}
+
+/**
+ * Saves a snapshot as a ZIP file, or one of its pages as a single HTML file.
+ * @param {string[]} positionals - [domain, id].
+ * @param {object} options - The parsed options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function exportCommand([domain, id], options) {
+    const snapshot = await requireSnapshot(domain, id);
+    if (options.page) {
+        const filePath = resolveSnapshotPageFile(snapshot, options.page);
+        if (!filePath || !(await fs.pathExists(filePath))) throw new Error(`${options.page} was not captured as a page in this snapshot.`);
+        if (!/\.html?$/i.test(filePath)) throw new Error(`${options.page} is not an HTML page.`);
+
+        const pageUrls = new Map(listSnapshotPages(snapshot).map(page => [page.file, page.url]));
+        const html = await buildSingleFileHtml(filePath, { path: snapshot.path, pageUrls });
+        const pageName = path.relative(snapshot.path, filePath).replace(/\.html?$/i, '').replace(/[\\/]/g, '_');
+        const outFile = path.resolve(options.out || `${domain}-${id}-${pageName}.html`);
+        await fs.outputFile(outFile, html);
+        console.log(`✓ Saved ${options.page} to ${outFile}`);
+        return 0;
+    }
+
+    const outFile = path.resolve(options.out || `${domain}-${id}.zip`);
+    await fs.ensureDir(path.dirname(outFile));
+    await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(outFile);
+        const zip = createSnapshotZip(snapshot.path, snapshot.manifest);
+        zip.on('warning', warning => console.error(`[ERROR] While zipping ${domain}/${id}: ${warning.message}`));
+        zip.on('error', reject);
+        output.on('error', reject);
+        output.on('close', resolve);
+        zip.pipe(output);
+    });
+    console.log(`✓ Saved ${domain}/${id} to ${outFile}`);
+    return 0;
+}
+
+/**
+ * Checks snapshots against the hashes recorded when they were saved.
+ * @param {string[]} positionals - [domain, ...ids]; every complete snapshot of the domain without IDs.
+ * @returns {Promise<number>} The exit code.
+ */
+async function verifyCommand([domain, ...ids]) {
+    if (!domain) throw new UsageError('A domain is required.');
+    const domainPath = getDomainPath(domain);
+    if (!domainPath || !(await fs.pathExists(domainPath))) throw new Error(`Domain ${domain} not found.`);
+    if (ids.length === 0) {
+        ids = (await listDomainSnapshots(domainPath)).filter(snapshot => !snapshot.incomplete).map(snapshot => snapshot.id);
+        if (ids.length === 0) console.log(`${domain} has no complete snapshots.`);
+    }
+
+    const signingKey = loadSigningKey(config.signingKeyFile);
+    let unverified = 0;
+    for (const id of ids) {
+        const snapshot = await requireSnapshot(domain, id);
+        const report = await verifySnapshot(snapshot.path, snapshot.manifest, signingKey);
+        // Removing the fixity of a manifest altogether must not pass either.
+        if (report.status !== 'verified') unverified++;
+        if (report.status === 'unhashed') {
+            console.log(`- ${id}  not hashed (saved before fixity was recorded, or its fixity was removed)`);
+            continue;
+        }
+        console.log(`${report.status === 'verified' ? '✓' : '✗'} ${id}  ${report.status}: ${report.checkedFiles} files, manifest ${report.manifestIntact ? 'intact' : 'altered'}, signature ${report.signature}`);
+        for (const problem of ['missing', 'altered', 'extra']) {
+            report[problem].forEach(file => console.log(`    ${problem}: ${file}`));
+        }
+    }
+    return unverified > 0 ? 1 : 0;
+}
+
+/**
+ * Deletes snapshots of a domain, or the whole domain with --all.
+ * @param {string[]} positionals - [domain, ...ids].
+ * @param {object} options - The parsed options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function deleteCommand([domain, ...ids], options) {
+    if (!domain) throw new UsageError('A domain is required.');
+    if (options.all === (ids.length > 0)) throw new UsageError('Give either snapshot IDs or --all.');
+    const domainPath = getDomainPath(domain);
+    if (!domainPath || !(await fs.pathExists(domainPath))) throw new Error(`Domain ${domain} not found.`);
+
+    await loadIndexes();
+    if (options.all) {
+        const freedBytes = await deleteDomain(domain);
+        console.log(`Freed ${freedBytes} bytes.`);
+        return 0;
+    }
+    const existing = new Set((await listDomainSnapshots(domainPath)).map(snapshot => snapshot.id));
+    const missing = ids.filter(id => !existing.has(id));
+    if (missing.length > 0) throw new Error(`Snapshot(s) not found: ${missing.join(', ')}.`);
+    const freedBytes = await deleteSnapshots(domain, ids);
+    console.log(`Freed ${freedBytes} bytes.`);
+    return 0;
+}
+
+const COMMANDS = {
+    archive: archiveCommand,
+    list: listCommand,
+    show: showCommand,
+    export: exportCommand,
+    verify: verifyCommand,
+    delete: deleteCommand
+};
+
+/**
+ * Runs the command given on the command line.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv) {
+    const [commandName, ...rest] = argv;
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.log(USAGE);
+        return commandName && !['help', '--help', '-h'].includes(commandName) ? 2 : 0;
+    }
+    try {
+        const { values, positionals } = parseArgs({
+            args: rest,
+            allowPositionals: true,
+            options: {
+                'max-pages': { type: 'string' },
+                'max-depth': { type: 'string' },
+                'path-prefix': { type: 'string' },
+                include: { type: 'string', multiple: true },
+                exclude: { type: 'string', multiple: true },
+                'follow-subdomains': { type: 'boolean' },
+                'extra-host': { type: 'string', multiple: true },
+                'query-strings': { type: 'string' },
+                'allow-param': { type: 'string', multiple: true },
+                'user-agent': { type: 'string' },
+                profile: { type: 'string' },
+                'size-limit': { type: 'string', multiple: true },
+                seed: { type: 'string' },
+                'seed-url': { type: 'string' },
+                'url-list': { type: 'string' },
+                'ignore-robots': { type: 'boolean' },
+                'skip-unchanged': { type: 'boolean' },
+                scripts: { type: 'string' },
+                forms: { type: 'string' },
+                page: { type: 'string' },
+                out: { type: 'string' },
+                all: { type: 'boolean', default: false }
+            }
+        });
+        return await command(positionals, values);
+    } catch (error) {
+        // parseArgs reports unknown or malformed options with an ERR_PARSE_ARGS_* code.
+        if (error instanceof UsageError || (error.code || '').startsWith('ERR_PARSE_ARGS')) {
+            console.error(`${error.message}\nRun "node cli.js help" for usage.`);
+            return 2;
+        }
+        console.error(`[ERROR] ${error.message}`);
+        return 1;
+    }
+}
+
+// Tests require the command line without running it.
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { parseSizeLimits };
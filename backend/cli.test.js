@@ -0,0 +1,136 @@
+/**
+ * Command-Line Interface Tests
+ * * Runs `node cli.js` against temporary archives and data folders, archiving a
+ * small site served on a local port. Run with `npm test`.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+const env = {
+    ...process.env,
+    ARCHIVER_ARCHIVES_DIR: path.join(folder, 'archives'),
+    ARCHIVER_DATA_DIR: path.join(folder, 'data'),
+    ARCHIVER_MIN_REQUEST_INTERVAL_MS: '0',
+    ARCHIVER_MAX_RETRIES: '0'
+};
+Object.assign(process.env, env);
+
+const { parseSizeLimits } = require('./cli');
+
+// The site is served on 127.0.0.1, so that is the domain of its snapshots.
+const domain = '127.0.0.1';
+let server, origin;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        if (req.url === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<h1>Home</h1><a href="/about">About</a>');
+        }
+        if (req.url === '/about') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<h1>About</h1>');
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://${domain}:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(folder);
+});
+
+/**
+ * Runs the command line.
+ * @param {...string} args - The arguments after `cli.js`.
+ * @returns {Promise<object>} { code, stdout, stderr } once it exits.
+ */
+function runCli(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(__dirname, 'cli.js'), ...args], { cwd: folder, env, timeout: 60 * 1000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+test('reads size limits in megabytes per media type', () => {
+    assert.deepEqual(parseSizeLimits(['video=50', 'image=0.5', 'audio=none']), { video: 52428800, image: 524288, audio: null });
+    assert.deepEqual(parseSizeLimits(), {});
+    assert.throws(() => parseSizeLimits(['movie=5']), { name: 'UsageError', message: /one of image, video, audio, font, other/ });
+    assert.throws(() => parseSizeLimits(['video=-1']), { name: 'UsageError', message: /--size-limit video=-1/ });
+    assert.throws(() => parseSizeLimits(['video']), { name: 'UsageError' });
+});
+
+test('prints the usage for help and for an unknown command', async () => {
+    for (const args of [[], ['help']]) {
+        const { code, stdout } = await runCli(...args);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Usage: node cli\.js <command>/);
+    }
+    const unknown = await runCli('frobnicate');
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stdout, /^Usage:/);
+});
+
+test('exits with 2 on a mistake in the command line, before doing anything', async () => {
+    for (const [args, message] of [
+        [['archive'], /A URL is required\./],
+        [['archive', 'not a url'], /not a valid URL/],
+        [['archive', origin, '--max-pages', '0'], /--max-pages must be a whole number above 0/],
+        [['archive', origin, '--size-limit', 'video=lots'], /--size-limit video=lots/],
+        [['archive', origin, '--query-strings', 'sometimes'], /queryStrings must be one of: keep, strip, allowlist/],
+        [['archive', origin, '--profile', 'missing'], /Request profile "missing" not found/],
+        [['archive', origin, '--no-such-option'], /Unknown option/],
+        [['show', domain], /Both a domain and a snapshot ID are required/],
+        [['delete', domain], /Give either snapshot IDs or --all/]
+    ]) {
+        const { code, stderr } = await runCli(...args);
+        assert.equal(code, 2, args.join(' '));
+        assert.match(stderr, message);
+        assert.match(stderr, /Run "node cli\.js help" for usage\./);
+    }
+    assert.equal(await fs.pathExists(path.join(env.ARCHIVER_ARCHIVES_DIR, domain)), false);
+});
+
+test('archives, lists, shows, verifies and deletes a snapshot', async () => {
+    const archived = await runCli('archive', `${origin}/`, '--size-limit', 'image=0.001', '--size-limit', 'video=none');
+    assert.equal(archived.code, 0, archived.stderr);
+    assert.match(archived.stdout, /Pages: 2 fetched, 0 failed\./);
+    const [, id] = archived.stdout.match(new RegExp(`Snapshot: ${domain}/(\\S+)`));
+
+    assert.deepEqual(await runCli('list'), { code: 0, stdout: `${domain}\n`, stderr: '' });
+    assert.match((await runCli('list', domain)).stdout, new RegExp(`^${id}  ${origin}/\n$`));
+    const manifest = JSON.parse((await runCli('show', domain, id)).stdout);
+    assert.deepEqual(manifest.crawledPages, [`${origin}/`, `${origin}/about`]);
+    assert.equal(manifest.sizeLimits.image, 1049);
+    assert.equal(manifest.sizeLimits.video, null);
+
+    assert.equal((await runCli('verify', domain)).code, 0);
+    await fs.appendFile(path.join(env.ARCHIVER_ARCHIVES_DIR, domain, id, 'about', 'index.html'), 'tampered');
+    const verified = await runCli('verify', domain, id);
+    assert.equal(verified.code, 1);
+    assert.match(verified.stdout, /altered: about\/index\.html/);
+
+    const missing = await runCli('show', domain, '2000-01-01T00-00-00.000Z');
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /\[ERROR\] Snapshot .* not found\./);
+
+    assert.equal((await runCli('delete', domain, '--all')).code, 0);
+    assert.equal((await runCli('list', domain)).code, 1);
+});
+
+test('exits with 1 when the crawl captures no page', async () => {
+    const { code, stderr } = await runCli('archive', `${origin}/missing`);
+    assert.equal(code, 1);
+    assert.match(stderr, /no page could be captured/);
+});
@@ -0,0 +1,67 @@
+/**
+ * Archiver Configuration
+ * * Defaults for how the crawler behaves towards the sites it archives.
+ * Each value can be overridden with an environment variable, and most can
+ * be overridden again per crawl through the API.
+ */
+
+const path = require('path');
+
+const DEFAULT_USER_AGENT = 'gb-webArchiver/1.0 (+https://github.com/jwoeifjofwefawsfasd/gb-webArchiver)';
+
+/**
+ * Reads a non-negative number from the environment.
+ * @param {string} name - The environment variable.
+ * @param {number|null} fallback - The value used when the variable is unset or invalid.
+ * @returns {number|null} The configured number.
+ */
+function readNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+module.exports = {
+    // Where snapshots are saved. The server and the command-line interface must agree on it.
+    archivesDir: process.env.ARCHIVER_ARCHIVES_DIR || path.join(__dirname, 'archives'),
+    // Where the backend keeps its own state (search index, schedules, ...), apart from the archives.
+    dataDir: process.env.ARCHIVER_DATA_DIR || path.join(__dirname, 'data'),
+    userAgent: process.env.ARCHIVER_USER_AGENT || DEFAULT_USER_AGENT,
+    // How long a request may wait for its response, and then for each further piece of the body, before it fails.
+    requestTimeoutMs: readNumber('ARCHIVER_REQUEST_TIMEOUT_MS', 15000),
+    // Minimum time between two checkpoints of a running crawl.
+    checkpointIntervalMs: readNumber('ARCHIVER_CHECKPOINT_INTERVAL_MS', 10000),
+    // Resume crawls that were interrupted by a crash or restart as soon as the server is back up.
+    resumeInterruptedCrawls: process.env.ARCHIVER_RESUME_INTERRUPTED_CRAWLS !== 'false',
+    politeness: {
+        // Fetch and obey robots.txt, including its Crawl-delay.
+        respectRobotsTxt: process.env.ARCHIVER_IGNORE_ROBOTS_TXT !== 'true',
+        // Minimum time between the start of two requests to the same host.
+        minRequestIntervalMs: readNumber('ARCHIVER_MIN_REQUEST_INTERVAL_MS', 500),
+        // Maximum simultaneous requests to the same host, pages and assets combined.
+        maxInFlightPerHost: readNumber('ARCHIVER_MAX_IN_FLIGHT_PER_HOST', 2),
+        // Number of pages fetched at the same time.
+        pageConcurrency: readNumber('ARCHIVER_PAGE_CONCURRENCY', 1)
+    },
+    replay: {
+        // Serve archived pages with a Content-Security-Policy that blocks requests to the live web.
+        contentSecurityPolicy: process.env.ARCHIVER_REPLAY_CSP !== 'false'
+    },
+    retries: {
+        // Extra attempts for requests that time out, lose their connection, or get a 408, 429 or 5xx response.
+        maxRetries: readNumber('ARCHIVER_MAX_RETRIES', 2),
+        // Delay before the first retry; it doubles with every further attempt.
+        initialDelayMs: readNumber('ARCHIVER_RETRY_DELAY_MS', 1000),
+        // Longest delay between attempts. A Retry-After asking for more than this is not waited for.
+        maxDelayMs: readNumber('ARCHIVER_RETRY_MAX_DELAY_MS', 30000)
+    },
+    // Largest download kept per type of content, in bytes; null means no limit. Larger ones are skipped.
+    sizeLimits: {
+        image: readNumber('ARCHIVER_MAX_IMAGE_BYTES', null),
+        video: readNumber('ARCHIVER_MAX_VIDEO_BYTES', 100 * 1024 * 1024),
+        audio: readNumber('ARCHIVER_MAX_AUDIO_BYTES', 50 * 1024 * 1024),
+        font: readNumber('ARCHIVER_MAX_FONT_BYTES', null),
+        other: readNumber('ARCHIVER_MAX_OTHER_BYTES', null)
+    },
+    // PEM private key (Ed25519, ECDSA or RSA) that signs the digest of every snapshot manifest; unsigned when unset.
+    signingKeyFile: process.env.ARCHIVER_SIGNING_KEY_FILE || null
+};
@@ -0,0 +1,92 @@
+/**
+ * Crawl Checkpoints
+ * * While a snapshot is being captured, the state of its crawl (queue, fetched
+ * pages, URL map, captured assets) is saved to `<snapshot>/_crawl/state.json`,
+ * and the HTML of every fetched page is spooled to `_crawl/pages/` instead of
+ * being held in memory. A crawl that was interrupted, e.g. by a crash or a
+ * restart, can be resumed from its last checkpoint. The folder is removed once
+ * the snapshot's manifest has been written.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const CHECKPOINT_DIRNAME = '_crawl';
+const STATE_FILENAME = 'state.json';
+const STATE_VERSION = 1;
+
+class CrawlCheckpoint {
+    /**
+     * @param {string} archivePath - The folder of the snapshot being captured.
+     */
+    constructor(archivePath) {
+        this.dirPath = path.join(archivePath, CHECKPOINT_DIRNAME);
+        this.statePath = path.join(this.dirPath, STATE_FILENAME);
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether a checkpoint has been saved.
+     */
+    exists() {
+        return fs.pathExists(this.statePath);
+    }
+
+    /**
+     * @returns {Promise<object>} The saved crawl state.
+     * @throws {Error} If the checkpoint was written by an incompatible version.
+     */
+    async load() {
+        const { version, ...state } = await fs.readJson(this.statePath);
+        if (version !== STATE_VERSION) throw new Error(`Unsupported checkpoint version ${version}`);
+        return state;
+    }
+
+    /**
+     * Saves the crawl state. The previous checkpoint stays intact until the new one is complete.
+     * @param {object} state - The crawl state; must be serializable as JSON.
+     * @returns {Promise<void>}
+     */
+    async save(state) {
+        const tempPath = `${this.statePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.outputJson(tempPath, { version: STATE_VERSION, ...state, updatedAt: new Date().toISOString() });
+        await fs.move(tempPath, this.statePath, { overwrite: true });
+    }
+
+    /**
+     * Records why the crawl stopped, keeping the rest of the last checkpoint.
+     * @param {string} message - The error message.
+     * @returns {Promise<void>}
+     */
+    async recordError(message) {
+        await this.save({ ...(await this.load()), lastError: message });
+    }
+
+    /**
+     * Spools the HTML of a fetched page.
+     * @param {string} name - The spool file name.
+     * @param {string} html - The page HTML.
+     * @returns {Promise<void>}
+     */
+    writePage(name, html) {
+        return fs.outputFile(path.join(this.dirPath, 'pages', name), html);
+    }
+
+    /**
+     * @param {string} name - The spool file name.
+     * @returns {Promise<string>} The spooled HTML.
+     */
+    readPage(name) {
+        return fs.readFile(path.join(this.dirPath, 'pages', name), 'utf8');
+    }
+
+    /**
+     * Deletes the checkpoint and every spooled page.
+     * @returns {Promise<void>}
+     */
+    remove() {
+        return fs.remove(this.dirPath);
+    }
+}
+
+module.exports = { CrawlCheckpoint, CHECKPOINT_DIRNAME };
@@ -0,0 +1,59 @@
+/**
+ * Crawl Checkpoint Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { CrawlCheckpoint, CHECKPOINT_DIRNAME } = require('./crawlCheckpoint');
+
+let folder;
+
+beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-test-'));
+});
+
+afterEach(() => fs.remove(folder));
+
+test('saves and loads the crawl state', async () => {
+    const checkpoint = new CrawlCheckpoint(folder);
+    assert.equal(await checkpoint.exists(), false);
+
+    const state = { startUrl: 'https://example.com/', queue: [{ url: 'https://example.com/a', depth: 1 }], pages: {}, lastError: null };
+    await checkpoint.save(state);
+    await checkpoint.save({ ...state, pages: { 'https://example.com/': { file: 'index.html', spool: '0.html' } } });
+
+    assert.equal(await checkpoint.exists(), true);
+    const { updatedAt, ...loaded } = await new CrawlCheckpoint(folder).load();
+    assert.deepEqual(loaded, { ...state, pages: { 'https://example.com/': { file: 'index.html', spool: '0.html' } } });
+    assert.ok(!Number.isNaN(Date.parse(updatedAt)));
+    assert.deepEqual(await fs.readdir(path.join(folder, CHECKPOINT_DIRNAME)), ['state.json']);
+});
+
+test('records the error that stopped the crawl along with the last state', async () => {
+    const checkpoint = new CrawlCheckpoint(folder);
+    await checkpoint.save({ startUrl: 'https://example.com/', lastError: null });
+    await checkpoint.recordError('Disk full');
+
+    const { startUrl, lastError } = await checkpoint.load();
+    assert.deepEqual({ startUrl, lastError }, { startUrl: 'https://example.com/', lastError: 'Disk full' });
+});
+
+test('refuses a checkpoint written by another version', async () => {
+    await fs.outputJson(path.join(folder, CHECKPOINT_DIRNAME, 'state.json'), { version: 0, startUrl: 'https://example.com/' });
+    await assert.rejects(new CrawlCheckpoint(folder).load(), /Unsupported checkpoint version 0/);
+});
+
+test('spools pages until the checkpoint is removed', async () => {
+    const checkpoint = new CrawlCheckpoint(folder);
+    await checkpoint.save({ startUrl: 'https://example.com/' });
+    await checkpoint.writePage('0.html', '<p>Hello</p>');
+    assert.equal(await checkpoint.readPage('0.html'), '<p>Hello</p>');
+
+    await checkpoint.remove();
+    assert.equal(await checkpoint.exists(), false);
+    assert.deepEqual(await fs.readdir(folder), []);
+});
@@ -0,0 +1,1339 @@
+/**
+ * Crawler
+ * * The crawl engine, used by the server and the command-line interface alike.
+ * A crawl runs in two passes:
+ * 1. Crawl pages and fetch all assets, spooling HTML to a checkpoint on disk.
+ * 2. Rewrite internal links and save final HTML files to disk.
+ * Interrupted crawls can be resumed from their last checkpoint, and the
+ * resources a finished crawl failed to capture can be retried.
+ */
+
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const cheerio = require('cheerio');
+const { enqueueJob } = require('./jobs');
+const { CrawlCheckpoint } = require('./crawlCheckpoint');
+const { rewriteCss } = require('./css');
+const { getAssetStorePath, getAssetExtension, storeAsset, STORE_DIRNAME } = require('./assetStore');
+const { WarcWriter } = require('./warc');
+const { RobotsDisallowedError, normalizePoliteness, createPoliteFetcher } = require('./politeness');
+const { normalizeRetries, createRetryingFetcher } = require('./retry');
+const { MAX_REDIRECTS, getRedirectTarget, createRedirectingFetcher } = require('./redirects');
+const { CaptureLog, CAPTURE_LOG_FILENAME, buildCaptureReport } = require('./captureLog');
+const { detectChanges, getPageHashes, hashPageContent, loadSnapshot } = require('./diff');
+const { extractPageText } = require('./pageText');
+const { normalizeNeutralize, neutralizePage, findLiveReferences, findLiveCssReferences, summarizeLiveReferences } = require('./liveWeb');
+const { normalizeScope, createScopeFilter } = require('./scope');
+const { UrlMap, isHtmlResponse } = require('./urlMap');
+const { RequestProfiles, getRequestOptions, redactRequestProfile, redactRequestHeaders } = require('./requestProfiles');
+const { ResourceTooLargeError, normalizeSizeLimits, getMediaType, getSizeLimit } = require('./sizeLimits');
+const { FRAME_SELECTORS, findResourceReferences, rewriteResourceReference, findFrameUrls } = require('./pageResources');
+const { MAX_SEED_DOCUMENT_BYTES, normalizeSeed, summarizeSeed, discoverSeeds } = require('./seeds');
+const { loadSigningKey, computeFixity } = require('./fixity');
+const config = require('./config');
+const {
+    ARCHIVES_DIR,
+    WARC_FILENAME,
+    activeCrawls,
+    resolveSnapshotPageFile,
+    findPreviousSnapshot,
+    tidyDomainAfterCrawl,
+    catalogSnapshot,
+    indexSnapshotForSearch,
+    indexSnapshotCaptures
+} = require('./snapshots');
+
+const requestProfiles = new RequestProfiles(path.join(config.dataDir, 'request-profiles.json'));
+// How deep frames inside frames are followed.
+const MAX_FRAME_DEPTH = 3;
+// Pages found these ways were queued for being in the crawl scope, so the page they redirect to must be too.
+const SCOPED_DISCOVERY_METHODS = ['link', 'sitemap', 'feed'];
+
+/**
+ * Reads a response body, stopping as soon as it grows past a size limit.
+ * @param {object} res - An Axios response with a stream as its data.
+ * @param {number|null} limit - The largest body to read in bytes, or null for no limit.
+ * @param {number} [idleTimeout] - Milliseconds the body may go without data before the read fails
+ *   with an ETIMEDOUT error; no limit if left out. Large bodies that keep arriving are not cut off.
+ * @returns {Promise<object>} { body, truncated, size }; a truncated body is empty and size is
+ *   what the server announced or what was received before stopping.
+ */
+function readLimitedBody(res, limit, idleTimeout) {
+    const stream = res.data;
+    const declaredSize = Number(res.headers['content-length']);
+    if (limit !== null && declaredSize > limit) {
+        stream.destroy();
+        return Promise.resolve({ body: Buffer.alloc(0), truncated: true, size: declaredSize });
+    }
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let timer = null;
+        const waitForData = () => {
+            if (!idleTimeout) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const error = new Error(`No data received for ${idleTimeout}ms`);
+                error.code = 'ETIMEDOUT';
+                stream.destroy(error);
+            }, idleTimeout);
+        };
+        waitForData();
+        stream.on('data', chunk => {
+            waitForData();
+            size += chunk.length;
+            if (limit !== null && size > limit) {
+                clearTimeout(timer);
+                stream.destroy();
+                resolve({ body: Buffer.alloc(0), truncated: true, size });
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => {
+            clearTimeout(timer);
+            resolve({ body: Buffer.concat(chunks), truncated: false, size });
+        });
+        stream.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Creates a fetcher that requests URLs from the live web. Redirects are returned as they
+ * are, for createRedirectingFetcher to follow through the robots.txt checks and host limits.
+ * @param {object} requestConfig - Axios options shared by every request (headers, abort signal).
+ * @param {object} [profile] - { requestProfile, startUrl }: the request profile of the crawl, whose
+ *   cookies and credentials are only added to the requests they belong to.
+ * @returns {function(string, object): Promise<object>} The fetcher.
+ */
+function createHttpFetcher(requestConfig, { requestProfile = null, startUrl } = {}) {
+    return async (url, { timeout, getLimit } = {}) => {
+        const profileOptions = getRequestOptions(requestProfile, url, startUrl);
+        const options = { ...requestConfig, ...profileOptions, headers: { ...requestConfig.headers, ...profileOptions.headers } };
+        const startedAt = new Date();
+        const getTiming = () => ({ startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime() });
+        let res, body;
+        try {
+            res = await axios.get(url, { ...options, timeout, maxRedirects: 0, responseType: 'stream', validateStatus: () => true });
+            // Axios only times the wait for the headers; a body that stalls is timed out by the same limit.
+            body = await readLimitedBody(res, getLimit ? getLimit(res.headers['content-type'] || '') : null, timeout);
+        } catch (error) {
+            error.timing = getTiming();
+            throw error;
+        }
+        return {
+            url,
+            date: new Date(),
+            requestHeaders: res.request?.getHeaders ? redactRequestHeaders(res.request.getHeaders(), requestProfile) : {},
+            status: res.status,
+            statusText: res.statusText,
+            headers: res.headers.toJSON(),
+            body: body.body,
+            truncated: body.truncated,
+            size: body.size,
+            timing: getTiming()
+        };
+    };
+}
+
+/**
+ * Creates a fetcher that answers from the responses recorded in a WARC file.
+ * @param {Map<string, object>} responseIndex - Responses from buildResponseIndex.
+ * @returns {function(string): Promise<object>} The fetcher.
+ */
+function createWarcFetcher(responseIndex) {
+    return async (url) => {
+        const recorded = responseIndex.get(url);
+        if (!recorded) throw new Error('Not recorded in the WARC file');
+        const { bodyFile, ...response } = recorded;
+        return { ...response, body: await fs.readFile(bodyFile), requestHeaders: {} };
+    };
+}
+
+/**
+ * Follows the redirects recorded in a WARC file from a URL.
+ * @param {Map<string, object>} responseIndex - Responses from buildResponseIndex.
+ * @param {string} url - The URL to start from.
+ * @returns {object|null} The recorded response the URL finally leads to, or null if a hop is not
+ *   recorded or there are more than MAX_REDIRECTS of them.
+ */
+function followRecordedRedirects(responseIndex, url) {
+    let response = responseIndex.get(url);
+    for (let hops = 0; response; hops++) {
+        const target = getRedirectTarget(response);
+        if (!target) return response;
+        if (hops === MAX_REDIRECTS) return null;
+        response = responseIndex.get(target);
+    }
+    return null;
+}
+
+/**
+ * Picks the pages of an import: the URLs on the start URL's host whose recorded response is, or
+ * redirects to, an HTML page. URLs that redirect are kept, so the snapshot gets their aliases back.
+ * Pages framed by another of these pages are left out, as the crawl captures them as its frames.
+ * @param {Map<string, object>} responseIndex - Responses from buildResponseIndex.
+ * @param {string} startUrl - The entry page, which is always kept.
+ * @returns {Promise<string[]>} The URLs to seed the import with.
+ */
+async function findImportSeeds(responseIndex, startUrl) {
+    const startHost = new URL(startUrl).hostname;
+    const pages = new Map();
+    for (const url of responseIndex.keys()) {
+        if (new URL(url).hostname !== startHost) continue;
+        const page = followRecordedRedirects(responseIndex, url);
+        if (page && page.status < 300 && /text\/html|application\/xhtml/i.test(page.headers['content-type'] || '')) {
+            pages.set(url, page);
+        }
+    }
+
+    const framed = new Set();
+    for (const page of new Set(pages.values())) {
+        const html = decodeTextResponse({ ...page, body: await fs.readFile(page.bodyFile) });
+        for (const frameUrl of findFrameUrls(cheerio.load(html), page.url)) framed.add(frameUrl);
+    }
+    return [...pages]
+        .filter(([url, page]) => url === startUrl || (!framed.has(url) && !framed.has(page.url)))
+        .map(([url]) => url);
+}
+
+/**
+ * Records the responses that redirected on the way to a response in the snapshot's
+ * WARC file, each as an exchange of its own.
+ * @param {object} crawl - The state of the running crawl.
+ * @param {object[]} [hops] - The redirect responses, from createRedirectingFetcher.
+ * @returns {Promise<void>} Resolves once they are written.
+ */
+async function recordRedirects(crawl, hops = []) {
+    for (const hop of hops) await crawl.warc.writeExchange(hop);
+}
+
+/**
+ * Fetches a URL for the crawl, records the exchange (and every redirect on the way)
+ * in the snapshot's WARC file and adds the outcome to its capture log.
+ * @param {string} url - The URL to fetch.
+ * @param {object} crawl - The state of the running crawl.
+ * @param {object} options - { kind } ('page' or an asset kind), and { timeout } in milliseconds.
+ * @returns {Promise<object>} The response: { url, date, status, statusText, headers, body }.
+ * @throws {Error} On network failure, with a `response` property for HTTP error statuses,
+ *   or a ResourceTooLargeError when the response is over the size limit of its type.
+ */
+async function fetchResource(url, crawl, { kind, ...options }) {
+    const getLimit = contentType => getSizeLimit(crawl.sizeLimits, contentType, kind);
+    let response;
+    try {
+        response = await crawl.fetcher(url, { ...options, getLimit });
+    } catch (error) {
+        await recordRedirects(crawl, error.hops);
+        await recordCapture(url, kind, crawl, null, error);
+        throw error;
+    }
+    await recordRedirects(crawl, response.hops);
+    const contentType = response.headers['content-type'] || '';
+    const limit = getLimit(contentType);
+    const size = response.size ?? response.body.length;
+    if (response.status < 400 && limit !== null && (response.truncated || size > limit)) {
+        // Only the headers are kept, marked as truncated so replay never serves the empty body.
+        await crawl.warc.writeExchange({ ...response, body: Buffer.alloc(0), truncated: true });
+        const error = new ResourceTooLargeError(url, getMediaType(contentType, kind), size, limit);
+        await recordCapture(url, kind, crawl, response, error);
+        throw error;
+    }
+    await crawl.warc.writeExchange(response);
+    if (response.status >= 400) {
+        const error = new Error(`Request failed with status code ${response.status}`);
+        error.response = response;
+        await recordCapture(url, kind, crawl, response, error);
+        throw error;
+    }
+    await recordCapture(url, kind, crawl, response);
+    return response;
+}
+
+/**
+ * Adds the outcome of a request to the snapshot's capture log.
+ * @param {string} url - The requested URL.
+ * @param {string} kind - 'page' or an asset kind ('css', 'img', 'js', 'resource').
+ * @param {object} crawl - The state of the running crawl.
+ * @param {object|null} response - The response, if one was received.
+ * @param {Error} [error] - Why the request failed, if it did.
+ * @returns {Promise<void>} Resolves once the entry is written.
+ */
+function recordCapture(url, kind, crawl, response, error = null) {
+    const timing = (response || error).timing || {};
+    let outcome = error ? 'failed' : 'captured';
+    if (error instanceof RobotsDisallowedError) outcome = 'blocked';
+    if (error instanceof ResourceTooLargeError) outcome = 'skipped';
+    return crawl.captureLog.record({
+        url,
+        kind,
+        outcome,
+        status: response ? response.status : null,
+        contentType: response ? response.headers['content-type'] || null : null,
+        size: response ? response.size ?? response.body.length : null,
+        sizeLimit: error instanceof ResourceTooLargeError ? error.limit : null,
+        finalUrl: response ? response.url : null,
+        redirects: response ? response.redirects || [] : [],
+        attempts: (response || error).attempts || (error instanceof RobotsDisallowedError ? 0 : 1),
+        startedAt: timing.startedAt || null,
+        durationMs: timing.durationMs ?? null,
+        error: error ? error.message : null
+    });
+}
+
+/**
+ * Notes a URL that robots.txt did not allow the crawl to fetch.
+ * @param {string} url - The disallowed URL.
+ * @param {object} crawl - The state of the running crawl.
+ */
+function recordRobotsBlock(url, crawl) {
+    console.log(`[SKIP] Disallowed by robots.txt: ${url}`);
+    crawl.robotsBlocked.add(url);
+    crawl.job.increment('blocked');
+}
+
+/**
+ * Decodes a text response using the charset from its Content-Type header.
+ * @param {object} response - A response from fetchResource.
+ * @returns {string} The decoded text.
+ */
+function decodeTextResponse(response) {
+    const charset = /charset=["']?([\w-]+)/i.exec(response.headers['content-type'] || '');
+    try {
+        return new TextDecoder(charset ? charset[1] : 'utf-8').decode(response.body);
+    } catch (e) {
+        return response.body.toString('utf8');
+    }
+}
+
+/**
+ * Converts the path between two saved files into a URL usable in HTML or CSS.
+ * @param {string} fromFilePath - The file containing the reference.
+ * @param {string} toFilePath - The file being referenced.
+ * @returns {string} A relative URL with forward slashes.
+ */
+function getRelativeUrl(fromFilePath, toFilePath) {
+    return path.relative(path.dirname(fromFilePath), toFilePath).replace(/\\/g, '/');
+}
+
+/**
+ * Captures a single asset into the domain's content-addressed store. Each URL is
+ * fetched at most once per crawl; stylesheets are parsed so the fonts, images and
+ * imports they reference are captured and rewritten too.
+ * @param {string} assetUrl - The absolute URL of the asset.
+ * @param {string} kind - 'css', 'img', 'js', 'media' or 'resource'; decides the fallback extension.
+ * @param {object} crawl - The state of the running crawl.
+ * @param {string} [fromStylesheet] - The stylesheet referencing this asset, used to break @import cycles.
+ * @returns {Promise<object|null>} The stored asset ({ hash, file, size, contentType }), or null on failure.
+ */
+function saveAsset(assetUrl, kind, crawl, fromStylesheet = null) {
+    if (!crawl.assets.has(assetUrl)) {
+        crawl.assets.set(assetUrl, downloadAsset(assetUrl, kind, crawl));
+    }
+    if (!fromStylesheet) return crawl.assets.get(assetUrl);
+
+    // A stylesheet waiting on one that (indirectly) waits on it would never settle.
+    if (assetUrl === fromStylesheet || isWaitingOn(crawl, assetUrl, fromStylesheet)) {
+        return Promise.resolve(null);
+    }
+    const waits = crawl.stylesheetWaits.get(fromStylesheet) || new Set();
+    crawl.stylesheetWaits.set(fromStylesheet, waits.add(assetUrl));
+    return crawl.assets.get(assetUrl).finally(() => waits.delete(assetUrl));
+}
+
+/**
+ * Checks whether a stylesheet is, directly or indirectly, waiting on another one.
+ * @param {object} crawl - The state of the running crawl.
+ * @param {string} fromUrl - The stylesheet that would wait.
+ * @param {string} targetUrl - The stylesheet it might already depend on.
+ * @returns {boolean} True if waiting would create a cycle.
+ */
+function isWaitingOn(crawl, fromUrl, targetUrl) {
+    const stack = [fromUrl];
+    const seen = new Set();
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === targetUrl) return true;
+        if (seen.has(current)) continue;
+        seen.add(current);
+        stack.push(...(crawl.stylesheetWaits.get(current) || []));
+    }
+    return false;
+}
+
+/**
+ * Performs the download for saveAsset.
+ * @param {string} assetUrl - The absolute URL of the asset.
+ * @param {string} kind - 'css', 'img', 'js', 'media' or 'resource'.
+ * @param {object} crawl - The state of the running crawl.
+ * @returns {Promise<object|null>} The stored asset, or null on failure or when it is over its size limit.
+ */
+async function downloadAsset(assetUrl, kind, crawl) {
+    const fallbackExtensions = { css: '.css', img: '.jpg', js: '.js', media: '', resource: '' };
+    try {
+        const res = await fetchResource(assetUrl, crawl, { kind, timeout: config.requestTimeoutMs });
+        const contentType = res.headers['content-type'] || '';
+        const isStylesheet = kind === 'css' || /text\/css/i.test(contentType);
+        let data = res.body;
+        if (isStylesheet) {
+            // Stored stylesheets sit next to the assets they reference, so any file in the store works as the base.
+            const cssFilePath = path.join(getAssetStorePath(crawl.domainPath), 'stylesheet.css');
+            data = await rewriteCss(decodeTextResponse(res), reference => resolveCssReference(reference, assetUrl, cssFilePath, crawl, assetUrl));
+        }
+        const extension = isStylesheet ? '.css' : getAssetExtension(assetUrl, contentType, fallbackExtensions[kind]);
+        const stored = await storeAsset(crawl.domainPath, data, extension);
+        crawl.job.increment('assetsFetched');
+        return { hash: stored.hash, file: stored.file, size: stored.size, contentType };
+    } catch (err) {
+        if (err instanceof RobotsDisallowedError) {
+            recordRobotsBlock(assetUrl, crawl);
+            return null;
+        }
+        if (err instanceof ResourceTooLargeError) {
+            console.log(`[SKIP] ${assetUrl}: ${err.message}`);
+            crawl.job.increment('skipped');
+            return null;
+        }
+        crawl.job.increment('assetsFailed');
+        if (err.response) {
+            console.error(`[ERROR ${err.response.status}] Could not download asset: ${assetUrl}`);
+        } else {
+            console.error(`[ERROR] Could not download asset: ${assetUrl} (${err.message})`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Captures a resource referenced from CSS and returns the URL that should replace it.
+ * Resources that cannot be captured are pointed at their absolute live URL so
+ * relative references do not break when the snapshot is viewed.
+ * @param {object} reference - A reference from findCssReferences.
+ * @param {string} baseUrl - The URL the CSS was loaded from (the page for inline CSS).
+ * @param {string} cssFilePath - The file the rewritten CSS is saved in.
+ * @param {object} crawl - The state of the running crawl.
+ * @param {string} [fromStylesheet] - The URL of the stylesheet being rewritten, if any.
+ * @returns {Promise<string|null>} The replacement URL, or null to leave the reference as-is.
+ */
+async function resolveCssReference(reference, baseUrl, cssFilePath, crawl, fromStylesheet = null) {
+    let absoluteUrl;
+    try {
+        absoluteUrl = new URL(reference.url, baseUrl).href;
+    } catch (e) {
+        return null;
+    }
+    if (!/^https?:/i.test(absoluteUrl)) return null;
+
+    const asset = await saveAsset(absoluteUrl, reference.isImport ? 'css' : 'resource', crawl, fromStylesheet);
+    return asset ? getRelativeUrl(cssFilePath, path.join(crawl.domainPath, asset.file)) : absoluteUrl;
+}
+
+/**
+ * Points the links and frames of a page at the archived copies of the pages they lead to.
+ * Links to pages that were not captured are pointed at their absolute live URL.
+ * @param {object} $ - The Cheerio document of the page.
+ * @param {string} pageUrl - The URL of the page.
+ * @param {string} localPagePath - The file the page is saved to.
+ * @param {object} crawl - The state of the running crawl.
+ */
+function rewritePageLinks($, pageUrl, localPagePath, crawl) {
+    for (const [selector, attr] of [['a', 'href'], ...FRAME_SELECTORS]) {
+        $(selector).each((_, element) => {
+            const linkEl = $(element);
+            const href = linkEl.attr(attr);
+            if (href && !href.startsWith('#') && !href.startsWith('mailto:') && !href.startsWith('tel:')) {
+                try {
+                    const linkUrl = new URL(href, pageUrl);
+                    const absoluteLinkUrl = linkUrl.href.split('#')[0];
+                    const linkedFile = crawl.urlMap.resolve(crawl.scope.normalizeUrl(absoluteLinkUrl));
+                    if (linkedFile) {
+                        // If it's an archived link (or redirects to one), rewrite to local relative path
+                        linkEl.attr(attr, getRelativeUrl(localPagePath, path.join(crawl.archivePath, linkedFile)) + linkUrl.hash);
+                    } else {
+                        // If it's an external or non-archived link, rewrite to its absolute live URL
+                        linkEl.attr(attr, absoluteLinkUrl);
+                    }
+                } catch (e) { /* Ignore invalid hrefs */ }
+            }
+        });
+    }
+}
+
+/**
+ * Fetches a single page and all its assets (see findResourceReferences), including the
+ * resources referenced from stylesheets, <style> blocks and style attributes.
+ * Assets are saved to the asset store; the page itself is returned for the crawl to spool.
+ * Responses that are not HTML (PDFs and other documents) are kept as they are.
+ * @param {string} url - The URL of the page to fetch.
+ * @param {object} crawl - The state of the running crawl (start URL, paths, job, asset cache, URL map).
+ * @param {object} [options] - { discovery }: how the page was found, which decides whether a redirect
+ *   may lead out of the crawl scope.
+ * @returns {Promise<object|null>} { url, file, html, discoveredLinks, frames } for HTML pages, { url, file, body } for
+ *   other documents, { url, duplicate: true } if a redirect led to a URL that is already captured,
+ *   { url, outOfScope: true } if it led out of the crawl scope, { url, skipped: true } if the page is
+ *   over its size limit, or null on failure.
+ */
+async function fetchPageAndAssets(url, crawl, { discovery = null } = {}) {
+    try {
+        console.log(`[LOG] Fetching page and assets for: ${url}`);
+        // Like a link out of the crawl scope, a redirect out of it is not followed.
+        const isScoped = discovery && SCOPED_DISCOVERY_METHODS.includes(discovery.method);
+        const canFollow = isScoped ? target => crawl.scope.isInScope(crawl.scope.normalizeUrl(target)) : null;
+        const response = await fetchResource(url, crawl, { kind: 'page', timeout: config.requestTimeoutMs, canFollow });
+
+        // Pages are saved under the URL they were finally served from; the requested URL becomes an alias.
+        const finalUrl = crawl.scope.normalizeUrl(response.redirectTarget || response.url);
+        crawl.urlMap.addAlias(url, finalUrl);
+        if (response.redirectTarget) {
+            console.log(`[SKIP] ${url} redirects to ${finalUrl}, which is outside the crawl scope.`);
+            return { url: finalUrl, outOfScope: true };
+        }
+        if (crawl.urlMap.has(finalUrl)) {
+            console.log(`[SKIP] ${url} redirects to ${finalUrl}, which is already captured.`);
+            return { url: finalUrl, duplicate: true };
+        }
+        const contentType = response.headers['content-type'] || '';
+        if (!isHtmlResponse(contentType, response.body)) {
+            const file = crawl.urlMap.assign(finalUrl, contentType || 'application/octet-stream');
+            console.log(`✓ Fetched document: ${finalUrl}`);
+            return { url: finalUrl, file, body: response.body };
+        }
+        const file = crawl.urlMap.assign(finalUrl, 'text/html');
+
+        const htmlContent = decodeTextResponse(response);
+        const $ = cheerio.load(htmlContent);
+        
+        // Discover links within the crawl scope for the queue
+        const discoveredLinks = [];
+        $('a').each((_, element) => {
+            const link = $(element).attr('href');
+            if (link) {
+                try {
+                    const absoluteLink = crawl.scope.normalizeUrl(new URL(link, finalUrl).href);
+                    if (crawl.scope.isInScope(absoluteLink)) {
+                        discoveredLinks.push(absoluteLink);
+                    }
+                } catch (e) { /* Ignore invalid links */ }
+            }
+        });
+
+        const localPagePath = path.join(crawl.archivePath, file);
+        const getAssetUrl = asset => getRelativeUrl(localPagePath, path.join(crawl.domainPath, asset.file));
+
+        // Process and save all assets, every srcset candidate included. Those that could not be
+        // captured are pointed at their absolute live URL so relative references do not break.
+        const assetPromises = findResourceReferences($, finalUrl).map(async reference => {
+            const assets = new Map();
+            for (const { absoluteUrl } of reference.candidates) {
+                if (absoluteUrl && !assets.has(absoluteUrl)) assets.set(absoluteUrl, await saveAsset(absoluteUrl, reference.kind, crawl));
+            }
+            rewriteResourceReference(reference, ({ absoluteUrl }) => {
+                const asset = assets.get(absoluteUrl);
+                return asset ? getAssetUrl(asset) : absoluteUrl;
+            });
+        });
+
+        // Capture resources referenced from <style> blocks and inline style attributes.
+        const rewriteInlineCss = css => rewriteCss(css, reference => resolveCssReference(reference, finalUrl, localPagePath, crawl));
+        $('style').each((_, element) => {
+            const el = $(element);
+            assetPromises.push(rewriteInlineCss(el.text()).then(css => el.text(css)));
+        });
+        $('[style]').each((_, element) => {
+            const el = $(element);
+            assetPromises.push(rewriteInlineCss(el.attr('style')).then(css => el.attr('style', css)));
+        });
+
+        await Promise.all(assetPromises);
+        console.log(`✓ Fetched assets for: ${finalUrl}`);
+        const frames = findFrameUrls($, finalUrl).map(frameUrl => crawl.scope.normalizeUrl(frameUrl));
+        return { url: finalUrl, file, html: $.html(), discoveredLinks: [...new Set(discoveredLinks)], frames };
+
+    } catch (error) {
+        if (error instanceof RobotsDisallowedError) {
+            recordRobotsBlock(url, crawl);
+        } else if (error instanceof ResourceTooLargeError) {
+            console.log(`[SKIP] ${url}: ${error.message}`);
+            crawl.job.increment('skipped');
+            return { url, skipped: true };
+        } else {
+            console.error(`✗ Failed to fetch page ${url}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Orchestrates the entire crawl process using a two-pass system.
+ * @param {string} startUrl - The URL to begin crawling from.
+ * @param {number} maxPagesToCrawl - The maximum number of pages to crawl.
+ * @param {CrawlJob} job - The job tracking this crawl; checked for cancellation between pages.
+ * @param {object} [options] - Per-crawl settings: { politeness, userAgent, scope, neutralize, skipUnchanged, requestProfile, sizeLimits, seed }, plus overrides
+ *   used when importing instead of crawling the live web: { capturedAt, fetcher, seedUrls, followLinks }.
+ * @returns {Promise<object>} The domain, snapshot ID and entrypoint of the new snapshot, and how it
+ *   differs from the previous snapshot of the same start URL. The ID is null if an unchanged capture was skipped.
+ */
+async function startCrawl(startUrl, maxPagesToCrawl, job, options = {}) {
+    console.log(`[LOG] Starting crawl for: ${startUrl} (Max Pages: ${maxPagesToCrawl})`);
+    const urlObject = new URL(startUrl);
+    const domain = urlObject.hostname;
+    const timestamp = (options.capturedAt || new Date()).toISOString().replace(/:/g, '-');
+    const archivePath = path.join(ARCHIVES_DIR, domain, timestamp);
+    if (await fs.pathExists(archivePath)) {
+        throw new Error(`Snapshot ${domain}/${timestamp} already exists`);
+    }
+    await fs.ensureDir(archivePath);
+
+    // Everything needed to continue the crawl is kept in this object, which is saved at every checkpoint.
+    const state = {
+        startUrl,
+        maxPages: maxPagesToCrawl,
+        domain,
+        timestamp,
+        settings: {
+            politeness: normalizePoliteness(options.politeness, config.politeness),
+            userAgent: options.userAgent || config.userAgent,
+            retries: normalizeRetries(options.retries, config.retries),
+            scope: options.scope || normalizeScope(),
+            neutralize: normalizeNeutralize(options.neutralize),
+            skipUnchanged: Boolean(options.skipUnchanged),
+            followLinks: options.followLinks !== false,
+            // Kept with its secrets so a resumed crawl can use it; the checkpoint is removed once the crawl completes.
+            requestProfile: options.requestProfile || null,
+            sizeLimits: normalizeSizeLimits(options.sizeLimits, config.sizeLimits),
+            seed: options.seed || normalizeSeed()
+        },
+        // An import replays an uploaded WARC file, which is gone once the server stops.
+        resumable: !options.fetcher,
+        phase: 'crawling',
+        queue: [
+            { url: startUrl, depth: 0, discovery: { method: 'start', source: null } },
+            ...(options.seedUrls || []).filter(url => url !== startUrl).map(url => ({ url, depth: 0, discovery: { method: 'import', source: null } }))
+        ],
+        // Set once the seeds are queued, so a resumed crawl does not look for them again.
+        seeded: false,
+        attempted: [],
+        discovery: {},
+        pages: {},
+        robotsBlocked: [],
+        urlMap: null,
+        assets: {},
+        counters: null,
+        warcBytes: 0,
+        captureLogBytes: 0,
+        lastError: null
+    };
+    return runCrawl(archivePath, state, job, options.fetcher);
+}
+
+/**
+ * Continues an interrupted crawl from the checkpoint in its snapshot folder.
+ * @param {string} archivePath - The folder of the incomplete snapshot.
+ * @param {CrawlJob} job - The job tracking the resumed crawl.
+ * @returns {Promise<object>} See startCrawl.
+ */
+async function resumeCrawl(archivePath, job) {
+    const state = await new CrawlCheckpoint(archivePath).load();
+    console.log(`[LOG] Resuming crawl for: ${state.startUrl} (${Object.keys(state.pages).length} of ${state.maxPages} pages already fetched)`);
+
+    // Requests recorded after the checkpoint are made again, so their records are dropped.
+    for (const [filename, size] of [[WARC_FILENAME, state.warcBytes], [CAPTURE_LOG_FILENAME, state.captureLogBytes]]) {
+        const filePath = path.join(archivePath, filename);
+        if (await fs.pathExists(filePath)) await fs.truncate(filePath, size);
+    }
+    return runCrawl(archivePath, { ...state, lastError: null }, job);
+}
+
+/**
+ * Runs a new or resumed crawl. A crawl that fails keeps its checkpoint so it can be
+ * resumed; a cancelled one, or one that cannot be resumed, leaves nothing behind.
+ * @param {string} archivePath - The folder of the snapshot.
+ * @param {object} state - The crawl state, as created by startCrawl or loaded from a checkpoint.
+ * @param {CrawlJob} job - The job tracking this crawl.
+ * @param {function} [fetcher] - Replaces requests to the live web, e.g. when importing a WARC file.
+ * @returns {Promise<object>} See startCrawl.
+ */
+async function runCrawl(archivePath, state, job, fetcher = null) {
+    const checkpoint = new CrawlCheckpoint(archivePath);
+    activeCrawls.add(archivePath);
+    let crawl = null;
+    let result;
+    try {
+        crawl = createCrawlContext(archivePath, { ...state.settings, startUrl: state.startUrl }, job, {
+            fetcher,
+            assets: state.assets,
+            robotsBlocked: state.robotsBlocked,
+            urlMap: state.urlMap
+        });
+        result = await crawlIntoArchive(archivePath, state, checkpoint, crawl);
+    } catch (error) {
+        // Writes of requests still in flight would recreate the folder after it is removed.
+        if (crawl) await drainCrawl(crawl);
+        if (job.signal.aborted || !state.resumable || !(await checkpoint.exists())) {
+            await fs.remove(archivePath);
+        } else {
+            await checkpoint.recordError(error.message)
+                .catch(saveError => console.error(`[ERROR] Failed to record crawl error: ${saveError.message}`));
+            console.error(`[ERROR] Crawl of ${state.startUrl} stopped; snapshot ${state.domain}/${state.timestamp} can be resumed.`);
+        }
+        throw error;
+    } finally {
+        activeCrawls.delete(archivePath);
+        // Completed, kept for resuming, or removed: the catalog follows whatever the folder holds now.
+        await catalogSnapshot(state.domain, state.timestamp)
+            .catch(error => console.error(`[ERROR] Failed to catalog ${state.domain}/${state.timestamp}: ${error.message}`));
+    }
+    await tidyDomainAfterCrawl(state.domain, result.id === null)
+        .catch(error => console.error(`[ERROR] Failed to apply retention to ${state.domain}: ${error.message}`));
+    return result;
+}
+
+/**
+ * Sets up the state shared by everything that fetches into a snapshot.
+ * @param {string} archivePath - The folder of the snapshot.
+ * @param {object} settings - { startUrl, politeness, userAgent, retries, scope, requestProfile, sizeLimits }.
+ * @param {CrawlJob} job - The job tracking the work.
+ * @param {object} [restored] - What was captured before: { assets, robotsBlocked, urlMap } as saved
+ *   in a checkpoint or manifest, plus a { fetcher } replacing requests to the live web.
+ * @returns {object} The crawl context passed to fetchPageAndAssets and saveAsset.
+ */
+function createCrawlContext(archivePath, { startUrl, politeness, userAgent, retries, scope, requestProfile, sizeLimits }, job, restored = {}) {
+    const baseFetcher = restored.fetcher
+        || createHttpFetcher({ headers: { 'User-Agent': userAgent }, signal: job.signal }, { requestProfile, startUrl });
+    const politeFetcher = createPoliteFetcher(baseFetcher, politeness, { userAgent, signal: job.signal });
+    return {
+        startUrl,
+        archivePath,
+        domainPath: path.dirname(archivePath),
+        job,
+        // Redirects are followed outside the retries, so every hop is checked, limited and retried on its own.
+        fetcher: createRedirectingFetcher(createRetryingFetcher(politeFetcher, retries, { signal: job.signal })),
+        warc: new WarcWriter(path.join(archivePath, WARC_FILENAME)),
+        captureLog: new CaptureLog(path.join(archivePath, CAPTURE_LOG_FILENAME)),
+        // Stores { asset URL -> Promise<stored asset|null> } so each URL is fetched once
+        assets: new Map(Object.entries(restored.assets || {}).map(([assetUrl, asset]) => [assetUrl, Promise.resolve(asset)])),
+        stylesheetWaits: new Map(), // Stores { stylesheet URL -> Set of stylesheet URLs it is waiting on }
+        robotsBlocked: new Set(restored.robotsBlocked),
+        scope: createScopeFilter(startUrl, scope),
+        sizeLimits: sizeLimits || config.sizeLimits,
+        urlMap: restored.urlMap ? UrlMap.fromJSON(startUrl, restored.urlMap) : new UrlMap(startUrl)
+    };
+}
+
+/**
+ * Waits for every asset requested so far and collects the ones that were stored.
+ * @param {object} crawl - The state of the running crawl.
+ * @returns {Promise<object>} Asset URLs mapped to their stored asset.
+ */
+async function settleAssets(crawl) {
+    const assets = {};
+    for (const [assetUrl, assetPromise] of crawl.assets.entries()) {
+        const asset = await assetPromise;
+        if (asset) assets[assetUrl] = asset;
+    }
+    return assets;
+}
+
+/**
+ * Waits for the requests of a stopped crawl that are still in flight, and for
+ * what they append to the WARC file and the capture log.
+ * @param {object} crawl - The state of the stopped crawl.
+ * @returns {Promise<void>} Resolves once nothing more is written to the snapshot folder.
+ */
+async function drainCrawl(crawl) {
+    await settleAssets(crawl);
+    await Promise.all([crawl.warc.flush(), crawl.captureLog.flush()])
+        .catch(error => console.error(`[ERROR] Failed to write the capture of ${crawl.startUrl}: ${error.message}`));
+}
+
+/**
+ * Queues the pages a crawl is seeded with (see discoverSeeds) behind what is already queued.
+ * Sitemaps and feeds are fetched like everything else and recorded in the WARC file, but not
+ * in the capture log, which only covers pages and assets. Downloads stop at MAX_SEED_DOCUMENT_BYTES.
+ * @param {object} state - The crawl state.
+ * @param {object} crawl - The state of the running crawl.
+ * @param {Set<string>} queued - URLs queued or attempted so far; the seeds are added.
+ */
+async function queueSeeds(state, crawl, queued) {
+    const fetchDocument = async (url) => {
+        const response = await crawl.fetcher(url, { timeout: config.requestTimeoutMs, getLimit: () => MAX_SEED_DOCUMENT_BYTES }).catch(async error => {
+            await recordRedirects(crawl, error.hops);
+            throw error;
+        });
+        await recordRedirects(crawl, response.hops);
+        if (response.truncated || response.body.length > MAX_SEED_DOCUMENT_BYTES) {
+            await crawl.warc.writeExchange({ ...response, body: Buffer.alloc(0), truncated: true });
+            throw new Error(`Larger than the ${MAX_SEED_DOCUMENT_BYTES / 1024 / 1024} MB limit for sitemaps and feeds`);
+        }
+        await crawl.warc.writeExchange(response);
+        if (response.status >= 400) throw new Error(`Request failed with status code ${response.status}`);
+        return response.body;
+    };
+    // List entries are taken as given; sitemaps and feeds only contribute pages within the scope.
+    const accept = (url) => {
+        const normalizedUrl = crawl.scope.normalizeUrl(url);
+        if (queued.has(normalizedUrl)) return null;
+        return state.settings.seed.mode === 'list' || crawl.scope.isInScope(normalizedUrl) ? normalizedUrl : null;
+    };
+    const seeds = await discoverSeeds(state.settings.seed, { startUrl: state.startUrl, fetchDocument, accept, limit: state.maxPages });
+    for (const { url, method, source } of seeds) {
+        queued.add(url);
+        state.queue.push({ url, depth: 0, discovery: { method, source } });
+    }
+    state.seeded = true;
+}
+
+/**
+ * Runs both crawl passes for a snapshot folder, continuing from the given state.
+ * Fetched pages are spooled to the checkpoint, so memory use does not grow with the crawl.
+ * @param {string} archivePath - The folder of the snapshot.
+ * @param {object} state - The crawl state; updated in place at every checkpoint.
+ * @param {CrawlCheckpoint} checkpoint - Where the state and the spooled pages are saved.
+ * @param {object} crawl - The crawl context from createCrawlContext, holding the job tracking this crawl.
+ * @returns {Promise<object>} See startCrawl.
+ */
+async function crawlIntoArchive(archivePath, state, checkpoint, crawl) {
+    const { job } = crawl;
+    const { startUrl, maxPages: maxPagesToCrawl, domain, timestamp, settings } = state;
+    const { politeness, userAgent, retries, scope, requestProfile = null, sizeLimits = config.sizeLimits } = settings;
+    const queue = state.queue;
+    const attempted = new Set(state.attempted);
+    const queued = new Set([...attempted, ...queue.map(entry => entry.url)]);
+    const discovery = new Map(Object.entries(state.discovery || {})); // Stores { URL -> { method, source } } of every page requested
+    // Stores { URL -> { file, spool } for HTML or { file, hash } for documents }, with { frame: true } for frame documents
+    const pages = new Map(Object.entries(state.pages));
+    // Frames belong to the page showing them, so they do not count towards the page limit.
+    let pageCount = [...pages.values()].filter(page => !page.frame).length;
+    if (state.counters) job.update({ counters: state.counters });
+    if (state.warcBytes === 0) {
+        crawl.warc.writeWarcinfo({ software: 'gb-webArchiver', isPartOf: `${domain}/${timestamp}`, startUrl });
+    }
+
+    let lastCheckpointAt = 0;
+    const saveCheckpoint = async () => {
+        await crawl.warc.flush();
+        Object.assign(state, {
+            captureLogBytes: await crawl.captureLog.size(),
+            attempted: Array.from(attempted),
+            discovery: Object.fromEntries(discovery),
+            pages: Object.fromEntries(pages),
+            robotsBlocked: Array.from(crawl.robotsBlocked),
+            urlMap: crawl.urlMap.toJSON(),
+            assets: await settleAssets(crawl),
+            counters: { ...job.counters },
+            warcBytes: (await fs.stat(crawl.warc.filePath)).size
+        });
+        await checkpoint.save(state);
+        lastCheckpointAt = Date.now();
+    };
+    await saveCheckpoint();
+    await catalogSnapshot(domain, timestamp)
+        .catch(error => console.error(`[ERROR] Failed to catalog ${domain}/${timestamp}: ${error.message}`));
+
+    if (!state.seeded && settings.seed && settings.seed.mode !== 'links') {
+        job.update({ currentUrl: settings.seed.url || startUrl });
+        await queueSeeds(state, crawl, queued);
+        await saveCheckpoint();
+    }
+
+    // --- PASS 1: CRAWL AND FETCH ---
+    // Fetches pages in batches of up to `pageConcurrency` and spools their HTML to disk.
+    // Requests within a batch still share the per-host limits of the polite fetcher.
+    // Frames are queued first, so the page limit never leaves a captured page without its frames.
+    console.log('\n--- Starting Pass 1: Crawling and Fetching Pages ---');
+    while (state.phase === 'crawling' && queue.length > 0 && (pageCount < maxPagesToCrawl || queue[0].frame)) {
+        job.throwIfCancelled();
+        const batch = [];
+        let batchPages = 0;
+        while (queue.length > 0 && batch.length < politeness.pageConcurrency) {
+            const entry = queue[0];
+            if (!entry.frame && pageCount + batchPages >= maxPagesToCrawl) break;
+            queue.shift();
+            if (attempted.has(entry.url)) continue;
+            attempted.add(entry.url);
+            discovery.set(entry.url, entry.discovery || null);
+            if (!entry.frame) batchPages++;
+            batch.push(entry);
+        }
+        if (batch.length === 0) continue;
+
+        job.update({ currentUrl: batch[0].url, counters: { queued: queue.length } });
+        const fetchResults = await Promise.all(batch.map(entry => fetchPageAndAssets(entry.url, crawl, { discovery: entry.discovery })));
+        job.throwIfCancelled();
+
+        const frameQueue = [];
+        for (const [i, fetchResult] of fetchResults.entries()) {
+            const { url: requestedUrl, depth, frame = false, frameDepth = 0, discovery: foundBy = null } = batch[i];
+            if (!fetchResult) {
+                if (!crawl.robotsBlocked.has(requestedUrl)) job.increment('pagesFailed');
+                continue;
+            }
+            if (fetchResult.duplicate || fetchResult.outOfScope || fetchResult.skipped) continue;
+
+            // A redirect target counts as queued and attempted, so it is not fetched again.
+            const currentUrl = fetchResult.url;
+            queued.add(currentUrl);
+            attempted.add(currentUrl);
+            if (!discovery.has(currentUrl)) discovery.set(currentUrl, foundBy);
+            const frameFlag = frame ? { frame: true } : {};
+            if (frame) {
+                job.increment('framesFetched');
+            } else {
+                pageCount++;
+            }
+
+            if (fetchResult.html === undefined) {
+                // Documents other than HTML need no rewriting and are saved byte for byte right away.
+                await fs.outputFile(path.join(archivePath, fetchResult.file), fetchResult.body);
+                pages.set(currentUrl, { file: fetchResult.file, hash: hashPageContent(fetchResult.body), ...frameFlag });
+                console.log(`✓ Saved document: ${currentUrl}`);
+                continue;
+            }
+            const spool = `${pages.size}.html`;
+            await checkpoint.writePage(spool, fetchResult.html);
+            pages.set(currentUrl, { file: fetchResult.file, spool, ...frameFlag });
+
+            // Frames are captured whatever the crawl scope, as they are part of the page showing them.
+            if (frameDepth < MAX_FRAME_DEPTH) {
+                fetchResult.frames.forEach(frameUrl => {
+                    if (!queued.has(frameUrl)) {
+                        queued.add(frameUrl);
+                        frameQueue.push({ url: frameUrl, depth, frame: true, frameDepth: frameDepth + 1, discovery: { method: 'frame', source: currentUrl } });
+                    }
+                });
+            }
+            if (!frame && settings.followLinks && crawl.scope.canFollowFrom(depth)) {
+                fetchResult.discoveredLinks.forEach(link => {
+                    if (!queued.has(link)) {
+                        queued.add(link);
+                        queue.push({ url: link, depth: depth + 1, discovery: { method: 'link', source: currentUrl } });
+                    }
+                });
+            }
+        }
+        queue.unshift(...frameQueue);
+        job.update({ counters: { pagesFetched: pageCount, queued: queue.length } });
+        if (Date.now() - lastCheckpointAt >= config.checkpointIntervalMs) {
+            await saveCheckpoint();
+        }
+    }
+
+    // --- PASS 2: REWRITE LINKS AND SAVE HTML ---
+    // Reads the spooled pages back one at a time to intelligently rewrite links before saving.
+    console.log('\n--- Starting Pass 2: Rewriting Links and Saving HTML ---');
+    state.phase = 'saving';
+    await saveCheckpoint();
+    job.update({ currentUrl: null, counters: { queued: 0 } });
+    const pageHashes = {};
+    for (const [currentUrl, page] of pages.entries()) {
+        job.throwIfCancelled();
+        if (!page.spool) {
+            pageHashes[currentUrl] = page.hash;
+            continue;
+        }
+        const localPagePath = path.join(archivePath, page.file);
+        const html = await checkpoint.readPage(page.spool);
+        pageHashes[currentUrl] = hashPageContent(extractPageText(html).text);
+
+        const $ = cheerio.load(html);
+        rewritePageLinks($, currentUrl, localPagePath, crawl);
+        neutralizePage($, currentUrl, settings.neutralize);
+        await fs.outputFile(localPagePath, $.html());
+        console.log(`✓ Saved final HTML for: ${currentUrl}`);
+    }
+
+    // Create a manifest file with metadata about the crawl.
+    const relativeEntryPoint = crawl.urlMap.resolve(startUrl) || 'index.html';
+    const manifest = {
+        startUrl: startUrl,
+        entrypoint: relativeEntryPoint,
+        archivedAt: new Date().toISOString(),
+        crawledPages: Array.from(pages.keys()).sort(),
+        frames: Array.from(pages.keys()).filter(url => pages.get(url).frame).sort(),
+        seed: settings.seed || normalizeSeed(),
+        // How every requested page was found: { method, source } where method is start, link, frame,
+        // sitemap, feed, list or import, and source the page, sitemap or feed it was found in.
+        discovery: Object.fromEntries([...discovery.entries()].sort(([a], [b]) => a.localeCompare(b))),
+        // Record which stored file each captured asset URL resolved to.
+        assets: await settleAssets(crawl),
+        politeness: { ...politeness, userAgent },
+        retries,
+        robotsBlocked: Array.from(crawl.robotsBlocked).sort(),
+        scope,
+        neutralize: normalizeNeutralize(settings.neutralize),
+        requestProfile: redactRequestProfile(requestProfile),
+        sizeLimits,
+        ...crawl.urlMap.toJSON(),
+        pageHashes,
+        changes: null,
+        captureReport: null,
+        liveReferences: null
+    };
+    manifest.liveReferences = await findSnapshotLiveReferences(archivePath, manifest);
+
+    // Compare against the previous capture of the same start URL to flag (or skip) unchanged snapshots.
+    const previous = await findPreviousSnapshot(crawl.domainPath, startUrl, timestamp);
+    if (previous) {
+        manifest.changes = { previousSnapshot: previous.id, ...detectChanges(await getPageHashes(previous, resolveSnapshotPageFile), pageHashes) };
+    }
+    await Promise.all([crawl.warc.flush(), crawl.captureLog.flush()]);
+    manifest.captureReport = await buildCaptureReport(crawl.captureLog.filePath);
+    if (settings.skipUnchanged && manifest.changes && !manifest.changes.changed) {
+        await fs.remove(archivePath);
+        console.log(`\n[SKIP] Nothing changed since snapshot ${previous.id}; no new snapshot was kept.`);
+        job.update({ changes: manifest.changes });
+        return { domain, id: null, entrypoint: null, changes: manifest.changes };
+    }
+    manifest.fixity = await hashSnapshot(archivePath, manifest);
+    await fs.writeFile(path.join(archivePath, '_manifest.json'), JSON.stringify(manifest, null, 2));
+    await checkpoint.remove();
+    await indexSnapshotForSearch(domain, { id: timestamp, path: archivePath, manifest })
+        .catch(error => console.error(`[ERROR] Failed to index ${domain}/${timestamp} for search: ${error.message}`));
+    await indexSnapshotCaptures(domain, { id: timestamp, path: archivePath, manifest })
+        .catch(error => console.error(`[ERROR] Failed to index the captures of ${domain}/${timestamp}: ${error.message}`));
+
+    console.log(`\n✅ Crawl complete. ${pageCount} pages archived in ${archivePath}`);
+    const snapshot = { domain, id: timestamp, entrypoint: relativeEntryPoint };
+    job.update({ snapshot, changes: manifest.changes });
+    return { ...snapshot, changes: manifest.changes };
+}
+
+/**
+ * Fetches the pages and assets that failed when a snapshot was captured and patches
+ * the recovered ones into it. Pages already in the snapshot are not fetched again;
+ * their links and references that were left pointing at the live web are rewritten
+ * to the recovered copies instead.
+ * @param {string} archivePath - The folder of the snapshot.
+ * @param {CrawlJob} job - The job tracking the retry.
+ * @returns {Promise<object>} The domain, ID and entrypoint of the snapshot, and its updated capture report.
+ */
+async function retryFailedResources(archivePath, job) {
+    const domainPath = path.dirname(archivePath);
+    const domain = path.basename(domainPath);
+    const { id, manifest } = await loadSnapshot(domainPath, path.basename(archivePath));
+    const { failures } = manifest.captureReport;
+    console.log(`[LOG] Retrying ${failures.length} failed resource(s) of snapshot ${domain}/${id}`);
+
+    // The manifest only keeps the profile redacted, so a saved one is looked up by name.
+    const profileName = manifest.requestProfile && manifest.requestProfile.name;
+    const requestProfile = profileName ? await requestProfiles.get(profileName) : null;
+    if (manifest.requestProfile && !requestProfile) {
+        console.log(`[LOG] The request profile of ${domain}/${id} is not saved${profileName ? ` anymore (${profileName})` : ''}; retrying without it.`);
+    }
+
+    const crawl = createCrawlContext(archivePath, {
+        startUrl: manifest.startUrl,
+        politeness: normalizePoliteness(manifest.politeness, config.politeness),
+        userAgent: (manifest.politeness && manifest.politeness.userAgent) || config.userAgent,
+        retries: normalizeRetries(manifest.retries, config.retries),
+        scope: manifest.scope || normalizeScope(),
+        requestProfile,
+        sizeLimits: normalizeSizeLimits(manifest.sizeLimits, config.sizeLimits)
+    }, job, {
+        assets: manifest.assets,
+        robotsBlocked: manifest.robotsBlocked,
+        urlMap: { urlMap: manifest.urlMap, aliases: manifest.aliases }
+    });
+
+    // Assets come first, so recovered pages can use them too.
+    const recoveredAssets = new Map(); // Stores { asset URL -> stored asset }
+    for (const failure of failures.filter(({ kind }) => kind !== 'page')) {
+        job.throwIfCancelled();
+        job.update({ currentUrl: failure.url });
+        const asset = await saveAsset(failure.url, failure.kind, crawl);
+        if (asset) recoveredAssets.set(failure.url, asset);
+    }
+
+    const recoveredPages = new Set();
+    const newPages = new Map(); // Stores { URL -> file } of pages that are new to the snapshot
+    const discovery = { ...manifest.discovery };
+    const newPageHashes = {};
+    for (const failure of failures.filter(({ kind }) => kind === 'page')) {
+        job.throwIfCancelled();
+        job.update({ currentUrl: failure.url });
+        const fetchResult = await fetchPageAndAssets(failure.url, crawl, { discovery: discovery[failure.url] });
+        if (!fetchResult) {
+            job.increment('pagesFailed');
+            continue;
+        }
+        if (fetchResult.skipped || fetchResult.outOfScope) continue;
+        job.increment('pagesFetched');
+        recoveredPages.add(failure.url);
+        // A page that redirects now was found the same way as the URL that led to it.
+        if (!discovery[fetchResult.url]) discovery[fetchResult.url] = discovery[failure.url] || null;
+        // A page that now redirects to one already in the snapshot only adds an alias.
+        if (fetchResult.duplicate) continue;
+
+        const localPagePath = path.join(archivePath, fetchResult.file);
+        if (fetchResult.html === undefined) {
+            await fs.outputFile(localPagePath, fetchResult.body);
+            newPageHashes[fetchResult.url] = hashPageContent(fetchResult.body);
+        } else {
+            // Links are rewritten below, once every recovered page has its file.
+            await fs.outputFile(localPagePath, fetchResult.html);
+            newPageHashes[fetchResult.url] = hashPageContent(extractPageText(fetchResult.html).text);
+        }
+        newPages.set(fetchResult.url, fetchResult.file);
+    }
+    job.update({ currentUrl: null });
+
+    /**
+     * Points the CSS references to recovered assets at their stored copies.
+     * @param {string} css - The CSS to patch.
+     * @param {string} baseUrl - The URL the CSS was loaded from.
+     * @param {string} cssFilePath - The file the CSS is saved in.
+     * @returns {Promise<string>} The patched CSS.
+     */
+    const patchCss = (css, baseUrl, cssFilePath) => rewriteCss(css, async reference => {
+        let absoluteUrl;
+        try {
+            absoluteUrl = new URL(reference.url, baseUrl).href;
+        } catch (e) {
+            return null;
+        }
+        const asset = recoveredAssets.get(absoluteUrl);
+        return asset ? getRelativeUrl(cssFilePath, path.join(domainPath, asset.file)) : null;
+    });
+
+    // Stored stylesheets are content-addressed, so a patched one is stored as a new file.
+    const replacedStylesheets = new Map(); // Stores { old file -> new file }, relative to the domain folder
+    if (recoveredAssets.size > 0) {
+        const cssFilePath = path.join(getAssetStorePath(domainPath), 'stylesheet.css');
+        for (const [assetUrl, asset] of Object.entries(manifest.assets)) {
+            if (!asset.file.endsWith('.css')) continue;
+            const css = await fs.readFile(path.join(domainPath, asset.file), 'utf8');
+            const patched = await patchCss(css, assetUrl, cssFilePath);
+            if (patched === css) continue;
+            const stored = await storeAsset(domainPath, patched, '.css');
+            crawl.assets.set(assetUrl, Promise.resolve({ ...asset, hash: stored.hash, file: stored.file, size: stored.size }));
+            replacedStylesheets.set(asset.file, stored.file);
+        }
+    }
+
+    // Patch the pages that were already saved.
+    if (recoveredAssets.size > 0 || recoveredPages.size > 0) {
+        for (const [pageUrl, file] of Object.entries(manifest.urlMap)) {
+            const localPagePath = path.join(archivePath, file);
+            if (!/\.html?$/i.test(file) || !(await fs.pathExists(localPagePath))) continue;
+            job.throwIfCancelled();
+            const $ = cheerio.load(await fs.readFile(localPagePath, 'utf8'));
+            let changed = false;
+
+            for (const reference of findResourceReferences($, pageUrl)) {
+                const patchedAsset = rewriteResourceReference(reference, ({ absoluteUrl }) => {
+                    const asset = recoveredAssets.get(absoluteUrl);
+                    return asset ? getRelativeUrl(localPagePath, path.join(domainPath, asset.file)) : null;
+                });
+                changed = changed || patchedAsset;
+                if (patchedAsset || reference.kind !== 'css' || replacedStylesheets.size === 0) continue;
+                const { el, attr } = reference;
+                const storedFile = path.relative(domainPath, path.resolve(path.dirname(localPagePath), el.attr(attr))).replace(/\\/g, '/');
+                if (replacedStylesheets.has(storedFile)) {
+                    el.attr(attr, getRelativeUrl(localPagePath, path.join(domainPath, replacedStylesheets.get(storedFile))));
+                    changed = true;
+                }
+            }
+            for (const element of $('style').toArray()) {
+                const css = $(element).text();
+                const patched = await patchCss(css, pageUrl, localPagePath);
+                if (patched !== css) $(element).text(patched);
+                changed = changed || patched !== css;
+            }
+            for (const element of $('[style]').toArray()) {
+                const css = $(element).attr('style');
+                const patched = await patchCss(css, pageUrl, localPagePath);
+                if (patched !== css) $(element).attr('style', patched);
+                changed = changed || patched !== css;
+            }
+            // Links and frames of pages that were not captured point at their absolute live URL.
+            for (const [selector, attr] of [['a[href]', 'href'], ...FRAME_SELECTORS]) {
+                $(selector).each((_, element) => {
+                    const linkEl = $(element);
+                    if (!/^https?:/i.test(linkEl.attr(attr))) return;
+                    try {
+                        const linkUrl = new URL(linkEl.attr(attr));
+                        const normalizedUrl = crawl.scope.normalizeUrl(linkUrl.href);
+                        if (!recoveredPages.has(normalizedUrl)) return;
+                        const linkedFile = crawl.urlMap.resolve(normalizedUrl);
+                        linkEl.attr(attr, getRelativeUrl(localPagePath, path.join(archivePath, linkedFile)) + linkUrl.hash);
+                        changed = true;
+                    } catch (e) { /* Ignore invalid hrefs */ }
+                });
+            }
+
+            if (changed) {
+                await fs.writeFile(localPagePath, $.html());
+                console.log(`✓ Patched: ${pageUrl}`);
+            }
+        }
+    }
+
+    // Rewrite the links of the recovered pages now that every page has its file.
+    for (const [pageUrl, file] of newPages) {
+        if (!/\.html?$/i.test(file)) continue;
+        const localPagePath = path.join(archivePath, file);
+        const $ = cheerio.load(await fs.readFile(localPagePath, 'utf8'));
+        rewritePageLinks($, pageUrl, localPagePath, crawl);
+        neutralizePage($, pageUrl, manifest.neutralize);
+        await fs.writeFile(localPagePath, $.html());
+        console.log(`✓ Saved final HTML for: ${pageUrl}`);
+    }
+
+    await Promise.all([crawl.warc.flush(), crawl.captureLog.flush()]);
+    const updatedManifest = {
+        ...manifest,
+        crawledPages: [...new Set([...manifest.crawledPages, ...newPages.keys()])].sort(),
+        assets: await settleAssets(crawl),
+        robotsBlocked: Array.from(crawl.robotsBlocked).sort(),
+        ...crawl.urlMap.toJSON(),
+        pageHashes: { ...manifest.pageHashes, ...newPageHashes },
+        ...(manifest.discovery ? { discovery } : {}),
+        captureReport: await buildCaptureReport(crawl.captureLog.filePath),
+        patches: [...(manifest.patches || []), {
+            patchedAt: new Date().toISOString(),
+            recoveredPages: recoveredPages.size,
+            recoveredAssets: recoveredAssets.size,
+            // The files change, so the snapshot is hashed again; this is what it was before.
+            previousDigest: manifest.fixity ? manifest.fixity.digest : null
+        }]
+    };
+    updatedManifest.liveReferences = await findSnapshotLiveReferences(archivePath, updatedManifest);
+    updatedManifest.fixity = await hashSnapshot(archivePath, updatedManifest);
+    await fs.writeFile(path.join(archivePath, '_manifest.json'), JSON.stringify(updatedManifest, null, 2));
+    await catalogSnapshot(domain, id)
+        .catch(error => console.error(`[ERROR] Failed to catalog ${domain}/${id}: ${error.message}`));
+    if (newPages.size > 0) {
+        await indexSnapshotForSearch(domain, { id, path: archivePath, manifest: updatedManifest })
+            .catch(error => console.error(`[ERROR] Failed to index ${domain}/${id} for search: ${error.message}`));
+        await indexSnapshotCaptures(domain, { id, path: archivePath, manifest: updatedManifest })
+            .catch(error => console.error(`[ERROR] Failed to index the captures of ${domain}/${id}: ${error.message}`));
+    }
+
+    console.log(`\n✅ Retry complete. Recovered ${recoveredPages.size} page(s) and ${recoveredAssets.size} asset(s); ${updatedManifest.captureReport.failures.length} still failing.`);
+    const snapshot = { domain, id, entrypoint: manifest.entrypoint };
+    job.update({ snapshot });
+    return { ...snapshot, captureReport: updatedManifest.captureReport };
+}
+
+/**
+ * Hashes the files of a saved snapshot for its manifest, signing the digest
+ * with the configured key. A key that cannot be loaded leaves the snapshot
+ * unsigned rather than losing the crawl.
+ * @param {string} archivePath - The folder of the snapshot, with every file written.
+ * @param {object} manifest - The manifest, complete except for the fixity.
+ * @returns {Promise<object>} See computeFixity.
+ */
+async function hashSnapshot(archivePath, manifest) {
+    let signingKey = null;
+    try {
+        signingKey = loadSigningKey(config.signingKeyFile);
+    } catch (error) {
+        console.error(`[ERROR] Could not load the signing key ${config.signingKeyFile}; the snapshot is left unsigned (${error.message})`);
+    }
+    return computeFixity(archivePath, manifest, signingKey);
+}
+
+/**
+ * Lists what in a saved snapshot still points at the live web: references in
+ * its pages and in the stylesheets it stored.
+ * @param {string} archivePath - The folder of the snapshot.
+ * @param {object} manifest - The manifest of the snapshot.
+ * @returns {Promise<object[]>} See summarizeLiveReferences.
+ */
+async function findSnapshotLiveReferences(archivePath, manifest) {
+    const found = [];
+    for (const [pageUrl, file] of Object.entries(manifest.urlMap || {})) {
+        const localPagePath = path.join(archivePath, file);
+        if (!/\.html?$/i.test(file) || !(await fs.pathExists(localPagePath))) continue;
+        const $ = cheerio.load(await fs.readFile(localPagePath, 'utf8'));
+        found.push({ foundIn: pageUrl, references: findLiveReferences($, pageUrl) });
+    }
+    for (const [assetUrl, asset] of Object.entries(manifest.assets || {})) {
+        if (!asset.file.endsWith('.css')) continue;
+        const css = await fs.readFile(path.join(path.dirname(archivePath), asset.file), 'utf8');
+        found.push({ foundIn: assetUrl, references: findLiveCssReferences(css, assetUrl) });
+    }
+    return summarizeLiveReferences(found);
+}
+
+/**
+ * Queues a crawl as a job; progress is reported through the jobs API.
+ * @param {string} url - The URL to start from.
+ * @param {number} maxPages - The maximum number of pages to crawl.
+ * @param {object} crawlOptions - Per-crawl settings passed to startCrawl.
+ * @param {object} [extraParams] - Extra fields shown on the job, e.g. the watch that triggered it.
+ * @returns {CrawlJob} The queued job.
+ */
+function queueCrawlJob(url, maxPages, crawlOptions, extraParams = {}) {
+    const requestProfile = redactRequestProfile(crawlOptions.requestProfile);
+    const seed = summarizeSeed(crawlOptions.seed);
+    return enqueueJob(
+        { startUrl: url, maxPages, ...crawlOptions, requestProfile, seed, ...extraParams },
+        crawlJob => startCrawl(url, maxPages, crawlJob, crawlOptions)
+    );
+}
+
+/**
+ * Queues the resumption of an interrupted crawl as a job.
+ * @param {string} archivePath - The folder of the incomplete snapshot.
+ * @param {object} state - Its checkpointed crawl state.
+ * @returns {CrawlJob} The queued job.
+ */
+function queueResumeJob(archivePath, state) {
+    activeCrawls.add(archivePath);
+    const job = enqueueJob(
+        { startUrl: state.startUrl, maxPages: state.maxPages, resumedSnapshot: `${state.domain}/${state.timestamp}` },
+        crawlJob => resumeCrawl(archivePath, crawlJob)
+    );
+    job.once('end', () => activeCrawls.delete(archivePath));
+    return job;
+}
+
+/**
+ * Queues every crawl that was interrupted while the server was down. Checkpoints
+ * left next to a manifest (the server stopped right after writing it) are removed.
+ * @returns {Promise<number>} The number of crawls queued.
+ */
+async function resumeInterruptedCrawls() {
+    let resumed = 0;
+    await fs.ensureDir(ARCHIVES_DIR);
+    for (const domain of await fs.readdir(ARCHIVES_DIR)) {
+        const domainPath = path.join(ARCHIVES_DIR, domain);
+        if (!fs.lstatSync(domainPath).isDirectory()) continue;
+        for (const id of await fs.readdir(domainPath)) {
+            const archivePath = path.join(domainPath, id);
+            const checkpoint = new CrawlCheckpoint(archivePath);
+            if (id === STORE_DIRNAME || activeCrawls.has(archivePath) || !(await checkpoint.exists())) continue;
+            try {
+                if (await fs.pathExists(path.join(archivePath, '_manifest.json'))) {
+                    await checkpoint.remove();
+                    continue;
+                }
+                const state = await checkpoint.load();
+                if (!state.resumable) continue;
+                queueResumeJob(archivePath, state);
+                resumed++;
+            } catch (error) {
+                console.error(`[ERROR] Could not resume ${domain}/${id}: ${error.message}`);
+            }
+        }
+    }
+    if (resumed > 0) console.log(`[LOG] ${resumed} interrupted crawl(s) queued to resume.`);
+    return resumed;
+}
+
+module.exports = {
+    requestProfiles,
+    createWarcFetcher,
+    findImportSeeds,
+    startCrawl,
+    resumeCrawl,
+    retryFailedResources,
+    queueCrawlJob,
+    queueResumeJob,
+    resumeInterruptedCrawls
+};
@@ -0,0 +1,251 @@
+/**
+ * Crawler Tests
+ * * Crawls a small site served on a local port into a temporary archives folder.
+ * Run with `npm test`.
+ */
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-test-'));
+process.env.ARCHIVER_ARCHIVES_DIR = path.join(folder, 'archives');
+process.env.ARCHIVER_DATA_DIR = path.join(folder, 'data');
+process.env.ARCHIVER_MIN_REQUEST_INTERVAL_MS = '0';
+process.env.ARCHIVER_MAX_RETRIES = '0';
+process.env.ARCHIVER_CHECKPOINT_INTERVAL_MS = '0';
+
+const { CrawlCheckpoint } = require('./crawlCheckpoint');
+const { CrawlJob, listJobs } = require('./jobs');
+const { createWarcFetcher, findImportSeeds, resumeCrawl, resumeInterruptedCrawls, startCrawl } = require('./crawler');
+const { normalizeScope } = require('./scope');
+const { MAX_SEED_DOCUMENT_BYTES, normalizeSeed } = require('./seeds');
+const { WarcWriter, readWarcFile, buildResponseIndex } = require('./warc');
+
+// The site: path -> { status, headers, body }.
+let site = {};
+// Every path requested from the site.
+let requested = [];
+let server, origin;
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    server = http.createServer((req, res) => {
+        requested.push(req.url);
+        const { status = 200, headers = { 'Content-Type': 'text/html' }, body = '' } = site[req.url] || { status: 404 };
+        res.writeHead(status, headers);
+        res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(folder);
+});
+
+beforeEach(() => {
+    requested = [];
+});
+
+/**
+ * @param {string} location - Where to redirect to.
+ * @returns {object} A 302 response.
+ */
+function redirect(location) {
+    return { status: 302, headers: { Location: location } };
+}
+
+/**
+ * Crawls the site into a new snapshot.
+ * @param {string} startPath - The path to start from.
+ * @param {object} [options] - Crawl options for startCrawl.
+ * @returns {Promise<object>} { job, manifest, archivePath }.
+ */
+async function crawlSite(startPath, options = {}) {
+    const job = new CrawlJob({});
+    const { domain, id } = await startCrawl(`${origin}${startPath}`, 10, job, options);
+    const archivePath = path.join(process.env.ARCHIVER_ARCHIVES_DIR, domain, id);
+    return { job, archivePath, manifest: await fs.readJson(path.join(archivePath, '_manifest.json')) };
+}
+
+/**
+ * Starts a crawl of the site that stops with an error when the given page is spooled,
+ * as a crash would after the last checkpoint.
+ * @param {string} startPath - The path to start from.
+ * @param {string} failingPath - The page whose spooling fails.
+ * @returns {Promise<string>} The folder of the incomplete snapshot.
+ */
+async function interruptCrawl(startPath, failingPath) {
+    const writePage = CrawlCheckpoint.prototype.writePage;
+    mock.method(CrawlCheckpoint.prototype, 'writePage', function (name, html) {
+        if (requested.at(-1) === failingPath) throw new Error('Disk full');
+        return writePage.call(this, name, html);
+    });
+    const error = mock.method(console, 'error', () => {});
+    const before = new Set(await listSnapshots());
+    try {
+        await assert.rejects(startCrawl(`${origin}${startPath}`, 10, new CrawlJob({})), /Disk full/);
+    } finally {
+        CrawlCheckpoint.prototype.writePage.mock.restore();
+        error.mock.restore();
+    }
+    const [id] = (await listSnapshots()).filter(id => !before.has(id));
+    return path.join(process.env.ARCHIVER_ARCHIVES_DIR, new URL(origin).hostname, id);
+}
+
+/**
+ * @returns {Promise<string[]>} The snapshot folders of the site.
+ */
+async function listSnapshots() {
+    const domainPath = path.join(process.env.ARCHIVER_ARCHIVES_DIR, new URL(origin).hostname);
+    return (await fs.pathExists(domainPath)) ? (await fs.readdir(domainPath)).filter(id => id !== '_store') : [];
+}
+
+/**
+ * A site of four pages, one with an image, linked from the start page in order.
+ * @returns {object} The site.
+ */
+function linkedSite() {
+    return {
+        '/start': { body: '<img src="/logo.png"> <a href="/a">A</a> <a href="/b">B</a> <a href="/c">C</a>' },
+        '/logo.png': { headers: { 'Content-Type': 'image/png' }, body: 'png' },
+        '/a': { body: '<p>A</p>' },
+        '/b': { body: '<p>B</p>' },
+        '/c': { body: '<p>C</p>' }
+    };
+}
+
+test('checks robots.txt for every hop of a redirect', async () => {
+    site = {
+        '/robots.txt': { headers: { 'Content-Type': 'text/plain' }, body: 'User-agent: *\nDisallow: /private' },
+        '/start': { body: '<a href="/r2">Secret</a>' },
+        '/r2': redirect('/private/secret.html'),
+        '/private/secret.html': { body: 'secret' }
+    };
+    const { job, manifest } = await crawlSite('/start');
+
+    assert.deepEqual(manifest.crawledPages, [`${origin}/start`]);
+    assert.deepEqual(manifest.robotsBlocked, [`${origin}/r2`]);
+    assert.equal(job.counters.blocked, 1);
+    assert.ok(!requested.includes('/private/secret.html'));
+});
+
+test('leaves links that redirect out of the crawl scope pointing at the live web', async () => {
+    site = {
+        '/start': { body: '<a href="/away">Away</a> <a href="/hidden">Hidden</a>' },
+        '/away': redirect(`http://localhost:${new URL(origin).port}/elsewhere`),
+        '/hidden': redirect('/excluded/page'),
+        '/excluded/page': { body: '<a href="/deep">Deep</a>' },
+        '/deep': { body: 'deep' }
+    };
+    const { manifest, archivePath } = await crawlSite('/start', { scope: normalizeScope({ exclude: '/excluded/**' }) });
+
+    assert.deepEqual(manifest.crawledPages, [`${origin}/start`]);
+    assert.equal(manifest.aliases[`${origin}/hidden`], `${origin}/excluded/page`);
+    assert.deepEqual(requested.filter(url => url !== '/robots.txt').sort(), ['/away', '/hidden', '/start']);
+    const html = await fs.readFile(path.join(archivePath, manifest.entrypoint), 'utf8');
+    assert.match(html, new RegExp(`href="${origin}/hidden"`));
+});
+
+test('imports a WARC file with its redirects as aliases and its framed pages as frames', async () => {
+    const importPath = path.join(folder, 'import');
+    const writer = new WarcWriter(path.join(importPath, 'upload.warc.gz'));
+    const html = { 'content-type': 'text/html' };
+    for (const [url, status, headers, body] of [
+        ['https://example.com/', 200, html, '<a href="/old">Old</a> <iframe src="/frame.html"></iframe>'],
+        ['https://example.com/frame.html', 200, html, '<p>Framed</p>'],
+        ['https://example.com/old', 301, { location: '/new' }, ''],
+        ['https://example.com/new', 200, html, '<p>New</p>'],
+        ['https://example.com/loop', 302, { location: '/loop' }, '']
+    ]) {
+        await writer.writeExchange({ url, status, statusText: '', headers, body: Buffer.from(body) });
+    }
+    const responseIndex = await buildResponseIndex(readWarcFile(writer.filePath), path.join(importPath, 'responses'));
+    const seedUrls = await findImportSeeds(responseIndex, 'https://example.com/');
+    assert.deepEqual(seedUrls, ['https://example.com/', 'https://example.com/old', 'https://example.com/new']);
+
+    const job = new CrawlJob({});
+    const { domain, id } = await startCrawl('https://example.com/', seedUrls.length, job, {
+        capturedAt: new Date('2024-01-02T03:04:05Z'),
+        fetcher: createWarcFetcher(responseIndex),
+        politeness: { respectRobotsTxt: false, minRequestIntervalMs: 0, maxInFlightPerHost: 16, pageConcurrency: 4 },
+        retries: { maxRetries: 0 },
+        seedUrls,
+        followLinks: false
+    });
+    const manifest = await fs.readJson(path.join(process.env.ARCHIVER_ARCHIVES_DIR, domain, id, '_manifest.json'));
+
+    assert.deepEqual(manifest.crawledPages, ['https://example.com/', 'https://example.com/frame.html', 'https://example.com/new']);
+    assert.deepEqual(manifest.frames, ['https://example.com/frame.html']);
+    assert.equal(manifest.aliases['https://example.com/old'], 'https://example.com/new');
+    assert.equal(job.counters.pagesFetched, 2);
+    assert.equal(job.counters.framesFetched, 1);
+});
+
+test('stops downloading a sitemap at the size limit', async () => {
+    const urlset = `<urlset><url><loc>${origin}/listed</loc></url></urlset>`;
+    site = {
+        '/start': { body: 'Start' },
+        '/sitemap.xml': { headers: { 'Content-Type': 'application/xml' }, body: urlset + ' '.repeat(MAX_SEED_DOCUMENT_BYTES) },
+        '/listed': { body: 'Listed' }
+    };
+    const error = mock.method(console, 'error', () => {});
+    const { manifest } = await crawlSite('/start', { seed: normalizeSeed({ mode: 'sitemap', url: `${origin}/sitemap.xml` }) });
+    error.mock.restore();
+
+    assert.deepEqual(manifest.crawledPages, [`${origin}/start`]);
+    assert.ok(!requested.includes('/listed'));
+    assert.match(error.mock.calls.map(call => call.arguments[0]).join('\n'), /Could not read .*sitemap\.xml.*50 MB limit/);
+});
+
+test('resumes an interrupted crawl without fetching its checkpointed pages again', async () => {
+    site = linkedSite();
+    const complete = (await crawlSite('/start')).manifest;
+
+    requested = [];
+    const archivePath = await interruptCrawl('/start', '/b');
+    const state = await new CrawlCheckpoint(archivePath).load();
+    assert.equal(state.lastError, 'Disk full');
+    assert.deepEqual(Object.keys(state.pages), [`${origin}/start`, `${origin}/a`]);
+
+    const job = new CrawlJob({});
+    const { domain, id } = await resumeCrawl(archivePath, job);
+    const manifest = await fs.readJson(path.join(process.env.ARCHIVER_ARCHIVES_DIR, domain, id, '_manifest.json'));
+
+    assert.deepEqual(manifest.crawledPages, complete.crawledPages);
+    assert.deepEqual(manifest.urlMap, complete.urlMap);
+    assert.deepEqual(Object.keys(manifest.assets), Object.keys(complete.assets));
+    assert.equal(job.counters.pagesFetched, 4);
+    // Only the page being spooled when the crawl stopped is fetched a second time.
+    assert.deepEqual(requested.filter(url => url !== '/robots.txt'), ['/start', '/logo.png', '/a', '/b', '/b', '/c']);
+    assert.equal(await new CrawlCheckpoint(archivePath).exists(), false);
+
+    const records = [];
+    for await (const record of readWarcFile(path.join(archivePath, '_capture.warc.gz'))) {
+        if (record.headers['warc-type'] === 'response') records.push(record.headers['warc-target-uri']);
+    }
+    assert.deepEqual(records.filter(url => !url.endsWith('/robots.txt')).sort(), ['/a', '/b', '/c', '/logo.png', '/start'].map(url => `${origin}${url}`));
+});
+
+test('queues the interrupted crawls found on startup', async () => {
+    site = linkedSite();
+    const archivePath = await interruptCrawl('/start', '/a');
+    // A checkpoint left next to a manifest belongs to a crawl that completed.
+    const { archivePath: completePath } = await crawlSite('/c');
+    await new CrawlCheckpoint(completePath).save({ startUrl: `${origin}/c`, resumable: true });
+
+    assert.equal(await resumeInterruptedCrawls(), 1);
+    assert.equal(await new CrawlCheckpoint(completePath).exists(), false);
+    const job = listJobs().find(job => job.params.resumedSnapshot === `${path.basename(path.dirname(archivePath))}/${path.basename(archivePath)}`);
+    await new Promise(resolve => job.once('end', resolve));
+
+    assert.equal(job.status, 'done');
+    const manifest = await fs.readJson(path.join(archivePath, '_manifest.json'));
+    assert.deepEqual(manifest.crawledPages, ['/a', '/b', '/c', '/start'].map(url => `${origin}${url}`));
+    assert.equal(await resumeInterruptedCrawls(), 0);
+});
@@ -0,0 +1,55 @@
+/**
+ * CSS Reference Rewriting
+ * * Finds the resources a stylesheet depends on (`url(...)` values and
+ * `@import` rules) and rewrites them to new locations.
+ */
+
+// Matches `@import "x.css"`, `@import url(x.css)` and any `url(...)` value.
+const CSS_REFERENCE_PATTERN = /@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?|url\(\s*(['"]?)([^'")]+?)\3\s*\)/gi;
+
+// References that point at nothing fetchable.
+const NON_FETCHABLE_PATTERN = /^(data:|#|about:|javascript:)/i;
+
+/**
+ * Lists the resources referenced by a piece of CSS.
+ * @param {string} css - The stylesheet text, a `<style>` block or a `style` attribute.
+ * @returns {object[]} References as { url, isImport, index, length } in source order.
+ */
+function findCssReferences(css) {
+    const references = [];
+    for (const match of css.matchAll(CSS_REFERENCE_PATTERN)) {
+        const isImport = match[2] !== undefined;
+        const url = (isImport ? match[2] : match[4]).trim();
+        if (!url || NON_FETCHABLE_PATTERN.test(url)) continue;
+        references.push({ url, isImport, index: match.index, length: match[0].length });
+    }
+    return references;
+}
+
+/**
+ * Rewrites every resource reference in a piece of CSS.
+ * @param {string} css - The CSS text to rewrite.
+ * @param {function(object): Promise<string|null>} resolveReference - Given a reference from
+ *   findCssReferences, resolves to its new URL, or null to leave it untouched.
+ * @returns {Promise<string>} The rewritten CSS.
+ */
+async function rewriteCss(css, resolveReference) {
+    const references = findCssReferences(css);
+    if (references.length === 0) return css;
+
+    const replacements = await Promise.all(references.map(reference => resolveReference(reference)));
+
+    let result = '';
+    let cursor = 0;
+    references.forEach((reference, i) => {
+        const newUrl = replacements[i];
+        if (!newUrl) return;
+        const quotedUrl = JSON.stringify(newUrl);
+        result += css.slice(cursor, reference.index);
+        result += reference.isImport ? `@import url(${quotedUrl})` : `url(${quotedUrl})`;
+        cursor = reference.index + reference.length;
+    });
+    return result + css.slice(cursor);
+}
+
+module.exports = { findCssReferences, rewriteCss };
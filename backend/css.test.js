@@ -0,0 +1,35 @@
+/**
+ * CSS Reference Rewriting Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findCssReferences, rewriteCss } = require('./css');
+
+const CSS = `@import "base.css";
+@import url('theme.css') screen;
+body { background: url( "img/bg.png" ) no-repeat, url(data:image/png;base64,AAAA); }
+.icon { mask: url(#mask); cursor: url(cursors/hand.cur), pointer; }`;
+
+test('finds imports and url() values in source order, without data: URLs and fragments', () => {
+    assert.deepEqual(findCssReferences(CSS).map(({ url, isImport }) => [url, isImport]), [
+        ['base.css', true],
+        ['theme.css', true],
+        ['img/bg.png', false],
+        ['cursors/hand.cur', false]
+    ]);
+});
+
+test('rewrites the references it resolves and leaves the others as written', async () => {
+    const rewritten = await rewriteCss(CSS, async reference => (reference.url === 'img/bg.png' ? null : `/_assets/${reference.url.replace('/', '-')}`));
+    assert.equal(rewritten, `@import url("/_assets/base.css");
+@import url("/_assets/theme.css") screen;
+body { background: url( "img/bg.png" ) no-repeat, url(data:image/png;base64,AAAA); }
+.icon { mask: url(#mask); cursor: url("/_assets/cursors-hand.cur"), pointer; }`);
+});
+
+test('quotes rewritten URLs so characters special in CSS stay intact', async () => {
+    assert.equal(await rewriteCss('a { b: url(x.png) }', async () => 'file (1).png'), 'a { b: url("file (1).png") }');
+    assert.equal(await rewriteCss('a { color: red }', async () => 'unused'), 'a { color: red }');
+});
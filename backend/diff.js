@@ -0,0 +1,178 @@
+/**
+ * Snapshot Comparison
+ * * Compares two snapshots of a domain: which pages and assets were added,
+ * removed or changed between them, and a line-by-line diff of the visible
+ * text of a page captured in both.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { diffArrays } = require('diff');
+const { extractPageText } = require('./pageText');
+
+/**
+ * Reads a captured page for comparison. HTML pages are reduced to their visible
+ * text; other documents (PDFs and the like) are compared by content hash.
+ * @param {string|null} filePath - The saved file.
+ * @returns {Promise<object|null>} { lines } for HTML, { hash } otherwise, or null if the file is missing.
+ */
+async function readPageContent(filePath) {
+    if (!filePath || !(await fs.pathExists(filePath))) return null;
+    const data = await fs.readFile(filePath);
+    if (/\.html?$/i.test(filePath)) {
+        return { lines: extractPageText(data.toString('utf8')).lines };
+    }
+    return { hash: crypto.createHash('sha256').update(data).digest('hex') };
+}
+
+/**
+ * Hashes the content of a page. For HTML pages this is the visible text, so
+ * captures that only differ in markup compare as equal; other documents are
+ * hashed byte for byte.
+ * @param {string|Buffer} content - The visible text from extractPageText, or the document's bytes.
+ * @returns {string} The hex SHA-256 of the content.
+ */
+function hashPageContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Gets the content hash of every page in a snapshot. Snapshots taken before
+ * hashes were recorded in the manifest are hashed from their saved files.
+ * @param {object} snapshot - The snapshot: { id, path, manifest }.
+ * @param {function(object, string): string} resolvePageFile - Maps a snapshot and page URL to its saved file.
+ * @returns {Promise<object>} Page URL -> content hash.
+ */
+async function getPageHashes(snapshot, resolvePageFile) {
+    if (snapshot.manifest.pageHashes) return snapshot.manifest.pageHashes;
+    const hashes = {};
+    for (const url of snapshot.manifest.crawledPages) {
+        const content = await readPageContent(resolvePageFile(snapshot, url));
+        if (content) hashes[url] = content.hash || hashPageContent(content.lines.join('\n'));
+    }
+    return hashes;
+}
+
+/**
+ * Compares the page hashes of two captures of the same site.
+ * @param {object} previousHashes - Page URL -> content hash of the earlier capture.
+ * @param {object} hashes - Page URL -> content hash of the new capture.
+ * @returns {object} { changed, changedPages, addedPages, removedPages }.
+ */
+function detectChanges(previousHashes, hashes) {
+    const changedPages = Object.keys(hashes).filter(url => previousHashes[url] && previousHashes[url] !== hashes[url]);
+    const addedPages = Object.keys(hashes).filter(url => !previousHashes[url]);
+    const removedPages = Object.keys(previousHashes).filter(url => !hashes[url]);
+    return {
+        changed: changedPages.length + addedPages.length + removedPages.length > 0,
+        changedPages,
+        addedPages,
+        removedPages
+    };
+}
+
+/**
+ * Groups the differences between two lists of lines.
+ * @param {string[]} fromLines - Lines of the older version.
+ * @param {string[]} toLines - Lines of the newer version.
+ * @returns {object[]} Parts as { type: 'unchanged'|'added'|'removed', lines }.
+ */
+function diffTextLines(fromLines, toLines) {
+    return diffArrays(fromLines, toLines).map(part => ({
+        type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+        lines: part.value
+    }));
+}
+
+/**
+ * Compares one page as captured in two snapshots.
+ * @param {object|null} fromContent - The page in the older snapshot, from readPageContent.
+ * @param {object|null} toContent - The page in the newer snapshot.
+ * @returns {object} { changed, addedLines, removedLines, parts }.
+ */
+function comparePageContent(fromContent, toContent) {
+    if (fromContent?.lines && toContent?.lines) {
+        const parts = diffTextLines(fromContent.lines, toContent.lines);
+        const count = type => parts.filter(part => part.type === type).reduce((sum, part) => sum + part.lines.length, 0);
+        const addedLines = count('added');
+        const removedLines = count('removed');
+        return { changed: addedLines + removedLines > 0, addedLines, removedLines, parts };
+    }
+    const changed = fromContent?.hash !== toContent?.hash || !fromContent !== !toContent;
+    return { changed, addedLines: 0, removedLines: 0, parts: [] };
+}
+
+/**
+ * Summarizes what changed between two snapshots of a domain.
+ * @param {object} from - The older snapshot: { id, path, manifest }.
+ * @param {object} to - The newer snapshot: { id, path, manifest }.
+ * @param {function(object, string): string} resolvePageFile - Maps a snapshot and page URL to its saved file.
+ * @returns {Promise<object>} { from, to, pages: { added, removed, changed, unchanged }, assets: { added, removed, changed } }.
+ */
+async function compareSnapshots(from, to, resolvePageFile) {
+    const fromPages = new Set(from.manifest.crawledPages);
+    const toPages = new Set(to.manifest.crawledPages);
+    const pages = {
+        added: [...toPages].filter(url => !fromPages.has(url)),
+        removed: [...fromPages].filter(url => !toPages.has(url)),
+        changed: [],
+        unchanged: []
+    };
+
+    for (const url of [...toPages].filter(url => fromPages.has(url))) {
+        const comparison = comparePageContent(
+            await readPageContent(resolvePageFile(from, url)),
+            await readPageContent(resolvePageFile(to, url))
+        );
+        if (comparison.changed) {
+            pages.changed.push({ url, addedLines: comparison.addedLines, removedLines: comparison.removedLines });
+        } else {
+            pages.unchanged.push(url);
+        }
+    }
+
+    const fromAssets = from.manifest.assets || {};
+    const toAssets = to.manifest.assets || {};
+    const assets = {
+        added: Object.keys(toAssets).filter(url => !fromAssets[url]),
+        removed: Object.keys(fromAssets).filter(url => !toAssets[url]),
+        changed: Object.keys(toAssets).filter(url => fromAssets[url] && fromAssets[url].hash !== toAssets[url].hash)
+    };
+
+    return { from: from.id, to: to.id, pages, assets };
+}
+
+/**
+ * Produces the text diff of a single page between two snapshots.
+ * @param {object} from - The older snapshot: { id, path, manifest }.
+ * @param {object} to - The newer snapshot: { id, path, manifest }.
+ * @param {string} url - The page URL.
+ * @param {function(object, string): string} resolvePageFile - Maps a snapshot and page URL to its saved file.
+ * @returns {Promise<object>} { url, from, to, status, changed, addedLines, removedLines, parts }.
+ */
+async function diffPage(from, to, url, resolvePageFile) {
+    const inFrom = from.manifest.crawledPages.includes(url);
+    const inTo = to.manifest.crawledPages.includes(url);
+    const fromContent = inFrom ? await readPageContent(resolvePageFile(from, url)) : null;
+    const toContent = inTo ? await readPageContent(resolvePageFile(to, url)) : null;
+
+    const comparison = comparePageContent(fromContent || { lines: [] }, toContent || { lines: [] });
+    const status = !inFrom ? 'added' : !inTo ? 'removed' : comparison.changed ? 'changed' : 'unchanged';
+    return { url, from: from.id, to: to.id, status, ...comparison };
+}
+
+/**
+ * Loads a snapshot for comparison.
+ * @param {string} domainPath - The archive folder of the domain.
+ * @param {string} id - The snapshot ID.
+ * @returns {Promise<object|null>} { id, path, manifest }, or null if the snapshot has no manifest.
+ */
+async function loadSnapshot(domainPath, id) {
+    const snapshotPath = path.join(domainPath, id);
+    const manifestPath = path.join(snapshotPath, '_manifest.json');
+    if (!(await fs.pathExists(manifestPath))) return null;
+    return { id, path: snapshotPath, manifest: await fs.readJson(manifestPath) };
+}
+
+module.exports = { compareSnapshots, detectChanges, diffPage, diffTextLines, getPageHashes, hashPageContent, loadSnapshot };
@@ -0,0 +1,130 @@
+/**
+ * Snapshot Comparison Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { compareSnapshots, detectChanges, diffPage, diffTextLines } = require('./diff');
+const { resolveSnapshotPageFile } = require('./snapshots');
+const { UrlMap } = require('./urlMap');
+
+const START_URL = 'https://example.com/';
+const HTML = 'text/html; charset=utf-8';
+
+let folder;
+
+/**
+ * Saves a snapshot the way the crawler does: each page in the file its URL map assigns it.
+ * @param {string} id - The snapshot ID.
+ * @param {object} pages - Page URL mapped to its content, or to { contentType, content }.
+ * @param {object} [assets] - Asset URL mapped to { hash }.
+ * @returns {Promise<object>} The snapshot: { id, path, manifest }.
+ */
+async function saveSnapshot(id, pages, assets = {}) {
+    const snapshotPath = path.join(folder, id);
+    const urlMap = new UrlMap(START_URL);
+    for (const [url, page] of Object.entries(pages)) {
+        const { contentType = HTML, content } = typeof page === 'string' ? { content: page } : page;
+        await fs.outputFile(path.join(snapshotPath, urlMap.assign(url, contentType)), content);
+    }
+    const manifest = { startUrl: START_URL, entrypoint: 'index.html', crawledPages: Object.keys(pages), ...urlMap.toJSON(), assets };
+    return { id, path: snapshotPath, manifest };
+}
+
+beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'diff-test-'));
+});
+
+afterEach(() => fs.remove(folder));
+
+test('groups added, removed and unchanged lines', () => {
+    assert.deepEqual(diffTextLines(['a', 'b', 'c'], ['a', 'c', 'd']), [
+        { type: 'unchanged', lines: ['a'] },
+        { type: 'removed', lines: ['b'] },
+        { type: 'unchanged', lines: ['c'] },
+        { type: 'added', lines: ['d'] }
+    ]);
+});
+
+test('detects changed, added and removed pages from their hashes', () => {
+    assert.deepEqual(detectChanges({ a: '1', b: '2', c: '3' }, { a: '1', b: '9', d: '4' }), {
+        changed: true,
+        changedPages: ['b'],
+        addedPages: ['d'],
+        removedPages: ['c']
+    });
+    assert.equal(detectChanges({ a: '1' }, { a: '1' }).changed, false);
+});
+
+test('compares the visible text of pages and the hashes of assets', async () => {
+    const from = await saveSnapshot('one', {
+        'https://example.com/': '<p>Hello</p><p>Opening hours</p>',
+        'https://example.com/old': '<p>Gone</p>',
+        'https://example.com/same': '<p>Same</p>'
+    }, { 'https://example.com/a.css': { hash: 'x' }, 'https://example.com/b.css': { hash: 'y' } });
+    const to = await saveSnapshot('two', {
+        'https://example.com/': '<p>Hello</p><p>Closed today</p>',
+        'https://example.com/new': '<p>New</p>',
+        'https://example.com/same': '<div class="moved"><p>Same</p></div>'
+    }, { 'https://example.com/a.css': { hash: 'z' }, 'https://example.com/c.css': { hash: 'w' } });
+
+    assert.deepEqual(await compareSnapshots(from, to, resolveSnapshotPageFile), {
+        from: 'one',
+        to: 'two',
+        pages: {
+            added: ['https://example.com/new'],
+            removed: ['https://example.com/old'],
+            changed: [{ url: 'https://example.com/', addedLines: 1, removedLines: 1 }],
+            unchanged: ['https://example.com/same']
+        },
+        assets: {
+            added: ['https://example.com/c.css'],
+            removed: ['https://example.com/b.css'],
+            changed: ['https://example.com/a.css']
+        }
+    });
+});
+
+test('diffs a page that only one of the snapshots captured', async () => {
+    const from = await saveSnapshot('one', {});
+    const to = await saveSnapshot('two', { 'https://example.com/': '<p>Hello</p>' });
+
+    const added = await diffPage(from, to, 'https://example.com/', resolveSnapshotPageFile);
+    assert.equal(added.status, 'added');
+    assert.deepEqual(added.parts, [{ type: 'added', lines: ['Hello'] }]);
+    assert.equal((await diffPage(to, from, 'https://example.com/', resolveSnapshotPageFile)).status, 'removed');
+});
+
+test('compares documents other than HTML byte for byte', async () => {
+    const from = await saveSnapshot('one', { 'https://example.com/a.pdf': { contentType: 'application/pdf', content: '%PDF-1' } });
+    const to = await saveSnapshot('two', { 'https://example.com/a.pdf': { contentType: 'application/pdf', content: '%PDF-2' } });
+    const page = await diffPage(from, to, 'https://example.com/a.pdf', resolveSnapshotPageFile);
+    assert.deepEqual({ status: page.status, parts: page.parts }, { status: 'changed', parts: [] });
+});
+
+test('finds pages saved under query strings and in snapshots from before the URL map', async () => {
+    const legacyPath = path.join(folder, 'legacy');
+    await fs.outputFile(path.join(legacyPath, 'index.html'), '<p>Page one</p>');
+    await fs.outputFile(path.join(legacyPath, 'list', 'index.html'), '<p>First</p>');
+    const legacy = { id: 'legacy', path: legacyPath, manifest: { startUrl: START_URL, crawledPages: [START_URL, 'https://example.com/list'] } };
+    const current = await saveSnapshot('current', {
+        'https://example.com/': '<p>Page one</p>',
+        'https://example.com/list': '<p>First</p>',
+        'https://example.com/list?page=2': '<p>Second</p>'
+    });
+    assert.equal(resolveSnapshotPageFile(current, 'https://example.com/list?page=2'), path.join(current.path, 'list', 'index@page=2.html'));
+
+    const comparison = await compareSnapshots(legacy, current, resolveSnapshotPageFile);
+    assert.deepEqual(comparison.pages, {
+        added: ['https://example.com/list?page=2'],
+        removed: [],
+        changed: [],
+        unchanged: [START_URL, 'https://example.com/list']
+    });
+    const page = await diffPage(legacy, current, 'https://example.com/list?page=2', resolveSnapshotPageFile);
+    assert.deepEqual(page.parts, [{ type: 'added', lines: ['Second'] }]);
+});
@@ -0,0 +1,234 @@
+/**
+ * Snapshot Fixity
+ * * Makes changes to a saved snapshot detectable. Every file in the snapshot
+ * folder is hashed with SHA-256 when the snapshot is saved and the hashes go
+ * into its manifest; the assets it uses are named after their SHA-256 hash
+ * already. A digest of the whole manifest, hashes included, is recorded as
+ * well and signed when a signing key is configured, so rewriting the hashes
+ * along with the files does not go unnoticed either. Verification hashes
+ * everything again and reports missing, altered and extra files.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { CHECKPOINT_DIRNAME } = require('./crawlCheckpoint');
+
+const MANIFEST_FILENAME = '_manifest.json';
+const FIXITY_ALGORITHM = 'sha256';
+// Signature checks that fail verification. With a key configured an unsigned manifest fails too,
+// since stripping the signature and recomputing the digest would otherwise go unnoticed.
+const SIGNATURE_FAILURES = ['invalid', 'missing', 'other-key'];
+
+/**
+ * @param {string} filePath - The file to hash.
+ * @returns {Promise<string>} Its SHA-256 hash in hex, read as a stream so large WARC files fit in memory.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(FIXITY_ALGORITHM);
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Lists the files of a snapshot folder that fixity covers: everything except the
+ * manifest, which holds the hashes, and the checkpoint of a crawl in progress.
+ * @param {string} snapshotPath - The folder of the snapshot.
+ * @param {string} [folder] - The subfolder being listed, relative to the snapshot.
+ * @returns {Promise<string[]>} The files relative to the snapshot folder, with forward slashes.
+ */
+async function listSnapshotFiles(snapshotPath, folder = '') {
+    const files = [];
+    for (const entry of await fs.readdir(path.join(snapshotPath, folder), { withFileTypes: true })) {
+        const file = folder ? `${folder}/${entry.name}` : entry.name;
+        if (file === MANIFEST_FILENAME || file === CHECKPOINT_DIRNAME) continue;
+        if (entry.isDirectory()) {
+            files.push(...await listSnapshotFiles(snapshotPath, file));
+        } else if (entry.isFile()) {
+            files.push(file);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Serializes a value as JSON with object keys in sorted order, so equal manifests
+ * always produce the same digest however their keys were written.
+ * @param {*} value - A JSON value.
+ * @returns {string} The canonical JSON.
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * @param {object} manifest - A snapshot manifest.
+ * @returns {string} The SHA-256 digest in hex of the manifest without its own digest and signature.
+ */
+function getManifestDigest(manifest) {
+    const fixity = { ...manifest.fixity };
+    delete fixity.digest;
+    delete fixity.signature;
+    return crypto.createHash(FIXITY_ALGORITHM).update(canonicalize({ ...manifest, fixity })).digest('hex');
+}
+
+const signingKeys = new Map(); // Stores { key file -> loaded key }
+
+/**
+ * Loads the private key manifests are signed with, once per process.
+ * @param {string|null} keyFile - A PEM private key (Ed25519, ECDSA or RSA), or null if none is configured.
+ * @returns {object|null} { privateKey, publicKey, fingerprint }, the fingerprint being the SHA-256 hash
+ *   of the public key, or null without a key file.
+ * @throws {Error} If the file cannot be read or holds no private key.
+ */
+function loadSigningKey(keyFile) {
+    if (!keyFile) return null;
+    if (!signingKeys.has(keyFile)) {
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile));
+        const publicKey = crypto.createPublicKey(privateKey);
+        const fingerprint = crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex');
+        signingKeys.set(keyFile, { privateKey, publicKey, fingerprint });
+    }
+    return signingKeys.get(keyFile);
+}
+
+/**
+ * @param {KeyObject} key - The signing key.
+ * @returns {string|null} The hash algorithm to sign with; Ed25519 and Ed448 bring their own.
+ */
+function getSignatureHash(key) {
+    return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+}
+
+/**
+ * Hashes a saved snapshot for its manifest.
+ * @param {string} snapshotPath - The folder of the snapshot, with every file written.
+ * @param {object} manifest - Its manifest, complete except for the fixity.
+ * @param {object|null} signingKey - A key from loadSigningKey, or null to leave the digest unsigned.
+ * @returns {Promise<object>} { algorithm, hashedAt, files, digest, signature }: files maps every file
+ *   to its hash, and signature is { keyType, keyFingerprint, value } or null.
+ */
+async function computeFixity(snapshotPath, manifest, signingKey = null) {
+    const files = {};
+    for (const file of await listSnapshotFiles(snapshotPath)) {
+        files[file] = await hashFile(path.join(snapshotPath, file));
+    }
+    const fixity = { algorithm: FIXITY_ALGORITHM, hashedAt: new Date().toISOString(), files, digest: null, signature: null };
+    fixity.digest = getManifestDigest({ ...manifest, fixity });
+    if (signingKey) {
+        fixity.signature = {
+            keyType: signingKey.privateKey.asymmetricKeyType,
+            keyFingerprint: signingKey.fingerprint,
+            value: crypto.sign(getSignatureHash(signingKey.privateKey), Buffer.from(fixity.digest, 'hex'), signingKey.privateKey).toString('base64')
+        };
+    }
+    return fixity;
+}
+
+/**
+ * Checks the signature of a manifest digest.
+ * @param {object} fixity - The fixity of a manifest.
+ * @param {object|null} signingKey - The configured key, from loadSigningKey.
+ * @returns {string} 'valid', 'invalid', 'unsigned', 'missing' (unsigned although a key is configured,
+ *   as when the signature was stripped and the digest recomputed), 'unchecked' (no key is configured
+ *   to check it with) or 'other-key' (signed with a key other than the configured one).
+ */
+function checkSignature(fixity, signingKey) {
+    if (!fixity.signature) return signingKey ? 'missing' : 'unsigned';
+    if (!signingKey) return 'unchecked';
+    if (fixity.signature.keyFingerprint !== signingKey.fingerprint) return 'other-key';
+    const valid = crypto.verify(
+        getSignatureHash(signingKey.publicKey),
+        Buffer.from(fixity.digest, 'hex'),
+        signingKey.publicKey,
+        Buffer.from(fixity.signature.value, 'base64')
+    );
+    return valid ? 'valid' : 'invalid';
+}
+
+/**
+ * Hashes a snapshot again and compares it with what its manifest recorded.
+ * @param {string} snapshotPath - The folder of the snapshot.
+ * @param {object} manifest - Its manifest.
+ * @param {object|null} signingKey - The configured key, from loadSigningKey.
+ * @returns {Promise<object>} { status, verifiedAt, hashedAt, checkedFiles, missing, altered, extra,
+ *   manifestIntact, signature }. status is 'verified', 'failed', or 'unhashed' for snapshots saved
+ *   before fixity was recorded. Stored assets are listed by their path in the domain folder (`_assets/...`).
+ */
+async function verifySnapshot(snapshotPath, manifest, signingKey = null) {
+    const report = {
+        status: 'unhashed',
+        verifiedAt: new Date().toISOString(),
+        hashedAt: null,
+        checkedFiles: 0,
+        missing: [],
+        altered: [],
+        extra: [],
+        manifestIntact: null,
+        signature: null
+    };
+    const { fixity } = manifest;
+    if (!fixity) return report;
+    report.hashedAt = fixity.hashedAt;
+
+    const expected = { ...fixity.files };
+    const onDisk = new Set(await listSnapshotFiles(snapshotPath));
+    report.extra = [...onDisk].filter(file => !(file in expected));
+    for (const [file, hash] of Object.entries(expected)) {
+        report.checkedFiles++;
+        if (!onDisk.has(file)) {
+            report.missing.push(file);
+        } else if (await hashFile(path.join(snapshotPath, file)) !== hash) {
+            report.altered.push(file);
+        }
+    }
+
+    // Stored assets are shared with other snapshots and checked against the hash they are named after.
+    const domainPath = path.dirname(snapshotPath);
+    const assetHashes = new Map(Object.values(manifest.assets || {}).map(asset => [asset.file, asset.hash]));
+    for (const [file, hash] of [...assetHashes].sort(([a], [b]) => a.localeCompare(b))) {
+        report.checkedFiles++;
+        const filePath = path.join(domainPath, file);
+        if (!(await fs.pathExists(filePath))) {
+            report.missing.push(file);
+        } else if (await hashFile(filePath) !== hash) {
+            report.altered.push(file);
+        }
+    }
+
+    report.manifestIntact = getManifestDigest(manifest) === fixity.digest;
+    report.signature = checkSignature(fixity, signingKey);
+    const intact = report.missing.length === 0 && report.altered.length === 0 && report.extra.length === 0 && report.manifestIntact;
+    report.status = intact && !SIGNATURE_FAILURES.includes(report.signature) ? 'verified' : 'failed';
+    return report;
+}
+
+/**
+ * @param {object|undefined} fixity - The fixity of a manifest.
+ * @returns {object|null} { algorithm, hashedAt, files, digest, signed, keyFingerprint } with the
+ *   number of hashed files, for showing without the full list.
+ */
+function summarizeFixity(fixity) {
+    if (!fixity) return null;
+    return {
+        algorithm: fixity.algorithm,
+        hashedAt: fixity.hashedAt,
+        files: Object.keys(fixity.files).length,
+        digest: fixity.digest,
+        signed: Boolean(fixity.signature),
+        keyFingerprint: fixity.signature ? fixity.signature.keyFingerprint : null
+    };
+}
+
+module.exports = { loadSigningKey, computeFixity, verifySnapshot, summarizeFixity, getManifestDigest };
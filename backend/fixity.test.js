@@ -0,0 +1,165 @@
+/**
+ * Snapshot Fixity Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { CHECKPOINT_DIRNAME } = require('./crawlCheckpoint');
+const { loadSigningKey, computeFixity, verifySnapshot, summarizeFixity, getManifestDigest } = require('./fixity');
+
+let domainPath, snapshotPath;
+
+/**
+ * @param {string} text - The content to hash.
+ * @returns {string} Its SHA-256 hash in hex.
+ */
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Writes a private key to the temporary folder and loads it.
+ * @param {string} type - The key type, e.g. 'ed25519' or 'rsa'.
+ * @returns {object} The key from loadSigningKey.
+ */
+function createSigningKey(type) {
+    const { privateKey } = crypto.generateKeyPairSync(type, type === 'rsa' ? { modulusLength: 2048 } : {});
+    const keyFile = path.join(domainPath, `${type}-${crypto.randomUUID()}.pem`);
+    fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    return loadSigningKey(keyFile);
+}
+
+/**
+ * Completes a manifest with the fixity of the snapshot folder, as saving a snapshot does.
+ * @param {object|null} signingKey - The key to sign with.
+ * @returns {Promise<object>} The manifest.
+ */
+async function saveManifest(signingKey = null) {
+    const manifest = {
+        startUrl: 'https://example.com/',
+        crawledPages: ['https://example.com/'],
+        assets: { 'https://example.com/logo.png': { file: '_assets/logo-hash.png', hash: sha256('logo') } }
+    };
+    manifest.fixity = await computeFixity(snapshotPath, manifest, signingKey);
+    return manifest;
+}
+
+beforeEach(async () => {
+    domainPath = await fs.mkdtemp(path.join(os.tmpdir(), 'fixity-test-'));
+    snapshotPath = path.join(domainPath, '2024-01-01T00-00-00.000Z');
+    await fs.outputFile(path.join(snapshotPath, 'index.html'), '<p>Home</p>');
+    await fs.outputFile(path.join(snapshotPath, 'pages', 'about.html'), '<p>About</p>');
+    await fs.outputFile(path.join(domainPath, '_assets', 'logo-hash.png'), 'logo');
+});
+
+afterEach(() => fs.remove(domainPath));
+
+test('hashes every file of the snapshot except the manifest and the crawl checkpoint', async () => {
+    await fs.outputJson(path.join(snapshotPath, '_manifest.json'), {});
+    await fs.outputFile(path.join(snapshotPath, CHECKPOINT_DIRNAME, 'state.json'), '{}');
+    const manifest = await saveManifest();
+
+    assert.deepEqual(manifest.fixity.files, {
+        'index.html': sha256('<p>Home</p>'),
+        'pages/about.html': sha256('<p>About</p>')
+    });
+    assert.equal(manifest.fixity.digest, getManifestDigest(manifest));
+    assert.equal(manifest.fixity.signature, null);
+    const summary = summarizeFixity(manifest.fixity);
+    assert.equal(summary.files, 2);
+    assert.equal(summary.signed, false);
+});
+
+test('gives the same digest however the manifest keys are ordered', async () => {
+    const manifest = await saveManifest();
+    const reordered = Object.fromEntries(Object.entries(manifest).reverse());
+    assert.equal(getManifestDigest(reordered), manifest.fixity.digest);
+});
+
+test('verifies an untouched snapshot', async () => {
+    const report = await verifySnapshot(snapshotPath, await saveManifest());
+    assert.equal(report.status, 'verified');
+    assert.equal(report.checkedFiles, 3);
+    assert.equal(report.manifestIntact, true);
+    assert.equal(report.signature, 'unsigned');
+});
+
+test('reports altered, missing and extra files, stored assets included', async () => {
+    const manifest = await saveManifest();
+    await fs.outputFile(path.join(snapshotPath, 'index.html'), '<p>Changed</p>');
+    await fs.remove(path.join(snapshotPath, 'pages', 'about.html'));
+    await fs.outputFile(path.join(snapshotPath, 'added.html'), '');
+    await fs.outputFile(path.join(domainPath, '_assets', 'logo-hash.png'), 'other logo');
+
+    const report = await verifySnapshot(snapshotPath, manifest);
+    assert.equal(report.status, 'failed');
+    assert.deepEqual(report.altered, ['index.html', '_assets/logo-hash.png']);
+    assert.deepEqual(report.missing, ['pages/about.html']);
+    assert.deepEqual(report.extra, ['added.html']);
+});
+
+test('fails when the manifest was edited after hashing', async () => {
+    const manifest = await saveManifest();
+    manifest.startUrl = 'https://example.org/';
+    const report = await verifySnapshot(snapshotPath, manifest);
+    assert.equal(report.manifestIntact, false);
+    assert.equal(report.status, 'failed');
+});
+
+test('reports snapshots saved without fixity as unhashed', async () => {
+    const report = await verifySnapshot(snapshotPath, { startUrl: 'https://example.com/' });
+    assert.equal(report.status, 'unhashed');
+    assert.equal(report.checkedFiles, 0);
+});
+
+for (const type of ['ed25519', 'rsa']) {
+    test(`signs the digest with an ${type} key and checks the signature`, async () => {
+        const signingKey = createSigningKey(type);
+        const manifest = await saveManifest(signingKey);
+        assert.equal(manifest.fixity.signature.keyFingerprint, signingKey.fingerprint);
+
+        assert.equal((await verifySnapshot(snapshotPath, manifest, signingKey)).status, 'verified');
+        assert.equal((await verifySnapshot(snapshotPath, manifest, signingKey)).signature, 'valid');
+        // Without the key the signature cannot be checked, which does not fail verification.
+        assert.equal((await verifySnapshot(snapshotPath, manifest)).signature, 'unchecked');
+        assert.equal((await verifySnapshot(snapshotPath, manifest)).status, 'verified');
+    });
+}
+
+test('fails when the hashes are rewritten and the digest recomputed over a signed manifest', async () => {
+    const signingKey = createSigningKey('ed25519');
+    const manifest = await saveManifest(signingKey);
+    await fs.outputFile(path.join(snapshotPath, 'index.html'), '<p>Forged</p>');
+    manifest.fixity.files['index.html'] = sha256('<p>Forged</p>');
+    manifest.fixity.digest = getManifestDigest(manifest);
+
+    const report = await verifySnapshot(snapshotPath, manifest, signingKey);
+    assert.equal(report.manifestIntact, true);
+    assert.equal(report.signature, 'invalid');
+    assert.equal(report.status, 'failed');
+});
+
+test('fails when the signature was stripped while a key is configured', async () => {
+    const signingKey = createSigningKey('ed25519');
+    const manifest = await saveManifest(signingKey);
+    await fs.outputFile(path.join(snapshotPath, 'index.html'), '<p>Forged</p>');
+    manifest.fixity.files['index.html'] = sha256('<p>Forged</p>');
+    manifest.fixity.signature = null;
+    manifest.fixity.digest = getManifestDigest(manifest);
+
+    const report = await verifySnapshot(snapshotPath, manifest, signingKey);
+    assert.equal(report.signature, 'missing');
+    assert.equal(report.status, 'failed');
+});
+
+test('fails a manifest signed with another key', async () => {
+    const manifest = await saveManifest(createSigningKey('ed25519'));
+    const report = await verifySnapshot(snapshotPath, manifest, createSigningKey('ed25519'));
+    assert.equal(report.signature, 'other-key');
+    assert.equal(report.status, 'failed');
+});
@@ -0,0 +1,210 @@
+/**
+ * Crawl Job Registry
+ * * Keeps track of every crawl requested through the API so clients can
+ * follow its progress instead of guessing when it has finished.
+ * Jobs are run one at a time in the order they were queued.
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const MAX_FINISHED_JOBS = 50;
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+const jobs = new Map();
+const pending = [];
+let activeJob = null;
+
+/**
+ * Error thrown inside a crawl when its job has been cancelled.
+ */
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job was cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * A single crawl request and its live progress.
+ * Emits 'progress' whenever its state changes and 'end' once it is finished.
+ */
+class CrawlJob extends EventEmitter {
+    /**
+     * @param {object} params - The crawl parameters (startUrl, maxPages).
+     */
+    constructor(params) {
+        super();
+        this.id = crypto.randomUUID();
+        this.params = params;
+        this.status = 'queued';
+        this.counters = { pagesFetched: 0, pagesFailed: 0, framesFetched: 0, assetsFetched: 0, assetsFailed: 0, skipped: 0, blocked: 0, queued: 0 };
+        this.currentUrl = null;
+        this.snapshot = null;
+        this.changes = null;
+        this.error = null;
+        this.createdAt = new Date().toISOString();
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.abortController = new AbortController();
+    }
+
+    /** @returns {AbortSignal} Signal that aborts when the job is cancelled. */
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    /** @returns {boolean} Whether the job has reached a final status. */
+    isFinished() {
+        return FINISHED_STATUSES.includes(this.status);
+    }
+
+    /**
+     * Throws if the job was cancelled. Called by the crawler between steps.
+     */
+    throwIfCancelled() {
+        if (this.signal.aborted) throw new JobCancelledError();
+    }
+
+    /**
+     * Increments one of the progress counters.
+     * @param {string} counter - The counter name.
+     * @param {number} [amount=1] - How much to add.
+     */
+    increment(counter, amount = 1) {
+        this.counters[counter] += amount;
+        this.emitProgress();
+    }
+
+    /**
+     * Merges fields into the job state and notifies listeners.
+     * @param {object} fields - Fields such as currentUrl or counters.queued.
+     */
+    update(fields) {
+        const { counters, ...rest } = fields;
+        Object.assign(this, rest);
+        if (counters) Object.assign(this.counters, counters);
+        this.emitProgress();
+    }
+
+    emitProgress() {
+        this.emit('progress', this.toJSON());
+    }
+
+    /**
+     * Moves the job to a final status and notifies listeners.
+     * @param {string} status - One of 'done', 'failed' or 'cancelled'.
+     * @param {string} [error] - The failure message, if any.
+     */
+    finish(status, error = null) {
+        if (this.isFinished()) return;
+        this.status = status;
+        this.error = error;
+        this.currentUrl = null;
+        this.finishedAt = new Date().toISOString();
+        this.emitProgress();
+        this.emit('end', this.toJSON());
+        pruneFinishedJobs();
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            status: this.status,
+            params: this.params,
+            counters: { ...this.counters },
+            currentUrl: this.currentUrl,
+            snapshot: this.snapshot,
+            changes: this.changes,
+            error: this.error,
+            createdAt: this.createdAt,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt
+        };
+    }
+}
+
+/**
+ * Drops the oldest finished jobs so the registry does not grow forever.
+ */
+function pruneFinishedJobs() {
+    const finished = [...jobs.values()].filter(job => job.isFinished());
+    while (finished.length > MAX_FINISHED_JOBS) {
+        jobs.delete(finished.shift().id);
+    }
+}
+
+/**
+ * Starts the next pending job if nothing is running.
+ */
+function runNextJob() {
+    if (activeJob || pending.length === 0) return;
+    const { job, run } = pending.shift();
+    if (job.isFinished()) return runNextJob();
+
+    activeJob = job;
+    job.update({ status: 'running', startedAt: new Date().toISOString() });
+    Promise.resolve()
+        .then(() => run(job))
+        .then(() => job.finish('done'))
+        .catch(err => {
+            if (err instanceof JobCancelledError || job.signal.aborted) {
+                job.finish('cancelled');
+            } else {
+                console.error(`[ERROR] Job ${job.id} failed: ${err.message}`);
+                job.finish('failed', err.message);
+            }
+        })
+        .finally(() => {
+            activeJob = null;
+            runNextJob();
+        });
+}
+
+/**
+ * Registers a new job and queues it for execution.
+ * @param {object} params - The crawl parameters stored on the job.
+ * @param {function(CrawlJob): Promise<void>} run - Performs the work for the job.
+ * @returns {CrawlJob} The queued job.
+ */
+function enqueueJob(params, run) {
+    const job = new CrawlJob(params);
+    jobs.set(job.id, job);
+    pending.push({ job, run });
+    setImmediate(runNextJob);
+    return job;
+}
+
+/**
+ * Cancels a queued or running job.
+ * @param {string} id - The job ID.
+ * @returns {CrawlJob|null} The job, or null if it does not exist.
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.isFinished()) return job;
+
+    job.abortController.abort();
+    if (job.status === 'queued') {
+        job.finish('cancelled');
+    }
+    return job;
+}
+
+/**
+ * @param {string} id - The job ID.
+ * @returns {CrawlJob|undefined} The job with that ID.
+ */
+function getJob(id) {
+    return jobs.get(id);
+}
+
+/**
+ * @returns {CrawlJob[]} All known jobs, newest first.
+ */
+function listJobs() {
+    return [...jobs.values()].reverse();
+}
+
+module.exports = { CrawlJob, JobCancelledError, MAX_FINISHED_JOBS, enqueueJob, cancelJob, getJob, listJobs };
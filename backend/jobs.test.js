@@ -0,0 +1,109 @@
+/**
+ * Crawl Job Registry Tests
+ * * Run with `npm test`.
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_FINISHED_JOBS, enqueueJob, cancelJob, getJob, listJobs } = require('./jobs');
+
+/**
+ * Queues a job whose work runs until it is released.
+ * @param {object} [params] - The crawl parameters stored on the job.
+ * @returns {object} { job, started, release } where started resolves once the work begins.
+ */
+function queueControlledJob(params = {}) {
+    let start, release;
+    const started = new Promise(resolve => { start = resolve; });
+    const released = new Promise(resolve => { release = resolve; });
+    const job = enqueueJob(params, async crawlJob => {
+        start();
+        await released;
+        crawlJob.throwIfCancelled();
+    });
+    return { job, started, release };
+}
+
+/**
+ * @param {CrawlJob} job - A job.
+ * @returns {Promise<object>} The job state sent with its 'end' event.
+ */
+function waitForEnd(job) {
+    return new Promise(resolve => job.once('end', resolve));
+}
+
+test('runs one job at a time in the order they were queued', async () => {
+    const first = queueControlledJob({ startUrl: 'https://a.example/' });
+    const second = queueControlledJob({ startUrl: 'https://b.example/' });
+    assert.deepEqual(listJobs().slice(0, 2), [second.job, first.job]);
+    assert.equal(getJob(first.job.id), first.job);
+
+    await first.started;
+    assert.equal(first.job.status, 'running');
+    assert.equal(second.job.status, 'queued');
+
+    first.release();
+    await waitForEnd(first.job);
+    await second.started;
+    assert.equal(first.job.status, 'done');
+    assert.equal(second.job.status, 'running');
+    second.release();
+    await waitForEnd(second.job);
+});
+
+test('emits the final state once, after the last progress event', async () => {
+    const events = [];
+    const job = enqueueJob({}, async crawlJob => crawlJob.update({ currentUrl: 'https://a.example/' }));
+    job.on('progress', state => events.push(['progress', state.status]));
+    job.on('end', state => events.push(['end', state.status]));
+    await waitForEnd(job);
+
+    assert.deepEqual(events, [['progress', 'running'], ['progress', 'running'], ['progress', 'done'], ['end', 'done']]);
+    job.finish('failed', 'Too late');
+    assert.equal(events.length, 4);
+    assert.equal(job.status, 'done');
+
+    const error = mock.method(console, 'error', () => {});
+    const failing = enqueueJob({}, async () => {
+        throw new Error('Disk full');
+    });
+    const end = await waitForEnd(failing);
+    error.mock.restore();
+    assert.deepEqual({ status: end.status, error: end.error }, { status: 'failed', error: 'Disk full' });
+});
+
+test('cancels a queued job before it runs and a running job between its steps', async () => {
+    const running = queueControlledJob();
+    let ran = false;
+    const queued = enqueueJob({}, async () => { ran = true; });
+    await running.started;
+
+    const queuedEnd = waitForEnd(queued);
+    assert.equal(cancelJob(queued.id), queued);
+    assert.equal(queued.status, 'cancelled');
+    await queuedEnd;
+
+    // A running job stops at its next check for cancellation.
+    assert.equal(cancelJob(running.job.id), running.job);
+    assert.equal(running.job.status, 'running');
+    assert.equal(running.job.signal.aborted, true);
+    running.release();
+    await waitForEnd(running.job);
+    assert.equal(running.job.status, 'cancelled');
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(ran, false);
+    assert.equal(cancelJob(running.job.id).status, 'cancelled');
+    assert.equal(cancelJob('missing'), null);
+});
+
+test('forgets the oldest finished jobs beyond the limit', async () => {
+    const queued = Array.from({ length: MAX_FINISHED_JOBS + 2 }, () => enqueueJob({}, async () => {}));
+    await Promise.all(queued.map(waitForEnd));
+
+    assert.equal(listJobs().length, MAX_FINISHED_JOBS);
+    assert.equal(getJob(queued[0].id), undefined);
+    assert.equal(getJob(queued[1].id), undefined);
+    assert.equal(getJob(queued[2].id), queued[2]);
+    assert.equal(listJobs()[0], queued.at(-1));
+});
@@ -0,0 +1,200 @@
+/**
+ * Live-Web Isolation
+ * * Keeps archived pages from contacting the live web when they are viewed.
+ * Replayed content is served with a Content-Security-Policy that only allows
+ * the archive's own origin; scripts and form actions can also be neutralized
+ * when a page is saved. Whatever still points at the live web is listed in the
+ * snapshot manifest as its live references.
+ */
+
+const { findCssReferences } = require('./css');
+
+// Only the archive itself may be contacted. Inline code is allowed because archived pages rely on it.
+// The sandbox gives archived pages an origin of their own, so their scripts cannot read the archive's
+// API, cookies or storage, nor script the pages of other sites replayed next to them.
+const REPLAY_CONTENT_SECURITY_POLICY = [
+    "default-src 'self' data: blob:",
+    "script-src 'self' 'unsafe-inline' 'unsafe-eval'",
+    "style-src 'self' 'unsafe-inline'",
+    "connect-src 'self'",
+    "form-action 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    'sandbox allow-scripts allow-forms allow-popups'
+].join('; ');
+
+const SCRIPT_MODES = ['keep', 'disable', 'remove'];
+const FORM_MODES = ['keep', 'disable'];
+// Disabled scripts keep their code but get a type browsers do not run.
+const DISABLED_SCRIPT_TYPE = 'text/x-archived-script';
+
+// Attributes that make the browser load something, as [selector, attribute, kind].
+const LOADING_ATTRIBUTES = [
+    ['script[src]', 'src', 'script'],
+    ['link[href]', 'href', 'link'],
+    ['img[src]', 'src', 'image'],
+    ['img[srcset]', 'srcset', 'image'],
+    ['input[src]', 'src', 'image'],
+    ['video[poster]', 'poster', 'image'],
+    ['source[src]', 'src', 'media'],
+    ['source[srcset]', 'srcset', 'image'],
+    ['video[src]', 'src', 'media'],
+    ['audio[src]', 'src', 'media'],
+    ['track[src]', 'src', 'media'],
+    ['iframe[src]', 'src', 'frame'],
+    ['frame[src]', 'src', 'frame'],
+    ['object[data]', 'data', 'object'],
+    ['embed[src]', 'src', 'object'],
+    ['use[href]', 'href', 'image'],
+    ['form[action]', 'action', 'form'],
+    ['[formaction]', 'formaction', 'form']
+];
+// <link> relations that make the browser fetch the target; others, such as canonical, are only metadata.
+const LOADING_LINK_RELATIONS = ['stylesheet', 'icon', 'apple-touch-icon', 'mask-icon', 'manifest', 'preload', 'modulepreload', 'prefetch', 'preconnect', 'dns-prefetch'];
+
+/**
+ * Fills in missing neutralization settings and drops invalid ones.
+ * @param {object} [options] - { scripts, forms } as supplied for a crawl.
+ * @returns {object} { scripts: 'keep'|'disable'|'remove', forms: 'keep'|'disable' }.
+ */
+function normalizeNeutralize({ scripts, forms } = {}) {
+    return {
+        scripts: SCRIPT_MODES.includes(scripts) ? scripts : 'keep',
+        forms: FORM_MODES.includes(forms) ? forms : 'keep'
+    };
+}
+
+/**
+ * Neutralizes the scripts and forms of a page as it is saved.
+ * 'disable' keeps scripts in the page but stops them from running, 'remove' deletes them;
+ * either way event handler attributes and javascript: links are dropped and <noscript>
+ * content is shown. Disabled forms keep their original target in data-archived-action.
+ * @param {object} $ - The Cheerio document of the page; modified in place.
+ * @param {string} pageUrl - The URL of the page.
+ * @param {object} [neutralize] - Settings from normalizeNeutralize.
+ */
+function neutralizePage($, pageUrl, neutralize) {
+    const { scripts, forms } = normalizeNeutralize(neutralize);
+    if (scripts !== 'keep') {
+        $('script').each((_, element) => {
+            const el = $(element);
+            if (scripts === 'remove') {
+                el.remove();
+                return;
+            }
+            if (el.attr('type')) el.attr('data-archived-type', el.attr('type'));
+            el.attr('type', DISABLED_SCRIPT_TYPE);
+        });
+        $('*').each((_, element) => {
+            Object.keys(element.attribs || {})
+                .filter(name => /^on/i.test(name))
+                .forEach(name => $(element).removeAttr(name));
+        });
+        $('a[href^="javascript:" i], area[href^="javascript:" i]').attr('href', '#');
+        $('noscript').each((_, element) => {
+            $(element).replaceWith($(element).text());
+        });
+    }
+    if (forms === 'disable') {
+        for (const [selector, attr] of [['form', 'action'], ['[formaction]', 'formaction']]) {
+            $(selector).each((_, element) => {
+                const el = $(element);
+                let target = pageUrl;
+                try {
+                    target = new URL(el.attr(attr) || '', pageUrl).href;
+                } catch (e) { /* Keep the page URL for invalid targets */ }
+                el.attr(`data-archived-${attr}`, target).removeAttr(attr);
+                if (el.attr('method')) el.attr('data-archived-method', el.attr('method')).removeAttr('method');
+            });
+        }
+    }
+}
+
+/**
+ * @param {string} value - A reference as written in the page.
+ * @returns {boolean} True if it points at another origin rather than into the archive.
+ */
+function isLiveReference(value) {
+    return /^(https?:)?\/\//i.test(value.trim());
+}
+
+/**
+ * Lists the references in a saved page that would make a browser contact the
+ * live web: absolute URLs in attributes that load something, and in CSS.
+ * Links a visitor has to click are not included.
+ * @param {object} $ - The Cheerio document of the saved page.
+ * @param {string} pageUrl - The URL of the page.
+ * @returns {object[]} References as { url, kind }.
+ */
+function findLiveReferences($, pageUrl) {
+    const references = [];
+    const addReference = (value, kind) => {
+        if (!isLiveReference(value)) return;
+        try {
+            references.push({ url: new URL(value.trim(), pageUrl).href, kind });
+        } catch (e) { /* Ignore invalid URLs */ }
+    };
+
+    for (const [selector, attr, kind] of LOADING_ATTRIBUTES) {
+        $(selector).each((_, element) => {
+            const el = $(element);
+            if (kind === 'script' && el.attr('type') === DISABLED_SCRIPT_TYPE) return;
+            let referenceKind = kind;
+            if (kind === 'link') {
+                const relations = (el.attr('rel') || '').toLowerCase().split(/\s+/);
+                if (!relations.some(relation => LOADING_LINK_RELATIONS.includes(relation))) return;
+                if (relations.includes('stylesheet')) referenceKind = 'stylesheet';
+            }
+            const value = el.attr(attr);
+            const candidates = attr === 'srcset' ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]) : [value];
+            candidates.filter(Boolean).forEach(candidate => addReference(candidate, referenceKind));
+        });
+    }
+    const inlineCss = [...$('style').toArray().map(element => $(element).text()), ...$('[style]').toArray().map(element => $(element).attr('style'))];
+    inlineCss.forEach(css => findLiveCssReferences(css, pageUrl).forEach(reference => references.push(reference)));
+    return references;
+}
+
+/**
+ * Lists the references in a piece of CSS that point at the live web.
+ * @param {string} css - A stylesheet, <style> block or style attribute.
+ * @param {string} baseUrl - The URL the CSS was loaded from.
+ * @returns {object[]} References as { url, kind: 'css' }.
+ */
+function findLiveCssReferences(css, baseUrl) {
+    return findCssReferences(css).flatMap(reference => {
+        if (!isLiveReference(reference.url)) return [];
+        try {
+            return [{ url: new URL(reference.url, baseUrl).href, kind: 'css' }];
+        } catch (e) {
+            return [];
+        }
+    });
+}
+
+/**
+ * Merges the live references found in a snapshot into the list kept in its manifest.
+ * @param {object[]} found - { foundIn, references } per page or stylesheet, foundIn being its URL.
+ * @returns {object[]} { url, kind, foundIn } per referenced URL, sorted by URL, foundIn listing where it appears.
+ */
+function summarizeLiveReferences(found) {
+    const byUrl = new Map();
+    for (const { foundIn, references } of found) {
+        for (const { url, kind } of references) {
+            if (!byUrl.has(url)) byUrl.set(url, { url, kind, foundIn: new Set() });
+            byUrl.get(url).foundIn.add(foundIn);
+        }
+    }
+    return [...byUrl.values()]
+        .map(reference => ({ ...reference, foundIn: [...reference.foundIn].sort() }))
+        .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+module.exports = {
+    REPLAY_CONTENT_SECURITY_POLICY,
+    normalizeNeutralize,
+    neutralizePage,
+    findLiveReferences,
+    findLiveCssReferences,
+    summarizeLiveReferences
+};
@@ -0,0 +1,33 @@
+/**
+ * Live-Web Isolation Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { REPLAY_CONTENT_SECURITY_POLICY } = require('./liveWeb');
+
+/**
+ * @returns {Map<string, string[]>} The directives of the replay policy, by name.
+ */
+function getDirectives() {
+    return new Map(REPLAY_CONTENT_SECURITY_POLICY.split(';').map(directive => {
+        const [name, ...values] = directive.trim().split(/\s+/);
+        return [name, values];
+    }));
+}
+
+test('only lets replayed pages load from the archive', () => {
+    const directives = getDirectives();
+    for (const name of ['default-src', 'script-src', 'style-src', 'connect-src', 'form-action', 'base-uri']) {
+        assert.ok(directives.get(name).includes("'self'"), name);
+        assert.ok(directives.get(name).every(value => value.startsWith("'") || /^(data|blob):$/.test(value)), name);
+    }
+    assert.deepEqual(directives.get('object-src'), ["'none'"]);
+});
+
+test('sandboxes replayed pages into an origin of their own', () => {
+    const sandbox = getDirectives().get('sandbox');
+    assert.deepEqual([...sandbox].sort(), ['allow-forms', 'allow-popups', 'allow-scripts']);
+    assert.ok(!sandbox.includes('allow-same-origin'));
+});
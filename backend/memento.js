@@ -0,0 +1,239 @@
+/**
+ * Memento (RFC 7089)
+ * * Indexes every capture of every original URL across all snapshots, so the
+ * archive can answer TimeMap and TimeGate requests: list the captures of a URL,
+ * or find the one closest to a requested datetime. The index is persisted as a
+ * journal and kept current as snapshots are added or deleted.
+ */
+
+const { SharedJournal } = require('./sharedJournal');
+
+const INDEX_VERSION = 1;
+
+/**
+ * Reads the original URL from the rest of a request path, e.g. the part after
+ * `/timegate/`. It may arrive percent-encoded, or with the `//` after the scheme
+ * collapsed by a proxy.
+ * @param {string} rawUrl - The path remainder, including any query string.
+ * @returns {string|null} The normalized URL, or null if it is not an http(s) URL.
+ */
+function parseOriginalUrl(rawUrl) {
+    let candidate = rawUrl;
+    if (!/^https?:/i.test(candidate)) {
+        try {
+            candidate = decodeURIComponent(candidate);
+        } catch (e) {
+            return null;
+        }
+    }
+    candidate = candidate.replace(/^(https?:)\/(?!\/)/i, '$1//');
+    if (!/^https?:\/\//i.test(candidate)) return null;
+    try {
+        const url = new URL(candidate);
+        url.hash = '';
+        return url.href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Parses an Accept-Datetime header, which must be an RFC 1123 date in GMT.
+ * @param {string} value - The header value.
+ * @returns {Date|null} The date, or null if the value is not valid.
+ */
+function parseAcceptDatetime(value) {
+    if (!/^\s*\w{3}, \d{2} \w{3} \d{4} \d{2}:\d{2}:\d{2} GMT\s*$/.test(value)) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Picks the capture closest in time to a datetime. On a tie the earlier one wins.
+ * @param {object[]} captures - Captures sorted by datetime, oldest first.
+ * @param {Date} date - The requested datetime.
+ * @returns {object} The closest capture.
+ */
+function findClosestCapture(captures, date) {
+    let closest = captures[0];
+    for (const capture of captures) {
+        const distance = Math.abs(new Date(capture.datetime) - date);
+        if (distance < Math.abs(new Date(closest.datetime) - date)) closest = capture;
+    }
+    return closest;
+}
+
+/**
+ * Formats one entry of a Link header or link-format TimeMap.
+ * @param {string} uri - The target URI.
+ * @param {object} params - Link parameters such as { rel, datetime, type }.
+ * @returns {string} The entry, e.g. `<uri>; rel="memento"; datetime="..."`.
+ */
+function formatLink(uri, params) {
+    const formatted = Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `; ${name}="${value}"`)
+        .join('');
+    return `<${uri}>${formatted}`;
+}
+
+/**
+ * Builds the Link entries that tell a client about the mementos of a URL.
+ * For a TimeMap every memento is listed; for a single memento only itself,
+ * its neighbours, and the first and last ones.
+ * @param {object[]} mementos - { uri, datetime } per capture, oldest first.
+ * @param {number} [currentIndex] - The index of the memento being served, if any.
+ * @returns {string[]} The entries.
+ */
+function buildMementoLinks(mementos, currentIndex = -1) {
+    const isListed = index => currentIndex === -1 || Math.abs(index - currentIndex) <= 1 || index === 0 || index === mementos.length - 1;
+    return mementos.flatMap((memento, index) => {
+        if (!isListed(index)) return [];
+        const relations = [];
+        if (index === 0) relations.push('first');
+        if (currentIndex !== -1 && index === currentIndex - 1) relations.push('prev');
+        if (currentIndex !== -1 && index === currentIndex + 1) relations.push('next');
+        if (index === mementos.length - 1) relations.push('last');
+        relations.push('memento');
+        return [formatLink(memento.uri, { rel: relations.join(' '), datetime: new Date(memento.datetime).toUTCString() })];
+    });
+}
+
+class CaptureIndex extends SharedJournal {
+    /**
+     * @param {string} filePath - Where the index is persisted.
+     */
+    constructor(filePath) {
+        super(filePath, INDEX_VERSION);
+        this.captures = new Map(); // Stores { original URL -> captures, oldest first }
+        this.files = new Map(); // Stores { "domain/snapshot/file" -> capture }
+    }
+
+    reset() {
+        this.captures.clear();
+        this.files.clear();
+    }
+
+    /**
+     * @param {object} record - { op: 'add', capture } or { op: 'remove', files } with the
+     *   "domain/snapshot/file" keys of the captures.
+     */
+    apply(record) {
+        if (record.op === 'add') {
+            this.addCapture(record.capture);
+        } else if (record.op === 'remove') {
+            const removed = new Set(record.files);
+            this.removeMatching(capture => removed.has(`${capture.domain}/${capture.snapshot}/${capture.file}`));
+        }
+    }
+
+    getRecords() {
+        return [...this.captures.values()].flat()
+            .map(({ url, domain, snapshot, file, datetime }) => ({ op: 'add', capture: { url, domain, snapshot, file, datetime } }));
+    }
+
+    countEntries() {
+        return this.files.size;
+    }
+
+    addCapture(capture) {
+        if (!this.captures.has(capture.url)) this.captures.set(capture.url, []);
+        const list = this.captures.get(capture.url);
+        // Captures mostly arrive in order, so the insertion point is found from the end.
+        let index = list.length;
+        while (index > 0 && (list[index - 1].datetime.localeCompare(capture.datetime) || list[index - 1].snapshot.localeCompare(capture.snapshot)) > 0) {
+            index--;
+        }
+        list.splice(index, 0, capture);
+        this.files.set(`${capture.domain}/${capture.snapshot}/${capture.file}`, capture);
+    }
+
+    /**
+     * @param {function(object): boolean} predicate - Selects the captures to remove.
+     * @returns {string[]} The "domain/snapshot/file" keys of the removed captures.
+     */
+    removeMatching(predicate) {
+        const files = [];
+        for (const [url, list] of [...this.captures]) {
+            const kept = list.filter(capture => !predicate(capture));
+            if (kept.length === list.length) continue;
+            for (const capture of list.filter(capture => predicate(capture))) {
+                const file = `${capture.domain}/${capture.snapshot}/${capture.file}`;
+                this.files.delete(file);
+                files.push(file);
+            }
+            if (kept.length > 0) this.captures.set(url, kept);
+            else this.captures.delete(url);
+        }
+        return files;
+    }
+
+    /**
+     * Replaces the captures recorded for a snapshot.
+     * @param {string} domain - The domain of the snapshot.
+     * @param {string} snapshot - The snapshot ID.
+     * @param {object[]} captures - { url, file, datetime } per captured URL, file relative to the snapshot.
+     * @returns {Promise<void>}
+     */
+    indexSnapshot(domain, snapshot, captures) {
+        return this.enqueueUpdate(async () => {
+            const files = this.removeMatching(capture => capture.domain === domain && capture.snapshot === snapshot);
+            const records = files.length > 0 ? [{ op: 'remove', files }] : [];
+            for (const { url, file, datetime } of captures) {
+                const record = { op: 'add', capture: { url, domain, snapshot, file, datetime } };
+                this.apply(record);
+                records.push(record);
+            }
+            await this.append(records);
+        });
+    }
+
+    /**
+     * Removes captures, e.g. those of a deleted snapshot or domain.
+     * @param {function(object): boolean} predicate - Selects the captures to remove.
+     * @returns {Promise<void>}
+     */
+    removeCaptures(predicate) {
+        return this.enqueueUpdate(async () => {
+            const files = this.removeMatching(predicate);
+            if (files.length > 0) await this.append([{ op: 'remove', files }]);
+        });
+    }
+
+    /**
+     * Drops every capture, e.g. before rebuilding the index from the archives.
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.enqueueUpdate(async () => {
+            this.reset();
+            await this.compact();
+        });
+    }
+
+    /**
+     * Lists the captures of an original URL. When there are none, the same URL
+     * with the other scheme (http or https) is tried.
+     * @param {string} url - The normalized original URL.
+     * @returns {Promise<object[]>} { url, domain, snapshot, file, datetime } per capture, oldest first.
+     */
+    getCaptures(url) {
+        return this.enqueue(async () => {
+            const otherScheme = url.replace(/^https?:/i, scheme => (scheme.toLowerCase() === 'http:' ? 'https:' : 'http:'));
+            return [...(this.captures.get(url) || this.captures.get(otherScheme) || [])];
+        });
+    }
+
+    /**
+     * Finds the capture saved in a file of a snapshot.
+     * @param {string} domain - The domain.
+     * @param {string} snapshot - The snapshot ID.
+     * @param {string} file - The file, relative to the snapshot.
+     * @returns {Promise<object|null>} The capture, or null if the file holds none.
+     */
+    findByFile(domain, snapshot, file) {
+        return this.enqueue(async () => this.files.get(`${domain}/${snapshot}/${file}`) || null);
+    }
+}
+
+module.exports = { CaptureIndex, parseOriginalUrl, parseAcceptDatetime, findClosestCapture, formatLink, buildMementoLinks };
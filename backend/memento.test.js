@@ -0,0 +1,76 @@
+/**
+ * Memento Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { CaptureIndex, parseOriginalUrl, parseAcceptDatetime, findClosestCapture, buildMementoLinks } = require('./memento');
+
+const CAPTURES = ['2024-01-01T00:00:00Z', '2024-02-01T00:00:00Z', '2024-03-01T00:00:00Z'].map(datetime => ({ datetime }));
+
+test('accepts only RFC 1123 dates in GMT as Accept-Datetime', () => {
+    assert.equal(parseAcceptDatetime('Thu, 01 Feb 2024 12:00:00 GMT').toISOString(), '2024-02-01T12:00:00.000Z');
+    assert.equal(parseAcceptDatetime('2024-02-01T12:00:00Z'), null);
+    assert.equal(parseAcceptDatetime('Thu, 01 Feb 2024 12:00:00 +0100'), null);
+    assert.equal(parseAcceptDatetime('Thu, 01 Feb 2024'), null);
+});
+
+test('negotiates the capture closest to the requested datetime', () => {
+    assert.equal(findClosestCapture(CAPTURES, new Date('2024-02-10T00:00:00Z')), CAPTURES[1]);
+    assert.equal(findClosestCapture(CAPTURES, new Date('2024-02-25T00:00:00Z')), CAPTURES[2]);
+    assert.equal(findClosestCapture(CAPTURES, new Date('2020-01-01T00:00:00Z')), CAPTURES[0]);
+    assert.equal(findClosestCapture(CAPTURES, new Date('2030-01-01T00:00:00Z')), CAPTURES[2]);
+});
+
+test('negotiates the earlier capture when two are equally close', () => {
+    const captures = [{ datetime: '2024-01-01T00:00:00Z' }, { datetime: '2024-01-03T00:00:00Z' }];
+    assert.equal(findClosestCapture(captures, new Date('2024-01-02T00:00:00Z')), captures[0]);
+});
+
+test('reads original URLs that arrive encoded or with a collapsed //', () => {
+    assert.equal(parseOriginalUrl('https://example.com/page?q=1#top'), 'https://example.com/page?q=1');
+    assert.equal(parseOriginalUrl('https%3A%2F%2Fexample.com%2Fpage'), 'https://example.com/page');
+    assert.equal(parseOriginalUrl('http:/example.com/'), 'http://example.com/');
+    assert.equal(parseOriginalUrl('ftp://example.com/'), null);
+    assert.equal(parseOriginalUrl('%E0%A4%A'), null);
+});
+
+test('links a memento to the first and last ones and its neighbours', () => {
+    const mementos = ['a', 'b', 'c', 'd', 'e'].map((name, index) => ({ uri: `/m/${name}`, datetime: `2024-01-0${index + 1}T00:00:00Z` }));
+    const links = buildMementoLinks(mementos, 2);
+
+    assert.deepEqual(links.map(link => link.match(/^<([^>]+)>; rel="([^"]+)"/).slice(1).join(' ')), [
+        '/m/a first memento',
+        '/m/b prev memento',
+        '/m/c memento',
+        '/m/d next memento',
+        '/m/e last memento'
+    ]);
+    assert.match(links[0], /datetime="Mon, 01 Jan 2024 00:00:00 GMT"$/);
+    assert.equal(buildMementoLinks(mementos.concat({ uri: '/m/f', datetime: '2024-01-06T00:00:00Z' }), 0).length, 3);
+    assert.equal(buildMementoLinks(mementos).length, 5);
+});
+
+test('keeps captures in time order and falls back to the other scheme', async () => {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'memento-test-'));
+    try {
+        const index = new CaptureIndex(path.join(folder, 'capture-index.jsonl'));
+        await index.indexSnapshot('example.com', 's2', [{ url: 'https://example.com/', file: 'index.html', datetime: '2024-02-01T00:00:00.000Z' }]);
+        await index.indexSnapshot('example.com', 's1', [{ url: 'https://example.com/', file: 'index.html', datetime: '2024-01-01T00:00:00.000Z' }]);
+
+        assert.deepEqual((await index.getCaptures('https://example.com/')).map(capture => capture.snapshot), ['s1', 's2']);
+        assert.deepEqual((await index.getCaptures('http://example.com/')).map(capture => capture.snapshot), ['s1', 's2']);
+        assert.equal((await index.findByFile('example.com', 's2', 'index.html')).datetime, '2024-02-01T00:00:00.000Z');
+
+        await index.removeCaptures(capture => capture.snapshot === 's1');
+        const reloaded = new CaptureIndex(index.filePath);
+        assert.deepEqual((await reloaded.getCaptures('https://example.com/')).map(capture => capture.snapshot), ['s2']);
+        assert.equal(await reloaded.findByFile('example.com', 's1', 'index.html'), null);
+    } finally {
+        await fs.remove(folder);
+    }
+});
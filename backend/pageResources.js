@@ -0,0 +1,168 @@
+/**
+ * Page Resources
+ * * Finds everything a page loads besides its links: stylesheets, scripts,
+ * images with all of their srcset candidates, icons, preloaded files, video,
+ * audio, subtitles, posters, objects and embeds, and the files SVG <use>
+ * elements point into. Each reference remembers where it was found, so its
+ * URLs can be replaced by those of the captured copies.
+ */
+
+// Attributes holding a resource, as [selector, attribute, kind]; srcset attributes list several.
+const RESOURCE_ATTRIBUTES = [
+    ['script[src]', 'src', 'js'],
+    ['link[href]', 'href', 'link'],
+    ['img[src]', 'src', 'img'],
+    ['img[srcset]', 'srcset', 'img'],
+    ['source[srcset]', 'srcset', 'img'],
+    ['input[type="image" i][src]', 'src', 'img'],
+    ['video[poster]', 'poster', 'img'],
+    ['video[src]', 'src', 'media'],
+    ['audio[src]', 'src', 'media'],
+    ['source[src]', 'src', 'media'],
+    ['track[src]', 'src', 'resource'],
+    ['object[data]', 'data', 'resource'],
+    ['embed[src]', 'src', 'resource'],
+    // Cheerio reads xlink:href as href too.
+    ['use[href]', 'href', 'img']
+];
+const ICON_LINK_RELATIONS = ['icon', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon'];
+// What a <link rel="preload"> is fetched as, by its `as` attribute.
+const PRELOAD_KINDS = { style: 'css', script: 'js', image: 'img', audio: 'media', video: 'media', track: 'resource', font: 'resource', fetch: 'resource' };
+// Documents shown inside a page, captured as nested pages rather than assets.
+const FRAME_SELECTORS = [['iframe[src]', 'src'], ['frame[src]', 'src']];
+
+/**
+ * Decides what a <link> loads.
+ * @param {object} el - The Cheerio element.
+ * @returns {string|null} The asset kind, or null for links that load nothing worth capturing (canonical, preconnect, ...).
+ */
+function getLinkKind(el) {
+    const relations = (el.attr('rel') || '').toLowerCase().split(/\s+/);
+    if (relations.includes('stylesheet')) return 'css';
+    if (relations.some(relation => ICON_LINK_RELATIONS.includes(relation))) return 'img';
+    if (relations.includes('modulepreload')) return 'js';
+    if (relations.includes('preload') || relations.includes('prefetch')) {
+        return PRELOAD_KINDS[(el.attr('as') || '').toLowerCase()] || 'resource';
+    }
+    return null;
+}
+
+/**
+ * Splits a srcset attribute into its candidates.
+ * @param {string} srcset - The attribute value.
+ * @returns {object[]} Candidates as { url, descriptor }, the descriptor being e.g. '2x', '480w' or ''.
+ */
+function parseSrcset(srcset) {
+    const candidates = [];
+    // Following the HTML parsing rules: a URL runs up to whitespace, and a URL ending in a comma has no descriptor.
+    let rest = srcset || '';
+    while ((rest = rest.replace(/^[\s,]+/, ''))) {
+        const url = /^\S+/.exec(rest)[0];
+        rest = rest.slice(url.length);
+        if (url.endsWith(',')) {
+            candidates.push({ url: url.replace(/,+$/, ''), descriptor: '' });
+            continue;
+        }
+        const descriptor = /^[^,]*/.exec(rest)[0];
+        rest = rest.slice(descriptor.length);
+        candidates.push({ url, descriptor: descriptor.trim() });
+    }
+    return candidates;
+}
+
+/**
+ * @param {object[]} candidates - Candidates as returned by parseSrcset.
+ * @returns {string} The srcset attribute value.
+ */
+function serializeSrcset(candidates) {
+    return candidates.map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url)).join(', ');
+}
+
+/**
+ * Resolves a reference found in a page.
+ * @param {string} value - The URL as written in the page.
+ * @param {string} pageUrl - The URL of the page.
+ * @returns {object|null} { absoluteUrl, fragment } with the fragment split off, or null if there
+ *   is nothing to fetch (data: URLs, in-page fragments, invalid URLs and other schemes).
+ */
+function resolveResourceUrl(value, pageUrl) {
+    const trimmed = (value || '').trim();
+    if (!trimmed || trimmed.startsWith('#') || /^data:/i.test(trimmed)) return null;
+    try {
+        const urlObject = new URL(trimmed, pageUrl);
+        if (!/^https?:$/.test(urlObject.protocol)) return null;
+        const fragment = urlObject.hash;
+        urlObject.hash = '';
+        return { absoluteUrl: urlObject.href, fragment };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Finds the resources a page loads.
+ * @param {object} $ - The Cheerio document of the page.
+ * @param {string} pageUrl - The URL of the page, against which references are resolved.
+ * @returns {object[]} References as { el, attr, kind, srcset, candidates }, attr being the attribute to
+ *   rewrite and candidates its URLs as { url, descriptor, absoluteUrl, fragment } (one unless srcset is true).
+ */
+function findResourceReferences($, pageUrl) {
+    const references = [];
+    for (const [selector, attr, attrKind] of RESOURCE_ATTRIBUTES) {
+        $(selector).each((_, element) => {
+            const el = $(element);
+            const kind = attrKind === 'link' ? getLinkKind(el) : attrKind;
+            if (!kind) return;
+            const srcset = attr === 'srcset';
+            const candidates = (srcset ? parseSrcset(el.attr(attr)) : [{ url: el.attr(attr), descriptor: '' }])
+                .map(candidate => ({ ...candidate, ...resolveResourceUrl(candidate.url, pageUrl) }));
+            if (candidates.some(candidate => candidate.absoluteUrl)) references.push({ el, attr, kind, srcset, candidates });
+        });
+    }
+    return references;
+}
+
+/**
+ * Replaces the URLs of a reference in its element.
+ * @param {object} reference - A reference from findResourceReferences.
+ * @param {function(object): (string|null)} getReplacement - Called for every candidate with an
+ *   absoluteUrl; returns the URL to use instead (without the fragment), or null to keep it.
+ * @returns {boolean} Whether anything was replaced.
+ */
+function rewriteResourceReference(reference, getReplacement) {
+    let changed = false;
+    const candidates = reference.candidates.map(candidate => {
+        const replacement = candidate.absoluteUrl ? getReplacement(candidate) : null;
+        if (replacement === null) return candidate;
+        changed = true;
+        return { ...candidate, url: replacement + candidate.fragment };
+    });
+    if (changed) reference.el.attr(reference.attr, reference.srcset ? serializeSrcset(candidates) : candidates[0].url);
+    return changed;
+}
+
+/**
+ * Finds the frames of a page, whose documents are captured as nested pages.
+ * @param {object} $ - The Cheerio document of the page.
+ * @param {string} pageUrl - The URL of the page.
+ * @returns {string[]} The absolute URLs of the frame documents.
+ */
+function findFrameUrls($, pageUrl) {
+    const urls = new Set();
+    for (const [selector, attr] of FRAME_SELECTORS) {
+        $(selector).each((_, element) => {
+            const resolved = resolveResourceUrl($(element).attr(attr), pageUrl);
+            if (resolved) urls.add(resolved.absoluteUrl);
+        });
+    }
+    return [...urls];
+}
+
+module.exports = {
+    FRAME_SELECTORS,
+    parseSrcset,
+    serializeSrcset,
+    findResourceReferences,
+    rewriteResourceReference,
+    findFrameUrls
+};
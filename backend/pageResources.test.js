@@ -0,0 +1,73 @@
+/**
+ * Page Resources Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { parseSrcset, serializeSrcset, findResourceReferences, rewriteResourceReference, findFrameUrls } = require('./pageResources');
+
+const PAGE_URL = 'https://example.com/blog/post.html';
+
+/**
+ * @param {string} html - The page.
+ * @returns {object[]} Its references as [kind, absolute URLs].
+ */
+function findReferences(html) {
+    return findResourceReferences(cheerio.load(html), PAGE_URL)
+        .map(reference => [reference.kind, reference.candidates.map(candidate => candidate.absoluteUrl).filter(Boolean)]);
+}
+
+test('splits srcset candidates, including URLs with commas', () => {
+    assert.deepEqual(parseSrcset(' a.jpg 1x,b.jpg 2x , c.jpg, d.jpg 480w'), [
+        { url: 'a.jpg', descriptor: '1x' },
+        { url: 'b.jpg', descriptor: '2x' },
+        { url: 'c.jpg', descriptor: '' },
+        { url: 'd.jpg', descriptor: '480w' }
+    ]);
+    assert.deepEqual(parseSrcset('img.php?w=1,2 2x'), [{ url: 'img.php?w=1,2', descriptor: '2x' }]);
+    assert.equal(serializeSrcset(parseSrcset('a.jpg 1x,b.jpg')), 'a.jpg 1x, b.jpg');
+    assert.deepEqual(parseSrcset(undefined), []);
+});
+
+test('finds stylesheets, scripts, icons, preloads and media, resolved against the page', () => {
+    const references = findReferences(`
+        <link rel="stylesheet" href="/style.css"><link rel="canonical" href="/canonical">
+        <link rel="shortcut icon" href="favicon.ico"><link rel="preload" as="font" href="/font.woff2">
+        <link rel="preconnect" href="https://cdn.example.com">
+        <script src="app.js"></script>
+        <img src="data:image/png;base64,AAAA" srcset="small.jpg 1x, https://cdn.example.com/big.jpg 2x">
+        <video poster="poster.jpg"><source src="movie.mp4"><track src="subs.vtt"></video>
+        <svg><use href="/sprite.svg#icon"></use></svg>
+        <a href="/other-page">link</a>`);
+
+    assert.deepEqual(references, [
+        ['js', ['https://example.com/blog/app.js']],
+        ['css', ['https://example.com/style.css']],
+        ['img', ['https://example.com/blog/favicon.ico']],
+        ['resource', ['https://example.com/font.woff2']],
+        ['img', ['https://example.com/blog/small.jpg', 'https://cdn.example.com/big.jpg']],
+        ['img', ['https://example.com/blog/poster.jpg']],
+        ['media', ['https://example.com/blog/movie.mp4']],
+        ['resource', ['https://example.com/blog/subs.vtt']],
+        ['img', ['https://example.com/sprite.svg']]
+    ]);
+});
+
+test('rewrites the URLs of a reference and keeps their fragments and descriptors', () => {
+    const $ = cheerio.load('<img srcset="a.jpg 1x, b.jpg 2x"><svg><use href="/sprite.svg#icon"></use></svg>');
+    const references = findResourceReferences($, PAGE_URL);
+    const replaced = references.map(reference => rewriteResourceReference(reference, candidate =>
+        (candidate.absoluteUrl.endsWith('b.jpg') ? null : `_assets/${candidate.absoluteUrl.split('/').pop()}`)));
+
+    assert.deepEqual(replaced, [true, true]);
+    assert.equal($('img').attr('srcset'), '_assets/a.jpg 1x, b.jpg 2x');
+    assert.equal($('use').attr('href'), '_assets/sprite.svg#icon');
+    assert.equal(rewriteResourceReference(references[0], () => null), false);
+});
+
+test('finds frame documents once each', () => {
+    const $ = cheerio.load('<iframe src="/embed#x"></iframe><iframe src="/embed"></iframe><iframe src="javascript:void(0)"></iframe>');
+    assert.deepEqual(findFrameUrls($, PAGE_URL), ['https://example.com/embed']);
+});
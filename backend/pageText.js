@@ -0,0 +1,38 @@
+/**
+ * Page Text Extraction
+ * * Reduces an HTML page to its title and the text a visitor would read,
+ * one line per block of content. Used to compare and index pages.
+ */
+
+const cheerio = require('cheerio');
+
+// Elements whose content is never shown as text.
+const HIDDEN_ELEMENTS = 'script, style, noscript, template, svg, iframe, object, head';
+
+// Elements that start a new line of text.
+const BLOCK_ELEMENTS = 'address, article, aside, blockquote, br, dd, div, dl, dt, figcaption, figure, footer, '
+    + 'form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, td, th, tr, ul';
+
+/**
+ * Extracts the title and visible text of an HTML page.
+ * @param {string|object} html - The page HTML, or a Cheerio instance (which is not modified).
+ * @returns {object} { title, text, lines } where lines holds each non-empty line of visible text.
+ */
+function extractPageText(html) {
+    const $ = cheerio.load(typeof html === 'string' ? html : html.html());
+    const title = $('title').first().text().trim();
+
+    $(HIDDEN_ELEMENTS).remove();
+    $(BLOCK_ELEMENTS).each((_, element) => {
+        $(element).before('\n').after('\n');
+    });
+
+    const root = $('body').length > 0 ? $('body') : $.root();
+    const lines = root.text()
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    return { title, text: lines.join('\n'), lines };
+}
+
+module.exports = { extractPageText };
@@ -0,0 +1,183 @@
+/**
+ * Polite Crawling
+ * * Wraps a fetcher so every request, page or asset, goes through the same
+ * per-host limits: robots.txt rules (including Crawl-delay), a minimum
+ * interval between requests and a maximum number of requests in flight.
+ */
+
+const robotsParser = require('robots-parser');
+
+/**
+ * Error thrown for URLs that robots.txt does not allow us to fetch.
+ */
+class RobotsDisallowedError extends Error {
+    constructor(url) {
+        super(`Disallowed by robots.txt: ${url}`);
+        this.name = 'RobotsDisallowedError';
+        this.url = url;
+    }
+}
+
+/**
+ * Schedules requests so no host sees more than `maxInFlight` at once,
+ * or two request starts closer together than its minimum interval.
+ */
+class HostLimiter {
+    /**
+     * @param {object} settings - { minRequestIntervalMs, maxInFlightPerHost }.
+     */
+    constructor({ minRequestIntervalMs, maxInFlightPerHost }) {
+        this.minIntervalMs = minRequestIntervalMs;
+        this.maxInFlight = Math.max(1, maxInFlightPerHost);
+        this.hosts = new Map();
+    }
+
+    getHost(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { inFlight: 0, lastStart: 0, intervalMs: this.minIntervalMs, waiting: [], timer: null });
+        }
+        return this.hosts.get(host);
+    }
+
+    /**
+     * Raises the interval for a host, e.g. to honor its Crawl-delay.
+     * @param {string} host - The host name.
+     * @param {number} intervalMs - The minimum interval in milliseconds.
+     */
+    setMinInterval(host, intervalMs) {
+        const state = this.getHost(host);
+        state.intervalMs = Math.max(this.minIntervalMs, intervalMs);
+    }
+
+    /**
+     * Runs a task once the host's limits allow it.
+     * @param {string} host - The host the task sends a request to.
+     * @param {function(): Promise<*>} task - The request to perform.
+     * @param {AbortSignal} [signal] - Stops waiting when aborted.
+     * @returns {Promise<*>} The task's result.
+     */
+    async run(host, task, signal) {
+        const state = this.getHost(host);
+        await new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            const onAbort = () => {
+                const index = state.waiting.indexOf(waiter);
+                if (index !== -1) {
+                    state.waiting.splice(index, 1);
+                    reject(signal.reason);
+                }
+            };
+            // The listener goes once the task gets its turn, or every queued request of a crawl would leave one behind.
+            const waiter = {
+                resolve: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }
+            };
+            state.waiting.push(waiter);
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.pump(state);
+        });
+        try {
+            return await task();
+        } finally {
+            state.inFlight--;
+            this.pump(state);
+        }
+    }
+
+    /**
+     * Starts as many waiting tasks for a host as its limits allow.
+     * @param {object} state - The host's scheduling state.
+     */
+    pump(state) {
+        if (state.timer) return;
+        while (state.waiting.length > 0 && state.inFlight < this.maxInFlight) {
+            const wait = state.lastStart + state.intervalMs - Date.now();
+            if (wait > 0) {
+                state.timer = setTimeout(() => {
+                    state.timer = null;
+                    this.pump(state);
+                }, wait);
+                return;
+            }
+            state.inFlight++;
+            state.lastStart = Date.now();
+            state.waiting.shift().resolve();
+        }
+    }
+}
+
+/**
+ * Fills in missing politeness settings and drops invalid ones.
+ * @param {object} [overrides] - Settings supplied for a single crawl.
+ * @param {object} defaults - The configured defaults.
+ * @returns {object} Complete politeness settings.
+ */
+function normalizePoliteness(overrides = {}, defaults) {
+    const settings = { ...defaults };
+    if (typeof overrides.respectRobotsTxt === 'boolean') settings.respectRobotsTxt = overrides.respectRobotsTxt;
+    for (const key of ['minRequestIntervalMs', 'maxInFlightPerHost', 'pageConcurrency']) {
+        const value = Number(overrides[key]);
+        if (overrides[key] !== undefined && overrides[key] !== '' && Number.isFinite(value) && value >= 0) {
+            settings[key] = value;
+        }
+    }
+    settings.maxInFlightPerHost = Math.max(1, settings.maxInFlightPerHost);
+    settings.pageConcurrency = Math.max(1, Math.floor(settings.pageConcurrency));
+    return settings;
+}
+
+/**
+ * Wraps a fetcher with robots.txt checks and per-host rate limits.
+ * @param {function(string, object): Promise<object>} fetcher - The fetcher to wrap.
+ * @param {object} settings - Politeness settings from normalizePoliteness.
+ * @param {object} context - { userAgent, signal }.
+ * @returns {function(string, object): Promise<object>} The polite fetcher.
+ */
+function createPoliteFetcher(fetcher, settings, { userAgent, signal }) {
+    const limiter = new HostLimiter(settings);
+    const robotsByOrigin = new Map();
+    // robots.txt groups are matched on the product token, e.g. "gb-webArchiver".
+    const robotsAgent = userAgent.split(/[\s/]/)[0];
+
+    const fetchLimited = (url, options) => limiter.run(new URL(url).host, () => fetcher(url, options), signal);
+
+    /**
+     * Loads the robots.txt rules of an origin once per crawl. Following RFC 9309,
+     * a missing file allows everything and an unreachable one allows nothing.
+     */
+    const getRobots = (origin) => {
+        if (!robotsByOrigin.has(origin)) {
+            const robotsUrl = `${origin}/robots.txt`;
+            const rules = fetchLimited(robotsUrl, { timeout: 10000 })
+                .then(response => {
+                    if (response.status >= 500) return robotsParser(robotsUrl, 'User-agent: *\nDisallow: /');
+                    if (response.status >= 400) return robotsParser(robotsUrl, '');
+                    return robotsParser(robotsUrl, response.body.toString('utf8'));
+                })
+                .catch(error => {
+                    if (signal?.aborted) throw error;
+                    console.error(`[ERROR] Could not fetch ${robotsUrl} (${error.message}); assuming everything is disallowed`);
+                    return robotsParser(robotsUrl, 'User-agent: *\nDisallow: /');
+                })
+                .then(robots => {
+                    const crawlDelay = robots.getCrawlDelay(robotsAgent);
+                    if (crawlDelay) limiter.setMinInterval(new URL(origin).host, crawlDelay * 1000);
+                    return robots;
+                });
+            robotsByOrigin.set(origin, rules);
+        }
+        return robotsByOrigin.get(origin);
+    };
+
+    return async (url, options = {}) => {
+        if (settings.respectRobotsTxt) {
+            const robots = await getRobots(new URL(url).origin);
+            if (robots.isAllowed(url, robotsAgent) === false) throw new RobotsDisallowedError(url);
+        }
+        return fetchLimited(url, options);
+    };
+}
+
+module.exports = { HostLimiter, RobotsDisallowedError, normalizePoliteness, createPoliteFetcher };
@@ -0,0 +1,104 @@
+/**
+ * Politeness Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const { HostLimiter, RobotsDisallowedError, normalizePoliteness, createPoliteFetcher } = require('./politeness');
+
+const SETTINGS = { respectRobotsTxt: true, minRequestIntervalMs: 0, maxInFlightPerHost: 2, pageConcurrency: 1 };
+
+/**
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>} Resolves after the delay.
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {object} robotsResponse - { status, body } answered for robots.txt.
+ * @returns {function(string): Promise<object>} A fetcher answering 200 for everything else, with the
+ *   requested URLs in `requested`.
+ */
+function siteFetcher(robotsResponse) {
+    const fetcher = async url => {
+        fetcher.requested.push(url);
+        if (url.endsWith('/robots.txt')) return { status: robotsResponse.status, headers: {}, body: Buffer.from(robotsResponse.body || '') };
+        return { status: 200, headers: {}, body: Buffer.from('ok') };
+    };
+    fetcher.requested = [];
+    return fetcher;
+}
+
+test('runs no more tasks at once for a host than allowed', async () => {
+    const limiter = new HostLimiter({ minRequestIntervalMs: 0, maxInFlightPerHost: 2 });
+    let running = 0, maxRunning = 0;
+    const task = async () => {
+        maxRunning = Math.max(maxRunning, ++running);
+        await delay(5);
+        running--;
+    };
+    await Promise.all([
+        ...Array.from({ length: 6 }, () => limiter.run('a.com', task)),
+        limiter.run('b.com', task)
+    ]);
+    assert.equal(maxRunning, 3);
+});
+
+test('spaces request starts to a host by its interval', async () => {
+    const limiter = new HostLimiter({ minRequestIntervalMs: 30, maxInFlightPerHost: 5 });
+    const starts = [];
+    await Promise.all(Array.from({ length: 3 }, () => limiter.run('a.com', async () => starts.push(Date.now()))));
+    // Timers may fire a millisecond early.
+    assert.ok(starts[1] - starts[0] >= 29 && starts[2] - starts[1] >= 29, `starts too close: ${starts}`);
+});
+
+test('drops a waiting task when its signal aborts and leaves no listeners behind', async () => {
+    const limiter = new HostLimiter({ minRequestIntervalMs: 0, maxInFlightPerHost: 1 });
+    const controller = new AbortController();
+    let release;
+    const blocking = limiter.run('a.com', () => new Promise(resolve => { release = resolve; }), controller.signal);
+    const finished = limiter.run('a.com', async () => 'second', new AbortController().signal);
+    let cancelledRan = false;
+    const cancelled = limiter.run('a.com', async () => { cancelledRan = true; }, controller.signal);
+
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(cancelled, /cancelled/);
+    release();
+    await blocking;
+    assert.equal(await finished, 'second');
+    assert.equal(cancelledRan, false);
+
+    const signal = new AbortController().signal;
+    await Promise.all(Array.from({ length: 5 }, () => limiter.run('a.com', async () => {}, signal)));
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+});
+
+test('refuses URLs that robots.txt disallows for the crawler', async () => {
+    const fetcher = siteFetcher({ status: 200, body: 'User-agent: gb-webArchiver\nDisallow: /private\n\nUser-agent: *\nDisallow: /' });
+    const fetchPolitely = createPoliteFetcher(fetcher, SETTINGS, { userAgent: 'gb-webArchiver/1.0 (+https://example.com)' });
+
+    assert.equal((await fetchPolitely('https://example.com/public')).status, 200);
+    await assert.rejects(fetchPolitely('https://example.com/private/page'), RobotsDisallowedError);
+    // robots.txt is fetched once per origin.
+    assert.deepEqual(fetcher.requested, ['https://example.com/robots.txt', 'https://example.com/public']);
+});
+
+test('allows everything without a robots.txt and nothing when it fails with a server error', async () => {
+    const missing = createPoliteFetcher(siteFetcher({ status: 404 }), SETTINGS, { userAgent: 'bot' });
+    assert.equal((await missing('https://example.com/page')).status, 200);
+
+    const failing = createPoliteFetcher(siteFetcher({ status: 503 }), SETTINGS, { userAgent: 'bot' });
+    await assert.rejects(failing('https://example.com/page'), RobotsDisallowedError);
+
+    const ignoring = createPoliteFetcher(siteFetcher({ status: 503 }), { ...SETTINGS, respectRobotsTxt: false }, { userAgent: 'bot' });
+    assert.equal((await ignoring('https://example.com/page')).status, 200);
+});
+
+test('keeps the defaults for missing or invalid politeness settings', () => {
+    const settings = normalizePoliteness({ minRequestIntervalMs: 'fast', maxInFlightPerHost: 0, pageConcurrency: 2.5, respectRobotsTxt: false }, SETTINGS);
+    assert.deepEqual(settings, { respectRobotsTxt: false, minRequestIntervalMs: 0, maxInFlightPerHost: 1, pageConcurrency: 2 });
+});
@@ -0,0 +1,69 @@
+/**
+ * Redirects
+ * * Wraps a fetcher so redirects are followed one request at a time instead of
+ * by the HTTP client, so every hop goes through the same robots.txt checks,
+ * per-host limits and retries as the URL that was requested. The responses
+ * that redirected are handed back with the final one, for the WARC file.
+ */
+
+// Most hops followed for one request, as browsers and most HTTP clients do.
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Finds where a response redirects to.
+ * @param {object} response - A response: { url, status, headers }.
+ * @returns {string|null} The absolute http(s) URL of its Location, without a fragment, or null if
+ *   it is not a redirect.
+ */
+function getRedirectTarget(response) {
+    const location = response.headers.location;
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) return null;
+    try {
+        const target = new URL(location, response.url);
+        target.hash = '';
+        return /^https?:$/.test(target.protocol) ? target.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Wraps a fetcher so it follows redirects. The final response gets `redirects`, the
+ * { url, status } of every hop, and `hops`, the responses that redirected. An error
+ * thrown on the way gets the hops received before it as its `hops` property.
+ * A request may pass a `canFollow(url)` option; a redirect it refuses is returned as
+ * the final response, with the URL it leads to as `redirectTarget`.
+ * @param {function(string, object): Promise<object>} fetcher - The fetcher to wrap; it must not follow redirects itself.
+ * @param {object} [settings] - { maxRedirects }.
+ * @returns {function(string, object): Promise<object>} The redirecting fetcher.
+ * @throws {Error} From the wrapped fetcher, or when a chain has more than maxRedirects hops.
+ */
+function createRedirectingFetcher(fetcher, { maxRedirects = MAX_REDIRECTS } = {}) {
+    return async (url, { canFollow = null, ...options } = {}) => {
+        const hops = [];
+        for (let hopUrl = url; ;) {
+            let response;
+            try {
+                response = await fetcher(hopUrl, options);
+            } catch (error) {
+                error.hops = hops;
+                throw error;
+            }
+            const target = getRedirectTarget(response);
+            if (!target || (canFollow && !canFollow(target))) {
+                const redirects = hops.map(hop => ({ url: hop.url, status: hop.status }));
+                return { ...response, redirects, hops, ...(target ? { redirectTarget: target } : {}) };
+            }
+            hops.push(response);
+            if (hops.length > maxRedirects) {
+                const error = new Error(`Too many redirects (more than ${maxRedirects}) from ${url}`);
+                error.hops = hops;
+                throw error;
+            }
+            hopUrl = target;
+        }
+    };
+}
+
+module.exports = { MAX_REDIRECTS, getRedirectTarget, createRedirectingFetcher };
@@ -0,0 +1,92 @@
+/**
+ * Redirects Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRedirectTarget, createRedirectingFetcher } = require('./redirects');
+const { RobotsDisallowedError, createPoliteFetcher } = require('./politeness');
+
+/**
+ * @param {object} site - URL mapped to { status, headers, body }; other URLs answer 404.
+ * @returns {function(string): Promise<object>} A fetcher that does not follow redirects, with the
+ *   requested URLs in `requested`.
+ */
+function siteFetcher(site) {
+    const fetcher = async url => {
+        fetcher.requested.push(url);
+        const { status = 200, headers = {}, body = '' } = site[url] || { status: 404 };
+        return { url, status, headers, body: Buffer.from(body) };
+    };
+    fetcher.requested = [];
+    return fetcher;
+}
+
+/**
+ * @param {string} location - The Location header.
+ * @param {number} [status] - The redirect status.
+ * @returns {object} A redirect response.
+ */
+function redirect(location, status = 302) {
+    return { status, headers: { location } };
+}
+
+test('resolves Location against the redirecting URL', () => {
+    assert.equal(getRedirectTarget({ url: 'https://example.com/a/b', status: 301, headers: { location: '../c#top' } }), 'https://example.com/c');
+    assert.equal(getRedirectTarget({ url: 'https://example.com/', status: 302, headers: { location: 'mailto:x@example.com' } }), null);
+    assert.equal(getRedirectTarget({ url: 'https://example.com/', status: 200, headers: { location: '/other' } }), null);
+    assert.equal(getRedirectTarget({ url: 'https://example.com/', status: 304, headers: {} }), null);
+});
+
+test('follows every hop and returns the redirects with the final response', async () => {
+    const fetcher = siteFetcher({
+        'https://example.com/old': redirect('/moved', 301),
+        'https://example.com/moved': redirect('https://www.example.com/new', 307),
+        'https://www.example.com/new': { body: 'here' }
+    });
+    const response = await createRedirectingFetcher(fetcher)('https://example.com/old');
+
+    assert.equal(response.url, 'https://www.example.com/new');
+    assert.equal(response.body.toString(), 'here');
+    assert.deepEqual(response.redirects, [{ url: 'https://example.com/old', status: 301 }, { url: 'https://example.com/moved', status: 307 }]);
+    assert.deepEqual(response.hops.map(hop => hop.url), ['https://example.com/old', 'https://example.com/moved']);
+    assert.deepEqual(fetcher.requested, ['https://example.com/old', 'https://example.com/moved', 'https://www.example.com/new']);
+});
+
+test('gives up on redirect loops', async () => {
+    const fetcher = siteFetcher({ 'https://example.com/a': redirect('/b'), 'https://example.com/b': redirect('/a') });
+    await assert.rejects(createRedirectingFetcher(fetcher, { maxRedirects: 3 })('https://example.com/a'), error => {
+        assert.match(error.message, /Too many redirects/);
+        assert.equal(error.hops.length, 4);
+        return true;
+    });
+});
+
+test('checks robots.txt for every hop of a redirect', async () => {
+    const fetcher = siteFetcher({
+        'https://example.com/robots.txt': { body: 'User-agent: *\nDisallow: /private' },
+        'https://example.com/r2': redirect('/private/secret.html'),
+        'https://example.com/private/secret.html': { body: 'secret' }
+    });
+    const settings = { respectRobotsTxt: true, minRequestIntervalMs: 0, maxInFlightPerHost: 1, pageConcurrency: 1 };
+    const fetchPolitely = createRedirectingFetcher(createPoliteFetcher(fetcher, settings, { userAgent: 'bot' }));
+
+    await assert.rejects(fetchPolitely('https://example.com/r2'), error => {
+        assert.ok(error instanceof RobotsDisallowedError);
+        assert.equal(error.url, 'https://example.com/private/secret.html');
+        assert.deepEqual(error.hops.map(hop => hop.url), ['https://example.com/r2']);
+        return true;
+    });
+    assert.ok(!fetcher.requested.includes('https://example.com/private/secret.html'));
+});
+
+test('returns a redirect the request does not want followed', async () => {
+    const fetcher = siteFetcher({ 'https://example.com/a': redirect('/b'), 'https://example.com/b': redirect('https://other.org/') });
+    const response = await createRedirectingFetcher(fetcher)('https://example.com/a', { canFollow: url => url.startsWith('https://example.com/') });
+    assert.equal(response.status, 302);
+    assert.equal(response.url, 'https://example.com/b');
+    assert.equal(response.redirectTarget, 'https://other.org/');
+    assert.deepEqual(response.redirects, [{ url: 'https://example.com/a', status: 302 }]);
+    assert.deepEqual(fetcher.requested, ['https://example.com/a', 'https://example.com/b']);
+});
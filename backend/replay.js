@@ -0,0 +1,175 @@
+/**
+ * Wayback-Style Replay
+ * * Serves archived pages under `/replay/<timestamp>/<original URL>`. The
+ * links of a replayed page are rewritten on the fly so browsing stays inside
+ * the archive: captured pages lead to the capture nearest to the same time,
+ * from whichever snapshot holds it, and a banner at the top of the page tells
+ * when it was captured and links to the previous and next captures.
+ */
+
+const path = require('path');
+const cheerio = require('cheerio');
+
+// Fills in the parts left out of a partial timestamp, e.g. '2024' means 2024-01-01 00:00:00.
+const TIMESTAMP_TEMPLATE = '00000101000000';
+// Appended to the timestamp of frames, which are replayed without a banner.
+const FRAME_MODIFIER = 'if_';
+const BANNER_ID = 'archiver-replay-banner';
+
+/**
+ * @param {Date|string} date - A date, or an ISO string.
+ * @returns {string} The 14-digit replay timestamp, YYYYMMDDhhmmss in UTC.
+ */
+function formatReplayTimestamp(date) {
+    return new Date(date).toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+/**
+ * Parses a replay timestamp. Partial timestamps such as '2024' or '202405' are allowed.
+ * @param {string} timestamp - 1 to 14 digits.
+ * @returns {Date|null} The date, or null if the timestamp is not valid.
+ */
+function parseReplayTimestamp(timestamp) {
+    if (!/^\d{1,14}$/.test(timestamp)) return null;
+    const digits = timestamp + TIMESTAMP_TEMPLATE.slice(timestamp.length);
+    const [, year, month, day, hours, minutes, seconds] = digits.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+    const date = new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {string} timestamp - The replay timestamp.
+ * @param {string} url - The original URL.
+ * @param {boolean} [isFrame] - Whether the page is shown inside a frame, and so without a banner.
+ * @returns {string} The replay path of the URL.
+ */
+function getReplayPath(timestamp, url, isFrame = false) {
+    return `/replay/${timestamp}${isFrame ? FRAME_MODIFIER : ''}/${url}`;
+}
+
+/**
+ * Builds the banner shown above a replayed page. Its styles are inline so the
+ * page's own stylesheets cannot restyle it.
+ * @param {object} $ - The Cheerio document of the page.
+ * @param {object} banner - { originalUrl, datetime, position, total, prev, next } where prev and
+ *   next are { href, datetime } of the neighbouring captures, or null.
+ * @returns {object} The banner element.
+ */
+function buildBanner($, { originalUrl, datetime, position, total, prev, next }) {
+    const linkStyle = 'color: #61dafb; text-decoration: underline;';
+    const bannerEl = $('<div></div>').attr({
+        id: BANNER_ID,
+        style: 'all: initial; display: flex; flex-wrap: wrap; gap: 0.5em 1.5em; align-items: center; padding: 8px 12px; '
+            + 'background: #282c34; color: #f0f0f0; font: 14px/1.4 sans-serif; border-bottom: 2px solid #61dafb;'
+    });
+    const originalEl = $('<span></span>').text('Archived copy of ');
+    originalEl.append($('<a></a>').attr({ href: originalUrl, style: linkStyle, target: '_top' }).text(originalUrl));
+    bannerEl.append(originalEl);
+    bannerEl.append($('<span></span>').text(`Captured ${new Date(datetime).toUTCString()} (${position} of ${total})`));
+
+    const navigationEl = $('<span></span>');
+    const addNeighbour = (neighbour, label) => {
+        if (!neighbour) return;
+        const text = `${label} ${new Date(neighbour.datetime).toUTCString()}`;
+        navigationEl.append($('<a></a>').attr({ href: neighbour.href, style: `${linkStyle} margin-right: 1em;`, target: '_top' }).text(text));
+    };
+    addNeighbour(prev, '‹ Previous:');
+    addNeighbour(next, 'Next ›:');
+    if (prev || next) bannerEl.append(navigationEl);
+    return bannerEl;
+}
+
+/**
+ * Resolves a link of a saved page to the page it leads to, if that page is
+ * captured in the same snapshot.
+ * @param {string} href - The link as saved, relative to the page file.
+ * @param {string} pageFile - The file of the page, relative to the snapshot.
+ * @param {Map<string, string>} pageUrls - { file -> original URL } of the pages of the snapshot.
+ * @returns {string|null} The original URL of the linked page, with the link's fragment.
+ */
+function resolveSavedLink(href, pageFile, pageUrls) {
+    const [, linkPath, hash = ''] = href.match(/^([^?#]*)(?:\?[^#]*)?(#.*)?$/);
+    if (!linkPath) return null;
+    let decodedPath = linkPath;
+    try {
+        decodedPath = decodeURI(linkPath);
+    } catch (e) { /* Keep malformed escapes as they are */ }
+    const file = path.posix.normalize(path.posix.join(path.posix.dirname(pageFile), decodedPath));
+    const url = pageUrls.get(file) || pageUrls.get(path.posix.join(file, 'index.html'));
+    return url ? url + hash : null;
+}
+
+/**
+ * Rewrites a saved page for replay. Relative references (assets, stylesheets,
+ * images) keep working through a <base> pointing at the snapshot under /view.
+ * Links to captured pages and to live URLs are pointed at the replay route,
+ * with the same timestamp, so the nearest capture of each is shown.
+ * @param {string} html - The saved page.
+ * @param {object} options
+ * @param {string} options.timestamp - The replay timestamp of the page.
+ * @param {string} options.originalUrl - The original URL of the page.
+ * @param {string} options.pageFile - The file of the page, relative to the snapshot.
+ * @param {string} options.viewBase - The /view path of the snapshot, ending in '/'.
+ * @param {Map<string, string>} options.pageUrls - { file -> original URL } of the pages of the snapshot.
+ * @param {object|null} options.banner - See buildBanner; null for pages shown in a frame.
+ * @returns {string} The rewritten page.
+ */
+function rewriteReplayPage(html, { timestamp, originalUrl, pageFile, viewBase, pageUrls, banner }) {
+    const $ = cheerio.load(html);
+    const toReplayPath = (href, isFrame) => {
+        if (href.startsWith('#')) return getReplayPath(timestamp, originalUrl, isFrame) + href;
+        if (/^https?:\/\//i.test(href)) return getReplayPath(timestamp, href, isFrame);
+        if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//')) return null;
+        const linkedUrl = resolveSavedLink(href, pageFile, pageUrls);
+        if (linkedUrl) return getReplayPath(timestamp, linkedUrl, isFrame);
+        // Frame sources and root-relative links were left as the site wrote them, relative to the original URL.
+        if (isFrame || href.startsWith('/')) return getReplayPath(timestamp, new URL(href, originalUrl).href, isFrame);
+        return null;
+    };
+
+    $('a[href], area[href]').each((_, element) => {
+        const el = $(element);
+        const replayPath = toReplayPath(el.attr('href').trim(), false);
+        if (replayPath) el.attr('href', replayPath);
+    });
+    $('iframe[src], frame[src]').each((_, element) => {
+        const el = $(element);
+        const replayPath = toReplayPath(el.attr('src').trim(), true);
+        if (replayPath) el.attr('src', replayPath);
+    });
+
+    // The page's own <base> would point relative references back at the live site.
+    $('base').remove();
+    const pageDir = path.posix.dirname(pageFile);
+    const baseHref = viewBase + (pageDir === '.' ? '' : `${encodeURI(pageDir)}/`);
+    if ($('head').length === 0) $('html').prepend('<head></head>');
+    $('head').prepend($('<base>').attr('href', baseHref));
+
+    if (banner) $('body').prepend(buildBanner($, banner));
+    return $.html();
+}
+
+/**
+ * Renders the page shown when a URL has no capture to replay.
+ * @param {string} url - The requested original URL.
+ * @returns {string} The HTML page.
+ */
+function renderNotArchivedPage(url) {
+    const $ = cheerio.load('<!DOCTYPE html><html><head><title>Not archived</title></head><body></body></html>');
+    $('body').attr('style', 'font-family: sans-serif; margin: 2em;')
+        .append($('<h1></h1>').text('Not archived'))
+        .append($('<p></p>').text('This page has not been captured in any snapshot. ').append(
+            $('<a></a>').attr({ href: url, target: '_top' }).text(`Open ${url} on the live web`)
+        ));
+    return $.html();
+}
+
+module.exports = {
+    FRAME_MODIFIER,
+    formatReplayTimestamp,
+    parseReplayTimestamp,
+    getReplayPath,
+    resolveSavedLink,
+    rewriteReplayPage,
+    renderNotArchivedPage
+};
@@ -0,0 +1,105 @@
+/**
+ * Wayback-Style Replay Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { formatReplayTimestamp, parseReplayTimestamp, getReplayPath, resolveSavedLink, rewriteReplayPage, renderNotArchivedPage } = require('./replay');
+
+const PAGE_URLS = new Map([
+    ['index.html', 'https://example.com/'],
+    ['about/index.html', 'https://example.com/about'],
+    ['docs/guide/index.html', 'https://example.com/docs/guide']
+]);
+
+/**
+ * Rewrites a page of the snapshot for replay.
+ * @param {string} html - The saved page.
+ * @param {object} [options] - Overrides of the rewriting options.
+ * @returns {object} The Cheerio document of the rewritten page.
+ */
+function replay(html, options = {}) {
+    return cheerio.load(rewriteReplayPage(html, {
+        timestamp: '20240101000000',
+        originalUrl: 'https://example.com/docs/guide',
+        pageFile: 'docs/guide/index.html',
+        viewBase: '/view/example.com/2024-01-01T00-00-00.000Z/',
+        pageUrls: PAGE_URLS,
+        banner: null,
+        ...options
+    }));
+}
+
+test('parses full and partial timestamps', () => {
+    assert.equal(formatReplayTimestamp('2024-05-13T12:30:45.123Z'), '20240513123045');
+    assert.equal(parseReplayTimestamp('20240513123045').toISOString(), '2024-05-13T12:30:45.000Z');
+    assert.equal(parseReplayTimestamp('2024').toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.equal(parseReplayTimestamp('202405').toISOString(), '2024-05-01T00:00:00.000Z');
+    assert.equal(parseReplayTimestamp('20241301'), null);
+    assert.equal(parseReplayTimestamp('2024-05'), null);
+    assert.equal(getReplayPath('2024', 'https://example.com/a?b=c'), '/replay/2024/https://example.com/a?b=c');
+    assert.equal(getReplayPath('2024', 'https://example.com/frame', true), '/replay/2024if_/https://example.com/frame');
+});
+
+test('resolves saved links to the pages of the snapshot', () => {
+    assert.equal(resolveSavedLink('../../about/index.html#team', 'docs/guide/index.html', PAGE_URLS), 'https://example.com/about#team');
+    assert.equal(resolveSavedLink('../../index.html?ref=nav', 'docs/guide/index.html', PAGE_URLS), 'https://example.com/');
+    assert.equal(resolveSavedLink('../../about/', 'docs/guide/index.html', PAGE_URLS), 'https://example.com/about');
+    assert.equal(resolveSavedLink('style.css', 'docs/guide/index.html', PAGE_URLS), null);
+    assert.equal(resolveSavedLink('#top', 'docs/guide/index.html', PAGE_URLS), null);
+});
+
+test('points links at the replay of the linked URL at the same time', () => {
+    const $ = replay(`<html><head><base href="https://example.com/"></head><body>
+        <a id="saved" href="../../about/index.html">About</a>
+        <a id="live" href="https://example.com/news">News, captured in another snapshot</a>
+        <a id="root" href="/contact">Contact</a>
+        <a id="fragment" href="#part-2">Part 2</a>
+        <a id="mail" href="mailto:team@example.com">Mail</a>
+        <a id="asset" href="report.pdf">Report</a>
+        <img src="../../_assets/logo.png">
+        <iframe src="/embedded"></iframe>
+    </body></html>`);
+
+    assert.equal($('#saved').attr('href'), '/replay/20240101000000/https://example.com/about');
+    assert.equal($('#live').attr('href'), '/replay/20240101000000/https://example.com/news');
+    assert.equal($('#root').attr('href'), '/replay/20240101000000/https://example.com/contact');
+    assert.equal($('#fragment').attr('href'), '/replay/20240101000000/https://example.com/docs/guide#part-2');
+    assert.equal($('#mail').attr('href'), 'mailto:team@example.com');
+    assert.equal($('#asset').attr('href'), 'report.pdf');
+    assert.equal($('iframe').attr('src'), '/replay/20240101000000if_/https://example.com/embedded');
+    // Assets stay relative, resolved against the snapshot under /view.
+    assert.equal($('img').attr('src'), '../../_assets/logo.png');
+    assert.deepEqual($('base').map((_, el) => $(el).attr('href')).get(), ['/view/example.com/2024-01-01T00-00-00.000Z/docs/guide/']);
+    assert.equal($('#archiver-replay-banner').length, 0);
+});
+
+test('shows when the page was captured and links to the neighbouring captures', () => {
+    const $ = replay('<p>Guide</p>', {
+        banner: {
+            originalUrl: 'https://example.com/docs/guide',
+            datetime: '2024-01-01T00:00:00.000Z',
+            position: 1,
+            total: 2,
+            prev: null,
+            next: { href: '/replay/20240601000000/https://example.com/docs/guide', datetime: '2024-06-01T00:00:00.000Z' }
+        }
+    });
+
+    const banner = $('body').children().first();
+    assert.equal(banner.attr('id'), 'archiver-replay-banner');
+    assert.match(banner.text(), /Captured Mon, 01 Jan 2024 00:00:00 GMT \(1 of 2\)/);
+    assert.deepEqual(banner.find('a').map((_, el) => [[$(el).attr('href'), $(el).attr('target')]]).get(), [
+        ['https://example.com/docs/guide', '_top'],
+        ['/replay/20240601000000/https://example.com/docs/guide', '_top']
+    ]);
+    assert.doesNotMatch(banner.text(), /Previous/);
+});
+
+test('offers the live page when nothing was captured', () => {
+    const $ = cheerio.load(renderNotArchivedPage('https://example.com/new'));
+    assert.equal($('h1').text(), 'Not archived');
+    assert.equal($('a').attr('href'), 'https://example.com/new');
+});
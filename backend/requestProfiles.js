@@ -0,0 +1,315 @@
+/**
+ * Request Profiles
+ * * Extra request settings for crawling sites that need them: custom headers,
+ * cookies (also imported from a Netscape cookies.txt file), HTTP basic auth and
+ * a proxy. A profile is given with a crawl or saved under a name for reuse.
+ * Cookies are only sent to the hosts and paths they belong to, headers to the
+ * hosts listed with them, and basic auth only to the host of the start URL. Secrets never leave the backend: saved
+ * profiles, manifests and job parameters only show them redacted.
+ */
+
+const fs = require('fs-extra');
+
+const REDACTED = '[redacted]';
+// Set through other settings, so a profile may not override them.
+const MANAGED_HEADERS = { 'user-agent': 'userAgent', cookie: 'cookies', host: null, 'content-length': null };
+// Request headers whose values are credentials, redacted when requests are recorded.
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+const PROFILE_NAME_PATTERN = /^[\w .-]{1,64}$/;
+// A host the headers are sent to; a leading dot includes its subdomains, as for cookies.
+const HEADER_HOST_PATTERN = /^\.?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Error thrown for an invalid request profile.
+ */
+class RequestProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RequestProfileError';
+    }
+}
+
+/**
+ * Parses a cookies.txt file in the Netscape format written by browser
+ * extensions, curl and wget: one tab-separated line per cookie with domain,
+ * include-subdomains flag, path, secure flag, expiry, name and value.
+ * @param {string} text - The file content.
+ * @returns {object[]} Cookies as { name, value, domain, includeSubdomains, path, secure, expires }.
+ */
+function parseNetscapeCookies(text) {
+    const cookies = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        // HttpOnly cookies are written with a prefix that looks like a comment.
+        const line = rawLine.replace(/^#HttpOnly_/, '');
+        if (!line.trim() || line.startsWith('#')) continue;
+        const fields = line.split('\t');
+        if (fields.length < 7) throw new RequestProfileError(`Invalid cookies.txt line: ${rawLine}`);
+        const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+        cookies.push({
+            name,
+            value: value.join('\t'),
+            domain: domain.replace(/^\./, '').toLowerCase(),
+            includeSubdomains: includeSubdomains.toUpperCase() === 'TRUE',
+            path: path || '/',
+            secure: secure.toUpperCase() === 'TRUE',
+            expires: Number(expires) > 0 ? Number(expires) : null
+        });
+    }
+    return cookies;
+}
+
+/**
+ * Validates one cookie given as JSON.
+ * @param {object} cookie - { name, value, domain, path, secure, expires }. Without a domain
+ *   it belongs to the host of the start URL; a leading dot includes subdomains.
+ * @returns {object} The cookie in the form of parseNetscapeCookies.
+ */
+function normalizeCookie(cookie) {
+    if (!cookie || typeof cookie.name !== 'string' || !cookie.name || /[=;\s]/.test(cookie.name)) {
+        throw new RequestProfileError('Every cookie needs a name without spaces, "=" or ";".');
+    }
+    const domain = typeof cookie.domain === 'string' && cookie.domain.trim() ? cookie.domain.trim().toLowerCase() : null;
+    return {
+        name: cookie.name,
+        value: String(cookie.value ?? ''),
+        domain: domain && domain.replace(/^\./, ''),
+        includeSubdomains: cookie.includeSubdomains !== undefined ? Boolean(cookie.includeSubdomains) : Boolean(domain && domain.startsWith('.')),
+        path: typeof cookie.path === 'string' && cookie.path.startsWith('/') ? cookie.path : '/',
+        secure: Boolean(cookie.secure),
+        expires: Number(cookie.expires) > 0 ? Number(cookie.expires) : null
+    };
+}
+
+/**
+ * Validates a request profile.
+ * @param {object} [definition] - { headers, headerHosts, cookies, cookiesTxt, auth, proxy }: headers as
+ *   { name: value }, headerHosts as the hosts they are sent to (the host of the start URL if there are
+ *   none; a leading dot includes subdomains), cookies as a list (see normalizeCookie), cookiesTxt as the
+ *   content of a Netscape cookies.txt file, auth as { username, password } and proxy as an http(s) URL.
+ * @returns {object} { headers, headerHosts, cookies, auth, proxy } with unused settings empty or null.
+ */
+function normalizeRequestProfile({ headers, headerHosts, cookies, cookiesTxt, auth, proxy } = {}) {
+    const profile = { headers: {}, headerHosts: [], cookies: [], auth: null, proxy: null };
+
+    for (const [name, value] of Object.entries(headers || {})) {
+        if (!/^[!#$%&'*+.^`|~\w-]+$/.test(name)) throw new RequestProfileError(`Invalid header name: ${name}`);
+        const managedBy = MANAGED_HEADERS[name.toLowerCase()];
+        if (managedBy !== undefined) {
+            throw new RequestProfileError(managedBy ? `Set the ${name} header with ${managedBy} instead.` : `The ${name} header cannot be set.`);
+        }
+        if (/[\r\n]/.test(String(value))) throw new RequestProfileError(`Invalid value for the ${name} header.`);
+        profile.headers[name] = String(value);
+    }
+
+    if (headerHosts !== undefined && headerHosts !== null && !Array.isArray(headerHosts)) throw new RequestProfileError('headerHosts must be a list.');
+    for (const host of headerHosts || []) {
+        const normalized = String(host).trim().toLowerCase();
+        if (!HEADER_HOST_PATTERN.test(normalized)) throw new RequestProfileError(`Invalid host for the headers: ${host}`);
+        if (!profile.headerHosts.includes(normalized)) profile.headerHosts.push(normalized);
+    }
+
+    if (cookies !== undefined && !Array.isArray(cookies)) throw new RequestProfileError('cookies must be a list.');
+    profile.cookies = (cookies || []).map(normalizeCookie);
+    if (typeof cookiesTxt === 'string' && cookiesTxt.trim()) profile.cookies.push(...parseNetscapeCookies(cookiesTxt));
+
+    if (auth && (auth.username || auth.password)) {
+        if (typeof auth.username !== 'string' || !auth.username || auth.username.includes(':')) {
+            throw new RequestProfileError('Basic auth needs a username without ":".');
+        }
+        profile.auth = { username: auth.username, password: String(auth.password ?? '') };
+    }
+
+    if (proxy) {
+        let proxyUrl;
+        try {
+            proxyUrl = new URL(proxy);
+        } catch (e) {
+            throw new RequestProfileError(`Invalid proxy URL: ${proxy}`);
+        }
+        if (!['http:', 'https:'].includes(proxyUrl.protocol)) throw new RequestProfileError('The proxy must be an http:// or https:// URL.');
+        profile.proxy = proxyUrl.href;
+    }
+    return profile;
+}
+
+/**
+ * @param {object|null} profile - A profile from normalizeRequestProfile, possibly with a name.
+ * @returns {object|null} The profile with header values, cookie values, the password and the
+ *   proxy credentials replaced, for showing or storing where secrets do not belong.
+ */
+function redactRequestProfile(profile) {
+    if (!profile) return null;
+    let proxy = profile.proxy;
+    if (proxy) {
+        const proxyUrl = new URL(proxy);
+        proxy = proxyUrl.password ? proxyUrl.href.replace(`:${proxyUrl.password}@`, `:${REDACTED}@`) : proxyUrl.href;
+    }
+    return {
+        ...(profile.name ? { name: profile.name } : {}),
+        headers: Object.fromEntries(Object.keys(profile.headers).map(name => [name, REDACTED])),
+        headerHosts: profile.headerHosts || [],
+        cookies: profile.cookies.map(cookie => ({ ...cookie, value: REDACTED })),
+        auth: profile.auth && { username: profile.auth.username, password: REDACTED },
+        proxy
+    };
+}
+
+/**
+ * @param {object} cookie - A cookie of a profile.
+ * @param {URL} url - The URL being requested.
+ * @param {string} startHost - The host of the start URL, for cookies without a domain.
+ * @returns {boolean} Whether the cookie is sent with the request.
+ */
+function cookieMatches(cookie, url, startHost) {
+    const domain = cookie.domain || startHost;
+    const host = url.hostname.toLowerCase();
+    if (host !== domain && !(cookie.includeSubdomains && host.endsWith(`.${domain}`))) return false;
+    const cookiePath = cookie.path.replace(/\/$/, '');
+    if (url.pathname !== cookiePath && !url.pathname.startsWith(`${cookiePath}/`)) return false;
+    if (cookie.secure && url.protocol !== 'https:') return false;
+    return !(cookie.expires && cookie.expires * 1000 < Date.now());
+}
+
+/**
+ * @param {string} host - The host being requested, lowercase.
+ * @param {string[]} headerHosts - The hosts the headers of a profile are sent to; none means the start host.
+ * @param {string} startHost - The host of the start URL.
+ * @returns {boolean} Whether the headers are sent to the host.
+ */
+function headerHostMatches(host, headerHosts, startHost) {
+    if (headerHosts.length === 0) return host === startHost;
+    return headerHosts.some(entry => (entry.startsWith('.') ? host === entry.slice(1) || host.endsWith(entry) : host === entry));
+}
+
+/**
+ * Builds the Axios options that apply a profile to one request.
+ * @param {object|null} profile - A profile from normalizeRequestProfile.
+ * @param {string} url - The URL being requested.
+ * @param {string} startUrl - The start URL of the crawl; basic auth is only sent to its host, and
+ *   the headers too unless the profile lists their hosts.
+ * @returns {object} { headers, proxy } to merge into the request options.
+ */
+function getRequestOptions(profile, url, startUrl) {
+    if (!profile) return { headers: {} };
+    const urlObject = new URL(url);
+    const startHost = new URL(startUrl).hostname.toLowerCase();
+    // Profiles saved before headers were limited to hosts have no list; they get the start host.
+    const headers = headerHostMatches(urlObject.hostname.toLowerCase(), profile.headerHosts || [], startHost) ? { ...profile.headers } : {};
+
+    const cookieHeader = profile.cookies
+        .filter(cookie => cookieMatches(cookie, urlObject, startHost))
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    if (cookieHeader) headers.Cookie = cookieHeader;
+    if (profile.auth && urlObject.hostname.toLowerCase() === startHost) {
+        headers.Authorization = `Basic ${Buffer.from(`${profile.auth.username}:${profile.auth.password}`).toString('base64')}`;
+    }
+
+    const options = { headers };
+    if (profile.proxy) {
+        const proxyUrl = new URL(profile.proxy);
+        options.proxy = {
+            protocol: proxyUrl.protocol.replace(/:$/, ''),
+            host: proxyUrl.hostname,
+            port: Number(proxyUrl.port) || (proxyUrl.protocol === 'https:' ? 443 : 80),
+            ...(proxyUrl.username ? { auth: { username: decodeURIComponent(proxyUrl.username), password: decodeURIComponent(proxyUrl.password) } } : {})
+        };
+    }
+    return options;
+}
+
+/**
+ * @param {object} headers - Request headers as sent.
+ * @param {object|null} profile - The profile applied to the request; the headers it adds may hold tokens too.
+ * @returns {object} The headers with credentials replaced, for recording in the WARC file.
+ */
+function redactRequestHeaders(headers, profile) {
+    const redacted = new Set([...CREDENTIAL_HEADERS, ...Object.keys(profile ? profile.headers : {}).map(name => name.toLowerCase())]);
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => (
+        [name, redacted.has(name.toLowerCase()) ? REDACTED : value]
+    )));
+}
+
+class RequestProfiles {
+    /**
+     * @param {string} filePath - Where profiles are persisted.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.profiles = null;
+    }
+
+    /**
+     * Loads the persisted profiles on first use.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (this.profiles) return;
+        this.profiles = new Map();
+        if (await fs.pathExists(this.filePath)) {
+            const saved = await fs.readJson(this.filePath);
+            saved.forEach(profile => this.profiles.set(profile.name, profile));
+        }
+    }
+
+    async save() {
+        await fs.outputJson(this.filePath, [...this.profiles.values()], { spaces: 2, mode: 0o600 });
+    }
+
+    /**
+     * @returns {Promise<object[]>} Every profile, redacted, sorted by name.
+     */
+    async list() {
+        await this.load();
+        return [...this.profiles.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(profile => ({ ...redactRequestProfile(profile), updatedAt: profile.updatedAt }));
+    }
+
+    /**
+     * @param {string} name - The profile name.
+     * @returns {Promise<object|null>} The profile with its secrets, or null if there is none.
+     */
+    async get(name) {
+        await this.load();
+        return this.profiles.get(name) || null;
+    }
+
+    /**
+     * Creates or replaces a named profile.
+     * @param {string} name - The profile name.
+     * @param {object} definition - See normalizeRequestProfile.
+     * @returns {Promise<object>} The stored profile, redacted.
+     */
+    async set(name, definition) {
+        if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+            throw new RequestProfileError('Profile names are 1 to 64 letters, digits, spaces, dots, dashes or underscores.');
+        }
+        await this.load();
+        const profile = { name, ...normalizeRequestProfile(definition), updatedAt: new Date().toISOString() };
+        this.profiles.set(name, profile);
+        await this.save();
+        return { ...redactRequestProfile(profile), updatedAt: profile.updatedAt };
+    }
+
+    /**
+     * @param {string} name - The profile name.
+     * @returns {Promise<boolean>} False if there was no such profile.
+     */
+    async remove(name) {
+        await this.load();
+        if (!this.profiles.delete(name)) return false;
+        await this.save();
+        return true;
+    }
+}
+
+module.exports = {
+    RequestProfiles,
+    RequestProfileError,
+    parseNetscapeCookies,
+    normalizeRequestProfile,
+    redactRequestProfile,
+    getRequestOptions,
+    redactRequestHeaders
+};
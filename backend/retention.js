@@ -0,0 +1,174 @@
+/**
+ * Retention Policies
+ * * A policy decides which snapshots of a domain are kept: the newest N of each
+ * start page, and/or every snapshot younger than a number of days plus one per
+ * day, week or month for the older ones. A snapshot is kept if any rule keeps
+ * it. Policies are persisted as JSON and applied on demand or after every crawl
+ * of their domain.
+ */
+
+const fs = require('fs-extra');
+const { snapshotIdToDate } = require('./searchIndex');
+
+const PERIODS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error thrown for an invalid retention policy.
+ */
+class RetentionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RetentionError';
+    }
+}
+
+/**
+ * Validates a retention policy.
+ * @param {object} definition - { keepLast, keepOnePer, afterDays, applyAfterCrawl }.
+ * @returns {object} The policy with keepLast and keepOnePer set to null when unused.
+ */
+function normalizeRetentionPolicy({ keepLast, keepOnePer, afterDays, applyAfterCrawl } = {}) {
+    const policy = { keepLast: null, keepOnePer: null, afterDays: 0, applyAfterCrawl: Boolean(applyAfterCrawl) };
+    if (keepLast !== undefined && keepLast !== null && keepLast !== '') {
+        const count = Number(keepLast);
+        if (!Number.isInteger(count) || count < 1) throw new RetentionError('keepLast must be a whole number of at least 1.');
+        policy.keepLast = count;
+    }
+    if (keepOnePer) {
+        if (!PERIODS.includes(keepOnePer)) throw new RetentionError(`keepOnePer must be one of: ${PERIODS.join(', ')}.`);
+        const days = Number(afterDays || 0);
+        if (!Number.isFinite(days) || days < 0) throw new RetentionError('afterDays must be a number of days, 0 or more.');
+        policy.keepOnePer = keepOnePer;
+        policy.afterDays = days;
+    }
+    if (policy.keepLast === null && policy.keepOnePer === null) {
+        throw new RetentionError('A retention policy needs keepLast, keepOnePer, or both.');
+    }
+    return policy;
+}
+
+/**
+ * Names the day, week (starting on Monday) or month a date falls in, in UTC.
+ * @param {Date} date - The date.
+ * @param {string} period - 'day', 'week' or 'month'.
+ * @returns {string} The period, e.g. '2024-05-13' for a day or week, '2024-05' for a month.
+ */
+function getPeriodKey(date, period) {
+    if (period === 'month') return date.toISOString().slice(0, 7);
+    if (period === 'week') {
+        const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+        return monday.toISOString().slice(0, 10);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Picks the snapshots a policy does not keep. Each start page is treated on its
+ * own, so a rarely captured start page is not pushed out by a frequent one.
+ * @param {object[]} snapshots - The complete snapshots of a domain, as { id, startUrl }.
+ * @param {object} policy - A policy from normalizeRetentionPolicy.
+ * @param {Date} [now] - The current time.
+ * @returns {string[]} The IDs of the snapshots to delete, oldest first.
+ */
+function selectSnapshotsToPrune(snapshots, policy, now = new Date()) {
+    const byStartUrl = new Map();
+    for (const snapshot of snapshots) {
+        if (!byStartUrl.has(snapshot.startUrl)) byStartUrl.set(snapshot.startUrl, []);
+        byStartUrl.get(snapshot.startUrl).push(snapshot);
+    }
+
+    const pruned = [];
+    for (const group of byStartUrl.values()) {
+        group.sort((a, b) => b.id.localeCompare(a.id));
+        const keptPeriods = new Set();
+        group.forEach((snapshot, index) => {
+            let keep = policy.keepLast !== null && index < policy.keepLast;
+            if (policy.keepOnePer) {
+                const capturedAt = snapshotIdToDate(snapshot.id);
+                if (now.getTime() - capturedAt.getTime() < policy.afterDays * DAY_MS) {
+                    keep = true;
+                } else {
+                    // Newest first, so the first snapshot seen in a period is the one kept for it.
+                    const period = getPeriodKey(capturedAt, policy.keepOnePer);
+                    keep = keep || !keptPeriods.has(period);
+                    keptPeriods.add(period);
+                }
+            }
+            if (!keep) pruned.push(snapshot.id);
+        });
+    }
+    return pruned.sort();
+}
+
+class RetentionPolicies {
+    /**
+     * @param {string} filePath - Where policies are persisted.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.policies = null;
+    }
+
+    /**
+     * Loads the persisted policies on first use.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (this.policies) return;
+        this.policies = new Map();
+        if (await fs.pathExists(this.filePath)) {
+            const saved = await fs.readJson(this.filePath);
+            saved.forEach(policy => this.policies.set(policy.domain, policy));
+        }
+    }
+
+    async save() {
+        await fs.outputJson(this.filePath, [...this.policies.values()], { spaces: 2 });
+    }
+
+    /**
+     * @returns {Promise<object[]>} Every policy, sorted by domain.
+     */
+    async list() {
+        await this.load();
+        return [...this.policies.values()].sort((a, b) => a.domain.localeCompare(b.domain));
+    }
+
+    /**
+     * @param {string} domain - The domain.
+     * @returns {Promise<object|null>} Its policy, or null if it has none.
+     */
+    async get(domain) {
+        await this.load();
+        return this.policies.get(domain) || null;
+    }
+
+    /**
+     * Creates or replaces the policy of a domain.
+     * @param {string} domain - The domain.
+     * @param {object} definition - See normalizeRetentionPolicy.
+     * @returns {Promise<object>} The stored policy.
+     */
+    async set(domain, definition) {
+        await this.load();
+        const policy = { domain, ...normalizeRetentionPolicy(definition), updatedAt: new Date().toISOString() };
+        this.policies.set(domain, policy);
+        await this.save();
+        return policy;
+    }
+
+    /**
+     * Deletes the policy of a domain; all of its snapshots are kept from then on.
+     * @param {string} domain - The domain.
+     * @returns {Promise<boolean>} False if the domain had no policy.
+     */
+    async remove(domain) {
+        await this.load();
+        if (!this.policies.delete(domain)) return false;
+        await this.save();
+        return true;
+    }
+}
+
+module.exports = { RetentionPolicies, RetentionError, normalizeRetentionPolicy, selectSnapshotsToPrune };
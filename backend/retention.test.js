@@ -0,0 +1,53 @@
+/**
+ * Retention Policy Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RetentionError, normalizeRetentionPolicy, selectSnapshotsToPrune } = require('./retention');
+
+const NOW = new Date('2024-06-30T12:00:00Z');
+
+/**
+ * @param {string[]} dates - Capture dates as YYYY-MM-DD.
+ * @param {string} [startUrl] - The start page of the snapshots.
+ * @returns {object[]} Snapshots as { id, startUrl }, captured at noon UTC on each date.
+ */
+function snapshotsOn(dates, startUrl = 'https://example.com/') {
+    return dates.map(date => ({ id: `${date}T12-00-00.000Z`, startUrl }));
+}
+
+test('keeps the newest snapshots of each start page', () => {
+    const snapshots = [
+        ...snapshotsOn(['2024-06-01', '2024-06-02', '2024-06-03']),
+        ...snapshotsOn(['2024-01-01'], 'https://example.com/blog')
+    ];
+    assert.deepEqual(selectSnapshotsToPrune(snapshots, normalizeRetentionPolicy({ keepLast: 2 }), NOW), ['2024-06-01T12-00-00.000Z']);
+});
+
+test('keeps recent snapshots and the newest one per period of the older ones', () => {
+    const snapshots = snapshotsOn(['2024-06-29', '2024-06-28', '2024-06-10', '2024-06-05', '2024-05-31', '2024-05-02']);
+    const policy = normalizeRetentionPolicy({ keepOnePer: 'month', afterDays: 7 });
+    assert.deepEqual(selectSnapshotsToPrune(snapshots, policy, NOW), ['2024-05-02T12-00-00.000Z', '2024-06-05T12-00-00.000Z']);
+});
+
+test('starts weeks on Monday', () => {
+    // 2024-06-09 is a Sunday and 2024-06-10 the Monday after it.
+    const snapshots = snapshotsOn(['2024-06-10', '2024-06-09', '2024-06-08']);
+    const policy = normalizeRetentionPolicy({ keepOnePer: 'week' });
+    assert.deepEqual(selectSnapshotsToPrune(snapshots, policy, NOW), ['2024-06-08T12-00-00.000Z']);
+});
+
+test('keeps a snapshot that any rule keeps', () => {
+    const snapshots = snapshotsOn(['2024-01-03', '2024-01-02', '2024-01-01']);
+    const policy = normalizeRetentionPolicy({ keepLast: 2, keepOnePer: 'month' });
+    assert.deepEqual(selectSnapshotsToPrune(snapshots, policy, NOW), ['2024-01-01T12-00-00.000Z']);
+});
+
+test('rejects policies that keep nothing or use unknown periods', () => {
+    assert.throws(() => normalizeRetentionPolicy({}), RetentionError);
+    assert.throws(() => normalizeRetentionPolicy({ keepLast: 0 }), /at least 1/);
+    assert.throws(() => normalizeRetentionPolicy({ keepOnePer: 'year' }), RetentionError);
+    assert.throws(() => normalizeRetentionPolicy({ keepOnePer: 'day', afterDays: -1 }), RetentionError);
+});
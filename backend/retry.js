@@ -0,0 +1,111 @@
+/**
+ * Retries with Backoff
+ * * Wraps a fetcher so requests that fail for transient reasons (timeouts,
+ * dropped connections, 429 and 5xx responses) are tried again after an
+ * exponentially growing delay. A Retry-After header from the server is
+ * honored as the minimum delay.
+ */
+
+// Network errors worth another attempt; anything else fails right away, e.g. an unknown host or a
+// refused connection, which means nothing is listening and would only stall the crawl with back-off.
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+/**
+ * Fills in missing retry settings and drops invalid ones.
+ * @param {object} [overrides] - Settings supplied for a single crawl.
+ * @param {object} defaults - The configured defaults.
+ * @returns {object} { maxRetries, initialDelayMs, maxDelayMs }.
+ */
+function normalizeRetries(overrides = {}, defaults) {
+    const settings = { ...defaults };
+    for (const key of ['maxRetries', 'initialDelayMs', 'maxDelayMs']) {
+        const value = Number(overrides[key]);
+        if (overrides[key] !== undefined && overrides[key] !== '' && Number.isFinite(value) && value >= 0) {
+            settings[key] = value;
+        }
+    }
+    settings.maxRetries = Math.floor(settings.maxRetries);
+    return settings;
+}
+
+/**
+ * @param {number} status - An HTTP status code.
+ * @returns {boolean} Whether a response with this status may succeed when requested again.
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string} [value] - The header value.
+ * @param {Date} [now] - The current time.
+ * @returns {number|null} The requested delay in milliseconds, or null if there is none.
+ */
+function parseRetryAfter(value, now = new Date()) {
+    if (!value) return null;
+    if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - now.getTime());
+}
+
+/**
+ * Waits for a delay unless the signal aborts first.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cuts the wait short.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Wraps a fetcher with retries. The response, or the error of the last attempt,
+ * gets an `attempts` property with the number of requests made.
+ * @param {function(string, object): Promise<object>} fetcher - The fetcher to wrap.
+ * @param {object} settings - Retry settings from normalizeRetries.
+ * @param {object} context - { signal }.
+ * @returns {function(string, object): Promise<object>} The retrying fetcher.
+ */
+function createRetryingFetcher(fetcher, settings, { signal }) {
+    return async (url, options = {}) => {
+        for (let attempt = 1; ; attempt++) {
+            let response = null;
+            try {
+                response = await fetcher(url, options);
+            } catch (error) {
+                const retryable = TRANSIENT_ERROR_CODES.includes(error.code) && !signal?.aborted;
+                if (!retryable || attempt > settings.maxRetries) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+            }
+            if (response && (!isRetryableStatus(response.status) || attempt > settings.maxRetries)) {
+                return { ...response, attempts: attempt };
+            }
+
+            const backoffMs = Math.min(settings.initialDelayMs * 2 ** (attempt - 1), settings.maxDelayMs);
+            const retryAfterMs = response ? parseRetryAfter(response.headers['retry-after']) : null;
+            // A server asking for a longer pause than we are willing to wait gets its answer as the result.
+            if (retryAfterMs !== null && retryAfterMs > settings.maxDelayMs) {
+                return { ...response, attempts: attempt };
+            }
+            const delayMs = Math.max(backoffMs, retryAfterMs || 0);
+            console.log(`[LOG] Retrying ${url} in ${delayMs} ms (${response ? `status ${response.status}` : 'network error'}, attempt ${attempt + 1} of ${settings.maxRetries + 1})`);
+            await sleep(delayMs, signal);
+        }
+    };
+}
+
+module.exports = { normalizeRetries, parseRetryAfter, createRetryingFetcher };
@@ -0,0 +1,96 @@
+/**
+ * Retries with Backoff Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const { normalizeRetries, parseRetryAfter, createRetryingFetcher } = require('./retry');
+
+const SETTINGS = { maxRetries: 2, initialDelayMs: 1, maxDelayMs: 50 };
+
+/**
+ * @param {Array<object|Error>} outcomes - What each request returns or throws, in order.
+ * @returns {function(): Promise<object>} A fetcher that counts its calls in `calls`.
+ */
+function scriptedFetcher(outcomes) {
+    const fetcher = async () => {
+        const outcome = outcomes[Math.min(fetcher.calls++, outcomes.length - 1)];
+        if (outcome instanceof Error) throw outcome;
+        return outcome;
+    };
+    fetcher.calls = 0;
+    return fetcher;
+}
+
+/**
+ * @param {string} code - A network error code.
+ * @returns {Error} The error a failed request throws.
+ */
+function networkError(code) {
+    return Object.assign(new Error(code), { code });
+}
+
+test('retries transient network errors and 5xx responses until one succeeds', async () => {
+    const fetcher = scriptedFetcher([networkError('ECONNRESET'), { status: 503, headers: {} }, { status: 200, headers: {} }]);
+    const response = await createRetryingFetcher(fetcher, SETTINGS, {})('https://example.com/');
+    assert.equal(response.status, 200);
+    assert.equal(response.attempts, 3);
+});
+
+test('gives up after the last retry with the last response or error', async () => {
+    const failing = scriptedFetcher([{ status: 500, headers: {} }]);
+    assert.equal((await createRetryingFetcher(failing, SETTINGS, {})('https://example.com/')).attempts, 3);
+
+    const timingOut = scriptedFetcher([networkError('ETIMEDOUT')]);
+    await assert.rejects(createRetryingFetcher(timingOut, SETTINGS, {})('https://example.com/'), { code: 'ETIMEDOUT', attempts: 3 });
+});
+
+test('fails right away on errors that another attempt would not fix', async () => {
+    for (const code of ['ECONNREFUSED', 'ENOTFOUND']) {
+        const fetcher = scriptedFetcher([networkError(code)]);
+        await assert.rejects(createRetryingFetcher(fetcher, SETTINGS, {})('https://example.com/'), { code, attempts: 1 });
+        assert.equal(fetcher.calls, 1);
+    }
+    const notFound = scriptedFetcher([{ status: 404, headers: {} }]);
+    assert.equal((await createRetryingFetcher(notFound, SETTINGS, {})('https://example.com/')).attempts, 1);
+});
+
+test('returns a response asking to retry later than the longest delay without waiting', async () => {
+    const fetcher = scriptedFetcher([{ status: 429, headers: { 'retry-after': '3600' } }]);
+    const response = await createRetryingFetcher(fetcher, SETTINGS, {})('https://example.com/');
+    assert.equal(response.status, 429);
+    assert.equal(fetcher.calls, 1);
+});
+
+test('leaves no abort listeners behind after waiting between attempts', async () => {
+    const controller = new AbortController();
+    const fetcher = scriptedFetcher([{ status: 503, headers: {} }, { status: 503, headers: {} }, { status: 200, headers: {} }]);
+    await createRetryingFetcher(fetcher, SETTINGS, { signal: controller.signal })('https://example.com/');
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('stops waiting when the crawl is cancelled', async () => {
+    const controller = new AbortController();
+    const fetcher = scriptedFetcher([{ status: 503, headers: {} }]);
+    const request = createRetryingFetcher(fetcher, { ...SETTINGS, initialDelayMs: 60000, maxDelayMs: 60000 }, { signal: controller.signal })('https://example.com/');
+    setTimeout(() => controller.abort(new Error('cancelled')), 10);
+    await assert.rejects(request, /cancelled/);
+    assert.equal(fetcher.calls, 1);
+});
+
+test('parses Retry-After in seconds or as an HTTP date', () => {
+    const now = new Date('2024-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('120', now), 120000);
+    assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('keeps the defaults for missing or invalid retry settings', () => {
+    const defaults = { maxRetries: 3, initialDelayMs: 500, maxDelayMs: 10000 };
+    assert.deepEqual(normalizeRetries({ maxRetries: '1.7', initialDelayMs: -5, maxDelayMs: '' }, defaults), { maxRetries: 1, initialDelayMs: 500, maxDelayMs: 10000 });
+    assert.deepEqual(normalizeRetries(undefined, defaults), defaults);
+});
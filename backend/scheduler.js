@@ -0,0 +1,241 @@
+/**
+ * Scheduled Archives
+ * * A watch re-archives a URL on a fixed interval or on a cron schedule.
+ * Watches are persisted as JSON so they survive restarts; a watch that came
+ * due while the server was down runs once as soon as it is back up.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { CronExpressionParser } = require('cron-parser');
+
+const MIN_INTERVAL_MINUTES = 1;
+// setTimeout cannot wait longer than this; later runs are re-armed when it fires.
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Error thrown for an invalid watch definition.
+ */
+class ScheduleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScheduleError';
+    }
+}
+
+/**
+ * Validates the timing of a watch: either an interval in minutes or a cron expression.
+ * @param {object} schedule - { intervalMinutes, cron }.
+ * @returns {object} { intervalMinutes, cron } with exactly one of them set.
+ */
+function normalizeSchedule({ intervalMinutes, cron }) {
+    if (typeof cron === 'string' && cron.trim()) {
+        try {
+            CronExpressionParser.parse(cron.trim());
+        } catch (error) {
+            throw new ScheduleError(`Invalid cron expression: ${error.message}`);
+        }
+        return { intervalMinutes: null, cron: cron.trim() };
+    }
+    const minutes = Number(intervalMinutes);
+    if (!Number.isFinite(minutes) || minutes < MIN_INTERVAL_MINUTES) {
+        throw new ScheduleError(`Provide a cron expression or an interval of at least ${MIN_INTERVAL_MINUTES} minute(s).`);
+    }
+    return { intervalMinutes: minutes, cron: null };
+}
+
+/**
+ * Computes when a watch should run next.
+ * @param {object} watch - The watch.
+ * @param {Date} after - The time to count from.
+ * @returns {Date} The next run time.
+ */
+function computeNextRun(watch, after) {
+    if (watch.cron) {
+        return CronExpressionParser.parse(watch.cron, { currentDate: after }).next().toDate();
+    }
+    return new Date(after.getTime() + watch.intervalMinutes * 60 * 1000);
+}
+
+class Scheduler {
+    /**
+     * @param {string} filePath - Where watches are persisted.
+     * @param {function(object): Promise<CrawlJob>} runWatch - Queues the crawl for a due watch and resolves to its job.
+     */
+    constructor(filePath, runWatch) {
+        this.filePath = filePath;
+        this.runWatch = runWatch;
+        this.watches = new Map();
+        this.activeJobs = new Map(); // Stores { watch ID -> job, null while it is being queued } until a triggered crawl finishes
+        this.timer = null;
+    }
+
+    /**
+     * Loads persisted watches and starts the timer.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (await fs.pathExists(this.filePath)) {
+            const saved = await fs.readJson(this.filePath);
+            saved.forEach(watch => this.watches.set(watch.id, watch));
+        }
+        const overdue = this.list().filter(watch => !watch.paused && new Date(watch.nextRunAt) <= new Date());
+        if (overdue.length > 0) {
+            console.log(`[LOG] ${overdue.length} scheduled archive(s) came due while the server was down; running them now.`);
+        }
+        this.arm();
+    }
+
+    async save() {
+        await fs.outputJson(this.filePath, this.list(), { spaces: 2 });
+    }
+
+    /**
+     * @returns {object[]} All watches, oldest first.
+     */
+    list() {
+        return [...this.watches.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Registers a new watch.
+     * @param {object} definition - { url, maxPages, intervalMinutes, cron, skipUnchanged, crawlOptions }:
+     *   crawlOptions are the settings every run crawls with, the request profile given by its name.
+     * @returns {Promise<object>} The new watch.
+     */
+    async create({ url, maxPages, intervalMinutes, cron, skipUnchanged, crawlOptions = null }) {
+        const now = new Date();
+        const watch = {
+            id: crypto.randomUUID(),
+            url,
+            maxPages: maxPages > 0 ? maxPages : 10,
+            ...normalizeSchedule({ intervalMinutes, cron }),
+            skipUnchanged: Boolean(skipUnchanged),
+            crawlOptions,
+            paused: false,
+            createdAt: now.toISOString(),
+            nextRunAt: null,
+            lastRunAt: null,
+            lastResult: null,
+            runs: 0
+        };
+        watch.nextRunAt = computeNextRun(watch, now).toISOString();
+        this.watches.set(watch.id, watch);
+        await this.save();
+        this.arm();
+        return watch;
+    }
+
+    /**
+     * Pauses or resumes a watch. A resumed watch counts its next run from now.
+     * @param {string} id - The watch ID.
+     * @param {boolean} paused - The new state.
+     * @returns {Promise<object|null>} The watch, or null if it does not exist.
+     */
+    async setPaused(id, paused) {
+        const watch = this.watches.get(id);
+        if (!watch) return null;
+        if (watch.paused && !paused) {
+            watch.nextRunAt = computeNextRun(watch, new Date()).toISOString();
+        }
+        watch.paused = paused;
+        await this.save();
+        this.arm();
+        return watch;
+    }
+
+    /**
+     * Deletes a watch. Snapshots it already produced are kept.
+     * @param {string} id - The watch ID.
+     * @returns {Promise<boolean>} False if the watch did not exist.
+     */
+    async remove(id) {
+        if (!this.watches.delete(id)) return false;
+        await this.save();
+        this.arm();
+        return true;
+    }
+
+    /**
+     * Sets the timer for the earliest upcoming run.
+     */
+    arm() {
+        clearTimeout(this.timer);
+        const nextTimes = this.list().filter(watch => !watch.paused).map(watch => new Date(watch.nextRunAt).getTime());
+        if (nextTimes.length === 0) return;
+        const delay = Math.min(Math.max(Math.min(...nextTimes) - Date.now(), 0), MAX_TIMER_DELAY_MS);
+        this.timer = setTimeout(() => {
+            this.runDueWatches().catch(error => console.error(`[ERROR] Scheduler failed: ${error.message}`));
+        }, delay);
+    }
+
+    /**
+     * Triggers every watch whose run time has come, then re-arms the timer.
+     * @returns {Promise<void>}
+     */
+    async runDueWatches() {
+        const now = new Date();
+        for (const watch of this.list()) {
+            if (watch.paused || new Date(watch.nextRunAt) > now) continue;
+            await this.trigger(watch, now);
+            watch.nextRunAt = computeNextRun(watch, now).toISOString();
+        }
+        await this.save();
+        this.arm();
+    }
+
+    /**
+     * Queues the crawl of a watch, unless its previous crawl is still queued or running.
+     * @param {object} watch - The watch.
+     * @param {Date} now - The time of the run.
+     * @returns {Promise<void>}
+     */
+    async trigger(watch, now) {
+        if (this.activeJobs.has(watch.id)) {
+            console.log(`[SKIP] Scheduled archive of ${watch.url}: the previous run has not finished yet.`);
+            return;
+        }
+        console.log(`[LOG] Running scheduled archive of ${watch.url}`);
+        // Claimed before the crawl is queued, so a run triggered in the meantime does not queue it twice.
+        this.activeJobs.set(watch.id, null);
+        let job;
+        try {
+            job = await this.runWatch(watch);
+        } catch (error) {
+            this.activeJobs.delete(watch.id);
+            console.error(`[ERROR] Could not queue the scheduled archive of ${watch.url}: ${error.message}`);
+            return;
+        }
+        this.activeJobs.set(watch.id, job);
+        watch.lastRunAt = now.toISOString();
+        job.once('end', result => {
+            this.activeJobs.delete(watch.id);
+            this.recordResult(watch.id, result)
+                .catch(error => console.error(`[ERROR] Failed to record scheduled run of ${watch.url}: ${error.message}`));
+        });
+    }
+
+    /**
+     * Stores the outcome of a finished scheduled crawl on its watch.
+     * @param {string} id - The watch ID.
+     * @param {object} job - The finished job, as JSON.
+     * @returns {Promise<void>}
+     */
+    async recordResult(id, job) {
+        const watch = this.watches.get(id);
+        if (!watch) return;
+        watch.runs += 1;
+        watch.lastResult = {
+            jobId: job.id,
+            status: job.status,
+            snapshot: job.snapshot ? job.snapshot.id : null,
+            changed: job.changes ? job.changes.changed : null,
+            skipped: job.status === 'done' && !job.snapshot,
+            error: job.error,
+            finishedAt: job.finishedAt
+        };
+        await this.save();
+    }
+}
+
+module.exports = { Scheduler, ScheduleError, computeNextRun };
@@ -0,0 +1,110 @@
+/**
+ * Scheduled Archives Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Scheduler, ScheduleError, computeNextRun } = require('./scheduler');
+
+const CRAWL_OPTIONS = { scope: { maxDepth: 1 }, requestProfile: 'staging', sizeLimits: { video: 1000 }, seed: { mode: 'sitemap', url: null, urls: [] } };
+
+let folder, schedulesPath, scheduler;
+
+beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-test-'));
+    schedulesPath = path.join(folder, 'schedules.json');
+});
+
+afterEach(async () => {
+    if (scheduler) clearTimeout(scheduler.timer);
+    scheduler = null;
+    await fs.remove(folder);
+});
+
+test('computes the next run from an interval or a cron expression', () => {
+    const after = new Date('2024-01-01T10:07:00');
+    assert.equal(computeNextRun({ intervalMinutes: 90 }, after).getTime(), after.getTime() + 90 * 60 * 1000);
+    assert.equal(computeNextRun({ cron: '*/15 * * * *' }, after).getTime(), new Date('2024-01-01T10:15:00').getTime());
+});
+
+test('rejects watches without a valid interval or cron expression', async () => {
+    scheduler = new Scheduler(schedulesPath, async () => new EventEmitter());
+    await assert.rejects(scheduler.create({ url: 'https://example.com/', intervalMinutes: 0 }), ScheduleError);
+    await assert.rejects(scheduler.create({ url: 'https://example.com/', cron: 'every day' }), /Invalid cron expression/);
+});
+
+test('runs a watch that came due while stopped with the crawl options it was created with', async () => {
+    const stopped = new Scheduler(schedulesPath, async () => new EventEmitter());
+    const created = await stopped.create({ url: 'https://example.com/', intervalMinutes: 60, skipUnchanged: true, crawlOptions: CRAWL_OPTIONS });
+    clearTimeout(stopped.timer);
+    const saved = await fs.readJson(schedulesPath);
+    saved[0].nextRunAt = new Date(Date.now() - 1000).toISOString();
+    await fs.writeJson(schedulesPath, saved);
+
+    const job = new EventEmitter();
+    const runs = [];
+    scheduler = new Scheduler(schedulesPath, async watch => {
+        runs.push(watch);
+        return job;
+    });
+    await scheduler.start();
+    // Run the overdue watch here rather than from the timer start() armed, so the test knows when it is done.
+    clearTimeout(scheduler.timer);
+    await scheduler.runDueWatches();
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].id, created.id);
+    assert.deepEqual(runs[0].crawlOptions, CRAWL_OPTIONS);
+    assert.equal(runs[0].skipUnchanged, true);
+    assert.ok(new Date(runs[0].nextRunAt) > new Date());
+
+    // Another run is skipped while the first has not finished.
+    await scheduler.trigger(runs[0], new Date());
+    assert.equal(runs.length, 1);
+
+    const resultSaved = new Promise(resolve => {
+        const save = scheduler.save.bind(scheduler);
+        scheduler.save = () => save().then(resolve);
+    });
+    job.emit('end', { id: 'job-1', status: 'done', snapshot: { id: 'snap-1' }, changes: { changed: true }, error: null, finishedAt: 'now' });
+    await resultSaved;
+    const [watch] = await fs.readJson(schedulesPath);
+    assert.equal(watch.runs, 1);
+    assert.deepEqual({ snapshot: watch.lastResult.snapshot, changed: watch.lastResult.changed }, { snapshot: 'snap-1', changed: true });
+});
+
+test('queues a due watch once when checks for due watches overlap', async () => {
+    let queued = 0;
+    scheduler = new Scheduler(schedulesPath, async () => {
+        queued++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return new EventEmitter();
+    });
+    await scheduler.create({ url: 'https://example.com/', intervalMinutes: 5 });
+    clearTimeout(scheduler.timer);
+    scheduler.list()[0].nextRunAt = new Date(0).toISOString();
+
+    await Promise.all([scheduler.runDueWatches(), scheduler.runDueWatches()]);
+    assert.equal(queued, 1);
+});
+
+test('keeps running other watches when one cannot be queued', async () => {
+    const queued = [];
+    scheduler = new Scheduler(schedulesPath, async watch => {
+        if (watch.url.includes('broken')) throw new Error('profile missing');
+        queued.push(watch.url);
+        return new EventEmitter();
+    });
+    await scheduler.create({ url: 'https://broken.example.com/', intervalMinutes: 5 });
+    await scheduler.create({ url: 'https://example.com/', intervalMinutes: 5 });
+    clearTimeout(scheduler.timer);
+    scheduler.list().forEach(watch => { watch.nextRunAt = new Date(0).toISOString(); });
+
+    await scheduler.runDueWatches();
+    assert.deepEqual(queued, ['https://example.com/']);
+    assert.ok(scheduler.list().every(watch => new Date(watch.nextRunAt) > new Date()));
+});
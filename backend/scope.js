@@ -0,0 +1,155 @@
+/**
+ * Crawl Scope
+ * * Decides which discovered links a crawl follows: how deep, which hosts,
+ * which paths, and what happens to their query strings. The default scope
+ * follows every link on the start host, at any depth, with its query intact.
+ */
+
+const QUERY_POLICIES = ['keep', 'strip', 'allowlist'];
+
+/**
+ * Error thrown for invalid scope settings.
+ */
+class ScopeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScopeError';
+    }
+}
+
+/**
+ * Turns a list setting into a clean array of strings. Accepts an array or a
+ * string with one entry per line or comma.
+ * @param {string|string[]} [value] - The raw setting.
+ * @returns {string[]} The non-empty, trimmed entries.
+ */
+function toList(value) {
+    const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\n,]/) : [];
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Compiles an include/exclude pattern. `re:` followed by a regular expression is
+ * searched for in the full URL. Anything else is a glob where `*` matches within
+ * one path segment and `**` matches across segments; globs starting with `/` are
+ * matched against the path and query, others against the full URL.
+ * @param {string} pattern - The pattern.
+ * @returns {function(URL): boolean} Tests a URL against the pattern.
+ */
+function compilePattern(pattern) {
+    if (pattern.startsWith('re:')) {
+        let regex;
+        try {
+            regex = new RegExp(pattern.slice(3));
+        } catch (error) {
+            throw new ScopeError(`Invalid pattern ${pattern}: ${error.message}`);
+        }
+        return url => regex.test(url.href);
+    }
+
+    const source = pattern.split(/(\*\*|\*|\?)/).map(part => {
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    const regex = new RegExp(`^${source}$`);
+    return pattern.startsWith('/')
+        ? url => regex.test(url.pathname + url.search)
+        : url => regex.test(url.href);
+}
+
+/**
+ * Fills in missing scope settings and validates the given ones.
+ * @param {object} [overrides] - Settings supplied for a single crawl.
+ * @returns {object} { maxDepth, pathPrefix, include, exclude, followSubdomains, extraHosts, queryStrings, allowedParams }.
+ */
+function normalizeScope(overrides = {}) {
+    const maxDepth = Number(overrides.maxDepth);
+    const hasMaxDepth = overrides.maxDepth !== undefined && overrides.maxDepth !== null && overrides.maxDepth !== '';
+    if (hasMaxDepth && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+        throw new ScopeError('maxDepth must be a whole number of 0 or more.');
+    }
+    const queryStrings = overrides.queryStrings || 'keep';
+    if (!QUERY_POLICIES.includes(queryStrings)) {
+        throw new ScopeError(`queryStrings must be one of: ${QUERY_POLICIES.join(', ')}.`);
+    }
+    const pathPrefix = typeof overrides.pathPrefix === 'string' && overrides.pathPrefix.trim()
+        ? `/${overrides.pathPrefix.trim().replace(/^\/+/, '')}`
+        : null;
+
+    const scope = {
+        maxDepth: hasMaxDepth ? maxDepth : null,
+        pathPrefix,
+        include: toList(overrides.include),
+        exclude: toList(overrides.exclude),
+        followSubdomains: overrides.followSubdomains === true,
+        extraHosts: toList(overrides.extraHosts).map(host => host.toLowerCase()),
+        queryStrings,
+        allowedParams: toList(overrides.allowedParams)
+    };
+    // Compile once so invalid patterns are reported before the crawl is queued.
+    [...scope.include, ...scope.exclude].forEach(compilePattern);
+    return scope;
+}
+
+/**
+ * Creates the link filter for a crawl.
+ * @param {string} startUrl - The URL the crawl starts from.
+ * @param {object} scope - Settings from normalizeScope.
+ * @returns {object} { normalizeUrl(url), isInScope(url), canFollowFrom(depth) }.
+ */
+function createScopeFilter(startUrl, scope) {
+    const startHost = new URL(startUrl).hostname;
+    // Subdomains of www.example.com are those of example.com.
+    const baseHost = startHost.replace(/^www\./, '');
+    const include = scope.include.map(compilePattern);
+    const exclude = scope.exclude.map(compilePattern);
+
+    const isAllowedHost = hostname => hostname === startHost
+        || scope.extraHosts.includes(hostname)
+        || (scope.followSubdomains && (hostname === baseHost || hostname.endsWith(`.${baseHost}`)));
+
+    return {
+        /**
+         * Drops the fragment and applies the query-string policy.
+         * @param {string} url - An absolute URL.
+         * @returns {string} The URL as it should be queued and saved.
+         */
+        normalizeUrl(url) {
+            const urlObject = new URL(url);
+            urlObject.hash = '';
+            if (scope.queryStrings === 'strip') {
+                urlObject.search = '';
+            } else if (scope.queryStrings === 'allowlist') {
+                for (const name of [...urlObject.searchParams.keys()]) {
+                    if (!scope.allowedParams.includes(name)) urlObject.searchParams.delete(name);
+                }
+            }
+            return urlObject.href;
+        },
+
+        /**
+         * @param {string} url - A normalized URL.
+         * @returns {boolean} Whether the crawl may follow a link to it.
+         */
+        isInScope(url) {
+            const urlObject = new URL(url);
+            if (!['http:', 'https:'].includes(urlObject.protocol)) return false;
+            if (!isAllowedHost(urlObject.hostname)) return false;
+            if (scope.pathPrefix && !urlObject.pathname.startsWith(scope.pathPrefix)) return false;
+            if (include.length > 0 && !include.some(matches => matches(urlObject))) return false;
+            return !exclude.some(matches => matches(urlObject));
+        },
+
+        /**
+         * @param {number} depth - Link depth of a page, the start URL being 0.
+         * @returns {boolean} Whether links found on that page may be queued.
+         */
+        canFollowFrom(depth) {
+            return scope.maxDepth === null || depth < scope.maxDepth;
+        }
+    };
+}
+
+module.exports = { ScopeError, normalizeScope, createScopeFilter };
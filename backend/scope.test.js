@@ -0,0 +1,97 @@
+/**
+ * Crawl Scope Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ScopeError, normalizeScope, createScopeFilter } = require('./scope');
+
+const START_URL = 'https://www.example.com/';
+
+/**
+ * @param {object} overrides - Scope settings.
+ * @returns {function(string): boolean} Whether the crawl follows a link to a URL.
+ */
+function inScope(overrides) {
+    const filter = createScopeFilter(START_URL, normalizeScope(overrides));
+    return url => filter.isInScope(url);
+}
+
+test('follows links on the start host only by default', () => {
+    const follows = inScope({});
+    assert.equal(follows('https://www.example.com/about'), true);
+    assert.equal(follows('http://www.example.com/about'), true);
+    assert.equal(follows('https://blog.example.com/'), false);
+    assert.equal(follows('https://other.org/'), false);
+    assert.equal(follows('mailto:someone@example.com'), false);
+});
+
+test('follows subdomains of the start host without its www prefix, and extra hosts', () => {
+    const follows = inScope({ followSubdomains: true, extraHosts: 'CDN.Example.net' });
+    assert.equal(follows('https://example.com/'), true);
+    assert.equal(follows('https://blog.example.com/post'), true);
+    assert.equal(follows('https://cdn.example.net/file'), true);
+    assert.equal(follows('https://notexample.com/'), false);
+});
+
+test('matches * within one path segment and ** across segments', () => {
+    const oneSegment = inScope({ include: '/docs/*' });
+    assert.equal(oneSegment('https://www.example.com/docs/intro'), true);
+    assert.equal(oneSegment('https://www.example.com/docs/guide/setup'), false);
+
+    const anyDepth = inScope({ include: '/docs/**' });
+    assert.equal(anyDepth('https://www.example.com/docs/guide/setup'), true);
+    assert.equal(anyDepth('https://www.example.com/blog/docs/x'), false);
+});
+
+test('matches globs starting with / against the path and query, and others against the full URL', () => {
+    const pathGlob = inScope({ exclude: '/search?q=*' });
+    assert.equal(pathGlob('https://www.example.com/search?q=cats'), false);
+    assert.equal(pathGlob('https://www.example.com/search'), true);
+
+    const urlGlob = inScope({ include: 'https://www.example.com/*.html' });
+    assert.equal(urlGlob('https://www.example.com/page.html'), true);
+    assert.equal(urlGlob('https://www.example.com/dir/page.html'), false);
+});
+
+test('takes glob characters other than * and ? literally', () => {
+    const follows = inScope({ include: '/file.(1)+[a]' });
+    assert.equal(follows('https://www.example.com/file.(1)+[a]'), true);
+    assert.equal(follows('https://www.example.com/fileX(1)+[a]'), false);
+});
+
+test('searches re: patterns anywhere in the URL and lets exclusions win over inclusions', () => {
+    const follows = inScope({ include: ['re:/(news|blog)/'], exclude: ['re:\\.pdf$'] });
+    assert.equal(follows('https://www.example.com/news/today'), true);
+    assert.equal(follows('https://www.example.com/blog/report.pdf'), false);
+    assert.equal(follows('https://www.example.com/shop/'), false);
+});
+
+test('keeps to the path prefix', () => {
+    const follows = inScope({ pathPrefix: 'docs' });
+    assert.equal(follows('https://www.example.com/docs/intro'), true);
+    assert.equal(follows('https://www.example.com/blog/'), false);
+});
+
+test('applies the query-string policy and drops fragments', () => {
+    const url = 'https://www.example.com/list?page=2&utm_source=x#top';
+    const normalize = overrides => createScopeFilter(START_URL, normalizeScope(overrides)).normalizeUrl(url);
+    assert.equal(normalize({}), 'https://www.example.com/list?page=2&utm_source=x');
+    assert.equal(normalize({ queryStrings: 'strip' }), 'https://www.example.com/list');
+    assert.equal(normalize({ queryStrings: 'allowlist', allowedParams: 'page' }), 'https://www.example.com/list?page=2');
+});
+
+test('follows links up to the maximum depth', () => {
+    const filter = createScopeFilter(START_URL, normalizeScope({ maxDepth: 1 }));
+    assert.equal(filter.canFollowFrom(0), true);
+    assert.equal(filter.canFollowFrom(1), false);
+    assert.equal(createScopeFilter(START_URL, normalizeScope({})).canFollowFrom(100), true);
+});
+
+test('rejects invalid settings', () => {
+    assert.throws(() => normalizeScope({ maxDepth: -1 }), ScopeError);
+    assert.throws(() => normalizeScope({ maxDepth: 1.5 }), ScopeError);
+    assert.throws(() => normalizeScope({ queryStrings: 'drop' }), ScopeError);
+    assert.throws(() => normalizeScope({ include: 're:(' }), /Invalid pattern re:\(/);
+});
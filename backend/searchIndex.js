@@ -0,0 +1,251 @@
+/**
+ * Full-Text Search Index
+ * * A positional inverted index over the visible text of every archived page,
+ * persisted as a journal of the pages added and removed. Supports AND queries with quoted phrases,
+ * filtering by domain and capture date, and returns snippets around matches.
+ */
+
+const { SharedJournal } = require('./sharedJournal');
+
+const INDEX_VERSION = 1;
+const SNIPPET_RADIUS = 80;
+const TITLE_BOOST = 3;
+
+/**
+ * Splits text into normalized search terms.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} Lowercase terms without diacritics, in order.
+ */
+function tokenize(text) {
+    return (text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Parses a query into phrases. Quoted text is one phrase; every other word is a phrase of one term.
+ * @param {string} query - The raw query.
+ * @returns {string[][]} The phrases, each a list of terms.
+ */
+function parseQuery(query) {
+    const phrases = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        const terms = tokenize(match[1] !== undefined ? match[1] : match[2]);
+        if (match[1] !== undefined) {
+            if (terms.length > 0) phrases.push(terms);
+        } else {
+            terms.forEach(term => phrases.push([term]));
+        }
+    }
+    return phrases;
+}
+
+/**
+ * Converts a snapshot ID (an ISO timestamp with dashes for colons) to a Date.
+ * @param {string} snapshotId - The snapshot ID.
+ * @returns {Date} The capture time.
+ */
+function snapshotIdToDate(snapshotId) {
+    const [date, time = ''] = snapshotId.split('T');
+    return new Date(`${date}T${time.replace(/-/g, ':')}`);
+}
+
+class SearchIndex extends SharedJournal {
+    /**
+     * @param {string} filePath - Where the index is persisted.
+     */
+    constructor(filePath) {
+        super(filePath, INDEX_VERSION);
+        this.docs = new Map();
+        this.postings = new Map();
+    }
+
+    reset() {
+        this.docs.clear();
+        this.postings.clear();
+    }
+
+    /**
+     * @param {object} record - { op: 'add', docId, doc } or { op: 'remove', docIds }.
+     */
+    apply(record) {
+        if (record.op === 'add') {
+            this.addDocument(record.docId, record.doc);
+        } else if (record.op === 'remove') {
+            record.docIds.forEach(docId => this.removeDocument(docId));
+        }
+    }
+
+    getRecords() {
+        return [...this.docs].map(([docId, doc]) => ({ op: 'add', docId, doc }));
+    }
+
+    countEntries() {
+        return this.docs.size;
+    }
+
+    addDocument(docId, doc) {
+        this.removeDocument(docId);
+        this.docs.set(docId, doc);
+        tokenize(`${doc.title}\n${doc.text}`).forEach((term, position) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            const docPositions = this.postings.get(term);
+            if (!docPositions.has(docId)) docPositions.set(docId, []);
+            docPositions.get(docId).push(position);
+        });
+    }
+
+    removeDocument(docId) {
+        if (!this.docs.has(docId)) return;
+        const doc = this.docs.get(docId);
+        for (const term of new Set(tokenize(`${doc.title}\n${doc.text}`))) {
+            const docPositions = this.postings.get(term);
+            if (!docPositions) continue;
+            docPositions.delete(docId);
+            if (docPositions.size === 0) this.postings.delete(term);
+        }
+        this.docs.delete(docId);
+    }
+
+    /**
+     * Replaces the indexed pages of a snapshot.
+     * @param {string} domain - The domain of the snapshot.
+     * @param {string} snapshot - The snapshot ID.
+     * @param {object[]} pages - Pages as { url, file, title, text }, file being relative to the snapshot.
+     * @returns {Promise<void>}
+     */
+    indexSnapshot(domain, snapshot, pages) {
+        return this.enqueueUpdate(async () => {
+            const docIds = this.removeMatching(doc => doc.domain === domain && doc.snapshot === snapshot);
+            const records = docIds.length > 0 ? [{ op: 'remove', docIds }] : [];
+            for (const page of pages) {
+                const record = { op: 'add', docId: `${domain}/${snapshot}/${page.file}`, doc: { domain, snapshot, ...page } };
+                this.apply(record);
+                records.push(record);
+            }
+            await this.append(records);
+        });
+    }
+
+    /**
+     * Removes indexed pages, e.g. those of a deleted snapshot.
+     * @param {function(object): boolean} predicate - Selects the documents to remove.
+     * @returns {Promise<void>}
+     */
+    removeDocuments(predicate) {
+        return this.enqueueUpdate(async () => {
+            const docIds = this.removeMatching(predicate);
+            if (docIds.length > 0) await this.append([{ op: 'remove', docIds }]);
+        });
+    }
+
+    /**
+     * @param {function(object): boolean} predicate - Selects the documents to remove.
+     * @returns {string[]} The IDs of the removed documents.
+     */
+    removeMatching(predicate) {
+        const docIds = [...this.docs].filter(([, doc]) => predicate(doc)).map(([docId]) => docId);
+        docIds.forEach(docId => this.removeDocument(docId));
+        return docIds;
+    }
+
+    /**
+     * Drops every document, e.g. before rebuilding the index from the archives.
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.enqueueUpdate(async () => {
+            this.reset();
+            await this.compact();
+        });
+    }
+
+    /**
+     * Finds the positions where a phrase starts in a document.
+     * @param {string[]} terms - The phrase.
+     * @param {string} docId - The document.
+     * @returns {number[]} Start positions of every occurrence.
+     */
+    findPhrase(terms, docId) {
+        const firstPositions = this.postings.get(terms[0])?.get(docId) || [];
+        return firstPositions.filter(start => terms.every((term, offset) =>
+            offset === 0 || (this.postings.get(term)?.get(docId) || []).includes(start + offset)));
+    }
+
+    /**
+     * Searches the index.
+     * @param {string} query - Words and "quoted phrases"; all must occur in a page.
+     * @param {object} [filters] - { domain, from, to, limit, offset } with from/to as Dates.
+     * @returns {Promise<object>} { total, results } with results as { domain, snapshot, url, file, title, snippet, score }.
+     */
+    search(query, { domain, from, to, limit = 20, offset = 0 } = {}) {
+        return this.enqueue(async () => {
+            const phrases = parseQuery(query);
+            if (phrases.length === 0) return { total: 0, results: [] };
+
+            // Start from the documents containing the rarest term, then check every phrase.
+            const candidateTerms = phrases.flat().sort((a, b) => (this.postings.get(a)?.size || 0) - (this.postings.get(b)?.size || 0));
+            const candidates = [...(this.postings.get(candidateTerms[0])?.keys() || [])];
+
+            const matches = [];
+            for (const docId of candidates) {
+                const doc = this.docs.get(docId);
+                if (domain && doc.domain !== domain) continue;
+                const capturedAt = snapshotIdToDate(doc.snapshot);
+                if ((from && capturedAt < from) || (to && capturedAt > to)) continue;
+
+                const occurrences = phrases.map(terms => this.findPhrase(terms, docId));
+                if (occurrences.some(positions => positions.length === 0)) continue;
+
+                const titleTerms = new Set(tokenize(doc.title));
+                const score = phrases.reduce((sum, terms, i) => {
+                    const idf = Math.log(1 + this.docs.size / (this.postings.get(terms[0])?.size || 1));
+                    const boost = terms.every(term => titleTerms.has(term)) ? TITLE_BOOST : 1;
+                    return sum + occurrences[i].length * idf * boost;
+                }, 0);
+                matches.push({ docId, doc, score });
+            }
+
+            matches.sort((a, b) => b.score - a.score || b.doc.snapshot.localeCompare(a.doc.snapshot));
+            const results = matches.slice(offset, offset + limit).map(({ doc, score }) => ({
+                domain: doc.domain,
+                snapshot: doc.snapshot,
+                url: doc.url,
+                file: doc.file,
+                title: doc.title,
+                snippet: buildSnippet(doc.text, phrases),
+                score: Math.round(score * 1000) / 1000
+            }));
+            return { total: matches.length, results };
+        });
+    }
+}
+
+/**
+ * Cuts a snippet of text around the first match of the query.
+ * @param {string} text - The page text.
+ * @param {string[][]} phrases - The parsed query.
+ * @returns {string} The snippet, with ellipses where text was cut.
+ */
+function buildSnippet(text, phrases) {
+    const flatText = text.replace(/\s+/g, ' ');
+    const normalized = flatText.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    // NFKD may change the length of some characters; fall back to the start of the text if so.
+    const sameLength = normalized.length === flatText.length;
+    let matchIndex = -1;
+    for (const terms of phrases) {
+        const termPattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^\\p{L}\\p{N}]+'), 'u');
+        const match = termPattern.exec(normalized);
+        if (match) {
+            matchIndex = match.index;
+            break;
+        }
+    }
+    if (!sameLength || matchIndex === -1) matchIndex = 0;
+
+    const start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+    const end = Math.min(flatText.length, matchIndex + SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${flatText.slice(start, end).trim()}${end < flatText.length ? '…' : ''}`;
+}
+
+module.exports = { SearchIndex, tokenize, parseQuery, snapshotIdToDate };
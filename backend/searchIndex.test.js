@@ -0,0 +1,80 @@
+/**
+ * Full-Text Search Index Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SearchIndex, tokenize, parseQuery, snapshotIdToDate } = require('./searchIndex');
+
+let folder, index;
+
+beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'search-test-'));
+    index = new SearchIndex(path.join(folder, 'search-index.jsonl'));
+    await index.indexSnapshot('example.com', '2024-01-01T00-00-00.000Z', [
+        { url: 'https://example.com/', file: 'index.html', title: 'Café opening hours', text: 'The café opens at nine. Fresh coffee beans every day.' },
+        { url: 'https://example.com/menu', file: 'menu/index.html', title: 'Menu', text: 'Coffee, tea and cake. Opening offer: beans for free.' }
+    ]);
+    await index.indexSnapshot('other.org', '2024-06-01T00-00-00.000Z', [
+        { url: 'https://other.org/', file: 'index.html', title: 'Roastery', text: 'We roast coffee beans.' }
+    ]);
+});
+
+afterEach(() => fs.remove(folder));
+
+test('tokenizes text into lowercase terms without diacritics', () => {
+    assert.deepEqual(tokenize('Crème Brûlée, 2× À-la-carte!'), ['creme', 'brulee', '2', 'a', 'la', 'carte']);
+});
+
+test('parses quoted phrases and single words', () => {
+    assert.deepEqual(parseQuery('"fresh Coffee" beans "" tea-time'), [['fresh', 'coffee'], ['beans'], ['tea'], ['time']]);
+});
+
+test('converts snapshot IDs back to capture dates', () => {
+    assert.equal(snapshotIdToDate('2024-03-01T12-34-56.789Z').toISOString(), '2024-03-01T12:34:56.789Z');
+});
+
+test('finds pages containing every word, ranking title matches first', async () => {
+    const { total, results } = await index.search('opening coffee');
+    assert.equal(total, 2);
+    assert.deepEqual(results.map(result => result.url), ['https://example.com/', 'https://example.com/menu']);
+    assert.equal((await index.search('coffee tea roast')).total, 0);
+});
+
+test('matches quoted phrases only with their words in order', async () => {
+    // Both pages match once, so the newer capture comes first.
+    assert.deepEqual((await index.search('"coffee beans"')).results.map(result => result.url), ['https://other.org/', 'https://example.com/']);
+    assert.equal((await index.search('"beans coffee"')).total, 0);
+    assert.equal((await index.search('"cafe opens"')).total, 1);
+});
+
+test('filters by domain and capture date and pages through results', async () => {
+    assert.equal((await index.search('beans', { domain: 'other.org' })).total, 1);
+    assert.equal((await index.search('beans', { from: new Date('2024-03-01T00:00:00Z') })).total, 1);
+    assert.equal((await index.search('beans', { to: new Date('2024-03-01T00:00:00Z') })).total, 2);
+    const page = await index.search('beans', { limit: 1, offset: 2 });
+    assert.deepEqual({ total: page.total, shown: page.results.length }, { total: 3, shown: 1 });
+});
+
+test('cuts snippets around the first match', async () => {
+    const [result] = (await index.search('tea')).results;
+    assert.equal(result.snippet, 'Coffee, tea and cake. Opening offer: beans for free.');
+    assert.equal(result.title, 'Menu');
+});
+
+test('replaces the pages of a reindexed snapshot and removes deleted ones', async () => {
+    await index.indexSnapshot('example.com', '2024-01-01T00-00-00.000Z', [
+        { url: 'https://example.com/', file: 'index.html', title: 'Closed', text: 'Closed for renovation.' }
+    ]);
+    assert.equal((await index.search('coffee', { domain: 'example.com' })).total, 0);
+    assert.equal((await index.search('renovation')).total, 1);
+
+    await index.removeDocuments(doc => doc.domain === 'other.org');
+    const reloaded = new SearchIndex(index.filePath);
+    assert.equal((await reloaded.search('roast')).total, 0);
+    assert.equal((await reloaded.search('renovation')).total, 1);
+});
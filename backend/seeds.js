@@ -0,0 +1,203 @@
+/**
+ * Crawl Seeds
+ * * Decides where a crawl starts besides its start URL. Following links only
+ * reaches pages linked from the start page within the page limit, so a crawl
+ * can also be seeded with the pages listed in the site's sitemaps (found in
+ * robots.txt or at /sitemap.xml, sitemap indexes included), the entries of an
+ * RSS or Atom feed, or a list of URLs. Seeds are queued before any discovered
+ * link.
+ */
+
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const robotsParser = require('robots-parser');
+
+const SEED_MODES = ['links', 'sitemap', 'feed', 'list'];
+// Sitemap indexes may point at many sitemaps; reading stops after this many files.
+const MAX_SITEMAP_FILES = 50;
+// Largest sitemap or feed read, downloaded or gunzipped; the sitemap protocol allows no more.
+const MAX_SEED_DOCUMENT_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Error thrown for invalid seed settings.
+ */
+class SeedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SeedError';
+    }
+}
+
+/**
+ * @param {string} value - A URL as given.
+ * @returns {string|null} The URL if it is a valid http(s) URL, otherwise null.
+ */
+function toHttpUrl(value) {
+    try {
+        const url = new URL(String(value).trim());
+        return /^https?:$/.test(url.protocol) ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Reads a list of URLs as pasted or uploaded: one per line, with blank lines
+ * and lines starting with # left out.
+ * @param {string|string[]} urls - The text of the list, or its lines.
+ * @returns {string[]} The URLs, without duplicates, in their original order.
+ * @throws {SeedError} If a line is not an http(s) URL.
+ */
+function parseUrlList(urls) {
+    const lines = Array.isArray(urls) ? urls : String(urls || '').split(/\r?\n/);
+    const list = new Set();
+    for (const line of lines.map(entry => String(entry).trim())) {
+        if (!line || line.startsWith('#')) continue;
+        const url = toHttpUrl(line);
+        if (!url) throw new SeedError(`Not an http(s) URL: ${line}`);
+        list.add(url);
+    }
+    return [...list];
+}
+
+/**
+ * Validates the seed settings of a crawl.
+ * @param {object} [settings] - { mode, url, urls }: mode is 'links' (the default; only the
+ *   start URL), 'sitemap', 'feed' or 'list'. url is the sitemap, which is looked up when
+ *   missing, or the feed, which is required. urls is the list, as text or an array.
+ * @returns {object} { mode, url, urls } with url null and urls empty where unused.
+ */
+function normalizeSeed({ mode = 'links', url = null, urls = null } = {}) {
+    if (!SEED_MODES.includes(mode)) throw new SeedError(`Seed mode must be one of ${SEED_MODES.join(', ')}.`);
+    if (mode === 'list') {
+        const list = parseUrlList(urls);
+        if (list.length === 0) throw new SeedError('The URL list is empty.');
+        return { mode, url: null, urls: list };
+    }
+    if (mode === 'links' || (mode === 'sitemap' && !url)) return { mode, url: null, urls: [] };
+    const seedUrl = toHttpUrl(url || '');
+    if (!seedUrl) throw new SeedError(mode === 'feed' ? 'Seeding from a feed needs the feed URL.' : `Invalid sitemap URL: ${url}`);
+    return { mode, url: seedUrl, urls: [] };
+}
+
+/**
+ * @param {object|null} seed - Settings from normalizeSeed.
+ * @returns {object|null} The settings with the URL list replaced by its length, for job listings.
+ */
+function summarizeSeed(seed) {
+    if (!seed) return null;
+    const { urls, ...rest } = seed;
+    return { ...rest, urlCount: urls.length };
+}
+
+/**
+ * Reads a sitemap: an XML urlset or sitemap index, possibly gzipped, or a text
+ * file with one URL per line.
+ * @param {Buffer} body - The sitemap file.
+ * @returns {object} { urls, sitemaps }: the pages it lists and the sitemaps an index points at.
+ * @throws {RangeError} If it is gzipped and unpacks to more than MAX_SEED_DOCUMENT_BYTES.
+ */
+function parseSitemap(body) {
+    const data = body[0] === 0x1f && body[1] === 0x8b ? zlib.gunzipSync(body, { maxOutputLength: MAX_SEED_DOCUMENT_BYTES }) : body;
+    const text = data.toString('utf8').trim();
+    if (!text.startsWith('<')) {
+        return { urls: text.split(/\r?\n/).map(toHttpUrl).filter(Boolean), sitemaps: [] };
+    }
+    const $ = cheerio.load(text, { xmlMode: true });
+    const readLocations = selector => $(selector).map((_, element) => toHttpUrl($(element).text())).get().filter(Boolean);
+    return { urls: readLocations('urlset > url > loc'), sitemaps: readLocations('sitemapindex > sitemap > loc') };
+}
+
+/**
+ * Reads the entry links of a feed: the <link> of RSS 2.0 and RSS 1.0 items, and
+ * the alternate link of Atom entries.
+ * @param {Buffer} body - The feed.
+ * @param {string} feedUrl - The URL of the feed, against which relative links are resolved.
+ * @returns {string[]} The entry URLs.
+ */
+function parseFeed(body, feedUrl) {
+    const $ = cheerio.load(body.toString('utf8'), { xmlMode: true });
+    const links = [];
+    $('item').each((_, element) => {
+        const item = $(element);
+        links.push(item.children('link').first().text() || item.attr('rdf:about'));
+    });
+    $('entry').each((_, element) => {
+        const alternate = $(element).children('link').filter((_, link) => ['', 'alternate'].includes($(link).attr('rel') || '')).first();
+        links.push(alternate.attr('href'));
+    });
+    return links.filter(Boolean).map(link => {
+        try {
+            return toHttpUrl(new URL(link.trim(), feedUrl).href);
+        } catch (e) {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+/**
+ * Finds the pages a crawl is seeded with.
+ * @param {object} seed - Settings from normalizeSeed.
+ * @param {object} context - { startUrl, fetchDocument, accept, limit }: fetchDocument(url) resolves
+ *   to the response body, accept(url) returns the URL to queue (normalized) or null to leave it out,
+ *   and limit is how many seeds are worth finding.
+ * @returns {Promise<object[]>} Seeds as { url, method, source }, method being the seed mode and
+ *   source the sitemap or feed the URL was listed in.
+ */
+async function discoverSeeds(seed, { startUrl, fetchDocument, accept, limit }) {
+    const seeds = new Map();
+    const add = (url, source) => {
+        const accepted = accept(url);
+        if (accepted && !seeds.has(accepted) && seeds.size < limit) seeds.set(accepted, { url: accepted, method: seed.mode, source });
+    };
+
+    /**
+     * @param {string} url - A sitemap or feed.
+     * @returns {Promise<Buffer|null>} Its content, or null if it could not be fetched.
+     */
+    const readDocument = async (url) => {
+        try {
+            return await fetchDocument(url);
+        } catch (error) {
+            console.error(`[ERROR] Could not read ${url} for seeding (${error.message})`);
+            return null;
+        }
+    };
+
+    if (seed.mode === 'list') {
+        seed.urls.forEach(url => add(url, null));
+    } else if (seed.mode === 'feed') {
+        const body = await readDocument(seed.url);
+        if (body) parseFeed(body, seed.url).forEach(url => add(url, seed.url));
+    } else if (seed.mode === 'sitemap') {
+        let pending = seed.url ? [seed.url] : null;
+        if (!pending) {
+            // Sitemaps are announced in robots.txt; /sitemap.xml is the conventional place otherwise.
+            const robotsUrl = new URL('/robots.txt', startUrl).href;
+            const robotsTxt = await readDocument(robotsUrl);
+            pending = robotsTxt ? robotsParser(robotsUrl, robotsTxt.toString('utf8')).getSitemaps() : [];
+            if (pending.length === 0) pending = [new URL('/sitemap.xml', startUrl).href];
+        }
+        const read = new Set();
+        while (pending.length > 0 && read.size < MAX_SITEMAP_FILES && seeds.size < limit) {
+            const sitemapUrl = pending.shift();
+            if (read.has(sitemapUrl)) continue;
+            read.add(sitemapUrl);
+            const body = await readDocument(sitemapUrl);
+            if (!body) continue;
+            let sitemap;
+            try {
+                sitemap = parseSitemap(body);
+            } catch (error) {
+                console.error(`[ERROR] Could not parse the sitemap ${sitemapUrl} (${error.message})`);
+                continue;
+            }
+            sitemap.urls.forEach(url => add(url, sitemapUrl));
+            pending.push(...sitemap.sitemaps);
+        }
+    }
+    console.log(`[LOG] Seeded the crawl with ${seeds.size} URL(s) from ${seed.mode === 'list' ? 'the URL list' : `the ${seed.mode}`}.`);
+    return [...seeds.values()];
+}
+
+module.exports = { SEED_MODES, MAX_SEED_DOCUMENT_BYTES, SeedError, normalizeSeed, summarizeSeed, parseUrlList, discoverSeeds };
@@ -0,0 +1,95 @@
+/**
+ * Crawl Seeds Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { MAX_SEED_DOCUMENT_BYTES, SeedError, normalizeSeed, summarizeSeed, parseUrlList, discoverSeeds } = require('./seeds');
+
+const START_URL = 'https://example.com/';
+
+/**
+ * Finds the seeds of a crawl against a site made of the given documents.
+ * @param {object} seed - Seed settings.
+ * @param {object} documents - URL mapped to its content; other URLs fail to fetch.
+ * @param {object} [options] - { accept, limit }.
+ * @returns {Promise<object[]>} The seeds.
+ */
+function discover(seed, documents, { accept = url => url, limit = 100 } = {}) {
+    const fetchDocument = async url => {
+        if (!(url in documents)) throw new Error('404');
+        return Buffer.isBuffer(documents[url]) ? documents[url] : Buffer.from(documents[url]);
+    };
+    return discoverSeeds(normalizeSeed(seed), { startUrl: START_URL, fetchDocument, accept, limit });
+}
+
+test('reads URL lists without comments, blank lines or duplicates', () => {
+    assert.deepEqual(parseUrlList('# pages\nhttps://example.com/a\r\n\nhttps://example.com/a\n  https://example.com/b  '), [
+        'https://example.com/a',
+        'https://example.com/b'
+    ]);
+    assert.throws(() => parseUrlList('ftp://example.com/file'), SeedError);
+});
+
+test('validates seed settings', () => {
+    assert.deepEqual(normalizeSeed(), { mode: 'links', url: null, urls: [] });
+    assert.deepEqual(normalizeSeed({ mode: 'sitemap' }), { mode: 'sitemap', url: null, urls: [] });
+    assert.throws(() => normalizeSeed({ mode: 'feed' }), /needs the feed URL/);
+    assert.throws(() => normalizeSeed({ mode: 'list', urls: '# nothing' }), /empty/);
+    assert.throws(() => normalizeSeed({ mode: 'crawl' }), SeedError);
+    assert.deepEqual(summarizeSeed(normalizeSeed({ mode: 'list', urls: ['https://example.com/a'] })), { mode: 'list', url: null, urlCount: 1 });
+});
+
+test('follows sitemap indexes from robots.txt into gzipped sitemaps', async () => {
+    const seeds = await discover({ mode: 'sitemap' }, {
+        'https://example.com/robots.txt': 'User-agent: *\nSitemap: https://example.com/index.xml',
+        'https://example.com/index.xml': '<sitemapindex><sitemap><loc>https://example.com/pages.xml.gz</loc></sitemap></sitemapindex>',
+        'https://example.com/pages.xml.gz': zlib.gzipSync('<urlset><url><loc> https://example.com/a </loc></url><url><loc>https://example.com/b</loc></url></urlset>')
+    });
+    assert.deepEqual(seeds, [
+        { url: 'https://example.com/a', method: 'sitemap', source: 'https://example.com/pages.xml.gz' },
+        { url: 'https://example.com/b', method: 'sitemap', source: 'https://example.com/pages.xml.gz' }
+    ]);
+});
+
+test('falls back to /sitemap.xml and reads text sitemaps', async () => {
+    const seeds = await discover({ mode: 'sitemap' }, { 'https://example.com/sitemap.xml': 'https://example.com/a\nnot a url\n' });
+    assert.deepEqual(seeds.map(seed => seed.url), ['https://example.com/a']);
+});
+
+test('reads the entry links of RSS and Atom feeds', async () => {
+    const rss = await discover({ mode: 'feed', url: 'https://example.com/feed.rss' }, {
+        'https://example.com/feed.rss': '<rss><channel><link>https://example.com/</link><item><link>/posts/1</link></item></channel></rss>'
+    });
+    assert.deepEqual(rss.map(seed => seed.url), ['https://example.com/posts/1']);
+
+    const atom = await discover({ mode: 'feed', url: 'https://example.com/feed.atom' }, {
+        'https://example.com/feed.atom': '<feed><entry><link rel="edit" href="/edit/2"/><link href="https://example.com/posts/2"/></entry></feed>'
+    });
+    assert.deepEqual(atom.map(seed => seed.url), ['https://example.com/posts/2']);
+});
+
+test('keeps to the seeds the crawl accepts, up to the limit', async () => {
+    const seeds = await discover(
+        { mode: 'list', urls: ['https://example.com/a', 'https://other.org/', 'https://example.com/b', 'https://example.com/c'] },
+        {},
+        { accept: url => (url.startsWith(START_URL) ? url : null), limit: 2 }
+    );
+    assert.deepEqual(seeds.map(seed => seed.url), ['https://example.com/a', 'https://example.com/b']);
+});
+
+test('finds no seeds when the feed cannot be read', async () => {
+    assert.deepEqual(await discover({ mode: 'feed', url: 'https://example.com/missing.rss' }, {}), []);
+});
+
+test('stops unpacking a gzipped sitemap at the size limit', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const urlset = '<urlset><url><loc>https://example.com/a</loc></url></urlset>';
+    const seeds = await discover({ mode: 'sitemap', url: 'https://example.com/big.xml.gz' }, {
+        'https://example.com/big.xml.gz': zlib.gzipSync(Buffer.concat([Buffer.from(urlset), Buffer.alloc(MAX_SEED_DOCUMENT_BYTES, ' ')]))
+    });
+    assert.deepEqual(seeds, []);
+    assert.match(console.error.mock.calls[0].arguments[0], /Could not parse the sitemap/);
+});
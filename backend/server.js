@@ -1,286 +1,1249 @@
 /**
  * Web Archiver Backend
- * * This Express server provides an API to crawl and archive websites.
- * It uses a two-pass approach:
- * 1. Crawl pages and fetch all assets, holding HTML in memory.
- * 2. Rewrite internal links and save final HTML files to disk.
+ * * This Express server provides an API to crawl and archive websites, and
+ * serves the archived snapshots. The crawl itself lives in crawler.js and the
+ * snapshot bookkeeping in snapshots.js, which the command-line interface shares.
  */
 
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
-const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { pipeline, Transform } = require('stream');
+const { enqueueJob, cancelJob, getJob, listJobs } = require('./jobs');
+const { CrawlCheckpoint } = require('./crawlCheckpoint');
+const { getStorageStats, getSnapshotSizes, STORE_DIRNAME } = require('./assetStore');
+const { readWarcFile, buildResponseIndex } = require('./warc');
+const { normalizePoliteness } = require('./politeness');
+const { normalizeRetries } = require('./retry');
+const { compareSnapshots, diffPage, loadSnapshot } = require('./diff');
+const { parseOriginalUrl, parseAcceptDatetime, findClosestCapture, formatLink, buildMementoLinks } = require('./memento');
+const { REPLAY_CONTENT_SECURITY_POLICY, normalizeNeutralize } = require('./liveWeb');
+const { createSnapshotZip, buildSingleFileHtml } = require('./snapshotExport');
+const { FRAME_MODIFIER, formatReplayTimestamp, parseReplayTimestamp, getReplayPath, rewriteReplayPage, renderNotArchivedPage } = require('./replay');
+const { Scheduler, ScheduleError } = require('./scheduler');
+const { RetentionError } = require('./retention');
+const { ScopeError, normalizeScope } = require('./scope');
+const { resolveCapturedUrl } = require('./urlMap');
+const { SNAPSHOT_STATUSES } = require('./catalog');
+const { RequestProfileError, normalizeRequestProfile, redactRequestProfile } = require('./requestProfiles');
+const { MEDIA_TYPES, normalizeSizeLimits } = require('./sizeLimits');
+const { SeedError, normalizeSeed } = require('./seeds');
+const { loadSigningKey, verifySnapshot, summarizeFixity } = require('./fixity');
+const { requestProfiles, createWarcFetcher, findImportSeeds, startCrawl, retryFailedResources, queueCrawlJob, queueResumeJob, resumeInterruptedCrawls } = require('./crawler');
+const {
+    ARCHIVES_DIR,
+    WARC_FILENAME,
+    searchIndex,
+    captureIndex,
+    catalog,
+    retentionPolicies,
+    activeCrawls,
+    listDomains,
+    getSnapshotPath,
+    getDomainPath,
+    getLegacyPageFilePath,
+    resolveSnapshotPageFile,
+    listSnapshotPages,
+    listDomainSnapshots,
+    hasActiveCrawl,
+    collectUnreferencedAssets,
+    deleteSnapshots,
+    deleteDomain,
+    applyRetentionPolicy,
+    rebuildCatalog,
+    rebuildSearchIndex,
+    loadIndexes
+} = require('./snapshots');
+const config = require('./config');
 
 const app = express();
 const PORT = 3001;
+// Largest WARC file accepted for import.
+const MAX_IMPORT_BYTES = 1024 * 1024 * 1024;
+const scheduler = new Scheduler(path.join(config.dataDir, 'schedules.json'), async watch => {
+    // Watches created before they kept their crawl options only have a scope.
+    const { requestProfile: profileName = null, ...crawlOptions } = watch.crawlOptions
+        || { politeness: config.politeness, userAgent: config.userAgent, scope: watch.scope };
+    // The profile is looked up by name at every run, so its secrets stay out of schedules.json.
+    const requestProfile = profileName && await requestProfiles.get(profileName);
+    if (profileName && !requestProfile) {
+        console.error(`[ERROR] Request profile "${profileName}" of the scheduled archive of ${watch.url} no longer exists; crawling without it.`);
+    }
+    return queueCrawlJob(
+        watch.url,
+        watch.maxPages,
+        { ...crawlOptions, requestProfile: requestProfile || null, skipUnchanged: watch.skipUnchanged },
+        { watchId: watch.id }
+    );
+});
 
 // --- Middleware ---
 app.use(cors());
-app.use(express.json());
-app.use('/view', express.static(path.join(__dirname, 'archives')));
-
+// Large enough for a crawl seeded with a long URL list.
+app.use(express.json({ limit: '10mb' }));
+app.use('/view', applyReplayPolicy, addMementoHeaders, express.static(ARCHIVES_DIR));
 
 // =================================================================
-// --- CORE CRAWLING LOGIC ---
+// --- API ENDPOINTS ---
 // =================================================================
 
 /**
- * Calculates the local file path for a given URL to be saved on disk.
- * @param {string} pageUrl - The full URL of the page.
- * @param {string} startUrl - The initial URL the crawl started with.
- * @param {string} archivePath - The base path for the current archive session.
- * @returns {string} The absolute local file path for the HTML file.
+ * Reads the crawl settings of a request, as taken by POST /api/archive and POST /api/schedules.
+ * @param {object} body - { politeness, retries, userAgent, scope, neutralize, requestProfile, sizeLimits, seed };
+ *   every one is optional.
+ * @returns {Promise<object>} The crawl options for queueCrawlJob, with a named request profile loaded.
+ * @throws {ScopeError|SeedError|RequestProfileError} For invalid settings or an unknown profile.
+ */
+async function readCrawlOptions({ politeness, retries, userAgent, scope, neutralize, requestProfile, sizeLimits, seed }) {
+    let profile = null;
+    if (typeof requestProfile === 'string' && requestProfile) {
+        profile = await requestProfiles.get(requestProfile);
+        if (!profile) throw new RequestProfileError(`Request profile "${requestProfile}" not found.`);
+    } else if (requestProfile && typeof requestProfile === 'object') {
+        profile = normalizeRequestProfile(requestProfile);
+    }
+    return {
+        politeness: normalizePoliteness(politeness, config.politeness),
+        retries: normalizeRetries(retries, config.retries),
+        userAgent: typeof userAgent === 'string' && userAgent.trim() ? userAgent.trim() : config.userAgent,
+        scope: normalizeScope(scope),
+        neutralize: normalizeNeutralize(neutralize),
+        requestProfile: profile,
+        sizeLimits: normalizeSizeLimits(sizeLimits, config.sizeLimits),
+        seed: normalizeSeed(seed || undefined)
+    };
+}
+
+/**
+ * @param {Error} error - An error thrown while reading crawl settings.
+ * @returns {boolean} Whether it is about the settings themselves, and answered with 400.
  */
-function getLocalFilePathForPage(pageUrl, startUrl, archivePath) {
-    const urlObject = new URL(pageUrl);
-    const startUrlObject = new URL(startUrl);
-    let pageFilename = urlObject.pathname.replace(/^\/|\/$/g, '');
+function isCrawlOptionsError(error) {
+    return error instanceof ScopeError || error instanceof SeedError || error instanceof RequestProfileError;
+}
+
+/**
+ * Queues a crawl. Besides the crawl settings, `requestProfile` adds headers,
+ * cookies, basic auth or a proxy to its requests: either the name of a saved
+ * profile or a profile given inline (see PUT /api/request-profiles/:name).
+ * `sizeLimits` overrides the configured size limits in bytes per media type.
+ * `seed` also queues the pages of a sitemap, a feed or a URL list; with a
+ * list, `url` may be left out and defaults to its first URL.
+ */
+app.post('/api/archive', async (req, res) => {
+    console.log('[LOG] Received POST request on /api/archive');
+    const { maxPages } = req.body;
+
+    let crawlOptions;
+    try {
+        crawlOptions = await readCrawlOptions(req.body);
+    } catch (error) {
+        if (!isCrawlOptionsError(error)) throw error;
+        console.error(`[ERROR] ${error.message}`);
+        return res.status(400).json({ message: error.message });
+    }
+    const url = req.body.url || (crawlOptions.seed.mode === 'list' ? crawlOptions.seed.urls[0] : null);
+    console.log(`[LOG] URL: ${url}, Max Pages: ${maxPages}`);
+    
+    if (!url) {
+        console.error('[ERROR] URL is required');
+        return res.status(400).json({ message: 'URL is required' });
+    }
+    
+    try {
+        new URL(url);
+    } catch (err) {
+        console.error(`[ERROR] Invalid URL: ${url}`);
+        return res.status(400).json({ message: 'URL is invalid' });
+    }
+
+    const maxPagesToCrawl = maxPages > 0 ? maxPages : 10;
+    const job = queueCrawlJob(url, maxPagesToCrawl, crawlOptions);
+    res.status(202).json({ message: `Archiving process for ${url} has been queued.`, job: job.toJSON() });
+});
+
+app.get('/api/jobs', (req, res) => {
+    res.json(listJobs().map(job => job.toJSON()));
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ message: 'Job not found.' });
+    res.json(job.toJSON());
+});
+
+/**
+ * Server-Sent Events stream of a job's progress. Sends the current state
+ * immediately, then a 'progress' event on every change and a final 'end' event.
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ message: 'Job not found.' });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('progress', job.toJSON());
+    if (job.isFinished()) {
+        send('end', job.toJSON());
+        return res.end();
+    }
+
+    const onProgress = data => send('progress', data);
+    const onEnd = data => {
+        send('end', data);
+        res.end();
+    };
+    job.on('progress', onProgress);
+    job.once('end', onEnd);
+    req.on('close', () => {
+        job.off('progress', onProgress);
+        job.off('end', onEnd);
+    });
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) return res.status(404).json({ message: 'Job not found.' });
+    res.json(job.toJSON());
+});
+
+app.get('/api/archives', async (req, res) => {
+    try {
+        res.json(await listDomains());
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to fetch archives.' });
+    }
+});
 
-    // Sanitize path for the file system.
-    pageFilename = pageFilename.replace(/[<>:"/\\|?*]/g, '_');
+/**
+ * Adds what only the running server knows to catalog entries: whether an
+ * incomplete snapshot is being captured right now, and so cannot be resumed.
+ * @param {object[]} entries - Catalog entries.
+ * @returns {object[]} The entries, with inProgress and resumable for incomplete ones.
+ */
+function withCrawlState(entries) {
+    return entries.map(entry => {
+        if (entry.status !== 'incomplete') return entry;
+        const inProgress = activeCrawls.has(path.join(ARCHIVES_DIR, entry.domain, entry.id));
+        return { ...entry, inProgress, resumable: entry.resumable && !inProgress };
+    });
+}
 
-    if (pageFilename === '' || urlObject.hostname !== startUrlObject.hostname) {
-        pageFilename = 'index.html';
-    } else if (!path.extname(pageFilename)) {
-        pageFilename = path.join(pageFilename, 'index.html');
+/**
+ * Reads the catalog filters of a list request: ?domain=, ?startUrl=, ?status=,
+ * ?from= and ?to=, plus ?limit= and ?offset= to page through the results.
+ * @param {object} query - The query string.
+ * @returns {object} The filters, or { error } if one of them is invalid.
+ */
+function parseCatalogFilters(query) {
+    const from = parseDateFilter(query.from, false);
+    const to = parseDateFilter(query.to, true);
+    if (from === null || to === null) return { error: 'Invalid ?from= or ?to= date.' };
+    if (query.status && !SNAPSHOT_STATUSES.includes(query.status)) {
+        return { error: `?status= must be one of: ${SNAPSHOT_STATUSES.join(', ')}.` };
     }
-    return path.join(archivePath, pageFilename);
+    return {
+        domain: query.domain,
+        startUrl: query.startUrl,
+        status: query.status,
+        from,
+        to,
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), 1000),
+        offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+    };
 }
 
 /**
- * Fetches a single page and all its assets (CSS, JS, images).
- * Assets are saved to disk, but the HTML is held in memory.
- * @param {string} url - The URL of the page to fetch.
- * @param {string} archivePath - The base path for the current archive session.
- * @param {string} startUrl - The initial URL the crawl started with.
- * @returns {Promise<object|null>} An object with the Cheerio instance ($) and discovered links, or null on failure.
+ * Lists snapshots from the catalog, newest first, with the filters of parseCatalogFilters.
  */
-async function fetchPageAndAssets(url, archivePath, startUrl) {
+app.get('/api/snapshots', async (req, res) => {
+    const filters = parseCatalogFilters(req.query);
+    if (filters.error) return res.status(400).json({ message: filters.error });
     try {
-        console.log(`[LOG] Fetching page and assets for: ${url}`);
-        const config = {
-            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/5.37.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/5.37.36' }
-        };
-
-        const response = await axios.get(url, { ...config, timeout: 15000 });
-        const htmlContent = response.data;
-        const $ = cheerio.load(htmlContent);
-        const startDomain = new URL(startUrl).hostname;
-        
-        // Discover same-domain links for the queue
-        const discoveredLinks = [];
-        $('a').each((_, element) => {
-            const link = $(element).attr('href');
-            if (link) {
-                try {
-                    const absoluteLink = new URL(link, url).href.split('#')[0];
-                    if (new URL(absoluteLink).hostname === startDomain) {
-                        discoveredLinks.push(absoluteLink);
-                    }
-                } catch (e) { /* Ignore invalid links */ }
+        const { total, snapshots } = await catalog.list(filters);
+        res.json({ total, limit: filters.limit, offset: filters.offset, snapshots: withCrawlState(snapshots) });
+    } catch (error) {
+        console.error(`[ERROR] Failed to list snapshots: ${error.message}`);
+        res.status(500).json({ message: 'Failed to list snapshots.' });
+    }
+});
+
+/**
+ * Everything the archive browser needs in one request: every domain with its
+ * start pages and capture period, and the catalog entry of every snapshot.
+ */
+app.get('/api/catalog', async (req, res) => {
+    try {
+        const { snapshots } = await catalog.list();
+        const domains = new Map();
+        for (const entry of snapshots) {
+            if (!domains.has(entry.domain)) {
+                domains.set(entry.domain, { domain: entry.domain, snapshotCount: 0, startUrls: new Set(), firstCapturedAt: null, lastCapturedAt: null });
             }
+            const summary = domains.get(entry.domain);
+            summary.snapshotCount++;
+            summary.startUrls.add(entry.startUrl);
+            // Snapshots come newest first.
+            summary.lastCapturedAt = summary.lastCapturedAt || entry.capturedAt;
+            summary.firstCapturedAt = entry.capturedAt;
+        }
+        res.json({
+            domains: [...domains.values()]
+                .map(summary => ({ ...summary, startUrls: [...summary.startUrls].sort() }))
+                .sort((a, b) => a.domain.localeCompare(b.domain)),
+            snapshots: withCrawlState(snapshots)
         });
+    } catch (error) {
+        console.error(`[ERROR] Failed to load the catalog: ${error.message}`);
+        res.status(500).json({ message: 'Failed to load the catalog.' });
+    }
+});
 
-        // Create a unique subfolder for this page's assets to prevent filename collisions.
-        const localPagePath = getLocalFilePathForPage(url, startUrl, archivePath);
-        const pageUrlObject = new URL(url);
-        const safePageIdentifier = (pageUrlObject.pathname.replace(/^\/|\/$/g, '') || 'index').replace(/[\/\?%*:|"<>]/g, '_');
-
-        // Process and save all assets.
-        const assetPromises = [];
-        let counters = { css: 0, img: 0, js: 0 };
-        $('link[rel="stylesheet"], img, script').each((_, element) => {
-            const el = $(element);
-            const tagName = el.prop('tagName').toLowerCase();
-            let fileUrl = '', extension = '', filename = '', attr = '';
-
-            if (tagName === 'link') {
-                attr = 'href'; fileUrl = el.attr(attr); filename = `style-${++counters.css}.css`;
-            } else if (tagName === 'img') {
-                attr = 'src'; fileUrl = el.attr('srcset') ? el.attr('srcset').split(',')[0].trim().split(' ')[0] : el.attr(attr); extension = path.extname(new URL(fileUrl, url).pathname) || '.jpg'; filename = `image-${++counters.img}${extension}`;
-            } else if (tagName === 'script') {
-                attr = 'src'; fileUrl = el.attr(attr); extension = path.extname(new URL(fileUrl, url).pathname) || '.js'; filename = `script-${++counters.js}${extension}`;
-            }
+app.post('/api/catalog/rebuild', async (req, res) => {
+    try {
+        const snapshots = await rebuildCatalog();
+        res.json({ message: `Catalog rebuilt with ${snapshots} snapshots.`, snapshots });
+    } catch (error) {
+        console.error(`[ERROR] Failed to rebuild the catalog: ${error.message}`);
+        res.status(500).json({ message: 'Failed to rebuild the catalog.' });
+    }
+});
 
-            if (fileUrl && !fileUrl.startsWith('data:')) {
-                const absoluteUrl = new URL(fileUrl, url).href;
-                const assetSavePath = path.join(archivePath, 'assets', safePageIdentifier, filename);
-                assetPromises.push(
-                    axios.get(absoluteUrl, { ...config, responseType: 'arraybuffer' })
-                        .then(res => {
-                            fs.ensureDirSync(path.dirname(assetSavePath));
-                            fs.writeFileSync(assetSavePath, res.data);
-                            const relativePath = path.relative(path.dirname(localPagePath), assetSavePath);
-                            el.attr(attr, relativePath.replace(/\\/g, '/'));
-                            if (tagName === 'img') el.removeAttr('srcset');
-                        })
-                        .catch(err => {
-                            if (err.response) {
-                                console.error(`[ERROR ${err.response.status}] Could not download asset: ${absoluteUrl}`);
-                            } else {
-                                console.error(`[ERROR] Could not download asset: ${absoluteUrl} (${err.message})`);
-                            }
-                        })
-                );
-            }
+/**
+ * Lists the snapshots of a domain from the catalog; takes the same filters as /api/snapshots.
+ */
+app.get('/api/archives/:domain', async (req, res) => {
+    const filters = parseCatalogFilters({ ...req.query, domain: req.params.domain });
+    if (filters.error) return res.status(400).json({ message: filters.error });
+    try {
+        const { total, snapshots } = await catalog.list(filters);
+        res.json({ total, limit: filters.limit, offset: filters.offset, snapshots: withCrawlState(snapshots) });
+    } catch (error) {
+        res.status(500).json({ message: 'Failed to fetch versions.' });
+    }
+});
+
+/**
+ * Loads the two snapshots named by ?from= and ?to= for a diff request.
+ * Sends an error response and returns null if either is missing.
+ */
+async function loadSnapshotPair(req, res) {
+    const { domain } = req.params;
+    const { from, to } = req.query;
+    const fromPath = getSnapshotPath(domain, from);
+    const toPath = getSnapshotPath(domain, to);
+    if (!fromPath || !toPath) {
+        res.status(400).json({ message: 'Both ?from= and ?to= snapshot IDs are required.' });
+        return null;
+    }
+    const domainPath = path.dirname(fromPath);
+    const [fromSnapshot, toSnapshot] = await Promise.all([loadSnapshot(domainPath, from), loadSnapshot(domainPath, to)]);
+    if (!fromSnapshot || !toSnapshot) {
+        res.status(404).json({ message: 'Snapshot not found.' });
+        return null;
+    }
+    return [fromSnapshot, toSnapshot];
+}
+
+/**
+ * Summarizes the differences between two snapshots of a domain:
+ * pages and assets added, removed or changed.
+ */
+app.get('/api/archives/:domain/diff', async (req, res) => {
+    try {
+        const pair = await loadSnapshotPair(req, res);
+        if (!pair) return;
+        res.json(await compareSnapshots(...pair, resolveSnapshotPageFile));
+    } catch (error) {
+        console.error(`[ERROR] Failed to compare snapshots: ${error.message}`);
+        res.status(500).json({ message: 'Failed to compare snapshots.' });
+    }
+});
+
+/**
+ * Returns the line-by-line diff of one page's visible text (?url=) between two snapshots.
+ */
+app.get('/api/archives/:domain/diff/page', async (req, res) => {
+    if (!req.query.url) return res.status(400).json({ message: 'A page ?url= is required.' });
+    try {
+        const pair = await loadSnapshotPair(req, res);
+        if (!pair) return;
+        res.json(await diffPage(...pair, req.query.url, resolveSnapshotPageFile));
+    } catch (error) {
+        console.error(`[ERROR] Failed to diff page: ${error.message}`);
+        res.status(500).json({ message: 'Failed to diff page.' });
+    }
+});
+
+/**
+ * The details of one snapshot, read from its manifest, or from its checkpoint
+ * while it is being captured or after its crawl was interrupted.
+ */
+app.get('/api/archives/:domain/:id', async (req, res) => {
+    const { domain, id } = req.params;
+    const snapshotPath = getSnapshotPath(domain, id);
+    if (!snapshotPath) return res.status(404).json({ message: 'Snapshot not found.' });
+    try {
+        const snapshot = await loadSnapshot(path.dirname(snapshotPath), id);
+        if (snapshot) {
+            const { manifest } = snapshot;
+            return res.json({
+                domain,
+                id,
+                status: 'complete',
+                startUrl: manifest.startUrl,
+                entrypoint: manifest.entrypoint,
+                crawledPages: manifest.crawledPages,
+                changes: manifest.changes || null,
+                scope: manifest.scope || null,
+                urlMap: manifest.urlMap || null,
+                hasWarc: await fs.pathExists(path.join(snapshotPath, WARC_FILENAME)),
+                captureReport: manifest.captureReport || null,
+                neutralize: manifest.neutralize || null,
+                liveReferences: manifest.liveReferences || null,
+                requestProfile: manifest.requestProfile || null,
+                sizeLimits: manifest.sizeLimits || null,
+                frames: manifest.frames || [],
+                seed: manifest.seed || null,
+                discovery: manifest.discovery || null,
+                fixity: summarizeFixity(manifest.fixity)
+            });
+        }
+
+        const checkpoint = new CrawlCheckpoint(snapshotPath);
+        if (!(await checkpoint.exists())) return res.status(404).json({ message: 'Snapshot not found.' });
+        const state = await checkpoint.load();
+        const inProgress = activeCrawls.has(snapshotPath);
+        res.json({
+            domain,
+            id,
+            status: 'incomplete',
+            startUrl: state.startUrl,
+            entrypoint: null,
+            crawledPages: Object.keys(state.pages).sort(),
+            changes: null,
+            scope: state.settings.scope,
+            urlMap: null,
+            hasWarc: false,
+            captureReport: null,
+            requestProfile: redactRequestProfile(state.settings.requestProfile),
+            sizeLimits: state.settings.sizeLimits || null,
+            frames: Object.keys(state.pages).filter(url => state.pages[url].frame).sort(),
+            seed: state.settings.seed || null,
+            discovery: state.discovery || null,
+            fixity: null,
+            inProgress,
+            resumable: state.resumable && !inProgress,
+            lastError: state.lastError,
+            checkpointedAt: state.updatedAt
         });
+    } catch (error) {
+        console.error(`[ERROR] Failed to load ${domain}/${id}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to load the snapshot.' });
+    }
+});
+
+/**
+ * Finds where a URL was saved in a snapshot: the page it was captured as,
+ * following redirects, or the stored asset.
+ */
+app.get('/api/archives/:domain/:id/resolve', async (req, res) => {
+    const { domain, id } = req.params;
+    const { url } = req.query;
+    if (!url) return res.status(400).json({ message: 'The ?url= parameter is required.' });
+    const snapshotPath = getSnapshotPath(domain, id);
+    const snapshot = snapshotPath && await loadSnapshot(path.dirname(snapshotPath), id);
+    if (!snapshot) return res.status(404).json({ message: 'Snapshot not found.' });
 
-        await Promise.all(assetPromises);
-        console.log(`✓ Fetched assets for: ${url}`);
-        return { $, discoveredLinks: [...new Set(discoveredLinks)] };
+    const { manifest } = snapshot;
+    const captured = !manifest.urlMap && manifest.crawledPages.includes(url)
+        ? { url, file: path.relative(snapshot.path, getLegacyPageFilePath(url, manifest.startUrl, snapshot.path)).replace(/\\/g, '/'), type: 'page' }
+        : resolveCapturedUrl(manifest, url);
+    if (!captured) return res.status(404).json({ message: `${url} was not captured in this snapshot.` });
 
+    const viewPath = captured.type === 'page' ? `/view/${domain}/${id}/${captured.file}` : `/view/${domain}/${captured.file}`;
+    res.json({ requestedUrl: url, ...captured, viewPath });
+});
+
+/**
+ * Hashes the files of a snapshot again and reports the ones that are missing,
+ * altered or were added since it was saved, and whether its manifest and
+ * signature still match.
+ */
+app.get('/api/archives/:domain/:id/verify', async (req, res) => {
+    const { domain, id } = req.params;
+    const snapshotPath = getSnapshotPath(domain, id);
+    const snapshot = snapshotPath && await loadSnapshot(path.dirname(snapshotPath), id);
+    if (!snapshot) return res.status(404).json({ message: 'Snapshot not found.' });
+    try {
+        const report = await verifySnapshot(snapshot.path, snapshot.manifest, loadSigningKey(config.signingKeyFile));
+        if (report.status === 'failed') console.log(`[LOG] ${domain}/${id} failed verification.`);
+        res.json({ domain, id, ...report });
     } catch (error) {
-        console.error(`✗ Failed to fetch page ${url}: ${error.message}`);
-        return null;
+        console.error(`[ERROR] Failed to verify ${domain}/${id}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to verify the snapshot.' });
+    }
+});
+
+/**
+ * Resumes an interrupted crawl from its last checkpoint.
+ */
+app.post('/api/archives/:domain/:id/resume', async (req, res) => {
+    const { domain, id } = req.params;
+    const snapshotPath = getSnapshotPath(domain, id);
+    const checkpoint = snapshotPath && new CrawlCheckpoint(snapshotPath);
+    if (!checkpoint || !(await checkpoint.exists()) || await fs.pathExists(path.join(snapshotPath, '_manifest.json'))) {
+        return res.status(404).json({ message: 'No interrupted crawl exists for this snapshot.' });
+    }
+    if (activeCrawls.has(snapshotPath)) {
+        return res.status(409).json({ message: 'This crawl is already running or queued.' });
+    }
+
+    try {
+        const state = await checkpoint.load();
+        if (!state.resumable) {
+            return res.status(409).json({ message: 'This crawl replayed an uploaded WARC file and cannot be resumed; import the file again instead.' });
+        }
+        const job = queueResumeJob(snapshotPath, state);
+        res.status(202).json({ message: `Crawl of ${state.startUrl} has been queued to resume.`, job: job.toJSON() });
+    } catch (error) {
+        console.error(`[ERROR] Failed to resume ${domain}/${id}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to resume crawl.' });
+    }
+});
+
+/**
+ * Retries the pages and assets that failed when a snapshot was captured, and
+ * patches the ones that can be fetched now into the snapshot.
+ */
+app.post('/api/archives/:domain/:id/retry-failed', async (req, res) => {
+    const { domain, id } = req.params;
+    const snapshotPath = getSnapshotPath(domain, id);
+    const snapshot = snapshotPath && await loadSnapshot(path.dirname(snapshotPath), id);
+    if (!snapshot) return res.status(404).json({ message: 'Snapshot not found.' });
+    const report = snapshot.manifest.captureReport;
+    if (!report || report.failures.length === 0) {
+        return res.status(400).json({ message: 'This snapshot has no failed resources to retry.' });
     }
+    if (activeCrawls.has(snapshotPath)) {
+        return res.status(409).json({ message: 'This snapshot is already being updated.' });
+    }
+
+    activeCrawls.add(snapshotPath);
+    const job = enqueueJob(
+        { startUrl: snapshot.manifest.startUrl, maxPages: report.pages.failed, retryFailed: `${domain}/${id}` },
+        crawlJob => retryFailedResources(snapshotPath, crawlJob)
+    );
+    job.once('end', () => {
+        activeCrawls.delete(snapshotPath);
+        // Stylesheets that were patched leave their previous version unused.
+        collectUnreferencedAssets(domain)
+            .catch(error => console.error(`[ERROR] Failed to remove unused assets of ${domain}: ${error.message}`));
+    });
+    res.status(202).json({ message: `Retrying ${report.failures.length} failed resource(s) of ${domain}/${id}.`, job: job.toJSON() });
+});
+
+/**
+ * Downloads the HTTP traffic recorded while a snapshot was captured as a WARC 1.1 file.
+ * With ?gzip=true every record is a separate gzip member (.warc.gz); otherwise plain WARC.
+ */
+app.get('/api/archives/:domain/:id/warc', async (req, res) => {
+    const { domain, id } = req.params;
+    const snapshotPath = getSnapshotPath(domain, id);
+    const warcPath = snapshotPath && path.join(snapshotPath, WARC_FILENAME);
+    if (!warcPath || !(await fs.pathExists(warcPath))) {
+        return res.status(404).json({ message: 'No WARC recording exists for this snapshot.' });
+    }
+
+    const gzip = req.query.gzip === 'true';
+    const filename = `${domain}-${id}.warc${gzip ? '.gz' : ''}`;
+    res.set({
+        'Content-Type': gzip ? 'application/gzip' : 'application/warc',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    // A damaged file, or one deleted while it is read, cuts the download short instead of crashing the server.
+    pipeline(fs.createReadStream(warcPath), ...(gzip ? [] : [zlib.createGunzip()]), res, error => {
+        if (!error) return;
+        console.error(`[ERROR] Failed to send the WARC file of ${domain}/${id}: ${error.message}`);
+        res.destroy(error);
+    });
+});
+
+/**
+ * Downloads a snapshot as a ZIP, streamed as it is packed: the snapshot folder
+ * (pages, manifest, WARC and capture log) and the stored assets it uses.
+ */
+app.get('/api/archives/:domain/:id/zip', async (req, res) => {
+    const { domain, id } = req.params;
+    const snapshotPath = getSnapshotPath(domain, id);
+    const snapshot = snapshotPath && await loadSnapshot(path.dirname(snapshotPath), id);
+    if (!snapshot) return res.status(404).json({ message: 'Snapshot not found.' });
+
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${domain}-${id}.zip"`
+    });
+    const zip = createSnapshotZip(snapshot.path, snapshot.manifest);
+    zip.on('warning', warning => console.error(`[ERROR] While zipping ${domain}/${id}: ${warning.message}`));
+    zip.on('error', error => {
+        console.error(`[ERROR] Failed to zip ${domain}/${id}: ${error.message}`);
+        res.destroy(error);
+    });
+    zip.pipe(res);
+});
+
+/**
+ * Downloads one captured page (?url=) as a single self-contained HTML file, with
+ * its stylesheets, scripts, images, media and frames inlined.
+ */
+app.get('/api/archives/:domain/:id/single-file', async (req, res) => {
+    const { domain, id } = req.params;
+    const { url } = req.query;
+    if (!url) return res.status(400).json({ message: 'The ?url= parameter is required.' });
+    const snapshotPath = getSnapshotPath(domain, id);
+    const snapshot = snapshotPath && await loadSnapshot(path.dirname(snapshotPath), id);
+    if (!snapshot) return res.status(404).json({ message: 'Snapshot not found.' });
+
+    const filePath = resolveSnapshotPageFile(snapshot, url);
+    if (!filePath || !(await fs.pathExists(filePath))) {
+        return res.status(404).json({ message: `${url} was not captured as a page in this snapshot.` });
+    }
+    if (!/\.html?$/i.test(filePath)) {
+        return res.status(400).json({ message: `${url} is not an HTML page; download it from /view instead.` });
+    }
+
+    try {
+        const pageUrls = new Map(listSnapshotPages(snapshot).map(page => [page.file, page.url]));
+        const html = await buildSingleFileHtml(filePath, { path: snapshot.path, pageUrls });
+        const pageName = path.relative(snapshot.path, filePath).replace(/\.html?$/i, '').replace(/[\\/]/g, '_');
+        // Page names may hold non-ASCII letters, which res.attachment encodes for the header.
+        res.attachment(`${domain}-${id}-${pageName}.html`);
+        res.send(html);
+    } catch (error) {
+        console.error(`[ERROR] Failed to build a single-file page of ${url}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to build the single-file page.' });
+    }
+});
+
+/**
+ * Saves a request body to a file as it arrives, instead of holding it in memory.
+ * @param {object} req - The request.
+ * @param {string} filePath - Where to save the body.
+ * @param {number} limit - The largest body accepted, in bytes.
+ * @returns {Promise<void>} Resolves once the body is saved.
+ * @throws {Error} With a `status` of 413 if the body is larger than the limit.
+ */
+function saveRequestBody(req, filePath, limit) {
+    let size = 0;
+    const limitSize = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > limit) return callback(Object.assign(new Error(`The upload is larger than ${limit} bytes.`), { status: 413 }));
+            callback(null, chunk);
+        }
+    });
+    return new Promise((resolve, reject) => {
+        pipeline(req, limitSize, fs.createWriteStream(filePath), error => (error ? reject(error) : resolve()));
+    });
 }
 
 /**
- * Orchestrates the entire crawl process using a two-pass system.
- * @param {string} startUrl - The URL to begin crawling from.
- * @param {number} maxPagesToCrawl - The maximum number of pages to crawl.
+ * Imports an uploaded WARC file (plain or gzipped, sent as the raw request body)
+ * as a new snapshot. HTML responses on the start URL's host, and the recorded redirects
+ * to them, become the snapshot's pages (see findImportSeeds); everything else in the
+ * file is used as their assets and frames. ?startUrl= picks the
+ * entry point, defaulting to the first HTML page in the file. The upload is read
+ * from a temporary folder, which holds the recorded responses until the import ends.
  */
-async function startCrawl(startUrl, maxPagesToCrawl) {
-    console.log(`[LOG] Starting crawl for: ${startUrl} (Max Pages: ${maxPagesToCrawl})`);
-    const urlObject = new URL(startUrl);
-    const domain = urlObject.hostname;
-    const timestamp = new Date().toISOString().replace(/:/g, '-');
-    const archivePath = path.join(__dirname, 'archives', domain, timestamp);
-    await fs.ensureDir(archivePath);
-    
-    const queue = [startUrl];
-    const visited = new Set();
-    const pageDataMap = new Map(); // Stores { url -> { $ } } in memory
-
-    // --- PASS 1: CRAWL AND FETCH ---
-    // Fetches all pages and their assets, holding HTML content in memory.
-    console.log('\n--- Starting Pass 1: Crawling and Fetching Pages ---');
-    while (queue.length > 0 && visited.size < maxPagesToCrawl) {
-        const currentUrl = queue.shift();
-        if (visited.has(currentUrl)) continue;
-
-        const fetchResult = await fetchPageAndAssets(currentUrl, archivePath, startUrl);
-        if (!fetchResult) continue;
-        
-        visited.add(currentUrl);
-        pageDataMap.set(currentUrl, { $: fetchResult.$ });
-
-        fetchResult.discoveredLinks.forEach(link => {
-            if (!visited.has(link) && !queue.includes(link)) {
-                queue.push(link);
-            }
+app.post('/api/archives/import', async (req, res) => {
+    const importPath = await fs.mkdtemp(path.join(os.tmpdir(), 'warc-import-'));
+    const warcPath = path.join(importPath, 'upload.warc');
+    const fail = async (status, message) => {
+        await fs.remove(importPath);
+        res.status(status).json({ message });
+    };
+
+    let responseIndex;
+    try {
+        await saveRequestBody(req, warcPath, MAX_IMPORT_BYTES);
+        responseIndex = await buildResponseIndex(readWarcFile(warcPath), path.join(importPath, 'responses'));
+        await fs.remove(warcPath);
+    } catch (error) {
+        if (error.status === 413) return fail(413, 'The WARC file is larger than 1 GB.');
+        return fail(400, `Invalid WARC file: ${error.message}`);
+    }
+
+    const htmlResponses = [...responseIndex.values()]
+        .filter(response => response.status < 300 && /text\/html|application\/xhtml/i.test(response.headers['content-type'] || ''));
+    if (htmlResponses.length === 0) {
+        return fail(400, 'The WARC file contains no HTML pages.');
+    }
+
+    const startUrl = req.query.startUrl || htmlResponses[0].url;
+    if (!responseIndex.has(startUrl)) {
+        return fail(400, `The WARC file has no capture of ${startUrl}.`);
+    }
+    const seedUrls = await findImportSeeds(responseIndex, startUrl);
+    const capturedAt = responseIndex.get(startUrl).date;
+
+    const job = enqueueJob({ startUrl, maxPages: seedUrls.length, source: 'warc' }, crawlJob => startCrawl(startUrl, seedUrls.length, crawlJob, {
+        capturedAt: Number.isNaN(capturedAt.getTime()) ? new Date() : capturedAt,
+        fetcher: createWarcFetcher(responseIndex),
+        // Replaying recorded responses puts no load on the original site.
+        politeness: { respectRobotsTxt: false, minRequestIntervalMs: 0, maxInFlightPerHost: 16, pageConcurrency: 4 },
+        // A recorded response is the same every time it is replayed.
+        retries: { maxRetries: 0 },
+        // Whatever the WARC file holds was already downloaded once, so nothing is skipped for its size.
+        sizeLimits: Object.fromEntries(MEDIA_TYPES.map(mediaType => [mediaType, null])),
+        seedUrls,
+        followLinks: false
+    }));
+    job.once('end', () => fs.remove(importPath)
+        .catch(error => console.error(`[ERROR] Failed to remove the imported WARC file of ${startUrl}: ${error.message}`)));
+    res.status(202).json({ message: `Import of ${startUrl} has been queued.`, job: job.toJSON() });
+});
+
+// --- DELETION AND RETENTION ---
+
+/**
+ * Deletes a domain with all of its snapshots and assets.
+ */
+app.delete('/api/archives/:domain', async (req, res) => {
+    const { domain } = req.params;
+    const domainPath = getDomainPath(domain);
+    if (!domainPath || !(await fs.pathExists(domainPath))) return res.status(404).json({ message: 'Domain not found.' });
+    if (hasActiveCrawl(domainPath)) {
+        return res.status(409).json({ message: 'A crawl of this domain is running or queued; cancel it first.' });
+    }
+
+    try {
+        const freedBytes = await deleteDomain(domain);
+        res.json({ message: `Deleted ${domain}.`, freedBytes });
+    } catch (error) {
+        console.error(`[ERROR] Failed to delete ${domain}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to delete domain.' });
+    }
+});
+
+/**
+ * Deletes every snapshot of a start page. The start page is given by the
+ * path of its URL, ?path=, as the archive viewer groups snapshots by it.
+ */
+app.delete('/api/archives/:domain/start-pages', async (req, res) => {
+    const { domain } = req.params;
+    const { path: startPath } = req.query;
+    const domainPath = getDomainPath(domain);
+    if (!startPath) return res.status(400).json({ message: 'The ?path= of the start page is required.' });
+    if (!domainPath) return res.status(404).json({ message: 'Domain not found.' });
+
+    try {
+        const ids = (await listDomainSnapshots(domainPath))
+            .filter(snapshot => new URL(snapshot.startUrl).pathname === startPath)
+            .map(snapshot => snapshot.id);
+        if (ids.length === 0) return res.status(404).json({ message: 'No snapshots of this start page exist.' });
+        if (ids.some(id => activeCrawls.has(path.join(domainPath, id)))) {
+            return res.status(409).json({ message: 'A crawl of this start page is running or queued; cancel it first.' });
+        }
+        const freedBytes = await deleteSnapshots(domain, ids);
+        res.json({ message: `Deleted ${ids.length} snapshot(s) of ${domain}${startPath}.`, deleted: ids, freedBytes });
+    } catch (error) {
+        console.error(`[ERROR] Failed to delete snapshots of ${domain}${startPath}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to delete snapshots.' });
+    }
+});
+
+/**
+ * Deletes a single snapshot, complete or not.
+ */
+app.delete('/api/archives/:domain/:id', async (req, res) => {
+    const { domain, id } = req.params;
+    const snapshotPath = id !== STORE_DIRNAME && getSnapshotPath(domain, id);
+    if (!snapshotPath || !(await fs.pathExists(snapshotPath))) return res.status(404).json({ message: 'Snapshot not found.' });
+    if (activeCrawls.has(snapshotPath)) {
+        return res.status(409).json({ message: 'This snapshot is being captured or updated; cancel its job first.' });
+    }
+
+    try {
+        const freedBytes = await deleteSnapshots(domain, [id]);
+        res.json({ message: `Deleted snapshot ${domain}/${id}.`, deleted: [id], freedBytes });
+    } catch (error) {
+        console.error(`[ERROR] Failed to delete ${domain}/${id}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to delete snapshot.' });
+    }
+});
+
+app.get('/api/retention', async (req, res) => {
+    res.json(await retentionPolicies.list());
+});
+
+/**
+ * Sets the retention policy of a domain: keep the `keepLast` newest snapshots of
+ * each start page, and/or every snapshot younger than `afterDays` plus one per
+ * `keepOnePer` ('day', 'week' or 'month') beyond that. With `applyAfterCrawl`,
+ * the policy is applied after every crawl of the domain.
+ */
+app.put('/api/retention/:domain', async (req, res) => {
+    try {
+        const policy = await retentionPolicies.set(req.params.domain, req.body || {});
+        console.log(`[LOG] Retention policy of ${req.params.domain} updated.`);
+        res.json(policy);
+    } catch (error) {
+        if (error instanceof RetentionError) return res.status(400).json({ message: error.message });
+        console.error(`[ERROR] Failed to save retention policy: ${error.message}`);
+        res.status(500).json({ message: 'Failed to save retention policy.' });
+    }
+});
+
+app.delete('/api/retention/:domain', async (req, res) => {
+    if (!(await retentionPolicies.remove(req.params.domain))) return res.status(404).json({ message: 'Retention policy not found.' });
+    res.json({ message: 'Retention policy deleted.' });
+});
+
+/**
+ * Applies the retention policy of a domain now. With ?dryRun=true, only lists
+ * the snapshots it would delete.
+ */
+app.post('/api/retention/:domain/apply', async (req, res) => {
+    const { domain } = req.params;
+    const dryRun = req.query.dryRun === 'true';
+    try {
+        const result = await applyRetentionPolicy(domain, { dryRun });
+        if (!result) return res.status(404).json({ message: 'Retention policy not found.' });
+        res.json({ ...result, dryRun });
+    } catch (error) {
+        console.error(`[ERROR] Failed to apply retention policy of ${domain}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to apply retention policy.' });
+    }
+});
+
+// --- REQUEST PROFILES ---
+
+app.get('/api/request-profiles', async (req, res) => {
+    res.json(await requestProfiles.list());
+});
+
+/**
+ * Saves a request profile under a name: `headers` as { name: value }, `cookies`
+ * as a list of { name, value, domain, path, secure, expires } and/or `cookiesTxt`
+ * with the content of a Netscape cookies.txt file, `auth` as { username, password }
+ * for HTTP basic auth, and `proxy` as a URL. Only the redacted profile is returned.
+ */
+app.put('/api/request-profiles/:name', async (req, res) => {
+    try {
+        const profile = await requestProfiles.set(req.params.name, req.body || {});
+        console.log(`[LOG] Request profile ${req.params.name} saved.`);
+        res.json(profile);
+    } catch (error) {
+        if (error instanceof RequestProfileError) return res.status(400).json({ message: error.message });
+        console.error(`[ERROR] Failed to save request profile: ${error.message}`);
+        res.status(500).json({ message: 'Failed to save request profile.' });
+    }
+});
+
+app.delete('/api/request-profiles/:name', async (req, res) => {
+    if (!(await requestProfiles.remove(req.params.name))) return res.status(404).json({ message: 'Request profile not found.' });
+    res.json({ message: 'Request profile deleted.' });
+});
+
+// --- SCHEDULED ARCHIVES ---
+
+app.get('/api/schedules', (req, res) => {
+    res.json(scheduler.list());
+});
+
+/**
+ * Registers a watch that re-archives a URL every `intervalMinutes` or on a `cron`
+ * schedule, within an optional crawl `scope`. With `skipUnchanged`, captures
+ * identical to the previous one are discarded.
+ */
+app.post('/api/schedules', async (req, res) => {
+    const { url, maxPages, intervalMinutes, cron, skipUnchanged, requestProfile } = req.body;
+    try {
+        new URL(url);
+    } catch (err) {
+        return res.status(400).json({ message: 'URL is invalid' });
+    }
+    if (requestProfile && typeof requestProfile !== 'string') {
+        return res.status(400).json({ message: 'Schedules take the name of a saved request profile.' });
+    }
+
+    try {
+        const crawlOptions = await readCrawlOptions(req.body);
+        const watch = await scheduler.create({
+            url,
+            maxPages,
+            intervalMinutes,
+            cron,
+            skipUnchanged,
+            crawlOptions: { ...crawlOptions, requestProfile: crawlOptions.requestProfile ? crawlOptions.requestProfile.name : null }
         });
+        console.log(`[LOG] Scheduled archive of ${url}, next run at ${watch.nextRunAt}`);
+        res.status(201).json(watch);
+    } catch (error) {
+        if (error instanceof ScheduleError || isCrawlOptionsError(error)) return res.status(400).json({ message: error.message });
+        console.error(`[ERROR] Failed to create schedule: ${error.message}`);
+        res.status(500).json({ message: 'Failed to create schedule.' });
     }
+});
 
-    // --- PASS 2: REWRITE LINKS AND SAVE HTML ---
-    // Iterates through the in-memory pages to intelligently rewrite links before saving.
-    console.log('\n--- Starting Pass 2: Rewriting Links and Saving HTML ---');
-    for (const [currentUrl, data] of pageDataMap.entries()) {
-        const { $ } = data;
-        const localPagePath = getLocalFilePathForPage(currentUrl, startUrl, archivePath);
-
-        $('a').each((_, element) => {
-            const linkEl = $(element);
-            const href = linkEl.attr('href');
-            if (href && !href.startsWith('#') && !href.startsWith('mailto:') && !href.startsWith('tel:')) {
-                try {
-                    const absoluteLinkUrl = new URL(href, currentUrl).href.split('#')[0];
-                    if (new URL(absoluteLinkUrl).hostname === domain && visited.has(absoluteLinkUrl)) {
-                        // If it's an archived link, rewrite to local relative path
-                        const linkedPageLocalPath = getLocalFilePathForPage(absoluteLinkUrl, startUrl, archivePath);
-                        const relativePath = path.relative(path.dirname(localPagePath), linkedPageLocalPath);
-                        linkEl.attr('href', relativePath.replace(/\\/g, '/') || './index.html');
-                    } else {
-                        // If it's an external or non-archived link, rewrite to its absolute live URL
-                        linkEl.attr('href', absoluteLinkUrl);
-                    }
-                } catch (e) { /* Ignore invalid hrefs */ }
-            }
+app.post('/api/schedules/:id/pause', async (req, res) => {
+    const watch = await scheduler.setPaused(req.params.id, true);
+    if (!watch) return res.status(404).json({ message: 'Schedule not found.' });
+    res.json(watch);
+});
+
+app.post('/api/schedules/:id/resume', async (req, res) => {
+    const watch = await scheduler.setPaused(req.params.id, false);
+    if (!watch) return res.status(404).json({ message: 'Schedule not found.' });
+    res.json(watch);
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+    if (!(await scheduler.remove(req.params.id))) return res.status(404).json({ message: 'Schedule not found.' });
+    res.json({ message: 'Schedule deleted.' });
+});
+
+/**
+ * Parses a date filter from the query string. Date-only values cover the whole
+ * day: the start of it for `from`, the end of it for `to`.
+ * @param {string} value - The raw parameter.
+ * @param {boolean} endOfDay - Whether a date-only value means the end of the day.
+ * @returns {Date|null|undefined} The date, undefined if absent, or null if invalid.
+ */
+function parseDateFilter(value, endOfDay) {
+    if (!value) return undefined;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Full-text search across every archived page.
+ * ?q= takes words and "quoted phrases" that must all occur; ?domain=, ?from= and ?to=
+ * narrow the results, and ?limit= / ?offset= page through them.
+ */
+app.get('/api/search', async (req, res) => {
+    const { q = '', domain } = req.query;
+    const from = parseDateFilter(req.query.from, false);
+    const to = parseDateFilter(req.query.to, true);
+    if (from === null || to === null) {
+        return res.status(400).json({ message: 'Invalid ?from= or ?to= date.' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+        const { total, results } = await searchIndex.search(q, { domain, from, to, limit, offset });
+        res.json({
+            query: q,
+            total,
+            results: results.map(result => ({ ...result, viewPath: `/view/${result.domain}/${result.snapshot}/${result.file}` }))
         });
+    } catch (error) {
+        console.error(`[ERROR] Search failed: ${error.message}`);
+        res.status(500).json({ message: 'Search failed.' });
+    }
+});
 
-        await fs.ensureDir(path.dirname(localPagePath));
-        await fs.writeFile(localPagePath, $.html());
-        console.log(`✓ Saved final HTML for: ${currentUrl}`);
+app.post('/api/search/reindex', async (req, res) => {
+    try {
+        const pages = await rebuildSearchIndex();
+        res.json({ message: `Search index rebuilt with ${pages} pages.`, pages });
+    } catch (error) {
+        console.error(`[ERROR] Failed to rebuild search index: ${error.message}`);
+        res.status(500).json({ message: 'Failed to rebuild search index.' });
     }
+});
 
-    // Create a manifest file with metadata about the crawl.
-    const entryPointPath = getLocalFilePathForPage(startUrl, startUrl, archivePath);
-    const relativeEntryPoint = path.relative(archivePath, entryPointPath).replace(/\\/g, '/');
-    const manifest = {
-        startUrl: startUrl,
-        entrypoint: relativeEntryPoint,
-        archivedAt: new Date().toISOString(),
-        crawledPages: Array.from(visited).sort()
-    };
-    await fs.writeFile(path.join(archivePath, '_manifest.json'), JSON.stringify(manifest, null, 2));
+// --- MEMENTO (RFC 7089) ---
 
-    console.log(`\n✅ Crawl complete. ${visited.size} pages archived in ${archivePath}`);
+/**
+ * Builds the absolute URIs Memento responses point to.
+ * @param {object} req - The request, whose protocol and host are used.
+ * @param {string} originalUrl - The original URL.
+ * @returns {object} { original, timegate, timemap, timemapJson, memento(capture) }.
+ */
+function getMementoUris(req, originalUrl) {
+    const base = `${req.protocol}://${req.get('host')}`;
+    return {
+        original: originalUrl,
+        timegate: `${base}/timegate/${originalUrl}`,
+        timemap: `${base}/timemap/link/${originalUrl}`,
+        timemapJson: `${base}/timemap/json/${originalUrl}`,
+        memento: capture => `${base}/view/${capture.domain}/${capture.snapshot}/${encodeURI(capture.file)}`
+    };
 }
 
+/**
+ * Sets the Memento-Datetime and Link headers of a response that serves a capture.
+ * @param {object} req - The request.
+ * @param {object} res - The response.
+ * @param {object} capture - The capture being served.
+ * @param {object[]} captures - Every capture of the same URL, oldest first.
+ */
+function setMementoHeaders(req, res, capture, captures) {
+    const uris = getMementoUris(req, capture.url);
+    const mementos = captures.map(entry => ({ uri: uris.memento(entry), datetime: entry.datetime }));
+    res.set('Memento-Datetime', new Date(capture.datetime).toUTCString());
+    res.set('Link', [
+        formatLink(uris.original, { rel: 'original' }),
+        formatLink(uris.timegate, { rel: 'timegate' }),
+        formatLink(uris.timemap, { rel: 'timemap', type: 'application/link-format' }),
+        ...buildMementoLinks(mementos, captures.indexOf(capture))
+    ].join(', '));
+}
 
-// =================================================================
-// --- API ENDPOINTS ---
-// =================================================================
+/**
+ * Adds the Memento-Datetime and Link headers to archived pages served under /view,
+ * so clients can tell which URL the page is a capture of, and when it was taken.
+ */
+async function addMementoHeaders(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    let segments;
+    try {
+        segments = decodeURIComponent(req.path).split('/').slice(1);
+    } catch (e) {
+        return next();
+    }
+    const [domain, snapshot, ...rest] = segments;
+    if (!domain || !snapshot || snapshot === STORE_DIRNAME) return next();
+    const file = rest.length === 0 || rest[rest.length - 1] === '' ? [...rest.filter(Boolean), 'index.html'].join('/') : rest.join('/');
 
-app.post('/api/archive', (req, res) => {
-    console.log('[LOG] Received POST request on /api/archive');
-    const { url, maxPages } = req.body;
-    console.log(`[LOG] URL: ${url}, Max Pages: ${maxPages}`);
-    
-    if (!url) {
-        console.error('[ERROR] URL is required');
-        return res.status(400).json({ message: 'URL is required' });
+    try {
+        const capture = await captureIndex.findByFile(domain, snapshot, file);
+        if (capture) setMementoHeaders(req, res, capture, await captureIndex.getCaptures(capture.url));
+    } catch (error) {
+        console.error(`[ERROR] Failed to look up the capture of ${req.path}: ${error.message}`);
     }
-    
-    const maxPagesToCrawl = maxPages > 0 ? maxPages : 10;
+    next();
+}
+
+/**
+ * TimeMap: lists every capture of an original URL, as application/link-format
+ * (/timemap/link/<url>) or JSON (/timemap/json/<url>).
+ */
+app.get(/^\/timemap\/(link|json)\/(.+)$/, async (req, res) => {
+    const format = req.params[0];
+    const originalUrl = parseOriginalUrl(req.originalUrl.slice(`/timemap/${format}/`.length));
+    if (!originalUrl) return res.status(400).json({ message: 'An http(s) URL is required after /timemap/<format>/.' });
 
     try {
-      // Run crawl in the background; don't await it.
-      startCrawl(url, maxPagesToCrawl);
-      res.json({ message: `Archiving process for ${url} has started.` });
-    } catch(err) {
-      console.error(`[ERROR] Failed to start crawl for ${url}: ${err.message}`);
-      res.status(500).json({ message: `Failed to start crawl: ${err.message}`})
+        const captures = await captureIndex.getCaptures(originalUrl);
+        if (captures.length === 0) return res.status(404).json({ message: `${originalUrl} has not been archived.` });
+        const uris = getMementoUris(req, originalUrl);
+        const mementos = captures.map(capture => ({ uri: uris.memento(capture), datetime: capture.datetime }));
+
+        if (format === 'json') {
+            const toJson = memento => ({ datetime: new Date(memento.datetime).toISOString(), uri: memento.uri });
+            return res.json({
+                original_uri: originalUrl,
+                timegate_uri: uris.timegate,
+                timemap_uri: { link_format: uris.timemap, json_format: uris.timemapJson },
+                mementos: { first: toJson(mementos[0]), last: toJson(mementos[mementos.length - 1]), list: mementos.map(toJson) }
+            });
+        }
+        const links = [
+            formatLink(uris.original, { rel: 'original' }),
+            formatLink(uris.timemap, {
+                rel: 'self',
+                type: 'application/link-format',
+                from: new Date(mementos[0].datetime).toUTCString(),
+                until: new Date(mementos[mementos.length - 1].datetime).toUTCString()
+            }),
+            formatLink(uris.timegate, { rel: 'timegate' }),
+            ...buildMementoLinks(mementos)
+        ];
+        res.type('application/link-format').send(`${links.join(',\n')}\n`);
+    } catch (error) {
+        console.error(`[ERROR] Failed to build TimeMap of ${originalUrl}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to build TimeMap.' });
     }
 });
 
-app.get('/api/archives', async (req, res) => {
-    const archivesDir = path.join(__dirname, 'archives');
+/**
+ * TimeGate: redirects to the capture of an original URL closest to the
+ * Accept-Datetime request header, or to the latest capture without one.
+ */
+app.get(/^\/timegate\/(.+)$/, async (req, res) => {
+    const originalUrl = parseOriginalUrl(req.originalUrl.slice('/timegate/'.length));
+    if (!originalUrl) return res.status(400).json({ message: 'An http(s) URL is required after /timegate/.' });
+    const acceptDatetime = req.get('Accept-Datetime');
+    const requestedDate = acceptDatetime ? parseAcceptDatetime(acceptDatetime) : new Date();
+    res.set('Vary', 'accept-datetime');
+    if (!requestedDate) return res.status(400).json({ message: 'Accept-Datetime must be an RFC 1123 date, e.g. "Thu, 31 May 2007 20:35:00 GMT".' });
+
     try {
-        await fs.ensureDir(archivesDir);
-        const domains = await fs.readdir(archivesDir);
-        res.json(domains.filter(d => fs.lstatSync(path.join(archivesDir, d)).isDirectory()));
+        const captures = await captureIndex.getCaptures(originalUrl);
+        const uris = getMementoUris(req, originalUrl);
+        if (captures.length === 0) {
+            res.set('Link', formatLink(uris.original, { rel: 'original' }));
+            return res.status(404).json({ message: `${originalUrl} has not been archived.` });
+        }
+        const closest = findClosestCapture(captures, requestedDate);
+        const mementos = captures.map(capture => ({ uri: uris.memento(capture), datetime: capture.datetime }));
+        res.set('Link', [
+            formatLink(uris.original, { rel: 'original' }),
+            formatLink(uris.timemap, { rel: 'timemap', type: 'application/link-format' }),
+            ...buildMementoLinks(mementos, captures.indexOf(closest))
+        ].join(', '));
+        res.redirect(302, uris.memento(closest));
     } catch (error) {
-        res.status(500).json({ message: 'Failed to fetch archives.' });
+        console.error(`[ERROR] TimeGate lookup of ${originalUrl} failed: ${error.message}`);
+        res.status(500).json({ message: 'TimeGate lookup failed.' });
     }
 });
 
-app.get('/api/archives/:domain', async (req, res) => {
-    const { domain } = req.params;
-    const domainDir = path.join(__dirname, 'archives', domain);
+// --- REPLAY ---
+
+/**
+ * Serves archived content with a Content-Security-Policy that keeps it from
+ * loading anything from the live web, unless turned off in the configuration.
+ */
+function applyReplayPolicy(req, res, next) {
+    if (config.replay.contentSecurityPolicy) res.set('Content-Security-Policy', REPLAY_CONTENT_SECURITY_POLICY);
+    next();
+}
+
+/**
+ * Finds the captures of a URL for replay. A URL that was only captured as the
+ * start of a redirect is looked up in the aliases of its domain's snapshots.
+ * @param {string} url - The original URL.
+ * @returns {Promise<object[]>} Its captures, oldest first; empty if it was never captured.
+ */
+async function findReplayCaptures(url) {
+    const captures = await captureIndex.getCaptures(url);
+    if (captures.length > 0) return captures;
+
+    const domainPath = getDomainPath(new URL(url).hostname);
+    if (!domainPath || !(await fs.pathExists(domainPath))) return [];
+    const ids = (await fs.readdir(domainPath)).filter(id => id !== STORE_DIRNAME).sort().reverse();
+    for (const id of ids) {
+        const snapshot = await loadSnapshot(domainPath, id);
+        const captured = snapshot && resolveCapturedUrl(snapshot.manifest, url);
+        if (captured && captured.type === 'page' && captured.url !== url) return captureIndex.getCaptures(captured.url);
+    }
+    return [];
+}
+
+/**
+ * Replays the capture of an original URL nearest to a timestamp, from any
+ * snapshot, e.g. /replay/20240513120000/https://example.com/about. Partial
+ * timestamps are allowed; the response redirects to the exact timestamp and
+ * URL of the capture found. A timestamp ending in `if_` replays the page
+ * without the banner, for frames.
+ */
+app.get(/^\/replay\/(\d{1,14})(if_)?\/(.+)$/, applyReplayPolicy, async (req, res) => {
+    const [timestamp, frameModifier] = [req.params[0], req.params[1]];
+    const isFrame = frameModifier === FRAME_MODIFIER;
+    const requestedDate = parseReplayTimestamp(timestamp);
+    const url = parseOriginalUrl(req.originalUrl.slice(`/replay/${timestamp}${frameModifier || ''}/`.length));
+    if (!requestedDate || !url) {
+        return res.status(400).json({ message: 'Use /replay/<timestamp>/<url> with a YYYYMMDDhhmmss timestamp and an http(s) URL.' });
+    }
+
     try {
-        const versionFolders = await fs.readdir(domainDir);
-        const versionsWithData = [];
-        for (const folder of versionFolders) {
-            const manifestPath = path.join(domainDir, folder, '_manifest.json');
-            if (fs.existsSync(manifestPath)) {
-                const manifest = await fs.readJson(manifestPath);
-                versionsWithData.push({
-                    id: folder,
-                    startUrl: manifest.startUrl,
-                    entrypoint: manifest.entrypoint,
-                    crawledPages: manifest.crawledPages
-                });
+        const captures = await findReplayCaptures(url);
+        if (captures.length === 0) return res.status(404).send(renderNotArchivedPage(url));
+        const capture = findClosestCapture(captures, requestedDate);
+        const captureTimestamp = formatReplayTimestamp(capture.datetime);
+        if (captureTimestamp !== timestamp || parseOriginalUrl(capture.url) !== url) {
+            return res.redirect(302, getReplayPath(captureTimestamp, capture.url, isFrame));
+        }
+
+        const snapshotPath = getSnapshotPath(capture.domain, capture.snapshot);
+        const snapshot = snapshotPath && await loadSnapshot(path.dirname(snapshotPath), capture.snapshot);
+        const filePath = snapshot && path.join(snapshot.path, capture.file);
+        if (!filePath || !(await fs.pathExists(filePath))) return res.status(404).send(renderNotArchivedPage(url));
+
+        setMementoHeaders(req, res, capture, captures);
+        if (!/\.html?$/i.test(capture.file)) return res.sendFile(filePath);
+
+        const position = captures.indexOf(capture);
+        const toNeighbour = neighbour => neighbour && { href: getReplayPath(formatReplayTimestamp(neighbour.datetime), neighbour.url), datetime: neighbour.datetime };
+        const html = rewriteReplayPage(await fs.readFile(filePath, 'utf8'), {
+            timestamp,
+            originalUrl: url,
+            pageFile: capture.file,
+            viewBase: `/view/${encodeURIComponent(capture.domain)}/${encodeURIComponent(capture.snapshot)}/`,
+            pageUrls: new Map(listSnapshotPages(snapshot).map(page => [page.file, page.url])),
+            banner: isFrame ? null : {
+                originalUrl: url,
+                datetime: capture.datetime,
+                position: position + 1,
+                total: captures.length,
+                prev: toNeighbour(captures[position - 1]),
+                next: toNeighbour(captures[position + 1])
             }
+        });
+        res.type('html').send(html);
+    } catch (error) {
+        console.error(`[ERROR] Failed to replay ${url}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to replay the page.' });
+    }
+});
+
+/**
+ * Reports disk usage of the archives, including how many bytes the shared
+ * asset store saves compared to keeping a copy of every asset per snapshot.
+ */
+app.get('/api/storage', async (req, res) => {
+    try {
+        const domains = [];
+        const totals = { snapshots: 0, storedFiles: 0, storedBytes: 0, referencedBytes: 0, pageBytes: 0, savedBytes: 0, diskBytes: 0 };
+        for (const domain of await listDomains()) {
+            const stats = await getStorageStats(path.join(ARCHIVES_DIR, domain));
+            domains.push({ domain, ...stats });
+            Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
         }
-        res.json(versionsWithData.sort((a, b) => b.id.localeCompare(a.id)));
+        res.json({ domains, totals });
     } catch (error) {
-        res.status(500).json({ message: 'Failed to fetch versions.' });
+        res.status(500).json({ message: 'Failed to compute storage usage.' });
+    }
+});
+
+/**
+ * Reports the disk usage of one domain and of each of its snapshots, complete or not.
+ */
+app.get('/api/storage/:domain', async (req, res) => {
+    const { domain } = req.params;
+    const domainPath = getDomainPath(domain);
+    if (!domainPath || !(await fs.pathExists(domainPath))) return res.status(404).json({ message: 'Domain not found.' });
+    try {
+        const snapshots = await listDomainSnapshots(domainPath);
+        const sizes = await getSnapshotSizes(domainPath, snapshots);
+        res.json({
+            domain,
+            ...(await getStorageStats(domainPath)),
+            bySnapshot: sizes.map((size, index) => ({ ...size, startUrl: snapshots[index].startUrl, incomplete: snapshots[index].incomplete }))
+        });
+    } catch (error) {
+        console.error(`[ERROR] Failed to compute storage usage of ${domain}: ${error.message}`);
+        res.status(500).json({ message: 'Failed to compute storage usage.' });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`✅ Server is running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Tests require the app without starting the server.
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`✅ Server is running on http://localhost:${PORT}`);
+
+        loadIndexes()
+            .catch(error => console.error(`[ERROR] Failed to prepare the indexes: ${error.message}`));
+        scheduler.start()
+            .catch(error => console.error(`[ERROR] Failed to start scheduler: ${error.message}`));
+        if (config.resumeInterruptedCrawls) {
+            resumeInterruptedCrawls()
+                .catch(error => console.error(`[ERROR] Failed to resume interrupted crawls: ${error.message}`));
+        }
+    });
+}
+
+module.exports = { app };
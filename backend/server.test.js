@@ -0,0 +1,181 @@
+/**
+ * Server Tests
+ * * Runs the API on a local port with temporary archives and data folders,
+ * holding two snapshots of example.com.
+ * Run with `npm test`.
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+process.env.ARCHIVER_ARCHIVES_DIR = path.join(folder, 'archives');
+process.env.ARCHIVER_DATA_DIR = path.join(folder, 'data');
+
+const { enqueueJob } = require('./jobs');
+const { loadIndexes } = require('./snapshots');
+const { UrlMap } = require('./urlMap');
+const { app } = require('./server');
+
+let server, origin;
+
+/**
+ * Saves a snapshot of example.com the way the crawler does.
+ * @param {string} id - The snapshot ID, which is also when its pages were captured.
+ * @param {object} pages - Page URL mapped to its saved HTML, which links to other pages by their files.
+ * @param {object} [aliases] - Requested URL mapped to the page it redirected to.
+ * @returns {Promise<void>}
+ */
+async function saveSnapshot(id, pages, aliases = {}) {
+    const startUrl = 'https://example.com/';
+    const snapshotPath = path.join(process.env.ARCHIVER_ARCHIVES_DIR, 'example.com', id);
+    const urlMap = new UrlMap(startUrl);
+    for (const [url, html] of Object.entries(pages)) {
+        await fs.outputFile(path.join(snapshotPath, urlMap.assign(url, 'text/html')), html);
+    }
+    Object.entries(aliases).forEach(([fromUrl, toUrl]) => urlMap.addAlias(fromUrl, toUrl));
+    await fs.outputJson(path.join(snapshotPath, '_manifest.json'), {
+        startUrl, entrypoint: 'index.html', crawledPages: Object.keys(pages).sort(), ...urlMap.toJSON(), assets: {}
+    });
+}
+
+/**
+ * Requests a path from the server without following redirects.
+ * @param {string} pathname - The path to request.
+ * @returns {Promise<object>} { status, headers, body }.
+ */
+function request(pathname) {
+    return new Promise((resolve, reject) => {
+        http.get(`${origin}${pathname}`, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    await saveSnapshot('2024-01-01T00-00-00.000Z', {
+        'https://example.com/': '<a href="about/index.html">About</a> <a href="https://example.com/news">News</a>',
+        'https://example.com/about': '<p>About us</p>'
+    });
+    await saveSnapshot('2024-06-01T00-00-00.000Z', {
+        'https://example.com/': '<a href="news/index.html">News</a>',
+        'https://example.com/news': '<p>News</p>'
+    }, { 'https://example.com/old-news': 'https://example.com/news' });
+    await loadIndexes();
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(folder);
+});
+
+/**
+ * Opens the event stream of a job.
+ * @param {string} id - The job ID.
+ * @param {function(object): void} [onEvent] - Called with each { event, data } as it arrives.
+ * @returns {Promise<object>} { status, headers, events } once the server closes the stream.
+ */
+function readJobEvents(id, onEvent = () => {}) {
+    return new Promise((resolve, reject) => {
+        http.get(`${origin}/api/jobs/${id}/events`, res => {
+            const events = [];
+            let buffered = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffered += chunk;
+                let end;
+                while ((end = buffered.indexOf('\n\n')) !== -1) {
+                    const fields = Object.fromEntries(buffered.slice(0, end).split('\n').map(line => line.split(/: (.*)/s, 2)));
+                    buffered = buffered.slice(end + 2);
+                    const event = { event: fields.event, data: JSON.parse(fields.data) };
+                    events.push(event);
+                    onEvent(event);
+                }
+            });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, events }));
+        }).on('error', reject);
+    });
+}
+
+test('streams the progress of a job until it ends', async () => {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const job = enqueueJob({ startUrl: 'https://example.com/' }, async crawlJob => {
+        await released;
+        crawlJob.update({ currentUrl: 'https://example.com/about', counters: { pagesFetched: 1 } });
+    });
+    await new Promise(resolve => job.once('progress', resolve));
+
+    // The job is released once the stream has sent its current state.
+    const { status, headers, events } = await readJobEvents(job.id, () => release());
+
+    assert.equal(status, 200);
+    assert.match(headers['content-type'], /^text\/event-stream/);
+    assert.deepEqual(events.map(({ event, data }) => [event, data.status, data.currentUrl]), [
+        ['progress', 'running', null],
+        ['progress', 'running', 'https://example.com/about'],
+        ['progress', 'done', null],
+        ['end', 'done', null]
+    ]);
+    assert.equal(events.at(-1).data.counters.pagesFetched, 1);
+});
+
+test('sends the final state of a finished job and closes the stream', async () => {
+    const job = enqueueJob({}, async () => {});
+    await new Promise(resolve => job.once('end', resolve));
+
+    const { events } = await readJobEvents(job.id);
+    assert.deepEqual(events.map(({ event, data }) => [event, data.status]), [['progress', 'done'], ['end', 'done']]);
+    assert.equal((await readJobEvents('missing')).status, 404);
+});
+
+test('redirects a replay to the exact time and URL of the nearest capture', async () => {
+    for (const [requested, location] of [
+        ['/replay/2024/https://example.com/', '/replay/20240101000000/https://example.com/'],
+        ['/replay/20240501/https://example.com/', '/replay/20240601000000/https://example.com/'],
+        // A page only captured in a later snapshot, reached from a link of an earlier one.
+        ['/replay/20240101000000/https://example.com/news', '/replay/20240601000000/https://example.com/news'],
+        ['/replay/2024/https://example.com/old-news', '/replay/20240601000000/https://example.com/news'],
+        ['/replay/2024if_/https://example.com/about', '/replay/20240101000000if_/https://example.com/about']
+    ]) {
+        const response = await request(requested);
+        assert.deepEqual([response.status, response.headers.location], [302, location], requested);
+    }
+    assert.equal((await request('/replay/20241301/https://example.com/')).status, 400);
+    const missing = await request('/replay/2024/https://example.com/missing');
+    assert.equal(missing.status, 404);
+    assert.match(missing.body, /Not archived/);
+});
+
+test('replays a capture with its banner and its links kept in the archive', async () => {
+    const { status, headers, body } = await request('/replay/20240101000000/https://example.com/');
+    assert.equal(status, 200);
+    assert.match(headers['content-security-policy'], /sandbox/);
+    const $ = cheerio.load(body);
+
+    assert.equal($('base').attr('href'), '/view/example.com/2024-01-01T00-00-00.000Z/');
+    assert.deepEqual($('body > a').map((_, el) => $(el).attr('href')).get(), [
+        '/replay/20240101000000/https://example.com/about',
+        '/replay/20240101000000/https://example.com/news'
+    ]);
+    const banner = $('#archiver-replay-banner');
+    assert.match(banner.text(), /\(1 of 2\)/);
+    assert.equal(banner.find('a').last().attr('href'), '/replay/20240601000000/https://example.com/');
+
+    const frame = cheerio.load((await request('/replay/20240101000000if_/https://example.com/about')).body);
+    assert.equal(frame('#archiver-replay-banner').length, 0);
+    assert.equal(frame('p').text(), 'About us');
+});
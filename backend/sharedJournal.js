@@ -0,0 +1,221 @@
+/**
+ * Shared Journals
+ * * The catalog and the search and capture indexes are files that both the
+ * server and the command line update, each holding its own copy in memory.
+ * Each file is a journal in JSON Lines: a header with the format version, then
+ * one record per change. Updates take a lock file, read the records other
+ * processes appended since, and append their own; reads catch up the same way.
+ * A journal that has grown well past what it describes is compacted into a
+ * fresh file that records only the current entries.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 60 * 1000;
+// A lock not refreshed for this long was left behind by a process that died while holding it.
+const LOCK_STALE_MS = 30 * 1000;
+// A journal is compacted once it has this many records and more than twice the entries it describes.
+const COMPACT_MIN_RECORDS = 1000;
+
+/**
+ * Runs a task while holding the lock of a shared file. The lock is a directory
+ * next to the file, since creating one either succeeds or fails atomically. Its
+ * modification time is refreshed while the task runs, so a long task is not
+ * mistaken for a dead one.
+ * @param {string} filePath - The shared file.
+ * @param {function(): Promise<*>} task - The task to run.
+ * @param {object} [options] - { staleMs }: how long a lock may go without being refreshed.
+ * @returns {Promise<*>} The task's result.
+ * @throws {Error} If the lock is not released within a minute.
+ */
+async function withFileLock(filePath, task, { staleMs = LOCK_STALE_MS } = {}) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    await fs.ensureDir(path.dirname(filePath));
+    for (;;) {
+        try {
+            await fs.mkdir(lockPath);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        const lockedAt = await fs.stat(lockPath).then(stats => stats.mtimeMs, () => null);
+        if (lockedAt !== null && Date.now() - lockedAt > staleMs) {
+            console.log(`[LOG] Removing stale lock ${lockPath}`);
+            await fs.remove(lockPath);
+            continue;
+        }
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for the lock on ${filePath}.`);
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    const refresh = setInterval(() => {
+        const now = new Date();
+        fs.utimes(lockPath, now, now).catch(() => {});
+    }, staleMs / 3);
+    try {
+        return await task();
+    } finally {
+        clearInterval(refresh);
+        await fs.remove(lockPath);
+    }
+}
+
+/**
+ * A store kept in memory and persisted as a journal shared between processes.
+ * Subclasses hold the entries and implement:
+ *   reset() - drops every entry;
+ *   apply(record) - replays one record of the journal;
+ *   getRecords() - records that rebuild the current entries, for compaction;
+ *   countEntries() - how many entries there are.
+ * Updates change the entries in memory, then hand the matching records to append().
+ */
+class SharedJournal {
+    /**
+     * @param {string} filePath - Where the journal is persisted.
+     * @param {number} version - The format version written in the header.
+     */
+    constructor(filePath, version) {
+        this.filePath = filePath;
+        this.version = version;
+        this.pending = Promise.resolve();
+        this.fileId = null; // The inode of the journal read so far; compaction replaces the file
+        this.offset = 0; // How many bytes of it are read
+        this.recordCount = 0; // How many records it holds, without the header
+        this.header = null; // Its first line, { version, id }, as read
+        this.valid = false; // Whether the header has the current version
+    }
+
+    /**
+     * Forgets the journal read so far, along with every entry.
+     */
+    resetJournal() {
+        this.fileId = null;
+        this.offset = 0;
+        this.recordCount = 0;
+        this.header = null;
+        this.valid = false;
+        this.reset();
+    }
+
+    /**
+     * Reads the records appended since the last load, from the start if the file was replaced.
+     * A line still being written is left for the next load.
+     * @returns {Promise<boolean>} False if no journal file existed yet, or it has another version.
+     */
+    async load() {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.filePath, 'r');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            if (this.fileId !== null) this.resetJournal();
+            return false;
+        }
+        try {
+            const { ino, size } = await handle.stat();
+            // A replaced file may get the inode of one replaced before, but not its header with its random ID.
+            if (ino !== this.fileId || size < this.offset || !(await this.hasHeader(handle))) {
+                this.resetJournal();
+                this.fileId = ino;
+            }
+            if (size === this.offset) return this.valid;
+
+            const buffer = Buffer.alloc(size - this.offset);
+            await handle.read(buffer, 0, buffer.length, this.offset);
+            const end = buffer.lastIndexOf(0x0a) + 1;
+            this.offset += end;
+            for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+                if (!line) continue;
+                if (!this.header) {
+                    this.header = line;
+                    this.valid = JSON.parse(line).version === this.version;
+                    continue;
+                }
+                if (this.valid) {
+                    this.apply(JSON.parse(line));
+                    this.recordCount++;
+                }
+            }
+            return this.valid;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * @param {object} handle - The open journal file.
+     * @returns {Promise<boolean>} Whether it starts with the header read so far, if any was.
+     */
+    async hasHeader(handle) {
+        if (!this.header) return true;
+        const buffer = Buffer.alloc(Buffer.byteLength(this.header));
+        await handle.read(buffer, 0, buffer.length, 0);
+        return buffer.toString() === this.header;
+    }
+
+    /**
+     * Appends records to the journal. Only called from an update, under the file's lock
+     * and after loading, so the journal read so far is the whole file. A missing or outdated
+     * journal is written anew instead, as is one that needs compacting.
+     * @param {object[]} records - The records of the changes made in memory.
+     * @returns {Promise<void>}
+     */
+    async append(records) {
+        if (!this.valid) return this.compact();
+        if (records.length === 0) return;
+        const text = records.map(record => `${JSON.stringify(record)}\n`).join('');
+        await fs.appendFile(this.filePath, text);
+        this.offset += Buffer.byteLength(text);
+        this.recordCount += records.length;
+        if (this.recordCount >= COMPACT_MIN_RECORDS && this.recordCount > 2 * this.countEntries()) await this.compact();
+    }
+
+    /**
+     * Writes the journal anew with only the records of the current entries. The new
+     * file is renamed into place, so other processes never see a half-written one.
+     * @returns {Promise<void>}
+     */
+    async compact() {
+        const records = this.getRecords();
+        const header = JSON.stringify({ version: this.version, id: crypto.randomUUID() });
+        const text = [header, ...records.map(record => JSON.stringify(record))].map(line => `${line}\n`).join('');
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.outputFile(tempPath, text);
+        await fs.rename(tempPath, this.filePath);
+        const { ino } = await fs.stat(this.filePath);
+        this.fileId = ino;
+        this.offset = Buffer.byteLength(text);
+        this.recordCount = records.length;
+        this.header = header;
+        this.valid = true;
+    }
+
+    /**
+     * Runs operations one after another so concurrent crawls cannot interleave writes.
+     * @param {function(): Promise<*>} operation - The operation to perform.
+     * @returns {Promise<*>} The operation's result.
+     */
+    enqueue(operation) {
+        const result = this.pending.then(() => this.load()).then(operation);
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Queues an update that changes the journal. It runs under the file's lock on the entries
+     * as last written by any process, so updates made from the command line are kept.
+     * @param {function(): Promise<*>} update - The update to perform.
+     * @returns {Promise<*>} The update's result.
+     */
+    enqueueUpdate(update) {
+        return this.enqueue(() => withFileLock(this.filePath, async () => {
+            await this.load();
+            return update();
+        }));
+    }
+}
+
+module.exports = { SharedJournal, withFileLock, COMPACT_MIN_RECORDS };
@@ -0,0 +1,152 @@
+/**
+ * Shared Journal Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SharedJournal, withFileLock, COMPACT_MIN_RECORDS } = require('./sharedJournal');
+
+let folder, journalPath;
+
+// A journal of key/value pairs.
+class KeyValueJournal extends SharedJournal {
+    constructor(filePath) {
+        super(filePath, 1);
+        this.values = new Map();
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    apply({ key, value }) {
+        if (value === undefined) this.values.delete(key);
+        else this.values.set(key, value);
+    }
+
+    getRecords() {
+        return [...this.values].map(([key, value]) => ({ key, value }));
+    }
+
+    countEntries() {
+        return this.values.size;
+    }
+
+    set(key, value) {
+        return this.enqueueUpdate(async () => {
+            this.apply({ key, value });
+            await this.append([{ key, value }]);
+        });
+    }
+
+    get(key) {
+        return this.enqueue(async () => this.values.get(key));
+    }
+}
+
+/**
+ * @returns {Promise<string[]>} The lines of the journal file.
+ */
+async function readLines() {
+    return (await fs.readFile(journalPath, 'utf8')).split('\n').filter(Boolean);
+}
+
+/**
+ * @param {number} ms - How long to wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-test-'));
+    journalPath = path.join(folder, 'values.jsonl');
+});
+
+afterEach(() => fs.remove(folder));
+
+test('appends one record per update instead of rewriting the file', async () => {
+    const journal = new KeyValueJournal(journalPath);
+    await journal.set('a', 1);
+    const { ino } = await fs.stat(journalPath);
+    const [header] = await readLines();
+    await journal.set('b', 2);
+    await journal.set('a', undefined);
+
+    assert.equal((await fs.stat(journalPath)).ino, ino);
+    assert.deepEqual(await readLines(), [header, '{"key":"a","value":1}', '{"key":"b","value":2}', '{"key":"a"}']);
+    assert.equal(JSON.parse(header).version, 1);
+});
+
+test('reads what other processes appended, leaving a line still being written for later', async () => {
+    const server = new KeyValueJournal(journalPath);
+    const cli = new KeyValueJournal(journalPath);
+    await server.set('a', 1);
+    assert.equal(await cli.get('a'), 1);
+
+    await cli.set('b', 2);
+    await fs.appendFile(journalPath, '{"key":"c",');
+    assert.equal(await server.get('b'), 2);
+    assert.equal(await server.get('c'), undefined);
+
+    await fs.appendFile(journalPath, '"value":3}\n');
+    assert.equal(await server.get('c'), 3);
+    assert.equal(await new KeyValueJournal(journalPath).get('c'), 3);
+});
+
+test('compacts a journal that grew well past its entries', async () => {
+    const writer = new KeyValueJournal(journalPath);
+    const reader = new KeyValueJournal(journalPath);
+    await writer.set('kept', 'yes');
+    assert.equal(await reader.get('kept'), 'yes');
+    const { ino } = await fs.stat(journalPath);
+
+    for (let i = 0; i < COMPACT_MIN_RECORDS; i++) await writer.set('counter', i);
+
+    assert.notEqual((await fs.stat(journalPath)).ino, ino);
+    assert.ok((await readLines()).length < 10);
+    await writer.set('after', true);
+    assert.equal(await reader.get('counter'), COMPACT_MIN_RECORDS - 1);
+    assert.equal(await reader.get('kept'), 'yes');
+    assert.equal(await reader.get('after'), true);
+});
+
+test('reports a missing journal or one of another version', async () => {
+    assert.equal(await new KeyValueJournal(journalPath).load(), false);
+    await fs.outputFile(journalPath, `${JSON.stringify({ version: 0 })}\n{"key":"a","value":1}\n`);
+    const journal = new KeyValueJournal(journalPath);
+    assert.equal(await journal.load(), false);
+    assert.equal(journal.values.size, 0);
+
+    // The next update writes the journal anew in the current version.
+    await journal.set('b', 2);
+    assert.equal(await new KeyValueJournal(journalPath).load(), true);
+    assert.equal(await new KeyValueJournal(journalPath).get('a'), undefined);
+});
+
+test('keeps a lock held by a long task and removes one left behind', async () => {
+    mock.method(console, 'log', () => {});
+    const events = [];
+    const longTask = withFileLock(journalPath, async () => {
+        events.push('long start');
+        await sleep(800);
+        events.push('long end');
+    }, { staleMs: 300 });
+    await sleep(50);
+    await withFileLock(journalPath, async () => events.push('second'), { staleMs: 300 });
+    await longTask;
+    assert.deepEqual(events, ['long start', 'long end', 'second']);
+
+    const lockPath = `${journalPath}.lock`;
+    await fs.mkdir(lockPath);
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(lockPath, longAgo, longAgo);
+    assert.equal(await withFileLock(journalPath, async () => 'ran'), 'ran');
+    assert.equal(await fs.pathExists(lockPath), false);
+    mock.restoreAll();
+});
@@ -0,0 +1,90 @@
+/**
+ * Resource Size Limits
+ * * Caps the size of what a crawl downloads, per type of content (images,
+ * video, audio, fonts and everything else), so a site full of huge videos can
+ * be archived without them. Downloads stop as soon as they pass the limit; the
+ * resource is left pointing at the live web and listed as skipped in the
+ * snapshot's capture report.
+ */
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'font', 'other'];
+
+/**
+ * Error for a resource that is larger than the limit of its type.
+ */
+class ResourceTooLargeError extends Error {
+    /**
+     * @param {string} url - The resource.
+     * @param {string} mediaType - Its type, one of MEDIA_TYPES.
+     * @param {number} size - Its size in bytes, or at least how much was received before stopping.
+     * @param {number} limit - The limit of its type in bytes.
+     */
+    constructor(url, mediaType, size, limit) {
+        super(`${formatBytes(size)} is over the ${formatBytes(limit)} limit for ${mediaType === 'other' ? 'other resources' : `${mediaType} files`}`);
+        this.name = 'ResourceTooLargeError';
+        this.url = url;
+        this.mediaType = mediaType;
+        this.size = size;
+        this.limit = limit;
+    }
+}
+
+/**
+ * @param {number} bytes - A size in bytes.
+ * @returns {string} The size in B, KB or MB.
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Fills in missing size limits and drops invalid ones.
+ * @param {object} [overrides] - Limits in bytes supplied for a single crawl, per media type;
+ *   null lifts the limit of a type.
+ * @param {object} defaults - The configured defaults.
+ * @returns {object} { image, video, audio, font, other }, each a number of bytes or null for no limit.
+ */
+function normalizeSizeLimits(overrides = {}, defaults) {
+    const limits = {};
+    for (const mediaType of MEDIA_TYPES) {
+        const value = overrides[mediaType];
+        if (value === null) {
+            limits[mediaType] = null;
+        } else if (value !== undefined && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0) {
+            limits[mediaType] = Math.floor(Number(value));
+        } else {
+            limits[mediaType] = defaults[mediaType] ?? null;
+        }
+    }
+    return limits;
+}
+
+/**
+ * Decides which limit applies to a response.
+ * @param {string} contentType - The Content-Type of the response.
+ * @param {string} kind - 'page' or the asset kind it was requested as, used when there is no Content-Type.
+ * @returns {string} One of MEDIA_TYPES.
+ */
+function getMediaType(contentType, kind) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (!type) return kind === 'img' ? 'image' : 'other';
+    if (type.startsWith('image/')) return 'image';
+    if (type.startsWith('video/')) return 'video';
+    if (type.startsWith('audio/') || type === 'application/ogg') return 'audio';
+    if (type.startsWith('font/') || /^application\/(x-)?(font-|woff)/.test(type)) return 'font';
+    return 'other';
+}
+
+/**
+ * @param {object} limits - Limits from normalizeSizeLimits.
+ * @param {string} contentType - The Content-Type of the response.
+ * @param {string} kind - See getMediaType.
+ * @returns {number|null} The limit in bytes that applies to the response, or null if there is none.
+ */
+function getSizeLimit(limits, contentType, kind) {
+    return limits[getMediaType(contentType, kind)] ?? null;
+}
+
+module.exports = { MEDIA_TYPES, ResourceTooLargeError, normalizeSizeLimits, getMediaType, getSizeLimit };
@@ -0,0 +1,47 @@
+/**
+ * Resource Size Limits Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ResourceTooLargeError, normalizeSizeLimits, getMediaType, getSizeLimit } = require('./sizeLimits');
+
+const DEFAULTS = { image: 10 * 1024 * 1024, video: 100 * 1024 * 1024, audio: null, font: 1024, other: 2048 };
+
+test('sorts responses into media types by Content-Type, or by how they were requested', () => {
+    assert.equal(getMediaType('image/svg+xml; charset=utf-8', 'resource'), 'image');
+    assert.equal(getMediaType('VIDEO/MP4', 'media'), 'video');
+    assert.equal(getMediaType('application/ogg', 'media'), 'audio');
+    assert.equal(getMediaType('font/woff2', 'resource'), 'font');
+    assert.equal(getMediaType('application/x-font-ttf', 'resource'), 'font');
+    assert.equal(getMediaType('application/font-woff', 'resource'), 'font');
+    assert.equal(getMediaType('text/html', 'page'), 'other');
+    assert.equal(getMediaType('', 'img'), 'image');
+    assert.equal(getMediaType(undefined, 'media'), 'other');
+});
+
+test('fills in default limits, lifts them with null and ignores invalid ones', () => {
+    assert.deepEqual(normalizeSizeLimits({ image: '2048.7', video: null, audio: -1, font: 'big', other: 0 }, DEFAULTS), {
+        image: 2048,
+        video: null,
+        audio: null,
+        font: 1024,
+        other: 0
+    });
+    assert.deepEqual(normalizeSizeLimits(undefined, DEFAULTS), DEFAULTS);
+});
+
+test('applies the limit of the response type', () => {
+    const limits = normalizeSizeLimits({}, DEFAULTS);
+    assert.equal(getSizeLimit(limits, 'video/webm', 'media'), 100 * 1024 * 1024);
+    assert.equal(getSizeLimit(limits, 'audio/mpeg', 'media'), null);
+    assert.equal(getSizeLimit(limits, 'application/pdf', 'resource'), 2048);
+});
+
+test('describes an oversized resource with readable sizes', () => {
+    const error = new ResourceTooLargeError('https://example.com/movie.mp4', 'video', 150 * 1024 * 1024, 100 * 1024 * 1024);
+    assert.equal(error.message, '150.0 MB is over the 100.0 MB limit for video files');
+    assert.equal(new ResourceTooLargeError('https://example.com/x', 'other', 3000, 2048).message, '2.9 KB is over the 2.0 KB limit for other resources');
+    assert.equal(error.name, 'ResourceTooLargeError');
+});
@@ -0,0 +1,177 @@
+/**
+ * Snapshot Export
+ * * Packs a snapshot for someone who does not run the archive: either the whole
+ * snapshot folder with the assets it uses as a ZIP, laid out so the pages can
+ * be opened straight from the extracted folder, or a single page as one HTML
+ * file with its stylesheets, scripts, images, media and frames inlined.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const archiver = require('archiver');
+const cheerio = require('cheerio');
+const mime = require('mime-types');
+const { rewriteCss } = require('./css');
+const { resolveSavedLink } = require('./replay');
+const { FRAME_SELECTORS } = require('./pageResources');
+
+// References that are inlined into a single-file page, as [selector, attribute].
+const INLINED_ATTRIBUTES = [
+    ['link[rel~="stylesheet" i][href]', 'href'],
+    ['link[rel~="icon" i][href]', 'href'],
+    ['script[src]', 'src'],
+    ['img[src]', 'src'],
+    ['input[src]', 'src'],
+    ['video[poster]', 'poster'],
+    ['video[src]', 'src'],
+    ['audio[src]', 'src'],
+    ['source[src]', 'src'],
+    ['track[src]', 'src'],
+    ['embed[src]', 'src'],
+    ['object[data]', 'data']
+];
+
+/**
+ * Creates a streamed ZIP of a snapshot: its folder under `<domain>/<id>/` and
+ * the stored assets it uses under `<domain>/_assets/`, so the relative links
+ * between them keep working once extracted.
+ * @param {string} snapshotPath - The folder of the snapshot.
+ * @param {object} manifest - The manifest of the snapshot.
+ * @returns {object} The archiver instance; pipe it to the destination. It is finalized already.
+ */
+function createSnapshotZip(snapshotPath, manifest) {
+    const domainPath = path.dirname(snapshotPath);
+    const root = path.basename(domainPath);
+    const zip = archiver('zip', { zlib: { level: 6 } });
+
+    zip.directory(snapshotPath, `${root}/${path.basename(snapshotPath)}`);
+    const assetFiles = new Set(Object.values(manifest.assets || {}).map(asset => asset.file));
+    for (const file of [...assetFiles].sort()) {
+        zip.file(path.join(domainPath, file), { name: `${root}/${file}` });
+    }
+    zip.finalize();
+    return zip;
+}
+
+/**
+ * Resolves a reference in a saved file to a file of the domain's archive folder.
+ * @param {string} reference - The reference as written, relative to fromFile.
+ * @param {string} fromFile - The absolute path of the file containing it.
+ * @param {string} domainPath - The archive folder of the domain; nothing outside it is read.
+ * @returns {string|null} The absolute path of the referenced file, or null if it is not a local file.
+ */
+function resolveLocalFile(reference, fromFile, domainPath) {
+    if (!reference || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference.trim())) return null;
+    let filePath;
+    try {
+        filePath = path.resolve(path.dirname(fromFile), decodeURI(reference.trim().split(/[?#]/)[0]));
+    } catch (e) {
+        return null;
+    }
+    return filePath.startsWith(domainPath + path.sep) ? filePath : null;
+}
+
+/**
+ * @param {Buffer|string} data - The content.
+ * @param {string} filePath - The file it was read from, whose extension gives the media type.
+ * @returns {string} The content as a base64 data URI.
+ */
+function toDataUri(data, filePath) {
+    const type = mime.lookup(filePath) || 'application/octet-stream';
+    return `data:${type};base64,${Buffer.from(data).toString('base64')}`;
+}
+
+/**
+ * Inlines the resources a piece of CSS references, imported stylesheets included.
+ * @param {string} css - The CSS.
+ * @param {string} cssFilePath - The file the CSS was read from (the page for inline CSS).
+ * @param {string} domainPath - The archive folder of the domain.
+ * @param {Set<string>} [importing] - Stylesheets being inlined further up, to stop @import cycles.
+ * @returns {Promise<string>} The CSS with local references replaced by data URIs.
+ */
+function inlineCss(css, cssFilePath, domainPath, importing = new Set()) {
+    return rewriteCss(css, async reference => {
+        const filePath = resolveLocalFile(reference.url, cssFilePath, domainPath);
+        if (!filePath || importing.has(filePath) || !(await fs.pathExists(filePath))) return null;
+        if (!reference.isImport) return toDataUri(await fs.readFile(filePath), filePath);
+        const imported = await inlineCss(await fs.readFile(filePath, 'utf8'), filePath, domainPath, new Set([...importing, filePath]));
+        return toDataUri(imported, filePath);
+    });
+}
+
+/**
+ * Turns a saved page into a single self-contained HTML file. Local stylesheets,
+ * scripts, images and media become data URIs, as do the resources referenced from CSS.
+ * Captured frames are made self-contained the same way and put inside the page: an
+ * <iframe> as its srcdoc, a <frame>, which has none, as a data URI.
+ * Links to other pages of the snapshot point at their original URLs.
+ * @param {string} pageFilePath - The absolute path of the saved page.
+ * @param {object} snapshot - { path } of the snapshot, plus pageUrls mapping each page
+ *   file (relative to the snapshot) to its original URL.
+ * @param {Set<string>} [framing] - Pages being inlined further up, to stop frame cycles.
+ * @returns {Promise<string>} The self-contained HTML.
+ */
+async function buildSingleFileHtml(pageFilePath, snapshot, framing = new Set()) {
+    const { path: snapshotPath, pageUrls } = snapshot;
+    const domainPath = path.dirname(snapshotPath);
+    const pageFile = path.relative(snapshotPath, pageFilePath).replace(/\\/g, '/');
+    const $ = cheerio.load(await fs.readFile(pageFilePath, 'utf8'));
+
+    for (const [selector, attr] of INLINED_ATTRIBUTES) {
+        for (const element of $(selector).toArray()) {
+            const el = $(element);
+            const filePath = resolveLocalFile(el.attr(attr), pageFilePath, domainPath);
+            if (!filePath || !(await fs.pathExists(filePath))) continue;
+            const data = filePath.endsWith('.css')
+                ? await inlineCss(await fs.readFile(filePath, 'utf8'), filePath, domainPath, new Set([filePath]))
+                : await fs.readFile(filePath);
+            el.attr(attr, toDataUri(data, filePath));
+            if (element.tagName === 'img') el.removeAttr('srcset');
+        }
+    }
+    // Only one image per <picture> is inlined, so its alternative sources would point at missing files.
+    $('picture > source[srcset]').remove();
+    for (const element of $('style').toArray()) {
+        $(element).text(await inlineCss($(element).text(), pageFilePath, domainPath));
+    }
+    for (const element of $('[style]').toArray()) {
+        $(element).attr('style', await inlineCss($(element).attr('style'), pageFilePath, domainPath));
+    }
+
+    for (const [selector, attr] of FRAME_SELECTORS) {
+        for (const element of $(selector).toArray()) {
+            const el = $(element);
+            const src = el.attr(attr);
+            const filePath = resolveLocalFile(src, pageFilePath, domainPath);
+            if (!filePath || !(await fs.pathExists(filePath))) continue;
+            if (framing.has(filePath) || filePath === pageFilePath) {
+                // A page framing itself, directly or not, would never end; the repeated frame shows the original.
+                const frameUrl = resolveSavedLink(src, pageFile, pageUrls);
+                if (frameUrl) el.attr(attr, frameUrl);
+                continue;
+            }
+            if (!/\.html?$/i.test(filePath)) {
+                el.attr(attr, toDataUri(await fs.readFile(filePath), filePath));
+                continue;
+            }
+            const frameHtml = await buildSingleFileHtml(filePath, snapshot, new Set([...framing, pageFilePath]));
+            if (element.tagName === 'iframe') {
+                el.attr('srcdoc', frameHtml).removeAttr(attr);
+            } else {
+                el.attr(attr, toDataUri(frameHtml, filePath));
+            }
+        }
+    }
+
+    // Other pages are not part of the file, so links to them lead to the original site.
+    $('a[href], area[href]').each((_, element) => {
+        const el = $(element);
+        const href = el.attr('href');
+        if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(href)) return;
+        const linkedUrl = resolveSavedLink(href, pageFile, pageUrls);
+        if (linkedUrl) el.attr('href', linkedUrl);
+    });
+    return $.html();
+}
+
+module.exports = { createSnapshotZip, buildSingleFileHtml };
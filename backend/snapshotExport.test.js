@@ -0,0 +1,153 @@
+/**
+ * Snapshot Export Tests
+ * * Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const { createSnapshotZip, buildSingleFileHtml } = require('./snapshotExport');
+
+let domainPath, snapshotPath, pageUrls;
+
+/**
+ * Reads the names of the entries of a ZIP file from its central directory.
+ * @param {Buffer} zip - The ZIP file.
+ * @returns {string[]} The entry names, in order.
+ */
+function listZipEntries(zip) {
+    const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const names = [];
+    for (let i = 0, offset = zip.readUInt32LE(end + 16); i < zip.readUInt16LE(end + 10); i++) {
+        const nameLength = zip.readUInt16LE(offset + 28);
+        names.push(zip.toString('utf8', offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+    }
+    return names;
+}
+
+/**
+ * @param {string} html - A single-file page.
+ * @param {string} selector - The element to read.
+ * @param {string} attr - The attribute to decode.
+ * @returns {string} The content of the element's data URI, decoded.
+ */
+function readDataUri(html, selector, attr) {
+    const uri = cheerio.load(html)(selector).attr(attr);
+    assert.match(uri, /^data:[^;]+;base64,/);
+    return Buffer.from(uri.split(',')[1], 'base64').toString();
+}
+
+beforeEach(async () => {
+    domainPath = await fs.mkdtemp(path.join(os.tmpdir(), 'export-test-'));
+    snapshotPath = path.join(domainPath, '2024-01-01T00-00-00.000Z');
+    pageUrls = new Map([
+        ['index.html', 'https://example.com/'],
+        ['about.html', 'https://example.com/about'],
+        ['frame.html', 'https://example.com/frame'],
+        ['loop.html', 'https://example.com/loop']
+    ]);
+    await fs.outputFile(path.join(domainPath, '_assets', 'style-hash.css'), 'body { background: url(bg-hash.png); }');
+    await fs.outputFile(path.join(domainPath, '_assets', 'bg-hash.png'), 'background');
+    await fs.outputFile(path.join(domainPath, '_assets', 'logo-hash.png'), 'logo');
+    await fs.outputFile(path.join(domainPath, '_assets', 'clip-hash.mp4'), 'video');
+    await fs.outputFile(path.join(domainPath, '_assets', 'song-hash.mp3'), 'audio');
+    await fs.outputFile(path.join(domainPath, '_assets', 'subs-hash.vtt'), 'WEBVTT');
+    await fs.outputFile(path.join(domainPath, '_assets', 'doc-hash.pdf'), 'pdf');
+    await fs.outputFile(path.join(domainPath, '_assets', 'unused-hash.png'), 'unused');
+    await fs.outputFile(path.join(snapshotPath, 'about.html'), '<p>About</p>');
+    await fs.outputFile(path.join(snapshotPath, 'frame.html'), '<img src="../_assets/logo-hash.png"><a href="about.html">About</a>');
+    await fs.outputFile(path.join(snapshotPath, 'loop.html'), '<iframe src="loop.html"></iframe>');
+});
+
+afterEach(() => fs.remove(domainPath));
+
+test('zips the snapshot folder with the assets it uses next to it', async () => {
+    await fs.outputFile(path.join(snapshotPath, 'index.html'), '<p>Home</p>');
+    const manifest = {
+        assets: {
+            'https://example.com/logo.png': { file: '_assets/logo-hash.png' },
+            'https://cdn.example.com/logo.png': { file: '_assets/logo-hash.png' },
+            'https://example.com/style.css': { file: '_assets/style-hash.css' }
+        }
+    };
+    const zipPath = path.join(domainPath, 'export.zip');
+    const zip = createSnapshotZip(snapshotPath, manifest);
+    await new Promise((resolve, reject) => {
+        zip.on('error', reject);
+        zip.pipe(fs.createWriteStream(zipPath)).on('finish', resolve).on('error', reject);
+    });
+
+    const root = path.basename(domainPath);
+    assert.deepEqual(listZipEntries(await fs.readFile(zipPath)).filter(name => !name.endsWith('/')).sort(), [
+        `${root}/2024-01-01T00-00-00.000Z/about.html`,
+        `${root}/2024-01-01T00-00-00.000Z/frame.html`,
+        `${root}/2024-01-01T00-00-00.000Z/index.html`,
+        `${root}/2024-01-01T00-00-00.000Z/loop.html`,
+        `${root}/_assets/logo-hash.png`,
+        `${root}/_assets/style-hash.css`
+    ]);
+});
+
+test('inlines stylesheets with their resources and points links at the original pages', async () => {
+    const pageFile = path.join(snapshotPath, 'index.html');
+    await fs.outputFile(pageFile, [
+        '<link rel="stylesheet" href="../_assets/style-hash.css">',
+        '<img src="../_assets/logo-hash.png" srcset="../_assets/logo-hash.png 2x">',
+        '<a href="about.html#team">About</a> <a href="https://other.org/">Other</a>'
+    ].join(''));
+    const html = await buildSingleFileHtml(pageFile, { path: snapshotPath, pageUrls });
+    const $ = cheerio.load(html);
+
+    assert.match(readDataUri(html, 'link', 'href'), /url\("data:image\/png;base64,/);
+    assert.equal(readDataUri(html, 'img', 'src'), 'logo');
+    assert.equal($('img').attr('srcset'), undefined);
+    assert.deepEqual($('a').toArray().map(a => $(a).attr('href')), ['https://example.com/about#team', 'https://other.org/']);
+});
+
+test('inlines video, audio, their sources and tracks, embeds and objects', async () => {
+    const pageFile = path.join(snapshotPath, 'index.html');
+    await fs.outputFile(pageFile, [
+        '<video src="../_assets/clip-hash.mp4"><track src="../_assets/subs-hash.vtt"></video>',
+        '<audio><source src="../_assets/song-hash.mp3"></audio>',
+        '<embed src="../_assets/clip-hash.mp4">',
+        '<object data="../_assets/doc-hash.pdf"></object>'
+    ].join(''));
+    const html = await buildSingleFileHtml(pageFile, { path: snapshotPath, pageUrls });
+
+    assert.equal(readDataUri(html, 'video', 'src'), 'video');
+    assert.equal(readDataUri(html, 'track', 'src'), 'WEBVTT');
+    assert.equal(readDataUri(html, 'audio source', 'src'), 'audio');
+    assert.equal(readDataUri(html, 'embed', 'src'), 'video');
+    assert.equal(readDataUri(html, 'object', 'data'), 'pdf');
+    assert.match(cheerio.load(html)('object').attr('data'), /^data:application\/pdf;/);
+});
+
+test('puts captured frames inside the page, inlined in turn', async () => {
+    const pageFile = path.join(snapshotPath, 'index.html');
+    await fs.outputFile(pageFile, '<iframe src="frame.html"></iframe><iframe src="loop.html"></iframe><iframe src="https://live.example.org/"></iframe>');
+    const $ = cheerio.load(await buildSingleFileHtml(pageFile, { path: snapshotPath, pageUrls }));
+    const [framed, loop, live] = $('iframe').toArray().map(element => $(element));
+
+    assert.equal(framed.attr('src'), undefined);
+    const frame = cheerio.load(framed.attr('srcdoc'));
+    assert.equal(Buffer.from(frame('img').attr('src').split(',')[1], 'base64').toString(), 'logo');
+    assert.equal(frame('a').attr('href'), 'https://example.com/about');
+    // A frame showing itself is inlined once; the repeated frame shows the original.
+    assert.equal(cheerio.load(loop.attr('srcdoc'))('iframe').attr('src'), 'https://example.com/loop');
+    assert.equal(live.attr('src'), 'https://live.example.org/');
+});
+
+test('inlines the frames of a frameset as data URIs', async () => {
+    const pageFile = path.join(snapshotPath, 'index.html');
+    await fs.outputFile(pageFile, '<frameset cols="50%,50%"><frame src="frame.html"><frame src="about.html"></frameset>');
+    const html = await buildSingleFileHtml(pageFile, { path: snapshotPath, pageUrls });
+
+    assert.match(readDataUri(html, 'frame[src^="data:text/html"]', 'src'), /data:image\/png;base64,/);
+    const $ = cheerio.load(html);
+    assert.equal($('frame').length, 2);
+    assert.ok($('frame').toArray().every(frame => $(frame).attr('src').startsWith('data:text/html;base64,')));
+});
@@ -0,0 +1,452 @@
+/**
+ * Snapshot Library
+ * * Everything that reads, indexes or deletes the snapshots in the archives
+ * folder, shared by the server and the command-line interface: where
+ * snapshots and their pages live, the catalog, the search and capture indexes,
+ * and the snapshot lifecycle (deletion, retention and unused asset collection).
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { CrawlCheckpoint } = require('./crawlCheckpoint');
+const { getDirectorySize, removeUnreferencedAssets, STORE_DIRNAME } = require('./assetStore');
+const { CAPTURE_LOG_FILENAME, readCaptureLog } = require('./captureLog');
+const { loadSnapshot } = require('./diff');
+const { extractPageText } = require('./pageText');
+const { SearchIndex, snapshotIdToDate } = require('./searchIndex');
+const { CaptureIndex } = require('./memento');
+const { SnapshotCatalog, summarizeManifest, summarizeCheckpoint } = require('./catalog');
+const { RetentionPolicies, selectSnapshotsToPrune } = require('./retention');
+const { resolveCapturedUrl } = require('./urlMap');
+const config = require('./config');
+
+const ARCHIVES_DIR = config.archivesDir;
+const WARC_FILENAME = '_capture.warc.gz';
+const searchIndex = new SearchIndex(path.join(config.dataDir, 'search-index.jsonl'));
+const captureIndex = new CaptureIndex(path.join(config.dataDir, 'capture-index.jsonl'));
+const catalog = new SnapshotCatalog(path.join(config.dataDir, 'catalog.jsonl'));
+// The files the catalog and the indexes were written to whole before they became journals.
+const LEGACY_INDEX_FILES = ['search-index.json', 'capture-index.json', 'catalog.json'];
+const retentionPolicies = new RetentionPolicies(path.join(config.dataDir, 'retention.json'));
+// Snapshot folders whose crawl is running or queued to resume.
+const activeCrawls = new Set();
+// Domains whose unused assets are removed once no crawl is writing to them.
+const deferredAssetCollections = new Set();
+
+// =================================================================
+// --- LOCATING SNAPSHOTS ---
+// =================================================================
+
+/**
+ * @returns {Promise<string[]>} The domains with an archive folder.
+ */
+async function listDomains() {
+    await fs.ensureDir(ARCHIVES_DIR);
+    const domains = await fs.readdir(ARCHIVES_DIR);
+    return domains.filter(domain => fs.lstatSync(path.join(ARCHIVES_DIR, domain)).isDirectory());
+}
+
+/**
+ * @param {string} name - A folder name taken from a request.
+ * @returns {boolean} Whether it names a folder directly inside its parent.
+ */
+function isSafeName(name) {
+    return typeof name === 'string' && name !== '' && !/[\\/]|^\.\.?$/.test(name);
+}
+
+/**
+ * Resolves the folder of a snapshot from request parameters.
+ * @param {string} domain - The domain folder name.
+ * @param {string} id - The snapshot (timestamp) folder name.
+ * @returns {string|null} The absolute snapshot path, or null if the names are unsafe.
+ */
+function getSnapshotPath(domain, id) {
+    if (!isSafeName(domain) || !isSafeName(id)) return null;
+    return path.join(ARCHIVES_DIR, domain, id);
+}
+
+/**
+ * Resolves the archive folder of a domain from a request parameter.
+ * @param {string} domain - The domain folder name.
+ * @returns {string|null} The absolute domain path, or null if the name is unsafe.
+ */
+function getDomainPath(domain) {
+    return isSafeName(domain) ? path.join(ARCHIVES_DIR, domain) : null;
+}
+
+/**
+ * Calculates where snapshots archived before manifests had a `urlMap` saved a page.
+ * New snapshots are mapped by UrlMap instead.
+ * @param {string} pageUrl - The full URL of the page.
+ * @param {string} startUrl - The initial URL the crawl started with.
+ * @param {string} archivePath - The base path for the archive session.
+ * @returns {string} The absolute local file path for the HTML file.
+ */
+function getLegacyPageFilePath(pageUrl, startUrl, archivePath) {
+    const urlObject = new URL(pageUrl);
+    const startUrlObject = new URL(startUrl);
+    let pageFilename = urlObject.pathname.replace(/^\/|\/$/g, '');
+
+    // Sanitize path for the file system.
+    pageFilename = pageFilename.replace(/[<>:"/\\|?*]/g, '_');
+
+    if (pageFilename === '') {
+        pageFilename = 'index.html';
+    } else if (!path.extname(pageFilename)) {
+        pageFilename = path.join(pageFilename, 'index.html');
+    }
+    // Pages from other hosts in the crawl scope (subdomains, extra hosts) get a folder of their own.
+    if (urlObject.hostname !== startUrlObject.hostname) {
+        return path.join(archivePath, '_hosts', urlObject.hostname, pageFilename);
+    }
+    return path.join(archivePath, pageFilename);
+}
+
+/**
+ * Resolves the saved file of a page within a loaded snapshot.
+ * @param {object} snapshot - { path, manifest } of the snapshot.
+ * @param {string} url - The page URL, or a URL that redirected to it.
+ * @returns {string|null} The absolute path of the saved page, or null if the URL was not captured as a page.
+ */
+function resolveSnapshotPageFile(snapshot, url) {
+    if (!snapshot.manifest.urlMap) return getLegacyPageFilePath(url, snapshot.manifest.startUrl, snapshot.path);
+    const captured = resolveCapturedUrl(snapshot.manifest, url);
+    return captured && captured.type === 'page' ? path.join(snapshot.path, captured.file) : null;
+}
+
+/**
+ * Lists the pages of a snapshot with the files they are saved in.
+ * @param {object} snapshot - { path, manifest } of the snapshot.
+ * @returns {object[]} { url, file } per page, file relative to the snapshot.
+ */
+function listSnapshotPages(snapshot) {
+    return snapshot.manifest.crawledPages.flatMap(url => {
+        const filePath = resolveSnapshotPageFile(snapshot, url);
+        return filePath ? [{ url, file: path.relative(snapshot.path, filePath).replace(/\\/g, '/') }] : [];
+    });
+}
+
+/**
+ * Finds the latest snapshot of a start URL taken before a given snapshot.
+ * @param {string} domainPath - The archive folder of the domain.
+ * @param {string} startUrl - The start URL of the crawl.
+ * @param {string} beforeId - Only snapshots with an earlier ID are considered.
+ * @returns {Promise<object|null>} The snapshot as { id, path, manifest }, or null if there is none.
+ */
+async function findPreviousSnapshot(domainPath, startUrl, beforeId) {
+    const ids = (await fs.readdir(domainPath))
+        .filter(id => id !== STORE_DIRNAME && id < beforeId)
+        .sort()
+        .reverse();
+    for (const id of ids) {
+        const snapshot = await loadSnapshot(domainPath, id);
+        if (snapshot && snapshot.manifest.startUrl === startUrl) return snapshot;
+    }
+    return null;
+}
+
+// =================================================================
+// --- SNAPSHOT LIFECYCLE ---
+// =================================================================
+
+/**
+ * Lists every snapshot folder of a domain, including incomplete ones.
+ * @param {string} domainPath - The archive folder of the domain.
+ * @returns {Promise<object[]>} { id, startUrl, assets, incomplete } per snapshot, oldest first.
+ */
+async function listDomainSnapshots(domainPath) {
+    const snapshots = [];
+    if (!(await fs.pathExists(domainPath))) return snapshots;
+    for (const id of (await fs.readdir(domainPath)).sort()) {
+        if (id === STORE_DIRNAME) continue;
+        const snapshot = await loadSnapshot(domainPath, id);
+        if (snapshot) {
+            snapshots.push({ id, startUrl: snapshot.manifest.startUrl, assets: snapshot.manifest.assets || {}, incomplete: false });
+            continue;
+        }
+        const checkpoint = new CrawlCheckpoint(path.join(domainPath, id));
+        if (!(await checkpoint.exists())) continue;
+        const state = await checkpoint.load();
+        snapshots.push({ id, startUrl: state.startUrl, assets: state.assets, incomplete: true });
+    }
+    return snapshots;
+}
+
+/**
+ * @param {string} domainPath - The archive folder of a domain.
+ * @returns {boolean} Whether a crawl is running in, or queued to resume into, the domain.
+ */
+function hasActiveCrawl(domainPath) {
+    return [...activeCrawls].some(archivePath => path.dirname(archivePath) === domainPath);
+}
+
+/**
+ * Removes the stored assets of a domain that none of its snapshots uses any more.
+ * While a crawl is writing to the domain its new assets are not recorded anywhere
+ * yet, so the collection is put off until the crawl has finished.
+ * @param {string} domain - The domain.
+ * @returns {Promise<number>} The number of bytes freed.
+ */
+async function collectUnreferencedAssets(domain) {
+    const domainPath = path.join(ARCHIVES_DIR, domain);
+    if (hasActiveCrawl(domainPath)) {
+        deferredAssetCollections.add(domain);
+        console.log(`[SKIP] A crawl is writing to ${domain}; unused assets will be removed once it has finished.`);
+        return 0;
+    }
+    deferredAssetCollections.delete(domain);
+
+    const collectedAt = new Date();
+    const snapshots = await listDomainSnapshots(domainPath);
+    if (snapshots.length === 0) {
+        // Nothing left of the domain but its asset store.
+        const freedBytes = (await fs.pathExists(domainPath)) ? await getDirectorySize(domainPath) : 0;
+        await fs.remove(domainPath);
+        return freedBytes;
+    }
+    const referencedFiles = new Set(snapshots.flatMap(({ assets }) => Object.values(assets).map(asset => asset.file)));
+    const { removedFiles, removedBytes } = await removeUnreferencedAssets(domainPath, referencedFiles, collectedAt);
+    if (removedFiles > 0) console.log(`✓ Removed ${removedFiles} unused asset(s) of ${domain}`);
+    return removedBytes;
+}
+
+/**
+ * Deletes snapshots of a domain, their search entries and the assets only they used.
+ * @param {string} domain - The domain.
+ * @param {string[]} ids - The snapshot IDs.
+ * @returns {Promise<number>} The number of bytes freed.
+ */
+async function deleteSnapshots(domain, ids) {
+    const domainPath = path.join(ARCHIVES_DIR, domain);
+    let freedBytes = 0;
+    for (const id of ids) {
+        const snapshotPath = path.join(domainPath, id);
+        freedBytes += await getDirectorySize(snapshotPath);
+        await fs.remove(snapshotPath);
+        console.log(`✓ Deleted snapshot ${domain}/${id}`);
+    }
+    await catalog.removeSnapshots(entry => entry.domain === domain && ids.includes(entry.id));
+    await searchIndex.removeDocuments(doc => doc.domain === domain && ids.includes(doc.snapshot));
+    await captureIndex.removeCaptures(capture => capture.domain === domain && ids.includes(capture.snapshot));
+    return freedBytes + await collectUnreferencedAssets(domain);
+}
+
+/**
+ * Deletes a domain with all of its snapshots, assets and index entries.
+ * The caller makes sure no crawl is writing to it.
+ * @param {string} domain - The domain.
+ * @returns {Promise<number>} The number of bytes freed.
+ */
+async function deleteDomain(domain) {
+    const domainPath = path.join(ARCHIVES_DIR, domain);
+    const freedBytes = await getDirectorySize(domainPath);
+    await fs.remove(domainPath);
+    deferredAssetCollections.delete(domain);
+    await catalog.removeSnapshots(entry => entry.domain === domain);
+    await searchIndex.removeDocuments(doc => doc.domain === domain);
+    await captureIndex.removeCaptures(capture => capture.domain === domain);
+    console.log(`✓ Deleted domain ${domain}`);
+    return freedBytes;
+}
+
+/**
+ * Applies the retention policy of a domain. Incomplete snapshots are never pruned.
+ * @param {string} domain - The domain.
+ * @param {object} [options] - { dryRun } to only report what would be deleted.
+ * @returns {Promise<object|null>} { policy, pruned, freedBytes }, or null if the domain has no policy.
+ */
+async function applyRetentionPolicy(domain, { dryRun = false } = {}) {
+    const policy = await retentionPolicies.get(domain);
+    if (!policy) return null;
+    const snapshots = (await listDomainSnapshots(path.join(ARCHIVES_DIR, domain))).filter(snapshot => !snapshot.incomplete);
+    const pruned = selectSnapshotsToPrune(snapshots, policy);
+    if (dryRun || pruned.length === 0) return { policy, pruned, freedBytes: 0 };
+
+    console.log(`[LOG] Retention policy of ${domain} prunes ${pruned.length} snapshot(s).`);
+    const freedBytes = await deleteSnapshots(domain, pruned);
+    return { policy, pruned, freedBytes };
+}
+
+/**
+ * Runs after every crawl: applies the domain's retention policy if it asks for
+ * that, and removes assets left unused by deletions that had to wait for the
+ * crawl, or by a capture that was discarded as unchanged.
+ * @param {string} domain - The domain that was crawled.
+ * @param {boolean} discarded - Whether the capture was discarded.
+ * @returns {Promise<void>}
+ */
+async function tidyDomainAfterCrawl(domain, discarded) {
+    const policy = await retentionPolicies.get(domain);
+    if (policy && policy.applyAfterCrawl) {
+        const { pruned } = await applyRetentionPolicy(domain);
+        if (pruned.length > 0) return;
+    }
+    if (discarded || deferredAssetCollections.has(domain)) await collectUnreferencedAssets(domain);
+}
+
+// =================================================================
+// --- CATALOG AND INDEXES ---
+// =================================================================
+
+/**
+ * Brings the catalog entry of a snapshot up to date with its folder: a summary of
+ * its manifest once it is complete, of its checkpoint while it is being captured
+ * or interrupted, and no entry once the folder is gone.
+ * @param {string} domain - The domain.
+ * @param {string} id - The snapshot ID.
+ * @returns {Promise<void>}
+ */
+async function catalogSnapshot(domain, id) {
+    const domainPath = path.join(ARCHIVES_DIR, domain);
+    const snapshotPath = path.join(domainPath, id);
+    const snapshot = await loadSnapshot(domainPath, id);
+    if (snapshot) {
+        const hasWarc = await fs.pathExists(path.join(snapshotPath, WARC_FILENAME));
+        return catalog.putSnapshot(summarizeManifest(domain, id, snapshot.manifest, hasWarc));
+    }
+    const checkpoint = new CrawlCheckpoint(snapshotPath);
+    if (await checkpoint.exists()) return catalog.putSnapshot(summarizeCheckpoint(domain, id, await checkpoint.load()));
+    return catalog.removeSnapshots(entry => entry.domain === domain && entry.id === id);
+}
+
+/**
+ * Rebuilds the catalog from the manifests and checkpoints of every snapshot on disk.
+ * @returns {Promise<number>} The number of snapshots catalogued.
+ */
+async function rebuildCatalog() {
+    await catalog.clear();
+    let snapshotCount = 0;
+    for (const domain of await listDomains()) {
+        for (const snapshot of await listDomainSnapshots(path.join(ARCHIVES_DIR, domain))) {
+            await catalogSnapshot(domain, snapshot.id);
+            snapshotCount++;
+        }
+    }
+    console.log(`[LOG] Catalog rebuilt with ${snapshotCount} snapshots.`);
+    return snapshotCount;
+}
+
+/**
+ * Indexes the HTML pages saved in a snapshot for search, replacing its earlier entries.
+ * @param {string} domain - The domain of the snapshot.
+ * @param {object} snapshot - { id, path, manifest } of the snapshot.
+ * @returns {Promise<number>} The number of pages indexed.
+ */
+async function indexSnapshotForSearch(domain, snapshot) {
+    const pages = [];
+    for (const url of snapshot.manifest.crawledPages) {
+        const filePath = resolveSnapshotPageFile(snapshot, url);
+        if (!/\.html?$/i.test(filePath) || !(await fs.pathExists(filePath))) continue;
+        const { title, text } = extractPageText(await fs.readFile(filePath, 'utf8'));
+        pages.push({ url, file: path.relative(snapshot.path, filePath).replace(/\\/g, '/'), title, text });
+    }
+    await searchIndex.indexSnapshot(domain, snapshot.id, pages);
+    return pages.length;
+}
+
+/**
+ * Rebuilds the search index from the pages saved in every snapshot on disk.
+ * @returns {Promise<number>} The number of pages indexed.
+ */
+async function rebuildSearchIndex() {
+    await searchIndex.clear();
+    let pageCount = 0;
+    await fs.ensureDir(ARCHIVES_DIR);
+    for (const domain of await fs.readdir(ARCHIVES_DIR)) {
+        const domainPath = path.join(ARCHIVES_DIR, domain);
+        if (!fs.lstatSync(domainPath).isDirectory()) continue;
+        for (const id of await fs.readdir(domainPath)) {
+            const snapshot = await loadSnapshot(domainPath, id);
+            if (snapshot) pageCount += await indexSnapshotForSearch(domain, snapshot);
+        }
+    }
+    console.log(`[LOG] Search index rebuilt with ${pageCount} pages.`);
+    return pageCount;
+}
+
+/**
+ * Records when and where each page of a snapshot was captured, for TimeMaps and
+ * TimeGates. The capture time comes from the capture log when there is one, and
+ * from the snapshot ID otherwise.
+ * @param {string} domain - The domain of the snapshot.
+ * @param {object} snapshot - { id, path, manifest } of the snapshot.
+ * @returns {Promise<number>} The number of captures indexed.
+ */
+async function indexSnapshotCaptures(domain, snapshot) {
+    const capturedAt = new Map(); // Stores { captured URL -> start of its request }
+    await readCaptureLog(path.join(snapshot.path, CAPTURE_LOG_FILENAME), entry => {
+        if (entry.outcome !== 'captured' || entry.kind !== 'page') return;
+        capturedAt.set(entry.url, entry.startedAt);
+        if (entry.finalUrl) capturedAt.set(entry.finalUrl, entry.startedAt);
+    });
+    const fallbackDatetime = snapshotIdToDate(snapshot.id).toISOString();
+
+    const captures = listSnapshotPages(snapshot).map(({ url, file }) => ({ url, file, datetime: capturedAt.get(url) || fallbackDatetime }));
+    await captureIndex.indexSnapshot(domain, snapshot.id, captures);
+    return captures.length;
+}
+
+/**
+ * Rebuilds the capture index from the manifests of every snapshot on disk.
+ * @returns {Promise<number>} The number of captures indexed.
+ */
+async function rebuildCaptureIndex() {
+    await captureIndex.clear();
+    let captureCount = 0;
+    await fs.ensureDir(ARCHIVES_DIR);
+    for (const domain of await fs.readdir(ARCHIVES_DIR)) {
+        const domainPath = path.join(ARCHIVES_DIR, domain);
+        if (!fs.lstatSync(domainPath).isDirectory()) continue;
+        for (const id of await fs.readdir(domainPath)) {
+            const snapshot = await loadSnapshot(domainPath, id);
+            if (snapshot) captureCount += await indexSnapshotCaptures(domain, snapshot);
+        }
+    }
+    console.log(`[LOG] Capture index rebuilt with ${captureCount} captures.`);
+    return captureCount;
+}
+
+/**
+ * Loads the catalog and the search and capture indexes. Archives created before
+ * one of them existed are added the first time it is loaded, which also replaces
+ * the files of their older format.
+ * @returns {Promise<void>}
+ */
+async function loadIndexes() {
+    if (!(await catalog.load())) await rebuildCatalog();
+    if (!(await searchIndex.load())) await rebuildSearchIndex();
+    if (!(await captureIndex.load())) await rebuildCaptureIndex();
+    await Promise.all(LEGACY_INDEX_FILES.map(file => fs.remove(path.join(config.dataDir, file))));
+}
+
+module.exports = {
+    ARCHIVES_DIR,
+    WARC_FILENAME,
+    searchIndex,
+    captureIndex,
+    catalog,
+    retentionPolicies,
+    activeCrawls,
+    listDomains,
+    isSafeName,
+    getSnapshotPath,
+    getDomainPath,
+    getLegacyPageFilePath,
+    resolveSnapshotPageFile,
+    listSnapshotPages,
+    findPreviousSnapshot,
+    listDomainSnapshots,
+    hasActiveCrawl,
+    collectUnreferencedAssets,
+    deleteSnapshots,
+    deleteDomain,
+    applyRetentionPolicy,
+    tidyDomainAfterCrawl,
+    catalogSnapshot,
+    rebuildCatalog,
+    indexSnapshotForSearch,
+    rebuildSearchIndex,
+    indexSnapshotCaptures,
+    rebuildCaptureIndex,
+    loadIndexes
+};
@@ -0,0 +1,257 @@
+/**
+ * URL to File Mapping
+ * * Decides where each captured page or document is saved inside a snapshot.
+ * The mapping is deterministic and keeps the site's folder structure, the
+ * query string and a file extension that matches the Content-Type. Whenever
+ * a URL cannot be represented exactly, or two URLs would share a file, a short
+ * hash of the URL is added to the name so no capture overwrites another.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const mime = require('mime-types');
+
+const HTML_CONTENT_TYPE = /^\s*(text\/html|application\/xhtml\+xml)/i;
+const HTML_EXTENSIONS = ['.html', '.htm'];
+// Characters kept as-is in file names. '@' and '~' are left out because they separate the query and the hash.
+const UNSAFE_CHARACTERS = /[^\p{L}\p{N}._=&+,-]/gu;
+const MAX_SEGMENT_LENGTH = 80;
+const MAX_QUERY_LENGTH = 60;
+// Pages from hosts other than the start host are saved below this folder.
+const OTHER_HOSTS_DIRNAME = '_hosts';
+
+/**
+ * Decides whether a response is an HTML page. Without a Content-Type, the body is sniffed.
+ * @param {string} contentType - The Content-Type header, possibly empty.
+ * @param {Buffer} [body] - The response body.
+ * @returns {boolean} True for HTML pages.
+ */
+function isHtmlResponse(contentType, body) {
+    if (contentType) return HTML_CONTENT_TYPE.test(contentType);
+    return Boolean(body) && /^(\uFEFF)?\s*</.test(body.subarray(0, 512).toString('utf8'));
+}
+
+/**
+ * @param {string} url - The URL to hash.
+ * @returns {string} The first 8 hex characters of its SHA-1.
+ */
+function shortHash(url) {
+    return crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+}
+
+/**
+ * Makes a path segment safe to use as a file or folder name.
+ * @param {string} segment - The raw (percent-encoded) segment.
+ * @returns {object} { name, lossy } where lossy is true if the name no longer spells the segment exactly.
+ */
+function sanitizeSegment(segment) {
+    let decoded = segment;
+    try {
+        decoded = decodeURIComponent(segment);
+    } catch (e) { /* Keep malformed escapes as they are */ }
+    let name = decoded.replace(UNSAFE_CHARACTERS, '_').slice(0, MAX_SEGMENT_LENGTH);
+    if (name === '' || name === '.' || name === '..') name = '_';
+    return { name, lossy: name !== decoded };
+}
+
+/**
+ * Computes the file a URL is saved to, relative to the snapshot folder.
+ * HTML pages always end in .html: `/about` becomes `about/index.html`. Other
+ * documents keep their name and get an extension from their Content-Type if
+ * they have none. The query string is appended after '@', e.g. `list/index@page=2.html`.
+ * @param {string} url - The captured URL (after redirects).
+ * @param {string} startUrl - The start URL of the crawl; other hosts go below `_hosts/<host>/`.
+ * @param {string} contentType - The Content-Type of the response.
+ * @returns {string} The relative file path, with forward slashes.
+ */
+function getPageFile(url, startUrl, contentType) {
+    const urlObject = new URL(url);
+    const isHtml = HTML_CONTENT_TYPE.test(contentType);
+    const rawSegments = urlObject.pathname.split('/').slice(1);
+    const leaf = rawSegments.pop();
+
+    let lossy = false;
+    const folders = rawSegments.map(segment => {
+        const sanitized = sanitizeSegment(segment);
+        lossy = lossy || sanitized.lossy;
+        return sanitized.name;
+    });
+
+    let baseName = 'index';
+    let extension = isHtml ? '.html' : '';
+    if (leaf) {
+        const sanitized = sanitizeSegment(leaf);
+        lossy = lossy || sanitized.lossy;
+        const leafExtension = path.extname(sanitized.name).toLowerCase();
+        if (isHtml && !HTML_EXTENSIONS.includes(leafExtension)) {
+            folders.push(sanitized.name);
+        } else if (!isHtml && (!leafExtension || HTML_EXTENSIONS.includes(leafExtension))) {
+            // A document without an extension, or one disguised as HTML, is named after its type.
+            baseName = sanitized.name;
+            const typeExtension = mime.extension(contentType);
+            extension = typeExtension ? `.${typeExtension}` : '';
+        } else {
+            baseName = sanitized.name.slice(0, -leafExtension.length) || '_';
+            extension = path.extname(sanitized.name);
+        }
+    } else if (!isHtml) {
+        const typeExtension = mime.extension(contentType);
+        extension = typeExtension ? `.${typeExtension}` : '';
+    }
+
+    if (urlObject.search.length > 1) {
+        const query = urlObject.search.slice(1);
+        const safeQuery = query.replace(UNSAFE_CHARACTERS, '_').slice(0, MAX_QUERY_LENGTH);
+        lossy = lossy || safeQuery !== query;
+        baseName += `@${safeQuery}`;
+    }
+
+    const isStartHost = urlObject.host === new URL(startUrl).host;
+    const parts = [...folders, baseName];
+    // Names starting with '_' at the top of a snapshot are reserved for the archiver's own files.
+    if (isStartHost && parts[0].startsWith('_')) {
+        parts[0] = `-${parts[0]}`;
+        lossy = true;
+    }
+    if (lossy) parts[parts.length - 1] += `~${shortHash(url)}`;
+    parts[parts.length - 1] += extension;
+
+    const hostFolder = isStartHost ? [] : [OTHER_HOSTS_DIRNAME, urlObject.host.replace(/[^\w.-]/g, '_')];
+    return [...hostFolder, ...parts].join('/');
+}
+
+/**
+ * The URL-to-file table of one snapshot, with redirect aliases. Assigning a
+ * file never reuses one that belongs to another URL.
+ */
+class UrlMap {
+    /**
+     * @param {string} startUrl - The start URL of the crawl.
+     */
+    constructor(startUrl) {
+        this.startUrl = startUrl;
+        this.files = new Map(); // Stores { URL -> file }
+        this.owners = new Map(); // Stores { file -> URL }
+        this.aliases = new Map(); // Stores { requested URL -> URL it redirected to }
+    }
+
+    /**
+     * Restores a table saved with toJSON.
+     * @param {string} startUrl - The start URL of the crawl.
+     * @param {object} saved - { urlMap, aliases }.
+     * @returns {UrlMap} The restored table.
+     */
+    static fromJSON(startUrl, { urlMap = {}, aliases = {} }) {
+        const map = new UrlMap(startUrl);
+        for (const [url, file] of Object.entries(urlMap)) {
+            map.files.set(url, file);
+            map.owners.set(file, url);
+        }
+        Object.entries(aliases).forEach(([fromUrl, toUrl]) => map.aliases.set(fromUrl, toUrl));
+        return map;
+    }
+
+    /**
+     * @param {string} url - A captured URL.
+     * @returns {boolean} Whether the URL already has a file.
+     */
+    has(url) {
+        return this.files.has(url);
+    }
+
+    /**
+     * Checks whether a file would clash with one already assigned, either
+     * directly or because one of them would need to be a folder.
+     * @param {string} file - The candidate file.
+     * @returns {boolean} True if the file cannot be used.
+     */
+    isTaken(file) {
+        if (this.owners.has(file) || this.findOwnedFolder(file) !== -1) return true;
+        return [...this.owners.keys()].some(owned => owned.startsWith(`${file}/`));
+    }
+
+    /**
+     * @param {string} file - A candidate file.
+     * @returns {number} The index of the first folder in its path that is already the file of
+     *   another URL, or -1 if there is none.
+     */
+    findOwnedFolder(file) {
+        const segments = file.split('/');
+        for (let i = 1; i < segments.length; i++) {
+            if (this.owners.has(segments.slice(0, i).join('/'))) return i - 1;
+        }
+        return -1;
+    }
+
+    /**
+     * Assigns a file to a captured URL.
+     * @param {string} url - The captured URL.
+     * @param {string} contentType - Its Content-Type.
+     * @returns {string} The file, relative to the snapshot folder.
+     */
+    assign(url, contentType) {
+        if (this.files.has(url)) return this.files.get(url);
+        const preferred = getPageFile(url, this.startUrl, contentType);
+        const segments = preferred.split('/');
+        // Renaming the file cannot help when a folder in its path is another URL's file, so that folder is renamed.
+        const ownedFolder = this.findOwnedFolder(preferred);
+        let file = preferred;
+        for (let attempt = 1; this.isTaken(file); attempt++) {
+            const suffix = attempt === 1 ? shortHash(url) : `${shortHash(url)}-${attempt}`;
+            if (ownedFolder !== -1) {
+                file = [...segments.slice(0, ownedFolder), `${segments[ownedFolder]}~${suffix}`, ...segments.slice(ownedFolder + 1)].join('/');
+            } else {
+                const extension = path.extname(preferred);
+                file = `${preferred.slice(0, preferred.length - extension.length)}~${suffix}${extension}`;
+            }
+        }
+        this.files.set(url, file);
+        this.owners.set(file, url);
+        return file;
+    }
+
+    /**
+     * Records that a requested URL redirected to another one.
+     * @param {string} fromUrl - The requested URL.
+     * @param {string} toUrl - The final URL.
+     */
+    addAlias(fromUrl, toUrl) {
+        if (fromUrl !== toUrl) this.aliases.set(fromUrl, toUrl);
+    }
+
+    /**
+     * @param {string} url - A requested or captured URL.
+     * @returns {string|null} Its file, following redirects, or null if it was not captured.
+     */
+    resolve(url) {
+        return this.files.get(url) || this.files.get(this.aliases.get(url)) || null;
+    }
+
+    /**
+     * @returns {object} { urlMap, aliases } as stored in the manifest.
+     */
+    toJSON() {
+        return {
+            urlMap: Object.fromEntries([...this.files].sort(([a], [b]) => a.localeCompare(b))),
+            aliases: Object.fromEntries([...this.aliases].sort(([a], [b]) => a.localeCompare(b)))
+        };
+    }
+}
+
+/**
+ * Resolves a URL against the tables stored in a snapshot manifest.
+ * @param {object} manifest - The snapshot manifest.
+ * @param {string} url - A requested or captured URL.
+ * @returns {object|null} { url, file, type } where url is the captured URL, file is relative to the
+ *   snapshot for pages and to the domain folder for assets, and type is 'page' or 'asset'.
+ */
+function resolveCapturedUrl(manifest, url) {
+    const capturedUrl = (manifest.aliases || {})[url] || url;
+    const urlMap = manifest.urlMap || {};
+    if (urlMap[capturedUrl]) return { url: capturedUrl, file: urlMap[capturedUrl], type: 'page' };
+    const asset = (manifest.assets || {})[url];
+    if (asset) return { url, file: asset.file, type: 'asset' };
+    return null;
+}
+
+module.exports = { UrlMap, getPageFile, isHtmlResponse, resolveCapturedUrl, OTHER_HOSTS_DIRNAME };
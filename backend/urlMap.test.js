@@ -0,0 +1,78 @@
+/**
+ * URL to File Mapping Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { UrlMap, getPageFile, isHtmlResponse, resolveCapturedUrl } = require('./urlMap');
+
+const START_URL = 'https://example.com/';
+const HTML = 'text/html; charset=utf-8';
+
+test('saves pages as .html files in the folder structure of the site', () => {
+    assert.equal(getPageFile('https://example.com/', START_URL, HTML), 'index.html');
+    assert.equal(getPageFile('https://example.com/about', START_URL, HTML), 'about/index.html');
+    assert.equal(getPageFile('https://example.com/docs/intro/', START_URL, HTML), 'docs/intro/index.html');
+    assert.equal(getPageFile('https://example.com/old/page.htm', START_URL, HTML), 'old/page.htm');
+    assert.equal(getPageFile('https://example.com/list?page=2', START_URL, HTML), 'list/index@page=2.html');
+});
+
+test('names other documents after their Content-Type when their extension does not tell it', () => {
+    assert.equal(getPageFile('https://example.com/files/report.pdf', START_URL, 'application/pdf'), 'files/report.pdf');
+    assert.equal(getPageFile('https://example.com/api/data', START_URL, 'application/json'), 'api/data.json');
+    assert.equal(getPageFile('https://example.com/fake.html', START_URL, 'text/plain'), 'fake.html.txt');
+});
+
+test('adds a hash to names that cannot spell the URL exactly', () => {
+    const file = getPageFile('https://example.com/a%20b/c:d', START_URL, HTML);
+    assert.match(file, /^a_b\/c_d\/index~[0-9a-f]{8}\.html$/);
+    assert.notEqual(file, getPageFile('https://example.com/a_b/c_d', START_URL, HTML));
+    assert.match(getPageFile('https://example.com/_assets/page', START_URL, HTML), /^-_assets\/page\/index~[0-9a-f]{8}\.html$/);
+});
+
+test('saves pages from other hosts in their own folder', () => {
+    assert.equal(getPageFile('https://blog.example.com:8080/post', START_URL, HTML), '_hosts/blog.example.com_8080/post/index.html');
+});
+
+test('never gives two URLs the same file, or a file where another needs a folder', () => {
+    const map = new UrlMap(START_URL);
+    const page = map.assign('https://example.com/docs', 'application/pdf');
+    const nested = map.assign('https://example.com/docs/intro', HTML);
+    const again = map.assign('https://example.com/docs', 'application/pdf');
+
+    assert.equal(page, 'docs.pdf');
+    assert.equal(nested, 'docs/intro/index.html');
+    assert.equal(again, page);
+
+    // Without a known type there is no extension, so the file would be named like the folder.
+    const clash = new UrlMap(START_URL);
+    assert.equal(clash.assign('https://example.com/a/b', 'text/plain'), 'a/b.txt');
+    assert.match(clash.assign('https://example.com/a', 'application/x-unknown'), /^a~[0-9a-f]{8}$/);
+    assert.equal(clash.assign('https://example.com/x', 'application/x-unknown'), 'x');
+    assert.match(clash.assign('https://example.com/x/y', 'text/plain'), /^x~[0-9a-f]{8}\/y\.txt$/);
+    assert.equal(clash.assign('https://example.com/data.json', 'application/json'), 'data.json');
+    assert.match(clash.assign('https://example.com/data.json/view', HTML), /^data\.json~[0-9a-f]{8}\/view\/index\.html$/);
+});
+
+test('resolves redirected URLs and survives a round trip through the manifest', () => {
+    const map = new UrlMap(START_URL);
+    map.assign('https://example.com/new', HTML);
+    map.addAlias('https://example.com/old', 'https://example.com/new');
+    map.addAlias('https://example.com/new', 'https://example.com/new');
+
+    const restored = UrlMap.fromJSON(START_URL, map.toJSON());
+    assert.equal(restored.resolve('https://example.com/old'), 'new/index.html');
+    assert.equal(restored.resolve('https://example.com/missing'), null);
+    assert.deepEqual(restored.toJSON().aliases, { 'https://example.com/old': 'https://example.com/new' });
+
+    const manifest = { ...map.toJSON(), assets: { 'https://example.com/logo.png': { file: '_assets/abc.png' } } };
+    assert.deepEqual(resolveCapturedUrl(manifest, 'https://example.com/old'), { url: 'https://example.com/new', file: 'new/index.html', type: 'page' });
+    assert.deepEqual(resolveCapturedUrl(manifest, 'https://example.com/logo.png'), { url: 'https://example.com/logo.png', file: '_assets/abc.png', type: 'asset' });
+});
+
+test('sniffs HTML when there is no Content-Type', () => {
+    assert.equal(isHtmlResponse('', Buffer.from('﻿  <!doctype html>')), true);
+    assert.equal(isHtmlResponse('', Buffer.from('{"json": true}')), false);
+    assert.equal(isHtmlResponse('application/xhtml+xml'), true);
+});
@@ -0,0 +1,417 @@
+/**
+ * WARC Reading and Writing
+ * * Records the HTTP traffic of a crawl as WARC 1.1 records and reads WARC
+ * files produced by other tools. Records are written gzipped one member per
+ * record, so the file is a valid `.warc.gz` as-is and a valid `.warc` once
+ * decompressed as a whole. Files are read as a stream, one record at a time,
+ * so a large WARC file never has to fit in memory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const inflate = promisify(zlib.inflate);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+const WARC_VERSION = 'WARC/1.1';
+const WARC_MAGIC = 'WARC/';
+// Record headers are a few hundred bytes; more without the blank line ending them is not a WARC file.
+const MAX_HEADER_BYTES = 1024 * 1024;
+const CRLF = '\r\n';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Headers describing how the original body was encoded; the recorded body is already decoded.
+const ENCODING_HEADERS = ['content-encoding', 'transfer-encoding'];
+
+/**
+ * Encodes bytes as RFC 4648 base32, the conventional format of WARC digests.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+function toBase32(buffer) {
+    let bits = 0, value = 0, output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+/**
+ * @param {Buffer} buffer - The bytes to digest.
+ * @returns {string} A WARC digest value such as 'sha1:ABC...'.
+ */
+function getWarcDigest(buffer) {
+    return `sha1:${toBase32(crypto.createHash('sha1').update(buffer).digest())}`;
+}
+
+/**
+ * @returns {string} A new WARC-Record-ID.
+ */
+function createRecordId() {
+    return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+/**
+ * Formats a date the way WARC-Date expects (UTC, second precision).
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+function formatWarcDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Serializes header lines, repeating a header for every value of an array.
+ * @param {object} headers - Header names mapped to a value or an array of values.
+ * @returns {string} The header lines, each terminated by CRLF.
+ */
+function serializeHeaders(headers) {
+    return Object.entries(headers)
+        .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(v => `${name}: ${v}${CRLF}`))
+        .join('');
+}
+
+/**
+ * Builds the HTTP request message stored in a WARC request record.
+ * @param {string} url - The requested URL.
+ * @param {string} method - The HTTP method.
+ * @param {object} headers - The request headers that were sent.
+ * @returns {Buffer} The request message.
+ */
+function buildHttpRequest(url, method, headers) {
+    const urlObject = new URL(url);
+    const allHeaders = { Host: urlObject.host, ...headers };
+    return Buffer.from(`${method} ${urlObject.pathname}${urlObject.search} HTTP/1.1${CRLF}${serializeHeaders(allHeaders)}${CRLF}`);
+}
+
+/**
+ * Builds the HTTP response message stored in a WARC response record. The body has
+ * already been decoded, so encoding headers are kept under an X-Archive-Orig- prefix
+ * and Content-Length is set to the recorded body size.
+ * @param {number} status - The HTTP status code.
+ * @param {string} statusText - The HTTP reason phrase.
+ * @param {object} headers - The response headers.
+ * @param {Buffer} body - The decoded response body.
+ * @returns {Buffer} The response message.
+ */
+function buildHttpResponse(status, statusText, headers, body) {
+    const recordedHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+        const lowerName = name.toLowerCase();
+        if (lowerName === 'content-length') continue;
+        recordedHeaders[ENCODING_HEADERS.includes(lowerName) ? `X-Archive-Orig-${name}` : name] = value;
+    }
+    recordedHeaders['Content-Length'] = body.length;
+    const head = `HTTP/1.1 ${status} ${statusText || ''}`.trimEnd() + CRLF + serializeHeaders(recordedHeaders) + CRLF;
+    return Buffer.concat([Buffer.from(head), body]);
+}
+
+/**
+ * Serializes a complete WARC record.
+ * @param {string} type - The WARC-Type.
+ * @param {object} fields - Additional WARC header fields.
+ * @param {Buffer} block - The record block.
+ * @returns {Buffer} The record, including its trailing CRLFs.
+ */
+function serializeRecord(type, fields, block) {
+    const head = `${WARC_VERSION}${CRLF}WARC-Type: ${type}${CRLF}${serializeHeaders({ ...fields, 'Content-Length': block.length })}${CRLF}`;
+    return Buffer.concat([Buffer.from(head), block, Buffer.from(CRLF + CRLF)]);
+}
+
+/**
+ * Appends WARC records to a `.warc.gz` file, one gzip member per record.
+ * Writes are queued, so records from concurrent downloads never interleave.
+ */
+class WarcWriter {
+    /**
+     * @param {string} filePath - The file to append records to.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.pending = fs.ensureDir(path.dirname(filePath));
+    }
+
+    /**
+     * Queues a record to be appended.
+     * @param {string} type - The WARC-Type.
+     * @param {object} fields - Additional WARC header fields.
+     * @param {Buffer} block - The record block.
+     * @returns {Promise<void>} Resolves once the record is on disk.
+     */
+    writeRecord(type, fields, block) {
+        // Compressed in turn, off the event loop, so large bodies do not hold up other requests.
+        this.pending = this.pending
+            .then(() => gzip(serializeRecord(type, fields, block)))
+            .then(record => fs.appendFile(this.filePath, record));
+        return this.pending;
+    }
+
+    /**
+     * Writes the warcinfo record describing the file.
+     * @param {object} info - Fields for the application/warc-fields block.
+     * @returns {Promise<void>}
+     */
+    writeWarcinfo(info) {
+        const block = Buffer.from(serializeHeaders({ format: 'WARC File Format 1.1', ...info }));
+        return this.writeRecord('warcinfo', {
+            'WARC-Record-ID': createRecordId(),
+            'WARC-Date': formatWarcDate(new Date()),
+            'WARC-Filename': path.basename(this.filePath),
+            'Content-Type': 'application/warc-fields'
+        }, block);
+    }
+
+    /**
+     * Writes a request record and the matching response record for one HTTP exchange.
+     * @param {object} exchange - { url, date, method, requestHeaders, status, statusText, headers, body }, and
+     *   { truncated } if the body was cut short, e.g. because the resource was too large to keep.
+     * @returns {Promise<void>}
+     */
+    writeExchange({ url, date, method = 'GET', requestHeaders = {}, status, statusText, headers, body, truncated = false }) {
+        const warcDate = formatWarcDate(date || new Date());
+        const responseId = createRecordId();
+        const responseBlock = buildHttpResponse(status, statusText, headers, body);
+        const requestBlock = buildHttpRequest(url, method, requestHeaders);
+
+        this.writeRecord('response', {
+            'WARC-Record-ID': responseId,
+            'WARC-Date': warcDate,
+            'WARC-Target-URI': url,
+            'Content-Type': 'application/http;msgtype=response',
+            'WARC-Payload-Digest': getWarcDigest(body),
+            'WARC-Block-Digest': getWarcDigest(responseBlock),
+            ...(truncated ? { 'WARC-Truncated': 'length' } : {})
+        }, responseBlock);
+        return this.writeRecord('request', {
+            'WARC-Record-ID': createRecordId(),
+            'WARC-Date': warcDate,
+            'WARC-Target-URI': url,
+            'WARC-Concurrent-To': responseId,
+            'Content-Type': 'application/http;msgtype=request',
+            'WARC-Block-Digest': getWarcDigest(requestBlock)
+        }, requestBlock);
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once every queued record has been written.
+     */
+    flush() {
+        return this.pending;
+    }
+}
+
+/**
+ * Parses header lines into an object with lowercase names.
+ * Repeated headers are joined with ', ' except Set-Cookie, which becomes an array.
+ * @param {string[]} lines - The header lines.
+ * @returns {object} The parsed headers.
+ */
+function parseHeaderLines(lines) {
+    const headers = {};
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator <= 0) continue;
+        const name = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+        if (name === 'set-cookie') {
+            headers[name] = [...(headers[name] || []), value];
+        } else {
+            headers[name] = name in headers ? `${headers[name]}, ${value}` : value;
+        }
+    }
+    return headers;
+}
+
+/**
+ * Splits a stream of uncompressed WARC data into its records.
+ * @param {AsyncIterable<Buffer>} source - The WARC data.
+ * @yields {object} Records as { headers, block } with lowercase WARC header names.
+ * @throws {Error} If the content is not a WARC file.
+ */
+async function* parseWarcStream(source) {
+    let chunks = [];
+    let buffered = 0; // Bytes in chunks
+    let offset = 0; // Position of the first buffered byte in the stream, for error messages
+    let record = null; // The headers of the next record, once read: { headers, blockStart, length }
+
+    const takeBuffered = () => {
+        const data = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+        chunks = data.length > 0 ? [data] : [];
+        return data;
+    };
+    const consume = (data, count) => {
+        chunks = count < data.length ? [data.subarray(count)] : [];
+        buffered -= count;
+        offset += count;
+    };
+
+    /**
+     * Reads the records that are complete in the buffered data.
+     * @param {boolean} atEnd - Whether the stream has ended, so an incomplete record is an error.
+     */
+    const readBuffered = function* (atEnd) {
+        for (;;) {
+            if (!record) {
+                let data = takeBuffered();
+                // Skip the CRLFs separating records.
+                let start = 0;
+                while (start < data.length && (data[start] === 0x0d || data[start] === 0x0a)) start++;
+                consume(data, start);
+                data = takeBuffered();
+                if (data.length === 0) return;
+                // Fails as soon as the data cannot be a WARC record, instead of looking for headers in all of it.
+                if (!WARC_MAGIC.startsWith(data.toString('latin1', 0, WARC_MAGIC.length))) {
+                    throw new Error(`Invalid WARC record at offset ${offset}`);
+                }
+                const headerEnd = data.indexOf(CRLF + CRLF);
+                if (headerEnd === -1) {
+                    if (atEnd || data.length > MAX_HEADER_BYTES) throw new Error(`Truncated WARC record at offset ${offset}`);
+                    return;
+                }
+                const headers = parseHeaderLines(data.toString('utf8', 0, headerEnd).split(CRLF).slice(1));
+                const length = parseInt(headers['content-length'], 10);
+                if (Number.isNaN(length)) throw new Error(`WARC record at offset ${offset} has no Content-Length`);
+                record = { headers, blockStart: headerEnd + 4, length };
+            }
+            if (buffered < record.blockStart + record.length) {
+                if (atEnd) throw new Error(`Truncated WARC record at offset ${offset}`);
+                return;
+            }
+            const data = takeBuffered();
+            const block = Buffer.from(data.subarray(record.blockStart, record.blockStart + record.length));
+            consume(data, record.blockStart + record.length);
+            yield { headers: record.headers, block };
+            record = null;
+        }
+    };
+
+    for await (const chunk of source) {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        // The chunks of a block are only joined once all of them arrived.
+        if (record && buffered < record.blockStart + record.length) continue;
+        yield* readBuffered(false);
+    }
+    yield* readBuffered(true);
+}
+
+/**
+ * Reads the records of a WARC file one at a time.
+ * @param {string} filePath - The file, plain or gzipped (per record or as a whole).
+ * @yields {object} Records as { headers, block } with lowercase WARC header names.
+ * @throws {Error} If the content is not a WARC file.
+ */
+async function* readWarcFile(filePath) {
+    const magic = Buffer.alloc(2);
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        await handle.read(magic, 0, 2, 0);
+    } finally {
+        await handle.close();
+    }
+    const isGzipped = magic[0] === 0x1f && magic[1] === 0x8b;
+    // A gunzip stream reads every gzip member in turn, so both kinds of .warc.gz work.
+    const source = isGzipped
+        ? pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {})
+        : fs.createReadStream(filePath);
+    try {
+        yield* parseWarcStream(source);
+    } finally {
+        source.destroy();
+    }
+}
+
+/**
+ * Removes chunked transfer encoding from a body.
+ * @param {Buffer} body - The chunked body.
+ * @returns {Buffer} The de-chunked body.
+ */
+function dechunk(body) {
+    const chunks = [];
+    let offset = 0;
+    while (offset < body.length) {
+        const lineEnd = body.indexOf(CRLF, offset);
+        if (lineEnd === -1) break;
+        const size = parseInt(body.toString('ascii', offset, lineEnd), 16);
+        if (!size) break;
+        chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Decodes the body of a recorded HTTP response, undoing transfer and content encodings
+ * still present in records written by other tools.
+ * @param {object} headers - The parsed response headers.
+ * @param {Buffer} body - The raw body.
+ * @returns {Promise<Buffer>} The decoded body.
+ */
+async function decodeHttpBody(headers, body) {
+    let decoded = body;
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) decoded = dechunk(decoded);
+    const encoding = (headers['content-encoding'] || '').toLowerCase();
+    try {
+        if (encoding === 'gzip' || encoding === 'x-gzip') decoded = await gunzip(decoded);
+        else if (encoding === 'deflate') decoded = await inflate(decoded);
+        else if (encoding === 'br') decoded = await brotliDecompress(decoded);
+    } catch (e) { /* Keep the body as recorded if it was not actually encoded */ }
+    return decoded;
+}
+
+/**
+ * Parses the HTTP response message of a WARC response record.
+ * @param {Buffer} block - The record block.
+ * @returns {Promise<object>} { status, statusText, headers, body } with a decoded body.
+ */
+async function parseHttpResponse(block) {
+    const headerEnd = block.indexOf(CRLF + CRLF);
+    const head = block.toString('latin1', 0, headerEnd === -1 ? block.length : headerEnd).split(CRLF);
+    const [, status, ...reason] = head[0].split(' ');
+    const headers = parseHeaderLines(head.slice(1));
+    const body = headerEnd === -1 ? Buffer.alloc(0) : block.subarray(headerEnd + 4);
+    return { status: parseInt(status, 10), statusText: reason.join(' '), headers, body: await decodeHttpBody(headers, body) };
+}
+
+/**
+ * Indexes the HTTP responses of a WARC file by URL, keeping the latest capture of each.
+ * The decoded bodies are written to files in a folder rather than kept in memory.
+ * @param {AsyncIterable<object>} records - Records from readWarcFile.
+ * @param {string} bodiesPath - The folder the bodies are written to.
+ * @returns {Promise<Map<string, object>>} URL mapped to { url, date, status, statusText, headers, bodyFile }.
+ */
+async function buildResponseIndex(records, bodiesPath) {
+    const index = new Map();
+    let bodyCount = 0;
+    await fs.ensureDir(bodiesPath);
+    for await (const record of records) {
+        const { headers } = record;
+        if (headers['warc-type'] !== 'response' || !/application\/http/i.test(headers['content-type'] || '')) continue;
+        // A truncated record does not hold the whole payload, so it cannot stand in for the resource.
+        if (headers['warc-truncated']) continue;
+        const url = (headers['warc-target-uri'] || '').replace(/^<|>$/g, '');
+        const date = new Date(headers['warc-date']);
+        const existing = index.get(url);
+        if (!url || (existing && existing.date > date)) continue;
+        const { body, ...response } = await parseHttpResponse(record.block);
+        const bodyFile = path.join(bodiesPath, String(bodyCount++));
+        await fs.writeFile(bodyFile, body);
+        if (existing) await fs.remove(existing.bodyFile);
+        index.set(url, { url, date, ...response, bodyFile });
+    }
+    return index;
+}
+
+module.exports = { WarcWriter, readWarcFile, parseHttpResponse, buildResponseIndex, formatWarcDate };
@@ -0,0 +1,204 @@
+/**
+ * WARC Reading and Writing Tests
+ * * Run with `npm test`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { WarcWriter, readWarcFile, parseHttpResponse, buildResponseIndex, formatWarcDate } = require('./warc');
+
+const CRLF = '\r\n';
+
+/**
+ * Runs a test with a WARC writer on a file in a temporary folder that is removed afterwards.
+ * @param {function(WarcWriter, string): Promise<void>} run - The test, given the writer and the folder.
+ * @returns {Promise<void>}
+ */
+async function withWriter(run) {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'warc-test-'));
+    try {
+        await run(new WarcWriter(path.join(folder, 'crawl.warc.gz')), folder);
+    } finally {
+        await fs.remove(folder);
+    }
+}
+
+/**
+ * @param {string} filePath - A WARC file.
+ * @returns {Promise<object[]>} All of its records.
+ */
+async function readRecords(filePath) {
+    const records = [];
+    for await (const record of readWarcFile(filePath)) records.push(record);
+    return records;
+}
+
+/**
+ * Runs a test on a WARC file written by another tool.
+ * @param {string|Buffer} content - The file content.
+ * @param {function(string, string): Promise<void>} run - The test, given the file and its folder.
+ * @returns {Promise<void>}
+ */
+async function withWarcFile(content, run) {
+    await withWriter(async (writer, folder) => {
+        const filePath = path.join(folder, 'other.warc');
+        await fs.writeFile(filePath, content);
+        await run(filePath, folder);
+    });
+}
+
+/**
+ * @param {string[]} fields - WARC header lines after the version line.
+ * @param {string} block - The record block.
+ * @returns {string} A plain WARC record as written by another tool.
+ */
+function rawRecord(fields, block) {
+    return `WARC/1.0${CRLF}${fields.join(CRLF)}${CRLF}Content-Length: ${Buffer.byteLength(block)}${CRLF}${CRLF}${block}${CRLF}${CRLF}`;
+}
+
+test('frames an exchange as a response and a request record', async () => {
+    await withWriter(async writer => {
+        await writer.writeWarcinfo({ software: 'test' });
+        await writer.writeExchange({
+            url: 'https://example.com/page?q=1',
+            date: new Date('2024-03-01T12:00:00.250Z'),
+            requestHeaders: { 'User-Agent': 'tester' },
+            status: 200,
+            statusText: 'OK',
+            headers: { 'Content-Type': 'text/html' },
+            body: Buffer.from('<p>Hello</p>')
+        });
+
+        const records = await readRecords(writer.filePath);
+        assert.deepEqual(records.map(record => record.headers['warc-type']), ['warcinfo', 'response', 'request']);
+        for (const record of records) {
+            assert.equal(Number(record.headers['content-length']), record.block.length);
+        }
+        const [, response, request] = records;
+        assert.equal(response.headers['warc-target-uri'], 'https://example.com/page?q=1');
+        assert.equal(response.headers['warc-date'], '2024-03-01T12:00:00Z');
+        assert.equal(request.headers['warc-concurrent-to'], response.headers['warc-record-id']);
+        assert.match(response.headers['warc-payload-digest'], /^sha1:[A-Z2-7]{32}$/);
+        assert.match(request.block.toString(), /^GET \/page\?q=1 HTTP\/1\.1\r\nHost: example\.com\r\nUser-Agent: tester\r\n\r\n$/);
+    });
+});
+
+test('writes every record as its own gzip member', async () => {
+    await withWriter(async writer => {
+        const sizes = [0];
+        for (const text of ['first', 'second']) {
+            await writer.writeRecord('resource', { 'WARC-Target-URI': `https://example.com/${text}` }, Buffer.from(text));
+            sizes.push((await fs.stat(writer.filePath)).size);
+        }
+        const file = await fs.readFile(writer.filePath);
+        const members = sizes.slice(1).map((end, index) => zlib.gunzipSync(file.subarray(sizes[index], end)).toString());
+
+        assert.deepEqual(members, [
+            `WARC/1.1${CRLF}WARC-Type: resource${CRLF}WARC-Target-URI: https://example.com/first${CRLF}Content-Length: 5${CRLF}${CRLF}first${CRLF}${CRLF}`,
+            `WARC/1.1${CRLF}WARC-Type: resource${CRLF}WARC-Target-URI: https://example.com/second${CRLF}Content-Length: 6${CRLF}${CRLF}second${CRLF}${CRLF}`
+        ]);
+    });
+});
+
+test('records the decoded body with its own length and keeps encoding headers under a prefix', async () => {
+    await withWriter(async writer => {
+        await writer.writeExchange({
+            url: 'https://example.com/',
+            status: 200,
+            statusText: 'OK',
+            headers: { 'Content-Encoding': 'gzip', 'Content-Length': '999', 'Set-Cookie': ['a=1', 'b=2'] },
+            body: Buffer.from('decoded')
+        });
+        const [response] = await readRecords(writer.filePath);
+        const parsed = await parseHttpResponse(response.block);
+
+        assert.equal(parsed.status, 200);
+        assert.equal(parsed.headers['content-length'], '7');
+        assert.equal(parsed.headers['x-archive-orig-content-encoding'], 'gzip');
+        assert.equal(parsed.headers['content-encoding'], undefined);
+        assert.deepEqual(parsed.headers['set-cookie'], ['a=1', 'b=2']);
+        assert.equal(parsed.body.toString(), 'decoded');
+    });
+});
+
+test('uses the well-known digest for an empty payload', async () => {
+    await withWriter(async writer => {
+        await writer.writeExchange({ url: 'https://example.com/empty', status: 204, statusText: 'No Content', headers: {}, body: Buffer.alloc(0) });
+        const [response] = await readRecords(writer.filePath);
+        assert.equal(response.headers['warc-payload-digest'], 'sha1:3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ');
+    });
+});
+
+test('marks truncated responses and leaves them out of the response index', async () => {
+    await withWriter(async (writer, folder) => {
+        const exchange = { url: 'https://example.com/video.mp4', status: 200, statusText: 'OK', headers: {} };
+        await writer.writeExchange({ ...exchange, date: new Date('2024-01-01T00:00:00Z'), body: Buffer.from('whole') });
+        await writer.writeExchange({ ...exchange, date: new Date('2024-02-01T00:00:00Z'), body: Buffer.from('par'), truncated: true });
+        const records = await readRecords(writer.filePath);
+
+        assert.equal(records.filter(record => record.headers['warc-truncated'] === 'length').length, 1);
+        const index = await buildResponseIndex(readWarcFile(writer.filePath), path.join(folder, 'bodies'));
+        assert.equal(await fs.readFile(index.get(exchange.url).bodyFile, 'utf8'), 'whole');
+    });
+});
+
+test('indexes the latest capture of each URL with its body in a file', async () => {
+    const response = body => `HTTP/1.1 200 OK${CRLF}Content-Type: text/plain${CRLF}${CRLF}${body}`;
+    const warc = [
+        rawRecord(['WARC-Type: response', 'WARC-Date: 2024-02-01T00:00:00Z', 'WARC-Target-URI: <https://example.com/>', 'Content-Type: application/http; msgtype=response'], response('newer')),
+        rawRecord(['WARC-Type: response', 'WARC-Date: 2024-01-01T00:00:00Z', 'WARC-Target-URI: <https://example.com/>', 'Content-Type: application/http; msgtype=response'], response('older')),
+        rawRecord(['WARC-Type: metadata', 'WARC-Target-URI: https://example.com/', 'Content-Type: application/warc-fields'], 'via: x')
+    ].join('');
+    await withWarcFile(warc, async (filePath, folder) => {
+        const index = await buildResponseIndex(readWarcFile(filePath), path.join(folder, 'bodies'));
+
+        assert.deepEqual([...index.keys()], ['https://example.com/']);
+        assert.equal(await fs.readFile(index.get('https://example.com/').bodyFile, 'utf8'), 'newer');
+        assert.equal((await fs.readdir(path.join(folder, 'bodies'))).length, 1);
+    });
+});
+
+test('reads whole-file gzipped WARCs and undoes chunked and gzip encodings from other tools', async () => {
+    const gzipped = zlib.gzipSync('Hello, WARC');
+    const chunked = Buffer.concat([
+        Buffer.from(`HTTP/1.1 200 OK${CRLF}Transfer-Encoding: chunked${CRLF}Content-Encoding: gzip${CRLF}${CRLF}${gzipped.length.toString(16)}${CRLF}`),
+        gzipped,
+        Buffer.from(`${CRLF}0${CRLF}${CRLF}`)
+    ]);
+    const head = `WARC/1.0${CRLF}WARC-Type: response${CRLF}Content-Length: ${chunked.length}${CRLF}${CRLF}`;
+    const file = zlib.gzipSync(Buffer.concat([Buffer.from(head), chunked, Buffer.from(CRLF + CRLF)]));
+
+    await withWarcFile(file, async filePath => {
+        const [record] = await readRecords(filePath);
+        assert.equal((await parseHttpResponse(record.block)).body.toString(), 'Hello, WARC');
+    });
+});
+
+test('reads records whose blocks span many chunks of the file', async () => {
+    const body = 'x'.repeat(300 * 1024);
+    const warc = [1, 2].map(n => rawRecord(['WARC-Type: resource', `WARC-Target-URI: https://example.com/${n}`], `${n}${body}`)).join('');
+    await withWarcFile(warc, async filePath => {
+        const records = await readRecords(filePath);
+        assert.deepEqual(records.map(record => record.block.length), [body.length + 1, body.length + 1]);
+        assert.equal(records[1].block.toString('utf8', 0, 1), '2');
+    });
+});
+
+test('rejects content that is not a WARC file', async () => {
+    for (const [content, error] of [
+        ['<html></html>\r\n\r\n', /Invalid WARC record/],
+        ['WARC/1.1\r\nWARC-Type: response\r\n', /Truncated WARC record/],
+        ['WARC/1.1\r\nWARC-Type: response\r\n\r\n', /no Content-Length/],
+        ['WARC/1.1\r\nContent-Length: 10\r\n\r\nshort', /Truncated WARC record/]
+    ]) {
+        await withWarcFile(content, filePath => assert.rejects(readRecords(filePath), error));
+    }
+});
+
+test('formats WARC dates in UTC to the second', () => {
+    assert.equal(formatWarcDate(new Date('2024-03-01T12:34:56.789Z')), '2024-03-01T12:34:56Z');
+});
@@ -1,73 +1,402 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
+import { API_BASE } from './api';
+import JobsPanel from './JobsPanel';
+import SnapshotDiff from './SnapshotDiff';
+import SearchPanel from './SearchPanel';
+import SchedulesPanel from './SchedulesPanel';
+import RetentionPanel from './RetentionPanel';
+import RequestProfilesPanel from './RequestProfilesPanel';
 
 function App() {
   // --- STATE MANAGEMENT ---
   // Form state
   const [url, setUrl] = useState('https://en.wikipedia.org/wiki/HMS_Example_(P165)');
   const [maxPages, setMaxPages] = useState(10);
+  // Politeness settings; empty values fall back to the backend defaults.
+  const [politeness, setPoliteness] = useState({
+    respectRobotsTxt: true,
+    pageConcurrency: '',
+    minRequestIntervalMs: '',
+    maxInFlightPerHost: '',
+  });
+  const [userAgent, setUserAgent] = useState('');
+  // Retries of transient failures; empty values fall back to the backend defaults.
+  const [retries, setRetries] = useState({
+    maxRetries: '',
+    initialDelayMs: '',
+  });
+  // Size limits in megabytes per media type; empty values fall back to the backend defaults.
+  const [sizeLimits, setSizeLimits] = useState({
+    image: '',
+    video: '',
+    audio: '',
+    font: '',
+    other: '',
+  });
+  // What to do with the scripts and forms of saved pages, so they cannot contact the live web.
+  const [neutralize, setNeutralize] = useState({
+    scripts: 'keep',
+    forms: 'keep',
+  });
+  // Crawl scope; list fields hold one entry per line or comma.
+  const [scope, setScope] = useState({
+    maxDepth: '',
+    pathPrefix: '',
+    include: '',
+    exclude: '',
+    followSubdomains: false,
+    extraHosts: '',
+    queryStrings: 'keep',
+    allowedParams: '',
+  });
+  // Where the crawl starts besides the URL: its links only, a sitemap, a feed or a list of URLs.
+  const [seed, setSeed] = useState({
+    mode: 'links',
+    url: '',
+    urls: '',
+  });
+  // Name of the saved request profile (headers, cookies, auth, proxy) to crawl with; empty for none.
+  const [requestProfile, setRequestProfile] = useState('');
+  const [requestProfiles, setRequestProfiles] = useState([]);
   
   // Data display state
   const [groupedArchives, setGroupedArchives] = useState({});
   const [selectedDomain, setSelectedDomain] = useState(null);
   const [selectedStartUrlPath, setSelectedStartUrlPath] = useState(null);
   const [selectedVersion, setSelectedVersion] = useState(null);
+  const [compareVersionId, setCompareVersionId] = useState('');
+  // Disk usage of each domain and its snapshots, as reported by the storage API.
+  const [storageUsage, setStorageUsage] = useState({});
+  // Latest integrity check of each snapshot, keyed by "<domain>/<id>".
+  const [verifications, setVerifications] = useState({});
 
   // UI state
   const [isLoading, setIsLoading] = useState(false);
 
+  // Crawl jobs, keyed by job ID, kept live by one event stream per active job.
+  const [jobs, setJobs] = useState({});
+  const jobStreams = useRef({});
+
   // --- CORE LOGIC ---
 
   /**
-   * Fetches all archive data from the backend and processes it
+   * Fetches the snapshot catalog and disk usage from the backend and processes them
    * into a nested structure for the 4-column display.
    */
   const fetchArchives = async () => {
     try {
-      const response = await fetch('http://localhost:3001/api/archives');
-      const domains = await response.json();
+      const response = await fetch(`${API_BASE}/api/catalog`);
+      const { domains, snapshots } = await response.json();
       const allArchives = {};
-      for (const domain of domains) {
-        const versionsRes = await fetch(`http://localhost:3001/api/archives/${domain}`);
-        allArchives[domain] = await versionsRes.json();
-      }
-      setGroupedArchives(groupArchives(domains, allArchives));
+      snapshots.forEach(snapshot => {
+        allArchives[snapshot.domain] = [...(allArchives[snapshot.domain] || []), snapshot];
+      });
+      const usageRes = await fetch(`${API_BASE}/api/storage`);
+      const usage = usageRes.ok ? (await usageRes.json()).domains : [];
+      setGroupedArchives(groupArchives(domains.map(entry => entry.domain), allArchives));
+      setStorageUsage(Object.fromEntries(usage.map(entry => [entry.domain, entry])));
+      // Keep the selected snapshot's details current, e.g. after a resume or a retry of failed items,
+      // and drop it once it has been deleted.
+      setSelectedVersion(prev => {
+        const current = prev && snapshots.find(snapshot => snapshot.domain === prev.domain && snapshot.id === prev.id);
+        return current ? { ...prev, ...current } : null;
+      });
     } catch (error) {
       console.error('Failed to fetch archives:', error);
     }
   };
 
-  // Fetch archives on initial component mount.
+  /**
+   * Stores the latest state of a job reported by the backend.
+   * @param {object} job - The job as returned by the jobs API.
+   */
+  const updateJob = (job) => {
+    setJobs(prevJobs => ({ ...prevJobs, [job.id]: job }));
+  };
+
+  /**
+   * Opens a Server-Sent Events stream for a job and keeps its state current.
+   * Archives are reloaded once the job has saved a snapshot, or left an incomplete one behind.
+   * @param {string} jobId - The ID of the job to follow.
+   */
+  const subscribeToJob = (jobId) => {
+    if (jobStreams.current[jobId]) return;
+    const source = new EventSource(`${API_BASE}/api/jobs/${jobId}/events`);
+    jobStreams.current[jobId] = source;
+
+    source.addEventListener('progress', (event) => updateJob(JSON.parse(event.data)));
+    source.addEventListener('end', (event) => {
+      const job = JSON.parse(event.data);
+      updateJob(job);
+      source.close();
+      delete jobStreams.current[jobId];
+      if (job.status === 'done' || job.status === 'failed') fetchArchives();
+    });
+  };
+
+  /**
+   * Loads the jobs known to the backend and follows those still in progress.
+   */
+  const fetchJobs = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/jobs`);
+      const jobList = await response.json();
+      setJobs(Object.fromEntries(jobList.map(job => [job.id, job])));
+      jobList
+        .filter(job => job.status === 'queued' || job.status === 'running')
+        .forEach(job => subscribeToJob(job.id));
+    } catch (error) {
+      console.error('Failed to fetch jobs:', error);
+    }
+  };
+
+  /**
+   * Fetches the saved request profiles, which the backend only returns redacted.
+   */
+  const fetchRequestProfiles = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/request-profiles`);
+      const profiles = await response.json();
+      setRequestProfiles(profiles);
+      // A deleted profile can no longer be crawled with.
+      setRequestProfile(prev => (profiles.some(profile => profile.name === prev) ? prev : ''));
+    } catch (error) {
+      console.error('Failed to fetch request profiles:', error);
+    }
+  };
+
+  // Fetch archives, jobs and request profiles on initial component mount.
   useEffect(() => {
     fetchArchives();
+    fetchJobs();
+    fetchRequestProfiles();
+  }, []);
+
+  // Load the disk usage of each snapshot of the selected site, which the per-site figures leave out.
+  useEffect(() => {
+    if (!selectedDomain) return;
+    const fetchDomainUsage = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/storage/${selectedDomain}`);
+        if (!response.ok) return;
+        const usage = await response.json();
+        setStorageUsage(prev => ({ ...prev, [selectedDomain]: usage }));
+      } catch (error) {
+        console.error('Failed to fetch storage usage:', error);
+      }
+    };
+    fetchDomainUsage();
+  }, [selectedDomain, groupedArchives]);
+
+  // The catalog only summarizes snapshots; load the pages, URL map and capture report of the selected one.
+  const selectedVersionId = selectedVersion?.id;
+  useEffect(() => {
+    if (!selectedDomain || !selectedVersionId) return;
+    const fetchVersionDetails = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/archives/${selectedDomain}/${selectedVersionId}`);
+        if (!response.ok) return;
+        const details = await response.json();
+        setSelectedVersion(prev => (prev?.id === selectedVersionId ? { ...prev, ...details } : prev));
+      } catch (error) {
+        console.error('Failed to fetch snapshot details:', error);
+      }
+    };
+    fetchVersionDetails();
+  }, [selectedDomain, selectedVersionId, groupedArchives]);
+
+  // Close any open job streams when the component unmounts.
+  useEffect(() => {
+    const streams = jobStreams.current;
+    return () => Object.values(streams).forEach(source => source.close());
   }, []);
   
   /**
    * Triggers the backend archiving process for a given URL.
    * @param {string} urlToArchive - The URL to be archived.
+   * @param {object} [crawlScope] - The crawl scope; defaults to the one in the form.
+   * @param {string} [profileName] - The saved request profile to use; defaults to the one in the form.
+   * @param {object} [crawlSeed] - The seed settings ({ mode, url, urls }); default to the ones in the form.
    */
-  const triggerArchive = async (urlToArchive) => {
+  const triggerArchive = async (urlToArchive, crawlScope = scope, profileName = requestProfile, crawlSeed = seed) => {
     const normalizedUrl = normalizeUrl(urlToArchive);
-    if (!normalizedUrl) return alert('URL is empty.');
+    // A URL list brings its own start URL.
+    if (!normalizedUrl && crawlSeed.mode !== 'list') return alert('URL is empty.');
 
     setIsLoading(true);
     try {
-      await fetch('http://localhost:3001/api/archive', {
+      const response = await fetch(`${API_BASE}/api/archive`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url: normalizedUrl, maxPages: Number(maxPages) }),
+        body: JSON.stringify({ url: normalizedUrl, maxPages: Number(maxPages), ...getCrawlOptions(crawlScope, profileName, crawlSeed) }),
       });
-      alert(`Archiving process for ${normalizedUrl} has started. The list will refresh shortly.`);
-      // Poll for new data after a delay
-      setTimeout(fetchArchives, 8000);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      updateJob(result.job);
+      subscribeToJob(result.job.id);
     } catch (error) {
       console.error('Error submitting URL:', error);
-      alert('Failed to start archiving process.');
+      alert(`Failed to start archiving process: ${error.message}`);
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * Collects the crawl settings of the form, as sent with a crawl or a scheduled archive.
+   * @param {object} [crawlScope] - The scope to crawl with; the form's by default.
+   * @param {string} [profileName] - The saved request profile to use, if any; the form's by default.
+   * @param {object} [crawlSeed] - The seed settings; the form's by default.
+   * @returns {object} { politeness, userAgent, scope, retries, neutralize, requestProfile, sizeLimits, seed }.
+   */
+  const getCrawlOptions = (crawlScope = scope, profileName = requestProfile, crawlSeed = seed) => {
+    // The backend takes size limits in bytes.
+    const sizeLimitBytes = Object.fromEntries(Object.entries(sizeLimits)
+      .filter(([, megabytes]) => megabytes !== '')
+      .map(([mediaType, megabytes]) => [mediaType, Math.round(Number(megabytes) * 1024 * 1024)]));
+    return {
+      politeness,
+      userAgent,
+      scope: crawlScope,
+      retries,
+      neutralize,
+      requestProfile: profileName || null,
+      sizeLimits: sizeLimitBytes,
+      seed: crawlSeed.mode === 'links' ? null : { ...crawlSeed, url: normalizeUrl(crawlSeed.url || '') || null }
+    };
+  };
+
+  /**
+   * Uploads a WARC file to be imported as a new snapshot.
+   * @param {File} file - The .warc or .warc.gz file chosen by the user.
+   */
+  const importWarc = async (file) => {
+    if (!file) return;
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/archives/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file,
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      updateJob(result.job);
+      subscribeToJob(result.job.id);
+    } catch (error) {
+      console.error('Error importing WARC:', error);
+      alert(`Failed to import WARC: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Continues an interrupted crawl from its last checkpoint.
+   * @param {object} version - The incomplete snapshot.
+   */
+  const resumeCrawl = async (version) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/archives/${selectedDomain}/${version.id}/resume`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      updateJob(result.job);
+      subscribeToJob(result.job.id);
+      setSelectedVersion({ ...version, inProgress: true, resumable: false });
+    } catch (error) {
+      console.error('Error resuming crawl:', error);
+      alert(`Failed to resume crawl: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Fetches the resources that failed during a capture again and patches them into the snapshot.
+   * @param {object} version - The snapshot with failed resources.
+   */
+  const retryFailedItems = async (version) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/archives/${selectedDomain}/${version.id}/retry-failed`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      updateJob(result.job);
+      subscribeToJob(result.job.id);
+    } catch (error) {
+      console.error('Error retrying failed items:', error);
+      alert(`Failed to retry failed items: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Hashes the files of a snapshot again and keeps the report of what no longer matches.
+   * @param {object} version - The snapshot to verify.
+   */
+  const verifySnapshot = async (version) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/archives/${selectedDomain}/${version.id}/verify`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      setVerifications(prev => ({ ...prev, [`${selectedDomain}/${version.id}`]: result }));
+    } catch (error) {
+      console.error('Error verifying snapshot:', error);
+      alert(`Failed to verify snapshot: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Deletes a domain, the snapshots of a start page, or a single snapshot once the user confirms it.
+   * @param {string} path - The path below /api/archives to send the DELETE request to.
+   * @param {string} description - What will be deleted, for the confirmation prompt.
+   * @param {function(): void} onDeleted - Clears the selection of what was deleted, before the archives reload.
+   */
+  const deleteArchives = async (path, description, onDeleted) => {
+    if (!window.confirm(`Delete ${description}? This cannot be undone.`)) return;
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/archives/${path}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      onDeleted();
+      await fetchArchives();
+    } catch (error) {
+      console.error('Error deleting archives:', error);
+      alert(`Failed to delete: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Asks the backend to cancel a queued or running job.
+   * @param {string} jobId - The ID of the job to cancel.
+   */
+  const cancelJob = async (jobId) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/jobs/${jobId}/cancel`, { method: 'POST' });
+      updateJob(await response.json());
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+    }
+  };
+
+  /**
+   * Removes finished jobs from the jobs panel.
+   */
+  const clearFinishedJobs = () => {
+    setJobs(prevJobs => Object.fromEntries(
+      Object.entries(prevJobs).filter(([, job]) => job.status === 'queued' || job.status === 'running')
+    ));
+  };
+
   // --- HELPER FUNCTIONS ---
 
   /**
@@ -120,6 +449,41 @@ function App() {
     }
   };
 
+  /**
+   * Extracts the path and query string of a URL, which tell the pages of a snapshot apart.
+   * @param {string} urlString - The full URL.
+   * @returns {string} The path and query string.
+   */
+  const getPathAndQuery = (urlString) => {
+    try {
+      const url = new URL(urlString);
+      return url.pathname + url.search;
+    } catch (e) {
+      return urlString;
+    }
+  };
+
+  /**
+   * Formats a number of bytes for display.
+   * @param {number} [bytes] - The size.
+   * @returns {string} The size with a unit, e.g. "1.4 MB", or an empty string if it is unknown.
+   */
+  const formatBytes = (bytes) => {
+    if (bytes === undefined || bytes === null) return '';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+    const value = bytes / 1024 ** exponent;
+    return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+  };
+
+  /**
+   * Looks up the disk usage of a snapshot.
+   * @param {string} domain - The domain of the snapshot.
+   * @param {string} id - The snapshot ID.
+   * @returns {object|undefined} { bytes, assetBytes, exclusiveAssetBytes, reclaimableBytes }, if known.
+   */
+  const getSnapshotUsage = (domain, id) => storageUsage[domain]?.bySnapshot?.find(snapshot => snapshot.id === id);
+
   /**
    * Formats a timestamp string for display.
    * @param {string} timestamp - The timestamp ID string from the backend.
@@ -130,18 +494,144 @@ function App() {
     return new Date(parsableDateString).toLocaleString();
   };
 
+  /**
+   * Builds the replay link of a snapshot, which opens its start page as captured at the time of the snapshot.
+   * @param {object} version - The snapshot.
+   * @returns {string} The /replay/<YYYYMMDDhhmmss>/<start URL> link.
+   */
+  const getReplayUrl = (version) => `${API_BASE}/replay/${version.id.replace(/\D/g, '').slice(0, 14)}/${version.startUrl}`;
+
+  /**
+   * Describes how the crawl found a page of the selected snapshot, for its tooltip.
+   * @param {string} pageUrl - The page URL.
+   * @returns {string} The URL, followed by how it was found if the snapshot recorded it.
+   */
+  const describeDiscovery = (pageUrl) => {
+    const found = selectedVersion?.discovery?.[pageUrl];
+    if (!found) return pageUrl;
+    return `${pageUrl}\nFound through: ${found.method}${found.source ? ` in ${found.source}` : ''}`;
+  };
+
+  /**
+   * Summarizes the latest integrity check of the selected snapshot.
+   * @param {object} verification - The report from the verify endpoint.
+   * @returns {string} What was found, e.g. "Verification failed: 1 altered, 2 extra".
+   */
+  const describeVerification = (verification) => {
+    const checkedAt = new Date(verification.verifiedAt).toLocaleString();
+    if (verification.status === 'verified') {
+      return `Verified ${checkedAt}: ${verification.checkedFiles} files match, signature ${verification.signature}`;
+    }
+    const problems = ['missing', 'altered', 'extra']
+      .filter(problem => verification[problem].length > 0)
+      .map(problem => `${verification[problem].length} ${problem}`);
+    if (!verification.manifestIntact) problems.push('manifest altered');
+    if (['invalid', 'missing', 'other-key'].includes(verification.signature)) problems.push(`signature ${verification.signature}`);
+    return `Verification failed ${checkedAt}: ${problems.join(', ')}`;
+  };
+
   // --- EVENT HANDLERS ---
+  const handlePolitenessChange = (field, value) => {
+    setPoliteness(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleRetriesChange = (field, value) => {
+    setRetries(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSeedChange = (field, value) => {
+    setSeed(prev => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Reads an uploaded file of URLs into the URL list.
+   * @param {File} file - The file chosen by the user.
+   */
+  const importUrlList = async (file) => {
+    if (!file) return;
+    handleSeedChange('urls', await file.text());
+  };
+
+  const handleSizeLimitChange = (field, value) => {
+    setSizeLimits(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleNeutralizeChange = (field, value) => {
+    setNeutralize(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleScopeChange = (field, value) => {
+    setScope(prev => ({ ...prev, [field]: value }));
+  };
+
   const handleDomainSelect = (domain) => {
     setSelectedDomain(domain);
     setSelectedStartUrlPath(null);
     setSelectedVersion(null);
+    setCompareVersionId('');
   };
 
   const handleStartUrlPathSelect = (path) => {
     setSelectedStartUrlPath(path);
     setSelectedVersion(null);
+    setCompareVersionId('');
+  };
+
+  const handleVersionSelect = (version) => {
+    setSelectedVersion(version);
+    setCompareVersionId('');
+  };
+
+  const handleDomainDelete = (event, domain) => {
+    event.stopPropagation();
+    const snapshotCount = Object.values(groupedArchives[domain]).flat().length;
+    const size = formatBytes(storageUsage[domain]?.diskBytes);
+    deleteArchives(domain, `${domain} and all ${snapshotCount} of its snapshots${size ? ` (${size})` : ''}`, () => {
+      if (selectedDomain === domain) handleDomainSelect(null);
+    });
+  };
+
+  const handleStartPageDelete = (event, path) => {
+    event.stopPropagation();
+    const snapshotCount = groupedArchives[selectedDomain][path].length;
+    deleteArchives(
+      `${selectedDomain}/start-pages?path=${encodeURIComponent(path)}`,
+      `all ${snapshotCount} snapshot${snapshotCount === 1 ? '' : 's'} of ${selectedDomain}${path}`,
+      () => { if (selectedStartUrlPath === path) handleStartUrlPathSelect(null); }
+    );
+  };
+
+  const handleVersionDelete = (version) => {
+    const size = formatBytes(getSnapshotUsage(selectedDomain, version.id)?.reclaimableBytes);
+    deleteArchives(
+      `${selectedDomain}/${version.id}`,
+      `the snapshot of ${formatTimestamp(version.id)}${size ? ` (${size})` : ''}`,
+      () => handleVersionSelect(null)
+    );
   };
 
+  /**
+   * Sums up what deleting every snapshot of a start page would free, as far as assets used only by one snapshot go.
+   * @param {string} path - The start page path.
+   * @returns {number|undefined} The size, if known.
+   */
+  const getStartPageBytes = (path) => {
+    const sizes = groupedArchives[selectedDomain][path].map(version => getSnapshotUsage(selectedDomain, version.id));
+    return sizes.every(Boolean) ? sizes.reduce((total, size) => total + size.reclaimableBytes, 0) : undefined;
+  };
+
+  // Every complete snapshot of the selected domain other than the selected one can be compared against it.
+  const comparableVersions = selectedDomain && selectedVersion && selectedVersion.status === 'complete'
+    ? Object.values(groupedArchives[selectedDomain] || {}).flat()
+      .filter(version => version.id !== selectedVersion.id && version.status === 'complete')
+      .sort((a, b) => b.id.localeCompare(a.id))
+    : [];
+
+  const selectedUsage = selectedVersion && getSnapshotUsage(selectedDomain, selectedVersion.id);
+  // A check from before the snapshot was last hashed (e.g. before Retry Failed Items patched it) no longer applies.
+  const selectedVerification = selectedVersion && [verifications[`${selectedDomain}/${selectedVersion.id}`]]
+    .find(verification => verification && verification.hashedAt === selectedVersion.fixity?.hashedAt);
+
   const handleFormSubmit = (event) => {
     event.preventDefault();
     triggerArchive(url);
@@ -160,7 +650,7 @@ function App() {
             className="url-input"
             value={url}
             onChange={(e) => setUrl(e.target.value)}
-            required
+            required={seed.mode !== 'list'}
             disabled={isLoading}
           />
           <button type="submit" disabled={isLoading}>
@@ -183,6 +673,287 @@ function App() {
         />
       </div>
 
+      <div className="seed-options">
+        <label>
+          Start from
+          <select value={seed.mode} onChange={(e) => handleSeedChange('mode', e.target.value)} disabled={isLoading}>
+            <option value="links">The URL and its links</option>
+            <option value="sitemap">The site's sitemap</option>
+            <option value="feed">An RSS or Atom feed</option>
+            <option value="list">A list of URLs</option>
+          </select>
+        </label>
+        {seed.mode === 'sitemap' && (
+          <input
+            type="text"
+            placeholder="Sitemap URL (optional, found through robots.txt)"
+            value={seed.url}
+            onChange={(e) => handleSeedChange('url', e.target.value)}
+            disabled={isLoading}
+          />
+        )}
+        {seed.mode === 'feed' && (
+          <input
+            type="text"
+            placeholder="example.com/feed.xml"
+            value={seed.url}
+            onChange={(e) => handleSeedChange('url', e.target.value)}
+            disabled={isLoading}
+          />
+        )}
+        {seed.mode === 'list' && (
+          <>
+            <textarea
+              rows="4"
+              placeholder={'One URL per line; the first one is the start page if no URL is given above'}
+              value={seed.urls}
+              onChange={(e) => handleSeedChange('urls', e.target.value)}
+              disabled={isLoading}
+            />
+            <input
+              type="file"
+              accept=".txt,.csv,text/plain"
+              onChange={(e) => { importUrlList(e.target.files[0]); e.target.value = ''; }}
+              disabled={isLoading}
+            />
+          </>
+        )}
+      </div>
+
+      <details className="advanced-options">
+        <summary>Advanced crawl options</summary>
+        <div className="advanced-options-grid">
+          <label>
+            <input
+              type="checkbox"
+              checked={politeness.respectRobotsTxt}
+              onChange={(e) => handlePolitenessChange('respectRobotsTxt', e.target.checked)}
+              disabled={isLoading}
+            />
+            Respect robots.txt
+          </label>
+          <label>
+            Pages fetched at once
+            <input
+              type="number"
+              min="1"
+              placeholder="default"
+              value={politeness.pageConcurrency}
+              onChange={(e) => handlePolitenessChange('pageConcurrency', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            Min. interval per host (ms)
+            <input
+              type="number"
+              min="0"
+              placeholder="default"
+              value={politeness.minRequestIntervalMs}
+              onChange={(e) => handlePolitenessChange('minRequestIntervalMs', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            Max. requests in flight per host
+            <input
+              type="number"
+              min="1"
+              placeholder="default"
+              value={politeness.maxInFlightPerHost}
+              onChange={(e) => handlePolitenessChange('maxInFlightPerHost', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label className="wide-option">
+            User-Agent
+            <input
+              type="text"
+              placeholder="default"
+              value={userAgent}
+              onChange={(e) => setUserAgent(e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+
+          <h4 className="wide-option">Request profile</h4>
+          <label className="wide-option">
+            Headers, cookies, basic auth and proxy to crawl with
+            <select value={requestProfile} onChange={(e) => setRequestProfile(e.target.value)} disabled={isLoading}>
+              <option value="">None</option>
+              {requestProfiles.map(profile => <option key={profile.name} value={profile.name}>{profile.name}</option>)}
+            </select>
+          </label>
+          <div className="wide-option">
+            <RequestProfilesPanel profiles={requestProfiles} onChange={fetchRequestProfiles} disabled={isLoading} />
+          </div>
+
+          <h4 className="wide-option">Retries</h4>
+          <label>
+            Retries of failed requests
+            <input
+              type="number"
+              min="0"
+              placeholder="default"
+              value={retries.maxRetries}
+              onChange={(e) => handleRetriesChange('maxRetries', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            Delay before the first retry (ms)
+            <input
+              type="number"
+              min="0"
+              placeholder="default"
+              value={retries.initialDelayMs}
+              onChange={(e) => handleRetriesChange('initialDelayMs', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+
+          <h4 className="wide-option">Size limits (MB)</h4>
+          {[['image', 'Images'], ['video', 'Videos'], ['audio', 'Audio'], ['font', 'Fonts'], ['other', 'Other files']].map(([mediaType, label]) => (
+            <label key={mediaType}>
+              {label}
+              <input
+                type="number"
+                min="0"
+                step="any"
+                placeholder="default"
+                value={sizeLimits[mediaType]}
+                onChange={(e) => handleSizeLimitChange(mediaType, e.target.value)}
+                disabled={isLoading}
+              />
+            </label>
+          ))}
+
+          <h4 className="wide-option">Live web</h4>
+          <label>
+            Scripts of saved pages
+            <select value={neutralize.scripts} onChange={(e) => handleNeutralizeChange('scripts', e.target.value)} disabled={isLoading}>
+              <option value="keep">Keep</option>
+              <option value="disable">Keep, but never run</option>
+              <option value="remove">Remove</option>
+            </select>
+          </label>
+          <label>
+            Forms of saved pages
+            <select value={neutralize.forms} onChange={(e) => handleNeutralizeChange('forms', e.target.value)} disabled={isLoading}>
+              <option value="keep">Keep</option>
+              <option value="disable">Disable submitting</option>
+            </select>
+          </label>
+
+          <h4 className="wide-option">Crawl scope</h4>
+          <label>
+            Max. link depth from the start page
+            <input
+              type="number"
+              min="0"
+              placeholder="unlimited"
+              value={scope.maxDepth}
+              onChange={(e) => handleScopeChange('maxDepth', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            Only paths starting with
+            <input
+              type="text"
+              placeholder="/blog"
+              value={scope.pathPrefix}
+              onChange={(e) => handleScopeChange('pathPrefix', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            Include URLs matching
+            <textarea
+              rows="2"
+              placeholder={'One per line: /docs/** or re:\\d{4}'}
+              value={scope.include}
+              onChange={(e) => handleScopeChange('include', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            Exclude URLs matching
+            <textarea
+              rows="2"
+              placeholder={'One per line: /tag/* or re:[?&]sort='}
+              value={scope.exclude}
+              onChange={(e) => handleScopeChange('exclude', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={scope.followSubdomains}
+              onChange={(e) => handleScopeChange('followSubdomains', e.target.checked)}
+              disabled={isLoading}
+            />
+            Follow links to subdomains
+          </label>
+          <label>
+            Also follow these hosts
+            <input
+              type="text"
+              placeholder="docs.example.org, blog.example.net"
+              value={scope.extraHosts}
+              onChange={(e) => handleScopeChange('extraHosts', e.target.value)}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            Query strings
+            <select
+              value={scope.queryStrings}
+              onChange={(e) => handleScopeChange('queryStrings', e.target.value)}
+              disabled={isLoading}
+            >
+              <option value="keep">Keep</option>
+              <option value="strip">Strip</option>
+              <option value="allowlist">Keep only these parameters</option>
+            </select>
+          </label>
+          {scope.queryStrings === 'allowlist' && (
+            <label>
+              Parameters to keep
+              <input
+                type="text"
+                placeholder="page, id"
+                value={scope.allowedParams}
+                onChange={(e) => handleScopeChange('allowedParams', e.target.value)}
+                disabled={isLoading}
+              />
+            </label>
+          )}
+        </div>
+      </details>
+
+      <div className="settings-bar import-bar">
+        <label htmlFor="warc-import">Import a WARC file:</label>
+        <input
+          type="file"
+          id="warc-import"
+          accept=".warc,.gz"
+          onChange={(e) => { importWarc(e.target.files[0]); e.target.value = ''; }}
+          disabled={isLoading}
+        />
+      </div>
+
+      <JobsPanel
+        jobs={Object.values(jobs).sort((a, b) => b.createdAt.localeCompare(a.createdAt))}
+        onCancel={cancelJob}
+        onClearFinished={clearFinishedJobs}
+      />
+
+      <SearchPanel domains={Object.keys(groupedArchives)} formatTimestamp={formatTimestamp} />
+
+      <SchedulesPanel normalizeUrl={normalizeUrl} getCrawlOptions={getCrawlOptions} onScheduledRun={fetchJobs} />
+
       <main className="archive-viewer">
         <h2>View Archives</h2>
         <div className="archive-container">
@@ -192,8 +963,10 @@ function App() {
             {Object.keys(groupedArchives).length > 0 ? (
               <ul>
                 {Object.keys(groupedArchives).map((domain) => (
-                  <li key={domain} className={selectedDomain === domain ? 'selected' : ''} onClick={() => handleDomainSelect(domain)}>
-                    {domain}
+                  <li key={domain} className={`deletable-item ${selectedDomain === domain ? 'selected' : ''}`} onClick={() => handleDomainSelect(domain)}>
+                    <span className="item-label">{domain}</span>
+                    <span className="size-tag">{formatBytes(storageUsage[domain]?.diskBytes)}</span>
+                    <button className="delete-item-button" title="Delete site" onClick={(e) => handleDomainDelete(e, domain)} disabled={isLoading}>×</button>
                   </li>
                 ))}
               </ul>
@@ -205,9 +978,11 @@ function App() {
             <h3>Start Page</h3>
             {selectedDomain ? (
               <ul>
-                {Object.keys(groupedArchives[selectedDomain]).map((path) => (
-                  <li key={path} className={selectedStartUrlPath === path ? 'selected' : ''} onClick={() => handleStartUrlPathSelect(path)}>
-                    {path}
+                {Object.keys(groupedArchives[selectedDomain] || {}).map((path) => (
+                  <li key={path} className={`deletable-item ${selectedStartUrlPath === path ? 'selected' : ''}`} onClick={() => handleStartUrlPathSelect(path)}>
+                    <span className="item-label">{path}</span>
+                    <span className="size-tag">{formatBytes(getStartPageBytes(path))}</span>
+                    <button className="delete-item-button" title="Delete all snapshots of this start page" onClick={(e) => handleStartPageDelete(e, path)} disabled={isLoading}>×</button>
                   </li>
                 ))}
               </ul>
@@ -219,9 +994,12 @@ function App() {
             <h3>Timestamp</h3>
             {selectedStartUrlPath ? (
               <ul>
-                {groupedArchives[selectedDomain][selectedStartUrlPath].map((version) => (
-                  <li key={version.id} className={selectedVersion?.id === version.id ? 'selected' : ''} onClick={() => setSelectedVersion(version)}>
+                {(groupedArchives[selectedDomain]?.[selectedStartUrlPath] || []).map((version) => (
+                  <li key={version.id} className={selectedVersion?.id === version.id ? 'selected' : ''} onClick={() => handleVersionSelect(version)}>
                     {formatTimestamp(version.id)}
+                    {version.changed === false && <span className="unchanged-tag">no changes</span>}
+                    {version.status === 'incomplete' && <span className="incomplete-tag">{version.inProgress ? 'capturing' : 'incomplete'}</span>}
+                    <span className="size-tag">{formatBytes(getSnapshotUsage(selectedDomain, version.id)?.reclaimableBytes)}</span>
                   </li>
                 ))}
               </ul>
@@ -231,28 +1009,214 @@ function App() {
           {/* Column 4: Snapshot Details */}
           <div className="archive-column">
             <h3>Snapshot Details</h3>
-            {selectedVersion ? (
+            {selectedVersion?.status === 'incomplete' ? (
+              <>
+                <p className="incomplete-notice">
+                  {selectedVersion.inProgress
+                    ? 'This snapshot is still being captured.'
+                    : `This capture was interrupted after ${selectedVersion.pageCount} page${selectedVersion.pageCount === 1 ? '' : 's'}.`}
+                  {selectedVersion.lastError && <span className="incomplete-error">{selectedVersion.lastError}</span>}
+                  {!selectedVersion.inProgress && !selectedVersion.resumable && ' It was imported from a WARC file and cannot be resumed.'}
+                </p>
+                {selectedVersion.resumable && (
+                  <button
+                    className="action-button resume-button"
+                    onClick={() => resumeCrawl(selectedVersion)}
+                    disabled={isLoading}
+                  >
+                    Resume Crawl
+                  </button>
+                )}
+                {!selectedVersion.inProgress && (
+                  <button className="action-button delete-button" onClick={() => handleVersionDelete(selectedVersion)} disabled={isLoading}>
+                    Delete Snapshot
+                  </button>
+                )}
+                <h4 className="pages-list-header">Pages fetched so far</h4>
+                <ul className="crawled-pages-list">
+                  {(selectedVersion.crawledPages || []).map((pageUrl, index) => (
+                    <li key={index} title={pageUrl}>{getPathAndQuery(pageUrl)}</li>
+                  ))}
+                </ul>
+              </>
+            ) : selectedVersion ? (
               <>
-                <a className="action-button view-button" href={`http://localhost:3001/view/${selectedDomain}/${selectedVersion.id}/${selectedVersion.entrypoint}`} target="_blank" rel="noopener noreferrer">
+                <a className="action-button view-button" href={getReplayUrl(selectedVersion)} target="_blank" rel="noopener noreferrer">
                   View Snapshot
                 </a>
                 <button 
                   className="action-button refresh-button" 
-                  onClick={() => triggerArchive(selectedVersion.startUrl)}
+                  onClick={() => triggerArchive(selectedVersion.startUrl, selectedVersion.scope || {}, selectedVersion.requestProfile?.name, selectedVersion.seed || { mode: 'links' })}
                   disabled={isLoading}
                 >
                   Refresh Snapshot
                 </button>
+                {selectedVersion.hasWarc && (
+                  <a className="action-button warc-button" href={`${API_BASE}/api/archives/${selectedDomain}/${selectedVersion.id}/warc?gzip=true`}>
+                    Download WARC
+                  </a>
+                )}
+                <a className="action-button zip-button" href={`${API_BASE}/api/archives/${selectedDomain}/${selectedVersion.id}/zip`}>
+                  Download ZIP
+                </a>
+                {comparableVersions.length > 0 && (
+                  <label className="compare-select">
+                    Compare with
+                    <select value={compareVersionId} onChange={(e) => setCompareVersionId(e.target.value)}>
+                      <option value="">Select a timestamp...</option>
+                      {comparableVersions.map(version => (
+                        <option key={version.id} value={version.id}>{formatTimestamp(version.id)}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <button className="action-button delete-button" onClick={() => handleVersionDelete(selectedVersion)} disabled={isLoading}>
+                  Delete Snapshot
+                </button>
+                {selectedUsage && (
+                  <p className="snapshot-size">
+                    Size: {formatBytes(selectedUsage.bytes)} of pages and captures, {formatBytes(selectedUsage.assetBytes)} of assets
+                    ({formatBytes(selectedUsage.exclusiveAssetBytes)} not shared with other snapshots)
+                  </p>
+                )}
+                <div className="fixity-status">
+                  <p className="fixity-summary">
+                    {selectedVersion.fixity ? (
+                      <>
+                        Fixity: {selectedVersion.fixity.files} files hashed ({selectedVersion.fixity.algorithm}) on {new Date(selectedVersion.fixity.hashedAt).toLocaleString()},{' '}
+                        {selectedVersion.fixity.signed
+                          ? <span title={`Key fingerprint: ${selectedVersion.fixity.keyFingerprint}`}>signed</span>
+                          : 'unsigned'}
+                      </>
+                    ) : 'Fixity: not recorded; this snapshot was saved before files were hashed.'}
+                    {selectedVerification && (
+                      <>
+                        <br />
+                        <span className={`verification-status verification-${selectedVerification.status}`}>
+                          {describeVerification(selectedVerification)}
+                        </span>
+                      </>
+                    )}
+                  </p>
+                  {selectedVerification && (
+                    <ul className="fixity-problems-list">
+                      {['missing', 'altered', 'extra'].flatMap(problem => selectedVerification[problem].map(file => (
+                        <li key={`${problem}:${file}`} title={file}>
+                          <span className="fixity-problem">{problem}</span>
+                          {file}
+                        </li>
+                      )))}
+                    </ul>
+                  )}
+                  {selectedVersion.fixity && (
+                    <button className="action-button verify-button" onClick={() => verifySnapshot(selectedVersion)} disabled={isLoading}>
+                      Verify Integrity
+                    </button>
+                  )}
+                </div>
+                {selectedVersion.captureReport && (
+                  <div className="capture-report">
+                    <p className="capture-summary">
+                      Pages: {selectedVersion.captureReport.pages.captured} captured, {selectedVersion.captureReport.pages.failed} failed
+                      <br />
+                      Assets: {selectedVersion.captureReport.assets.captured} captured, {selectedVersion.captureReport.assets.failed} failed
+                      <br />
+                      Blocked by robots.txt: {selectedVersion.captureReport.blocked}, retried: {selectedVersion.captureReport.retried}
+                      {selectedVersion.captureReport.skipped?.length > 0 && `, over size limits: ${selectedVersion.captureReport.skipped.length}`}
+                      {selectedVersion.frames?.length > 0 && (
+                        <>
+                          <br />
+                          Frames: {selectedVersion.frames.length} captured as nested pages
+                        </>
+                      )}
+                    </p>
+                    {selectedVersion.captureReport.skipped?.length > 0 && (
+                      <>
+                        <h4 className="pages-list-header">Skipped for their size</h4>
+                        <ul className="skipped-resources-list">
+                          {selectedVersion.captureReport.skipped.map(skipped => (
+                            <li key={skipped.url} title={`${skipped.url}\n${skipped.contentType || 'unknown type'}`}>
+                              <span className="skipped-size">{formatBytes(skipped.size)} &gt; {formatBytes(skipped.sizeLimit)}</span>
+                              {skipped.url}
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    )}
+                    {selectedVersion.captureReport.failures.length > 0 && (
+                      <>
+                        <h4 className="pages-list-header">Failed resources</h4>
+                        <ul className="failed-resources-list">
+                          {selectedVersion.captureReport.failures.map(failure => (
+                            <li key={failure.url} title={failure.url}>
+                              <span className="failure-status">{failure.status || failure.error}</span>
+                              {failure.url}
+                            </li>
+                          ))}
+                        </ul>
+                        <button
+                          className="action-button retry-button"
+                          onClick={() => retryFailedItems(selectedVersion)}
+                          disabled={isLoading}
+                        >
+                          Retry Failed Items
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+                {selectedVersion.liveReferences?.length > 0 && (
+                  <>
+                    <h4 className="pages-list-header">Live-web references ({selectedVersion.liveReferences.length})</h4>
+                    <ul className="live-references-list">
+                      {selectedVersion.liveReferences.map(reference => (
+                        <li key={reference.url} title={`${reference.url}\nFound in: ${reference.foundIn.join(', ')}`}>
+                          <span className="reference-kind">{reference.kind}</span>
+                          {reference.url}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
                 <h4 className="pages-list-header">Archived pages in Snapshot</h4>
                 <ul className="crawled-pages-list">
-                  {selectedVersion.crawledPages.map((pageUrl, index) => (
-                    <li key={index} title={pageUrl}>{getPathFromUrl(pageUrl)}</li>
+                  {(selectedVersion.crawledPages || []).map((pageUrl, index) => (
+                    <li key={index} title={describeDiscovery(pageUrl)} className="archived-page-item">
+                      {selectedVersion.urlMap?.[pageUrl] ? (
+                        <a href={`${API_BASE}/view/${selectedDomain}/${selectedVersion.id}/${selectedVersion.urlMap[pageUrl]}`} target="_blank" rel="noopener noreferrer">
+                          {getPathAndQuery(pageUrl)}
+                        </a>
+                      ) : getPathAndQuery(pageUrl)}
+                      {/\.html?$/i.test(selectedVersion.urlMap?.[pageUrl] || '') && (
+                        <a
+                          className="single-file-link"
+                          href={`${API_BASE}/api/archives/${selectedDomain}/${selectedVersion.id}/single-file?url=${encodeURIComponent(pageUrl)}`}
+                          title="Download as a single HTML file"
+                        >
+                          ⤓
+                        </a>
+                      )}
+                    </li>
                   ))}
                 </ul>
               </>
             ) : <p>Select a timestamp.</p>}
           </div>
         </div>
+
+        {selectedDomain && (
+          <RetentionPanel key={selectedDomain} domain={selectedDomain} onApplied={fetchArchives} />
+        )}
+
+        {selectedVersion && compareVersionId && (
+          <SnapshotDiff
+            domain={selectedDomain}
+            fromId={[selectedVersion.id, compareVersionId].sort()[0]}
+            toId={[selectedVersion.id, compareVersionId].sort()[1]}
+            formatTimestamp={formatTimestamp}
+            onClose={() => setCompareVersionId('')}
+          />
+        )}
       </main>
     </div>
   );
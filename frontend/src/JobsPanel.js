@@ -0,0 +1,56 @@
+import React from 'react';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Lists crawl jobs with their live status and progress counters.
+ * @param {object} props
+ * @param {object[]} props.jobs - Jobs as reported by the backend, newest first.
+ * @param {function(string): void} props.onCancel - Called with a job ID to cancel it.
+ * @param {function(): void} props.onClearFinished - Removes finished jobs from the list.
+ */
+function JobsPanel({ jobs, onCancel, onClearFinished }) {
+  if (jobs.length === 0) return null;
+  const hasFinished = jobs.some(job => !ACTIVE_STATUSES.includes(job.status));
+
+  return (
+    <section className="jobs-panel">
+      <div className="jobs-panel-header">
+        <h2>Crawl Jobs</h2>
+        {hasFinished && (
+          <button className="clear-jobs-button" onClick={onClearFinished}>Clear finished</button>
+        )}
+      </div>
+      <ul>
+        {jobs.map((job) => (
+          <li key={job.id} className="job-item">
+            <div className="job-summary">
+              <span className={`job-status job-status-${job.status}`}>{job.status}</span>
+              <span className="job-url" title={job.params.startUrl}>{job.params.startUrl}</span>
+              {job.params.seed && job.params.seed.mode !== 'links' && (
+                <span className="job-seed">
+                  + {job.params.seed.mode === 'list' ? `${job.params.seed.urlCount} listed URLs` : job.params.seed.mode}
+                </span>
+              )}
+              {ACTIVE_STATUSES.includes(job.status) && (
+                <button className="cancel-job-button" onClick={() => onCancel(job.id)}>Cancel</button>
+              )}
+            </div>
+            <div className="job-counters">
+              Pages: {job.counters.pagesFetched}/{job.params.maxPages} fetched, {job.counters.pagesFailed} failed
+              {job.counters.framesFetched > 0 && ` · ${job.counters.framesFetched} frames`}
+              {' · '}Assets: {job.counters.assetsFetched} fetched, {job.counters.assetsFailed} failed
+              {job.counters.skipped > 0 && ` · ${job.counters.skipped} over size limits`}
+              {job.counters.blocked > 0 && ` · ${job.counters.blocked} blocked by robots.txt`}
+              {job.status === 'running' && ` · ${job.counters.queued} queued`}
+            </div>
+            {job.currentUrl && <div className="job-current" title={job.currentUrl}>Fetching {job.currentUrl}</div>}
+            {job.error && <div className="job-error">{job.error}</div>}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default JobsPanel;
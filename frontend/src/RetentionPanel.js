@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { API_BASE } from './api';
+
+const EMPTY_POLICY = { keepLast: '', keepOnePer: '', afterDays: '', applyAfterCrawl: false };
+
+/**
+ * Edits and applies the retention policy of a domain, which decides which of its snapshots are kept.
+ * @param {object} props
+ * @param {string} props.domain - The domain whose policy is shown.
+ * @param {function(): void} props.onApplied - Called after the policy has deleted snapshots.
+ */
+function RetentionPanel({ domain, onApplied }) {
+  const [policy, setPolicy] = useState(EMPTY_POLICY);
+  const [hasPolicy, setHasPolicy] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Load the domain's saved policy, if it has one.
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/retention`);
+        const saved = (await response.json()).find(entry => entry.domain === domain);
+        setHasPolicy(Boolean(saved));
+        setPolicy(saved ? {
+          keepLast: saved.keepLast ?? '',
+          keepOnePer: saved.keepOnePer ?? '',
+          afterDays: saved.keepOnePer ? saved.afterDays : '',
+          applyAfterCrawl: saved.applyAfterCrawl,
+        } : EMPTY_POLICY);
+      } catch (error) {
+        console.error('Failed to fetch retention policy:', error);
+      }
+    };
+    fetchPolicy();
+  }, [domain]);
+
+  const handleChange = (field, value) => {
+    setPolicy(prev => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Sends a request about the domain's policy.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The path after /api/retention/<domain>.
+   * @param {object} [body] - The JSON body.
+   * @returns {Promise<object>} The response body.
+   */
+  const sendRequest = async (method, path, body) => {
+    const response = await fetch(`${API_BASE}/api/retention/${domain}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.message);
+    return result;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      await sendRequest('PUT', '', {
+        keepLast: policy.keepLast === '' ? null : Number(policy.keepLast),
+        keepOnePer: policy.keepOnePer || null,
+        afterDays: Number(policy.afterDays || 0),
+        applyAfterCrawl: policy.applyAfterCrawl,
+      });
+      setHasPolicy(true);
+    } catch (error) {
+      console.error('Error saving retention policy:', error);
+      alert(`Failed to save retention policy: ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setIsBusy(true);
+    try {
+      await sendRequest('DELETE', '');
+      setHasPolicy(false);
+      setPolicy(EMPTY_POLICY);
+    } catch (error) {
+      console.error('Error removing retention policy:', error);
+      alert(`Failed to remove retention policy: ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Shows which snapshots the saved policy would delete and deletes them once confirmed.
+   */
+  const handleApply = async () => {
+    setIsBusy(true);
+    try {
+      const preview = await sendRequest('POST', '/apply?dryRun=true');
+      if (preview.pruned.length === 0) {
+        alert('The policy keeps every snapshot of this site.');
+        return;
+      }
+      if (!window.confirm(`The policy deletes ${preview.pruned.length} snapshot(s) of ${domain}. This cannot be undone. Continue?`)) return;
+      await sendRequest('POST', '/apply');
+      onApplied();
+    } catch (error) {
+      console.error('Error applying retention policy:', error);
+      alert(`Failed to apply retention policy: ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <section className="retention-panel">
+      <h3>Retention for {domain}</h3>
+      <form className="retention-form" onSubmit={handleSave}>
+        <label>
+          Keep the newest
+          <input
+            type="number"
+            min="1"
+            placeholder="any"
+            value={policy.keepLast}
+            onChange={(e) => handleChange('keepLast', e.target.value)}
+          />
+          per start page
+        </label>
+        <label>
+          and one per
+          <select value={policy.keepOnePer} onChange={(e) => handleChange('keepOnePer', e.target.value)}>
+            <option value="">-</option>
+            <option value="day">day</option>
+            <option value="week">week</option>
+            <option value="month">month</option>
+          </select>
+        </label>
+        <label>
+          beyond
+          <input
+            type="number"
+            min="0"
+            placeholder="0"
+            value={policy.afterDays}
+            onChange={(e) => handleChange('afterDays', e.target.value)}
+            disabled={!policy.keepOnePer}
+          />
+          days
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={policy.applyAfterCrawl}
+            onChange={(e) => handleChange('applyAfterCrawl', e.target.checked)}
+          />
+          Apply after every crawl
+        </label>
+        <button type="submit" disabled={isBusy}>Save Policy</button>
+        {hasPolicy && (
+          <>
+            <button type="button" onClick={handleApply} disabled={isBusy}>Apply Now</button>
+            <button type="button" className="delete-policy-button" onClick={handleRemove} disabled={isBusy}>Remove Policy</button>
+          </>
+        )}
+      </form>
+    </section>
+  );
+}
+
+export default RetentionPanel;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { API_BASE } from './api';
+
+const POLL_INTERVAL_MS = 30000;
+const INTERVAL_UNITS = { minutes: 1, hours: 60, days: 1440 };
+
+/**
+ * Describes when a watch runs.
+ * @param {object} watch - The watch as returned by the schedules API.
+ * @returns {string} A short description such as "every 6 hours" or "cron 0 3 * * *".
+ */
+const describeSchedule = (watch) => {
+  if (watch.cron) return `cron ${watch.cron}`;
+  const [unit, factor] = Object.entries(INTERVAL_UNITS).reverse().find(([, size]) => watch.intervalMinutes % size === 0);
+  const count = watch.intervalMinutes / factor;
+  return `every ${count === 1 ? unit.slice(0, -1) : `${count} ${unit}`}`;
+};
+
+/**
+ * Describes the outcome of the last run of a watch.
+ * @param {object|null} result - The watch's lastResult.
+ * @returns {string} The description.
+ */
+const describeResult = (result) => {
+  if (!result) return 'Not run yet';
+  if (result.status !== 'done') return result.error ? `${result.status}: ${result.error}` : result.status;
+  if (result.skipped) return 'No changes, capture skipped';
+  if (result.changed === false) return 'No changes';
+  return result.changed ? 'Changed' : 'First capture';
+};
+
+/**
+ * Manages scheduled archives: URLs that are re-archived on an interval or a cron schedule.
+ * @param {object} props
+ * @param {function(string): string} props.normalizeUrl - Turns user input into a full URL.
+ * @param {function(): object} props.getCrawlOptions - The crawl settings of the archive form, which every run of a new watch uses.
+ * @param {function(): void} props.onScheduledRun - Called when a watch has started a new crawl.
+ */
+function SchedulesPanel({ normalizeUrl, getCrawlOptions, onScheduledRun }) {
+  const [watches, setWatches] = useState([]);
+  const [url, setUrl] = useState('');
+  const [maxPages, setMaxPages] = useState(10);
+  const [mode, setMode] = useState('interval');
+  const [intervalCount, setIntervalCount] = useState(1);
+  const [intervalUnit, setIntervalUnit] = useState('days');
+  const [cron, setCron] = useState('0 3 * * *');
+  const [skipUnchanged, setSkipUnchanged] = useState(true);
+  const lastRuns = useRef({});
+  const onScheduledRunRef = useRef(onScheduledRun);
+  onScheduledRunRef.current = onScheduledRun;
+
+  /**
+   * Loads the watches and reports new runs since the previous load.
+   */
+  const fetchWatches = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/schedules`);
+      const watchList = await response.json();
+      const hasNewRun = watchList.some(watch => watch.lastRunAt && lastRuns.current[watch.id] !== undefined
+        && lastRuns.current[watch.id] !== watch.lastRunAt);
+      lastRuns.current = Object.fromEntries(watchList.map(watch => [watch.id, watch.lastRunAt]));
+      setWatches(watchList);
+      if (hasNewRun) onScheduledRunRef.current();
+    } catch (error) {
+      console.error('Failed to fetch schedules:', error);
+    }
+  };
+
+  // Poll the schedules so runs triggered by the backend show up.
+  useEffect(() => {
+    fetchWatches();
+    const timer = setInterval(fetchWatches, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const normalizedUrl = normalizeUrl(url);
+    if (!normalizedUrl) return alert('URL is empty.');
+
+    const schedule = mode === 'cron'
+      ? { cron }
+      : { intervalMinutes: Number(intervalCount) * INTERVAL_UNITS[intervalUnit] };
+    try {
+      const response = await fetch(`${API_BASE}/api/schedules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: normalizedUrl, maxPages: Number(maxPages), skipUnchanged, ...schedule, ...getCrawlOptions() }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      setUrl('');
+      fetchWatches();
+    } catch (error) {
+      console.error('Error creating schedule:', error);
+      alert(`Failed to create schedule: ${error.message}`);
+    }
+  };
+
+  /**
+   * Sends an action for a watch and reloads the list.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The path below /api/schedules.
+   */
+  const updateWatch = async (method, path) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/schedules/${path}`, { method });
+      if (!response.ok) throw new Error((await response.json()).message);
+      fetchWatches();
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      alert(`Failed to update schedule: ${error.message}`);
+    }
+  };
+
+  return (
+    <section className="schedules-panel">
+      <h2>Scheduled Archives</h2>
+      <form className="schedule-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          placeholder="example.com"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          required
+        />
+        <label>
+          Pages
+          <input type="number" min="1" value={maxPages} onChange={(e) => setMaxPages(e.target.value)} />
+        </label>
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="interval">Every</option>
+          <option value="cron">Cron</option>
+        </select>
+        {mode === 'interval' ? (
+          <>
+            <input type="number" min="1" value={intervalCount} onChange={(e) => setIntervalCount(e.target.value)} />
+            <select value={intervalUnit} onChange={(e) => setIntervalUnit(e.target.value)}>
+              {Object.keys(INTERVAL_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+            </select>
+          </>
+        ) : (
+          <input
+            type="text"
+            className="cron-input"
+            value={cron}
+            onChange={(e) => setCron(e.target.value)}
+            title="minute hour day-of-month month day-of-week, in the server's time zone"
+          />
+        )}
+        <label>
+          <input type="checkbox" checked={skipUnchanged} onChange={(e) => setSkipUnchanged(e.target.checked)} />
+          Skip unchanged captures
+        </label>
+        <button type="submit" title="Runs with the crawl options, request profile, size limits and seed set in the archive form">Schedule</button>
+      </form>
+
+      {watches.length > 0 && (
+        <ul>
+          {watches.map(watch => (
+            <li key={watch.id} className={`schedule-item ${watch.paused ? 'paused' : ''}`}>
+              <div className="schedule-summary">
+                <span className="schedule-url" title={watch.url}>{watch.url}</span>
+                <span>{describeSchedule(watch)}, {watch.maxPages} pages</span>
+                <button onClick={() => updateWatch('POST', `${watch.id}/${watch.paused ? 'resume' : 'pause'}`)}>
+                  {watch.paused ? 'Resume' : 'Pause'}
+                </button>
+                <button className="delete-schedule-button" onClick={() => updateWatch('DELETE', watch.id)}>Delete</button>
+              </div>
+              <div className="schedule-details">
+                {watch.paused ? 'Paused' : `Next run ${new Date(watch.nextRunAt).toLocaleString()}`}
+                {' · '}Last run: {watch.lastRunAt ? `${new Date(watch.lastRunAt).toLocaleString()} (${describeResult(watch.lastResult)})` : 'never'}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default SchedulesPanel;
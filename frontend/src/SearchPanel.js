@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { API_BASE } from './api';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Splits a snippet into plain and highlighted parts for the words of a query.
+ * @param {string} snippet - The snippet returned by the backend.
+ * @param {string} query - The search query.
+ * @returns {object[]} Parts as { text, match }.
+ */
+const highlightSnippet = (snippet, query) => {
+  const words = query.replace(/"/g, ' ').split(/\s+/).filter(Boolean)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (words.length === 0) return [{ text: snippet, match: false }];
+  // Splitting on a capturing group puts the matches at the odd indexes.
+  return snippet.split(new RegExp(`(${words.join('|')})`, 'i'))
+    .map((text, index) => ({ text, match: index % 2 === 1 }))
+    .filter(part => part.text);
+};
+
+/**
+ * Full-text search across every archived page, filterable by site and capture date.
+ * @param {object} props
+ * @param {string[]} props.domains - The archived domains, offered as a filter.
+ * @param {function(string): string} props.formatTimestamp - Formats a snapshot ID for display.
+ */
+function SearchPanel({ domains, formatTimestamp }) {
+  const [query, setQuery] = useState('');
+  const [domain, setDomain] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [searchResult, setSearchResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  /**
+   * Runs the search with the current filters.
+   * @param {number} offset - Index of the first result to show.
+   */
+  const runSearch = async (offset = 0) => {
+    if (!query.trim()) return;
+    setIsSearching(true);
+    setError(null);
+    const params = new URLSearchParams({ q: query, limit: PAGE_SIZE, offset });
+    if (domain) params.set('domain', domain);
+    if (fromDate) params.set('from', fromDate);
+    if (toDate) params.set('to', toDate);
+    try {
+      const response = await fetch(`${API_BASE}/api/search?${params}`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.message);
+      setSearchResult({ ...result, offset });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(0);
+  };
+
+  return (
+    <section className="search-panel">
+      <h2>Search Archives</h2>
+      <form className="search-form" onSubmit={handleSubmit}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='Words or "an exact phrase"'
+        />
+        <select value={domain} onChange={(e) => setDomain(e.target.value)}>
+          <option value="">All sites</option>
+          {domains.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <label>
+          From
+          <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+        </label>
+        <button type="submit" disabled={isSearching || !query.trim()}>
+          {isSearching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {error && <p className="search-error">{error}</p>}
+
+      {searchResult && (
+        <div className="search-results">
+          <p className="search-summary">
+            {searchResult.total === 0
+              ? 'No pages found.'
+              : `${searchResult.total} page${searchResult.total === 1 ? '' : 's'} found`}
+          </p>
+          <ul>
+            {searchResult.results.map(result => (
+              <li key={`${result.domain}/${result.snapshot}/${result.file}`} className="search-result">
+                <a href={`${API_BASE}${result.viewPath}`} target="_blank" rel="noopener noreferrer">
+                  {result.title || result.url}
+                </a>
+                <div className="search-result-meta">
+                  {result.url} · captured {formatTimestamp(result.snapshot)}
+                </div>
+                <p className="search-snippet">
+                  {highlightSnippet(result.snippet, searchResult.query).map((part, index) => (
+                    part.match ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+                  ))}
+                </p>
+              </li>
+            ))}
+          </ul>
+          {searchResult.total > PAGE_SIZE && (
+            <div className="search-pagination">
+              <button
+                onClick={() => runSearch(searchResult.offset - PAGE_SIZE)}
+                disabled={isSearching || searchResult.offset === 0}
+              >
+                Previous
+              </button>
+              <span>
+                {searchResult.offset + 1}–{Math.min(searchResult.offset + PAGE_SIZE, searchResult.total)} of {searchResult.total}
+              </span>
+              <button
+                onClick={() => runSearch(searchResult.offset + PAGE_SIZE)}
+                disabled={isSearching || searchResult.offset + PAGE_SIZE >= searchResult.total}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default SearchPanel;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { API_BASE } from './api';
+
+/**
+ * Pairs removed and added lines so a text diff can be shown side by side.
+ * @param {object[]} parts - Diff parts from the backend ({ type, lines }).
+ * @returns {object[]} Rows as { left, right, leftType, rightType }; a missing side is undefined.
+ */
+const buildSideBySideRows = (parts) => {
+  const rows = [];
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (part.type === 'unchanged') {
+      part.lines.forEach(line => rows.push({ left: line, right: line, leftType: 'unchanged', rightType: 'unchanged' }));
+    } else if (part.type === 'removed') {
+      // A removal directly followed by an addition is a replacement: show them on the same rows.
+      const added = parts[i + 1]?.type === 'added' ? parts[++i].lines : [];
+      for (let j = 0; j < Math.max(part.lines.length, added.length); j++) {
+        rows.push({ left: part.lines[j], right: added[j], leftType: 'removed', rightType: 'added' });
+      }
+    } else {
+      part.lines.forEach(line => rows.push({ left: undefined, right: line, leftType: 'removed', rightType: 'added' }));
+    }
+  }
+  return rows;
+};
+
+/**
+ * Extracts the path and query of a URL for compact display.
+ * @param {string} urlString - The full URL.
+ * @returns {string} The path and query string.
+ */
+const getPagePath = (urlString) => {
+  try {
+    const url = new URL(urlString);
+    return url.pathname + url.search;
+  } catch (e) {
+    return urlString;
+  }
+};
+
+/**
+ * Compares two snapshots of a domain: a summary of changed pages and assets,
+ * and a side-by-side, highlighted diff of the visible text of a selected page.
+ * @param {object} props
+ * @param {string} props.domain - The domain both snapshots belong to.
+ * @param {string} props.fromId - The older snapshot ID.
+ * @param {string} props.toId - The newer snapshot ID.
+ * @param {function(string): string} props.formatTimestamp - Formats a snapshot ID for display.
+ * @param {function(): void} props.onClose - Closes the diff viewer.
+ */
+function SnapshotDiff({ domain, fromId, toId, formatTimestamp, onClose }) {
+  const [summary, setSummary] = useState(null);
+  const [selectedPage, setSelectedPage] = useState(null);
+  const [pageDiff, setPageDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  const query = `from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}`;
+
+  // Load the summary whenever the compared snapshots change.
+  useEffect(() => {
+    setSummary(null);
+    setSelectedPage(null);
+    setError(null);
+    fetch(`${API_BASE}/api/archives/${domain}/diff?${query}`)
+      .then(async (response) => {
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message);
+        setSummary(result);
+        if (result.pages.changed.length > 0) setSelectedPage(result.pages.changed[0].url);
+      })
+      .catch(err => setError(err.message));
+  }, [domain, query]);
+
+  // Load the text diff of the selected page.
+  useEffect(() => {
+    setPageDiff(null);
+    if (!selectedPage) return;
+    fetch(`${API_BASE}/api/archives/${domain}/diff/page?${query}&url=${encodeURIComponent(selectedPage)}`)
+      .then(async (response) => {
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message);
+        setPageDiff(result);
+      })
+      .catch(err => setError(err.message));
+  }, [domain, query, selectedPage]);
+
+  const renderPageList = (title, urls, className, details = {}) => (
+    <div className="diff-page-group">
+      <h4>{title} ({urls.length})</h4>
+      <ul>
+        {urls.map(url => (
+          <li
+            key={url}
+            title={url}
+            className={`${className} ${selectedPage === url ? 'selected' : ''}`}
+            onClick={() => setSelectedPage(url)}
+          >
+            {getPagePath(url)}
+            {details[url] && <span className="diff-line-counts"> {details[url]}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <section className="snapshot-diff">
+      <div className="snapshot-diff-header">
+        <h2>Comparing {formatTimestamp(fromId)} → {formatTimestamp(toId)}</h2>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      {error && <p className="diff-error">{error}</p>}
+      {!summary && !error && <p>Comparing snapshots...</p>}
+
+      {summary && (
+        <div className="snapshot-diff-body">
+          <div className="diff-summary">
+            <p>
+              Pages: {summary.pages.changed.length} changed, {summary.pages.added.length} added,{' '}
+              {summary.pages.removed.length} removed, {summary.pages.unchanged.length} unchanged
+            </p>
+            <p>
+              Assets: {summary.assets.changed.length} changed, {summary.assets.added.length} added,{' '}
+              {summary.assets.removed.length} removed
+            </p>
+            {renderPageList('Changed pages', summary.pages.changed.map(page => page.url), 'diff-changed',
+              Object.fromEntries(summary.pages.changed.map(page => [page.url, `+${page.addedLines} −${page.removedLines}`])))}
+            {renderPageList('Added pages', summary.pages.added, 'diff-added')}
+            {renderPageList('Removed pages', summary.pages.removed, 'diff-removed')}
+          </div>
+
+          <div className="diff-viewer">
+            {!selectedPage && <p>Select a page to see its text diff.</p>}
+            {selectedPage && !pageDiff && <p>Loading diff...</p>}
+            {pageDiff && (
+              <>
+                <h4 title={pageDiff.url}>{getPagePath(pageDiff.url)} — {pageDiff.status}</h4>
+                {pageDiff.parts.length === 0 ? (
+                  <p>No text to compare for this page{pageDiff.changed ? ', but its content changed.' : '.'}</p>
+                ) : (
+                  <table className="diff-table">
+                    <thead>
+                      <tr>
+                        <th>{formatTimestamp(fromId)}</th>
+                        <th>{formatTimestamp(toId)}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {buildSideBySideRows(pageDiff.parts).map((row, index) => (
+                        <tr key={index}>
+                          <td className={row.left === undefined ? 'diff-empty' : `diff-${row.leftType}`}>{row.left}</td>
+                          <td className={row.right === undefined ? 'diff-empty' : `diff-${row.rightType}`}>{row.right}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default SnapshotDiff;
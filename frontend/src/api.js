@@ -0,0 +1,2 @@
+// Base URL of the archiver backend.
+export const API_BASE = 'http://localhost:3001';